@@ -11,6 +11,7 @@ const config = require('./config/config');
 const morgan = require('./config/morgan');
 const { jwtStrategy } = require('./config/passport');
 const { authLimiter } = require('./middlewares/rateLimiter');
+const verifySignedUrl = require('./middlewares/signedUrl');
 const routes = require('./routes/v1');
 const { errorConverter, errorHandler } = require('./middlewares/error');
 const ApiError = require('./utils/ApiError');
@@ -20,6 +21,11 @@ const app = express();
 // set static folder
 app.use(express.static(path.join(__dirname, 'public')));
 
+// serve uploaded files when they are kept on the local disk, only through signed urls
+if (config.storage.driver === 'local') {
+  app.use('/storage', verifySignedUrl, express.static(config.storage.local.root, { index: false }));
+}
+
 if (config.env !== 'test') {
   app.use(morgan.successHandler);
   app.use(morgan.errorHandler);
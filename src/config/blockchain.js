@@ -20,8 +20,15 @@ const contractConfig = {
 
 const contract = new ethers.Contract(contractConfig.address, contractConfig.abi, signer);
 
-// Upload file to IPFS using Pinata
-const uploadToIPFS = async (fileBuffer, fileName) => {
+// Gateway url of a pin. Pinata keeps one pin per CID: isDuplicate tells that the content was already pinned,
+// the pin then belongs to whoever pinned it first and must not be undone by this upload.
+const toPin = (result) => ({
+  uri: `https://gateway.pinata.cloud/ipfs/${result.IpfsHash}`,
+  isDuplicate: Boolean(result.isDuplicate),
+});
+
+// Upload file to IPFS using Pinata, keyvalues (e.g. the file sha256) are stored in the pin metadata
+const uploadToIPFS = async (fileBuffer, fileName, keyvalues = {}) => {
   try {
     // Convert the buffer to a readable stream
     const stream = Readable.from(fileBuffer);
@@ -29,6 +36,7 @@ const uploadToIPFS = async (fileBuffer, fileName) => {
     const options = {
       pinataMetadata: {
         name: fileName,
+        keyvalues,
       },
       pinataOptions: {
         cidVersion: 0,
@@ -37,13 +45,39 @@ const uploadToIPFS = async (fileBuffer, fileName) => {
 
     // Pass the stream instead of the buffer
     const result = await pinata.pinFileToIPFS(stream, options);
-    return `https://gateway.pinata.cloud/ipfs/${result.IpfsHash}`;
+    return toPin(result);
   } catch (error) {
     console.error('Error uploading to IPFS:', error);
     throw error;
   }
 };
 
+// Pin the ERC-721 metadata of a document NFT, its url is the token URI. The pin keyvalues are only Pinata bookkeeping,
+// the metadata is content on IPFS: anyone holding the NFT can check the file against the sha256 it carries.
+const uploadMetadataToIPFS = async (fileURI, { name, sha256, mimeType, ...properties }) => {
+  try {
+    const metadata = {
+      name,
+      description: `Notarized document ${name}`,
+      image: fileURI,
+      sha256,
+      properties: {
+        file: { uri: fileURI, sha256, mimeType: mimeType || null },
+        ...properties,
+      },
+    };
+
+    const result = await pinata.pinJSONToIPFS(metadata, {
+      pinataMetadata: { name: `${name}.json`, keyvalues: { sha256 } },
+      pinataOptions: { cidVersion: 0 },
+    });
+    return toPin(result);
+  } catch (error) {
+    console.error('Error uploading metadata to IPFS:', error);
+    throw error;
+  }
+};
+
 // Mint NFT with document hash
 const mintDocumentNFT = async (tokenURI) => {
   try {
@@ -59,6 +93,33 @@ const mintDocumentNFT = async (tokenURI) => {
   }
 };
 
+// The contract has no burn, an NFT minted by mistake is voided by sending it to the dead address
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+// Void an NFT minted by a notary signature that failed afterwards
+const voidDocumentNFT = async (tokenId) => {
+  try {
+    const voidTx = await contract.transferFrom(signer.address, DEAD_ADDRESS, tokenId);
+    const receipt = await voidTx.wait();
+    return {
+      transactionHash: receipt.hash,
+    };
+  } catch (error) {
+    console.error('Error voiding NFT:', error);
+    throw error;
+  }
+};
+
+// Remove a pin added by uploadToIPFS, from its gateway url
+const unpinFromIPFS = async (ipfsUrl) => {
+  try {
+    await pinata.unpin(ipfsUrl.split('/').pop());
+  } catch (error) {
+    console.error('Error unpinning from IPFS:', error);
+    throw error;
+  }
+};
+
 // Get transaction and NFT data from blockchain
 const getTransactionData = async (transactionHash) => {
   try {
@@ -129,6 +190,9 @@ module.exports = {
   signer,
   contract,
   uploadToIPFS,
+  uploadMetadataToIPFS,
+  unpinFromIPFS,
   mintDocumentNFT,
+  voidDocumentNFT,
   getTransactionData,
 };
@@ -23,6 +23,46 @@ const envVarsSchema = Joi.object()
     SMTP_USERNAME: Joi.string().description('username for email server'),
     SMTP_PASSWORD: Joi.string().description('password for email server'),
     EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
+    STORAGE_DRIVER: Joi.string().valid('firebase', 'local', 's3').default('firebase').description('file storage backend'),
+    STORAGE_SIGNED_URL_EXPIRATION_MINUTES: Joi.number()
+      .default(15)
+      .description('minutes after which signed file download urls expire'),
+    STORAGE_LOCAL_ROOT: Joi.string().default('uploads').description('directory used by the local storage driver'),
+    STORAGE_LOCAL_BASE_URL: Joi.string().description('public base url of files served by the local storage driver'),
+    S3_BUCKET: Joi.string().description('bucket used by the s3 storage driver'),
+    S3_REGION: Joi.string().default('us-east-1').description('region of the s3 bucket'),
+    S3_ENDPOINT: Joi.string().description('endpoint of an s3-compatible server'),
+    S3_ACCESS_KEY_ID: Joi.string().description('access key id for the s3 bucket'),
+    S3_SECRET_ACCESS_KEY: Joi.string().description('secret access key for the s3 bucket'),
+    S3_FORCE_PATH_STYLE: Joi.boolean().default(false).description('use path-style urls for s3-compatible servers'),
+    S3_PUBLIC_URL: Joi.string().description('public base url of files stored by the s3 storage driver'),
+    SCANNER_DRIVER: Joi.string().valid('clamav', 'noop').default('noop').description('malware scanner for uploaded files'),
+    CLAMAV_HOST: Joi.string().default('127.0.0.1').description('host of the clamd daemon'),
+    CLAMAV_PORT: Joi.number().default(3310).description('tcp port of the clamd daemon'),
+    CLAMAV_TIMEOUT_MS: Joi.number().default(30000).description('milliseconds to wait for a clamd verdict'),
+    OCR_DRIVER: Joi.string().valid('tesseract', 'noop').default('noop').description('ocr engine for citizen ID cards'),
+    OCR_LANGUAGES: Joi.string().default('vie+eng').description('tesseract languages used to read citizen ID cards'),
+    OCR_LANG_PATH: Joi.string().description('directory or url of the tesseract .traineddata files'),
+    UPLOAD_CHUNK_SIZE_MB: Joi.number().default(5).description('size of the chunks of resumable uploads'),
+    UPLOAD_MAX_SIZE_MB: Joi.number().default(100).description('largest file accepted through resumable uploads'),
+    UPLOAD_PREVIEW_MAX_SIZE_MB: Joi.number()
+      .default(20)
+      .description('largest resumable upload read into memory for its thumbnail and PDF page count'),
+    UPLOAD_EXPIRATION_HOURS: Joi.number()
+      .default(24)
+      .description('hours after which unfinished resumable uploads are deleted'),
+    UPLOAD_DIRECT_MAX_FILES: Joi.number()
+      .default(10)
+      .description('most files sent in one multipart request, more go through resumable uploads'),
+    CLAIM_TIMEOUT_MINUTES: Joi.number()
+      .default(240)
+      .description('minutes after which a case claimed by a notary goes back to the queue if they do not act on it'),
+    IDEMPOTENCY_KEY_RETENTION_HOURS: Joi.number()
+      .default(24)
+      .description('hours during which a repeated Idempotency-Key gets the first response again'),
+    IDEMPOTENCY_KEY_LOCK_MINUTES: Joi.number()
+      .default(10)
+      .description('minutes after which a request that never finished no longer holds its Idempotency-Key'),
   })
   .unknown();
 
@@ -76,4 +116,48 @@ module.exports = {
     appId: envVars.FIREBASE_APP_ID,
     measurementId: envVars.FIREBASE_MEASUREMENT_ID,
   },
+  storage: {
+    driver: envVars.STORAGE_DRIVER,
+    signedUrlExpirationMinutes: envVars.STORAGE_SIGNED_URL_EXPIRATION_MINUTES,
+    local: {
+      root: path.resolve(__dirname, '../..', envVars.STORAGE_LOCAL_ROOT),
+      baseUrl: envVars.STORAGE_LOCAL_BASE_URL || `${envVars.HOST}:${envVars.PORT}/storage`,
+    },
+    s3: {
+      bucket: envVars.S3_BUCKET,
+      region: envVars.S3_REGION,
+      endpoint: envVars.S3_ENDPOINT,
+      accessKeyId: envVars.S3_ACCESS_KEY_ID,
+      secretAccessKey: envVars.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: envVars.S3_FORCE_PATH_STYLE,
+      publicUrl: envVars.S3_PUBLIC_URL,
+    },
+  },
+  upload: {
+    chunkSize: envVars.UPLOAD_CHUNK_SIZE_MB * 1024 * 1024,
+    maxSize: envVars.UPLOAD_MAX_SIZE_MB * 1024 * 1024,
+    previewMaxSize: envVars.UPLOAD_PREVIEW_MAX_SIZE_MB * 1024 * 1024,
+    expirationHours: envVars.UPLOAD_EXPIRATION_HOURS,
+    directMaxFiles: envVars.UPLOAD_DIRECT_MAX_FILES,
+  },
+  assignment: {
+    claimTimeoutMinutes: envVars.CLAIM_TIMEOUT_MINUTES,
+  },
+  idempotency: {
+    retentionHours: envVars.IDEMPOTENCY_KEY_RETENTION_HOURS,
+    lockMinutes: envVars.IDEMPOTENCY_KEY_LOCK_MINUTES,
+  },
+  ocr: {
+    driver: envVars.OCR_DRIVER,
+    languages: envVars.OCR_LANGUAGES,
+    langPath: envVars.OCR_LANG_PATH,
+  },
+  scanner: {
+    driver: envVars.SCANNER_DRIVER,
+    clamav: {
+      host: envVars.CLAMAV_HOST,
+      port: envVars.CLAMAV_PORT,
+      timeout: envVars.CLAMAV_TIMEOUT_MS,
+    },
+  },
 };
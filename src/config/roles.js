@@ -1,6 +1,8 @@
 const allRoles = {
   user: [
     'uploadDocuments',
+    'resubmitDocuments',
+    'withdrawDocuments',
     'viewNotarizationHistory',
     'createSession',
     'addUserToSession',
@@ -15,6 +17,8 @@ const allRoles = {
     'getSessionBySessionId',
     'uploadSessionDocument',
     'sendSessionForNotarization',
+    'resubmitSessions',
+    'withdrawSessions',
     'getSessionStatus',
     'getDocument',
     'getWallet',
@@ -29,6 +33,11 @@ const allRoles = {
     'manageRoles',
     'manageNotarizationFields',
     'manageNotarizationServices',
+    'manageWorkflows',
+    'getWorkflows',
+    'assignCases',
+    'manageRouting',
+    'manageNotaryProfiles',
     'getAllNotarizations',
     'getDocumentCount',
     'getUserCount',
@@ -54,6 +63,7 @@ const allRoles = {
     'getDocument',
     'getSessionsByStatus',
     'exportMetrics',
+    'getSlaBreaches',
   ],
   notary: [
     'getDocumentsByRole',
@@ -69,6 +79,9 @@ const allRoles = {
     'approveSignatureSessionByNotary',
     'notaryDashboard',
     'getDocument',
+    'getWorkflows',
+    'claimCases',
+    'manageOwnAvailability',
   ],
 };
 
@@ -0,0 +1,13 @@
+/**
+ * How documents leaving `pending` are given to a notary of their field.
+ * `round-robin` takes turns between the notaries, `least-loaded` picks the one with the fewest open cases and
+ * `manual` leaves every case in the shared queue for an admin to assign or a notary to claim.
+ */
+const routingStrategies = ['round-robin', 'least-loaded', 'manual'];
+
+const defaultStrategy = 'least-loaded';
+
+module.exports = {
+  routingStrategies,
+  defaultStrategy,
+};
@@ -0,0 +1,12 @@
+/**
+ * Hours a document or session may stay in a status before it is escalated.
+ * Used for the notarization services without SLA targets of their own.
+ */
+const defaultSlaTargets = [
+  { status: 'processing', hours: 48 },
+  { status: 'digitalSignature', hours: 24 },
+];
+
+module.exports = {
+  defaultSlaTargets,
+};
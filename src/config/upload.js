@@ -0,0 +1,15 @@
+/**
+ * Files accepted by the notarization services without an upload policy of their own.
+ * Null means no limit.
+ */
+const defaultUploadPolicy = {
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+  maxFileSizeMb: 5,
+  maxFiles: null,
+  minPdfPages: null,
+  maxPdfPages: null,
+};
+
+module.exports = {
+  defaultUploadPolicy,
+};
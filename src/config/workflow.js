@@ -0,0 +1,70 @@
+/**
+ * Workflow of the notarization services that have none attached, the steps documents and sessions
+ * have always gone through.
+ *
+ * Every workflow starts in `pending`. The `sign` action completes a request once the requesters and the notary
+ * have signed, so the states it leaves from are the ones collecting signatures. `verify` is taken by the
+ * automatic verification job, which acts with the `system` role. `requestRevision` sends a request back to its
+ * requester with feedback, and `resubmit` returns it to verification with the files they replaced or added.
+ * `withdraw` lets the requester cancel before the signatures, giving a reason.
+ */
+const defaultWorkflow = {
+  name: 'default',
+  description: 'Verification, review by a notary, then signatures',
+  states: [
+    { name: 'pending', label: 'Pending' },
+    { name: 'processing', label: 'Processing' },
+    { name: 'digitalSignature', label: 'Awaiting signatures' },
+    { name: 'needsRevision', label: 'Needs revision' },
+    { name: 'completed', label: 'Completed', final: true },
+    { name: 'rejected', label: 'Rejected', final: true },
+    { name: 'cancelled', label: 'Cancelled', final: true },
+  ],
+  transitions: [
+    { action: 'verify', from: ['pending'], to: 'processing', roles: ['system'], requires: [] },
+    { action: 'accept', from: ['pending'], to: 'processing', roles: ['notary'], requires: [] },
+    { action: 'accept', from: ['processing'], to: 'digitalSignature', roles: ['notary'], requires: [] },
+    { action: 'sign', from: ['digitalSignature'], to: 'completed', roles: ['notary'], requires: [] },
+    {
+      action: 'requestRevision',
+      from: ['pending'],
+      to: 'needsRevision',
+      roles: ['notary', 'system'],
+      requires: ['feedback'],
+    },
+    { action: 'requestRevision', from: ['processing'], to: 'needsRevision', roles: ['notary'], requires: ['feedback'] },
+    { action: 'resubmit', from: ['needsRevision'], to: 'pending', roles: ['user'], requires: [] },
+    {
+      action: 'withdraw',
+      from: ['pending', 'processing', 'needsRevision'],
+      to: 'cancelled',
+      roles: ['user'],
+      requires: ['feedback'],
+    },
+    { action: 'reject', from: ['pending'], to: 'rejected', roles: ['notary', 'system'], requires: ['feedback'] },
+    {
+      action: 'reject',
+      from: ['processing', 'digitalSignature', 'needsRevision'],
+      to: 'rejected',
+      roles: ['notary'],
+      requires: ['feedback'],
+    },
+  ],
+};
+
+const initialState = 'pending';
+// Action of the requester sending a request back after changing it
+const resubmitAction = 'resubmit';
+// Action of the requester cancelling a request, the payments and wallet files it holds are given back
+const withdrawAction = 'withdraw';
+const systemRole = 'system';
+const transitionInputs = ['feedback', 'output'];
+
+module.exports = {
+  defaultWorkflow,
+  initialState,
+  resubmitAction,
+  withdrawAction,
+  systemRole,
+  transitionInputs,
+};
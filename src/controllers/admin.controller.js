@@ -1,5 +1,5 @@
 const httpStatus = require('http-status');
-const { adminService } = require('../services');
+const { adminService, slaService } = require('../services');
 const catchAsync = require('../utils/catchAsync');
 const pick = require('../utils/pick');
 
@@ -145,6 +145,21 @@ const exportMetrics = catchAsync(async (req, res) => {
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
+const getSlaBreaches = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['caseType', 'status', 'notaryId']);
+  if (req.query.open !== undefined) {
+    filter.resolvedAt = req.query.open ? null : { $ne: null };
+  }
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await slaService.querySlaBreaches(filter, { sortBy: 'dueAt:asc', ...options });
+  res.status(httpStatus.OK).send(result);
+});
+
+const getSlaBreachSummary = catchAsync(async (req, res) => {
+  const result = await slaService.getSlaBreachSummary();
+  res.status(httpStatus.OK).send(result);
+});
+
 module.exports = {
   getDocumentCount,
   getUserCount,
@@ -157,4 +172,6 @@ module.exports = {
   getPaymentTotalByNotarizationField,
   getPaymentTotal,
   exportMetrics,
+  getSlaBreaches,
+  getSlaBreachSummary,
 };
@@ -11,3 +11,7 @@ module.exports.paymentController = require('./payment.controller');
 module.exports.emailController = require('./email.controller');
 module.exports.notaryController = require('./notary.controller');
 module.exports.userWalletController = require('./userWallet.controller');
+module.exports.uploadController = require('./upload.controller');
+module.exports.workflowController = require('./workflow.controller');
+module.exports.routingController = require('./routing.controller');
+module.exports.notaryProfileController = require('./notaryProfile.controller');
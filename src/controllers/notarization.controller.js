@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/ApiError');
 const pick = require('../utils/pick');
-const { notarizationService } = require('../services');
+const { notarizationService, ocrService, assignmentService, timelineService } = require('../services');
 
 const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 
@@ -23,8 +23,52 @@ const createDocument = catchAsync(async (req, res) => {
     userId
   );
 
-  await notarizationService.createStatusTracking(document._id, 'pending');
+  res.status(httpStatus.CREATED).send(document);
+});
+
+const createDraft = catchAsync(async (req, res) => {
+  if (!isValidEmail(req.body.requesterInfo.email)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid email address');
+  }
+
+  const document = await notarizationService.createDocument(
+    { ...req.body },
+    req.files,
+    req.body.fileIds,
+    req.body.customFileNames,
+    req.user.id,
+    { draft: true }
+  );
+  res.status(httpStatus.CREATED).send(document);
+});
+
+const getDrafts = catchAsync(async (req, res) => {
+  const drafts = await notarizationService.getDrafts(req.user.id);
+  res.status(httpStatus.OK).send(drafts);
+});
+
+const addDraftFiles = catchAsync(async (req, res) => {
+  const draft = await notarizationService.addDraftFiles(req.params.documentId, req.user, req.body, req.files);
+  res.status(httpStatus.OK).send(draft);
+});
+
+const removeDraftFile = catchAsync(async (req, res) => {
+  const draft = await notarizationService.removeDraftFile(req.params.documentId, req.user, req.params.fileId);
+  res.status(httpStatus.OK).send(draft);
+});
+
+const discardDraft = catchAsync(async (req, res) => {
+  await notarizationService.discardDraft(req.params.documentId, req.user);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const submitDraft = catchAsync(async (req, res) => {
+  const result = await notarizationService.submitDraft(req.params.documentId, req.user);
+  res.status(httpStatus.OK).send(result);
+});
 
+const createAmendment = catchAsync(async (req, res) => {
+  const document = await notarizationService.createAmendment(req.user, req.body, req.files);
   res.status(httpStatus.CREATED).send(document);
 });
 
@@ -62,27 +106,57 @@ const getDocumentStatus = catchAsync(async (req, res) => {
 });
 
 const getDocumentByRole = catchAsync(async (req, res) => {
-  const filter = pick(req.query, ['status']);
+  const filter = pick(req.query, ['status', 'queue']);
   const options = pick(req.query, ['limit', 'page']);
 
-  const result = await notarizationService.getDocumentByRole({
-    ...filter,
-    ...options,
-  });
+  const result = await notarizationService.getDocumentByRole(
+    {
+      ...filter,
+      ...options,
+    },
+    req.user.id
+  );
 
   res.status(httpStatus.OK).send(result);
 });
 
 const forwardDocumentStatus = catchAsync(async (req, res) => {
   const { documentId } = req.params;
-  const { action, feedback, files } = req.body;
+  const { action, feedback, files, outputSlots, reason, reviewerId } = req.body;
   const { role } = req.user;
   const userId = req.user.id;
 
-  const updatedStatus = await notarizationService.forwardDocumentStatus(documentId, action, role, userId, feedback, files);
+  const updatedStatus = await notarizationService.forwardDocumentStatus(documentId, action, role, userId, feedback, files, {
+    slots: outputSlots,
+    reason,
+    reviewerId,
+  });
 
   res.status(httpStatus.OK).send(updatedStatus);
 });
+
+const forwardDocumentStatuses = catchAsync(async (req, res) => {
+  const { documentIds, action, feedback } = req.body;
+  const result = await notarizationService.forwardDocumentStatuses(
+    documentIds,
+    action,
+    req.user.role,
+    req.user.id,
+    feedback
+  );
+  res.status(httpStatus.OK).send(result);
+});
+
+const resubmitDocument = catchAsync(async (req, res) => {
+  const document = await notarizationService.resubmitDocument(req.params.documentId, req.user, req.body, req.files);
+  res.status(httpStatus.OK).send(document);
+});
+
+const withdrawDocument = catchAsync(async (req, res) => {
+  const result = await notarizationService.withdrawDocument(req.params.documentId, req.user, req.body.reason);
+  res.status(httpStatus.OK).send(result);
+});
+
 const getApproveHistory = catchAsync(async (req, res) => {
   const userId = req.user.id;
   const approveHistory = await notarizationService.getApproveHistory(userId);
@@ -103,26 +177,93 @@ const approveSignatureByUser = catchAsync(async (req, res) => {
 });
 
 const approveSignatureByNotary = catchAsync(async (req, res) => {
-  const requestApproved = await notarizationService.approveSignatureByNotary(req.body.documentId, req.user.id);
+  const requestApproved = await notarizationService.approveSignatureByNotary(
+    req.body.documentId,
+    req.user.id,
+    req.user.role
+  );
   res.status(httpStatus.OK).send(requestApproved);
 });
 
 const getDocumentById = catchAsync(async (req, res) => {
-  const document = await notarizationService.getDocumentById(req.params.documentId);
+  const document = await notarizationService.getDocumentById(req.params.documentId, req.user);
   res.status(httpStatus.OK).send(document);
 });
 
+const getDocumentFile = catchAsync(async (req, res) => {
+  const { documentId, fileId } = req.params;
+  const file = await notarizationService.getDocumentFile(documentId, fileId, req.user);
+  res.status(httpStatus.OK).send(file);
+});
+
+const verifyDocumentFile = catchAsync(async (req, res) => {
+  const { documentId, fileId } = req.params;
+  const result = await notarizationService.verifyDocumentFile(documentId, fileId, req.user);
+  res.status(httpStatus.OK).send(result);
+});
+
+const getDocumentBundle = catchAsync(async (req, res) => {
+  const bundle = await notarizationService.getDocumentBundle(req.params.documentId, req.user);
+  res.status(httpStatus.OK).send(bundle);
+});
+
+const getDocumentTimeline = catchAsync(async (req, res) => {
+  const timeline = await timelineService.getTimeline('document', req.params.documentId, req.user);
+  res.status(httpStatus.OK).send(timeline);
+});
+
+const claimDocument = catchAsync(async (req, res) => {
+  const document = await assignmentService.claimDocument(req.params.documentId, req.user.id);
+  res.status(httpStatus.OK).send(document);
+});
+
+const releaseDocument = catchAsync(async (req, res) => {
+  const document = await assignmentService.releaseDocument(req.params.documentId, req.user.id);
+  res.status(httpStatus.OK).send(document);
+});
+
+const assignDocument = catchAsync(async (req, res) => {
+  const document = await assignmentService.assignDocument(req.params.documentId, req.body.notaryId, req.user.id);
+  res.status(httpStatus.OK).send(document);
+});
+
+const readCitizenIdCard = catchAsync(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No file provided');
+  }
+  const result = await ocrService.readCitizenIdCard(req.file);
+  res.status(httpStatus.OK).send(result);
+});
+
 module.exports = {
   createDocument,
+  createDraft,
+  getDrafts,
+  addDraftFiles,
+  removeDraftFile,
+  discardDraft,
+  submitDraft,
+  createAmendment,
   getHistory,
   getHistoryByUserId,
   getDocumentStatus,
   getDocumentByRole,
   forwardDocumentStatus,
+  forwardDocumentStatuses,
+  resubmitDocument,
+  withdrawDocument,
   getApproveHistory,
   getAllNotarizations,
   approveSignatureByUser,
   approveSignatureByNotary,
   getHistoryWithStatus,
   getDocumentById,
+  getDocumentFile,
+  verifyDocumentFile,
+  getDocumentBundle,
+  getDocumentTimeline,
+  claimDocument,
+  releaseDocument,
+  assignDocument,
+  readCitizenIdCard,
 };
@@ -1,25 +1,38 @@
 const httpStatus = require('http-status');
 const notaryService = require('../services/notary.service');
+const notaryProfileService = require('../services/notaryProfile.service');
 const catchAsync = require('../utils/catchAsync');
 
 const getProcessingSessionsDocuments = catchAsync(async (req, res) => {
-  const documents = await notaryService.getProcessingSessionsDocuments();
-  res.status(httpStatus.OK).send(documents);
+  const [documents, profile] = await Promise.all([
+    notaryService.getProcessingSessionsDocuments(),
+    notaryProfileService.findNotaryCard(req.user.id),
+  ]);
+  res.status(httpStatus.OK).send({ ...documents, profile });
 });
 
 const getSignatureSessionsDocuments = catchAsync(async (req, res) => {
-  const documents = await notaryService.getSignatureSessionsDocuments();
-  res.status(httpStatus.OK).send(documents);
+  const [documents, profile] = await Promise.all([
+    notaryService.getSignatureSessionsDocuments(),
+    notaryProfileService.findNotaryCard(req.user.id),
+  ]);
+  res.status(httpStatus.OK).send({ ...documents, profile });
 });
 
 const getNotaryApproved = catchAsync(async (req, res) => {
-  const approvedNotary = await notaryService.getNotaryApproved(req.user.id);
-  res.status(httpStatus.OK).send(approvedNotary);
+  const [approvedNotary, profile] = await Promise.all([
+    notaryService.getNotaryApproved(req.user.id),
+    notaryProfileService.findNotaryCard(req.user.id),
+  ]);
+  res.status(httpStatus.OK).send({ ...approvedNotary, profile });
 });
 
 const getAcceptanceRate = catchAsync(async (req, res) => {
-  const acceptanceRate = await notaryService.getAcceptanceRate();
-  res.status(httpStatus.OK).send(acceptanceRate);
+  const [acceptanceRate, profile] = await Promise.all([
+    notaryService.getAcceptanceRate(),
+    notaryProfileService.findNotaryCard(req.user.id),
+  ]);
+  res.status(httpStatus.OK).send({ ...acceptanceRate, profile });
 });
 
 module.exports = {
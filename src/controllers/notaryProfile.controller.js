@@ -0,0 +1,57 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { notaryProfileService } = require('../services');
+
+const createNotaryProfile = catchAsync(async (req, res) => {
+  const profile = await notaryProfileService.createNotaryProfile(req.body);
+  res.status(httpStatus.CREATED).send(profile);
+});
+
+const getNotaryProfiles = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['specialization']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await notaryProfileService.queryNotaryProfiles(filter, options);
+  res.send(result);
+});
+
+const getNotaryProfile = catchAsync(async (req, res) => {
+  const profile = await notaryProfileService.getNotaryProfile(req.params.notaryId);
+  res.send(profile);
+});
+
+const updateNotaryProfile = catchAsync(async (req, res) => {
+  const profile = await notaryProfileService.updateNotaryProfile(req.params.notaryId, req.body);
+  res.send(profile);
+});
+
+const deleteNotaryProfile = catchAsync(async (req, res) => {
+  await notaryProfileService.deleteNotaryProfile(req.params.notaryId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getMyProfile = catchAsync(async (req, res) => {
+  const profile = await notaryProfileService.getNotaryProfile(req.user.id);
+  res.send(profile);
+});
+
+const updateMyAvailability = catchAsync(async (req, res) => {
+  const profile = await notaryProfileService.updateAvailability(req.user.id, req.body);
+  res.send(profile);
+});
+
+const getNotaryCard = catchAsync(async (req, res) => {
+  const card = await notaryProfileService.getNotaryCard(req.params.notaryId);
+  res.send(card);
+});
+
+module.exports = {
+  createNotaryProfile,
+  getNotaryProfiles,
+  getNotaryProfile,
+  updateNotaryProfile,
+  deleteNotaryProfile,
+  getMyProfile,
+  updateMyAvailability,
+  getNotaryCard,
+};
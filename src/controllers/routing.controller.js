@@ -0,0 +1,48 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { routingService } = require('../services');
+
+const getRoutingSettings = catchAsync(async (req, res) => {
+  const settings = await routingService.getRoutingSettings();
+  res.send(settings);
+});
+
+const updateRoutingSettings = catchAsync(async (req, res) => {
+  const settings = await routingService.updateRoutingSettings(req.body, req.user.id);
+  res.send(settings);
+});
+
+const getNotaryRoutings = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['available']);
+  if (req.query.field) {
+    filter.fields = req.query.field;
+  }
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await routingService.queryNotaryRoutings(filter, options);
+  res.send(result);
+});
+
+const getNotaryRouting = catchAsync(async (req, res) => {
+  const routing = await routingService.getNotaryRouting(req.params.notaryId);
+  res.send(routing);
+});
+
+const setNotaryRouting = catchAsync(async (req, res) => {
+  const routing = await routingService.setNotaryRouting(req.params.notaryId, req.body);
+  res.send(routing);
+});
+
+const deleteNotaryRouting = catchAsync(async (req, res) => {
+  await routingService.deleteNotaryRouting(req.params.notaryId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  getRoutingSettings,
+  updateRoutingSettings,
+  getNotaryRoutings,
+  getNotaryRouting,
+  setNotaryRouting,
+  deleteNotaryRouting,
+};
@@ -1,7 +1,7 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const pick = require('../utils/pick');
-const { sessionService, emailService } = require('../services');
+const { sessionService, emailService, assignmentService, timelineService } = require('../services');
 const { addUserToSession: addUserToSessionValidation } = require('../validations/session.validation');
 
 const createSession = catchAsync(async (req, res) => {
@@ -124,13 +124,16 @@ const getSessionStatus = catchAsync(async (req, res) => {
 });
 
 const getSessionsByStatus = catchAsync(async (req, res) => {
-  const filter = pick(req.query, ['status']);
+  const filter = pick(req.query, ['status', 'queue']);
   const options = pick(req.query, ['limit', 'page']);
 
-  const result = await sessionService.getSessionsByStatus({
-    ...filter,
-    ...options,
-  });
+  const result = await sessionService.getSessionsByStatus(
+    {
+      ...filter,
+      ...options,
+    },
+    req.user.id
+  );
 
   res.status(httpStatus.OK).send(result);
 });
@@ -144,6 +147,16 @@ const forwardSessionStatus = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(updatedStatus);
 });
 
+const resubmitSession = catchAsync(async (req, res) => {
+  const result = await sessionService.resubmitSession(req.params.sessionId, req.user, req.body);
+  res.status(httpStatus.OK).send(result);
+});
+
+const withdrawSession = catchAsync(async (req, res) => {
+  const result = await sessionService.withdrawSession(req.params.sessionId, req.user, req.body.reason);
+  res.status(httpStatus.OK).send(result);
+});
+
 const approveSignatureSessionByUser = catchAsync(async (req, res) => {
   const { sessionId } = req.body;
   const userId = req.user.id;
@@ -152,7 +165,11 @@ const approveSignatureSessionByUser = catchAsync(async (req, res) => {
 });
 
 const approveSignatureSessionByNotary = catchAsync(async (req, res) => {
-  const requestApproved = await sessionService.approveSignatureSessionByNotary(req.body.sessionId, req.user.id);
+  const requestApproved = await sessionService.approveSignatureSessionByNotary(
+    req.body.sessionId,
+    req.user.id,
+    req.user.role
+  );
   res.status(httpStatus.OK).send(requestApproved);
 });
 
@@ -165,6 +182,43 @@ const deleteFile = catchAsync(async (req, res) => {
   res.status(httpStatus.NO_CONTENT).send();
 });
 
+const getSessionFile = catchAsync(async (req, res) => {
+  const { sessionId, fileId } = req.params;
+  const file = await sessionService.getSessionFile(sessionId, fileId, req.user);
+  res.status(httpStatus.OK).send(file);
+});
+
+const verifySessionFile = catchAsync(async (req, res) => {
+  const { sessionId, fileId } = req.params;
+  const result = await sessionService.verifySessionFile(sessionId, fileId, req.user);
+  res.status(httpStatus.OK).send(result);
+});
+
+const getSessionBundle = catchAsync(async (req, res) => {
+  const bundle = await sessionService.getSessionBundle(req.params.sessionId, req.user);
+  res.status(httpStatus.OK).send(bundle);
+});
+
+const getSessionTimeline = catchAsync(async (req, res) => {
+  const timeline = await timelineService.getTimeline('session', req.params.sessionId, req.user);
+  res.status(httpStatus.OK).send(timeline);
+});
+
+const claimSession = catchAsync(async (req, res) => {
+  const session = await assignmentService.claimSession(req.params.sessionId, req.user.id);
+  res.status(httpStatus.OK).send(session);
+});
+
+const releaseSession = catchAsync(async (req, res) => {
+  const session = await assignmentService.releaseSession(req.params.sessionId, req.user.id);
+  res.status(httpStatus.OK).send(session);
+});
+
+const assignSession = catchAsync(async (req, res) => {
+  const session = await assignmentService.assignSession(req.params.sessionId, req.body.notaryId, req.user.id);
+  res.status(httpStatus.OK).send(session);
+});
+
 module.exports = {
   createSession,
   addUserToSession,
@@ -181,7 +235,16 @@ module.exports = {
   getSessionStatus,
   getSessionsByStatus,
   forwardSessionStatus,
+  resubmitSession,
+  withdrawSession,
   approveSignatureSessionByUser,
   approveSignatureSessionByNotary,
   deleteFile,
+  getSessionFile,
+  verifySessionFile,
+  getSessionBundle,
+  getSessionTimeline,
+  claimSession,
+  releaseSession,
+  assignSession,
 };
@@ -0,0 +1,31 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { uploadService } = require('../services');
+
+const createUpload = catchAsync(async (req, res) => {
+  const upload = await uploadService.createUpload(req.user.id, req.body);
+  res.status(httpStatus.CREATED).send(upload);
+});
+
+const getUpload = catchAsync(async (req, res) => {
+  const upload = await uploadService.getUpload(req.params.uploadId, req.user.id);
+  res.status(httpStatus.OK).send(upload);
+});
+
+const uploadChunk = catchAsync(async (req, res) => {
+  const { uploadId, index } = req.params;
+  const upload = await uploadService.uploadChunk(uploadId, index, req.body, req.user.id);
+  res.status(httpStatus.OK).send(upload);
+});
+
+const completeUpload = catchAsync(async (req, res) => {
+  const upload = await uploadService.completeUpload(req.params.uploadId, req.user.id);
+  res.status(httpStatus.OK).send(upload);
+});
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+};
@@ -1,6 +1,6 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { userWalletService, paymentService } = require('../services');
+const { userWalletService, paymentService, thumbnailService } = require('../services');
 const ApiError = require('../utils/ApiError');
 
 /**
@@ -26,7 +26,8 @@ const getWallet = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'User wallet not found');
   }
 
-  res.status(httpStatus.OK).send(userWallet);
+  const nftItems = await thumbnailService.withThumbnailUrls(userWallet.nftItems);
+  res.status(httpStatus.OK).send({ ...userWallet.toJSON(), nftItems });
 });
 
 /**
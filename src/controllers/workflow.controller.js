@@ -0,0 +1,45 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { workflowService } = require('../services');
+const { defaultWorkflow } = require('../config/workflow');
+
+const createWorkflow = catchAsync(async (req, res) => {
+  const workflow = await workflowService.createWorkflow(req.body);
+  res.status(httpStatus.CREATED).send(workflow);
+});
+
+const getWorkflows = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['name']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await workflowService.queryWorkflows(filter, options);
+  res.send(result);
+});
+
+const getDefaultWorkflow = catchAsync(async (req, res) => {
+  res.send(defaultWorkflow);
+});
+
+const getWorkflow = catchAsync(async (req, res) => {
+  const workflow = await workflowService.getWorkflowById(req.params.workflowId);
+  res.send(workflow);
+});
+
+const updateWorkflow = catchAsync(async (req, res) => {
+  const workflow = await workflowService.updateWorkflowById(req.params.workflowId, req.body);
+  res.send(workflow);
+});
+
+const deleteWorkflow = catchAsync(async (req, res) => {
+  await workflowService.deleteWorkflowById(req.params.workflowId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createWorkflow,
+  getWorkflows,
+  getDefaultWorkflow,
+  getWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+};
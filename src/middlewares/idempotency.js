@@ -0,0 +1,67 @@
+const httpStatus = require('http-status');
+const idempotencyService = require('../services/idempotency.service');
+const ApiError = require('../utils/ApiError');
+
+const maxKeyLength = 255;
+
+/**
+ * Replays the first response for requests repeating an `Idempotency-Key` header, requests without it run as usual.
+ * Has to run after `auth`, keys are scoped to the user and refused without one, and after multer on multipart routes so that the fields and
+ * files are part of the fingerprint. Responses with a 5xx status are not stored and free the key, the client can
+ * retry with it.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!key || key.length > maxKeyLength) {
+    return next(new ApiError(httpStatus.BAD_REQUEST, `Idempotency-Key must be 1 to ${maxKeyLength} characters long`));
+  }
+  if (!req.user) {
+    return next(new ApiError(httpStatus.UNAUTHORIZED, 'Sign in to send an Idempotency-Key'));
+  }
+
+  let reservation;
+  try {
+    const files = req.files || (req.file ? [req.file] : []);
+    const fingerprint = idempotencyService.fingerprintRequest(req.method, req.originalUrl, req.body, files);
+    reservation = await idempotencyService.reserveKey(req.user.id, key, fingerprint);
+  } catch (error) {
+    return next(error);
+  }
+
+  const { record, replay } = reservation;
+  if (replay) {
+    res.set('Idempotent-Replayed', 'true');
+    if (replay.responseType) {
+      res.set('Content-Type', replay.responseType);
+    }
+    return res.status(replay.responseStatus).send(replay.responseBody === null ? undefined : replay.responseBody);
+  }
+
+  // res.send is called again by res.json with the serialized body, the last call holds what goes on the wire.
+  // The response is stored when it ends, a client that timed out and hung up still gets it on its retry.
+  let body = null;
+  const { send, end } = res;
+  res.send = (chunk) => {
+    body = chunk === undefined || chunk === null ? null : String(chunk);
+    return send.call(res, chunk);
+  };
+  res.end = (...args) => {
+    const stored =
+      res.statusCode >= httpStatus.INTERNAL_SERVER_ERROR
+        ? idempotencyService.releaseKey(record)
+        : idempotencyService.saveResponse(record, {
+            status: res.statusCode,
+            type: res.get('Content-Type') || null,
+            body,
+          });
+    stored.catch((error) => console.error(`Error storing the response of Idempotency-Key ${key}:`, error.message));
+    return end.apply(res, args);
+  };
+
+  return next();
+};
+
+module.exports = idempotent;
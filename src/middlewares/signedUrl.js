@@ -0,0 +1,15 @@
+const httpStatus = require('http-status');
+const ApiError = require('../utils/ApiError');
+
+const verifySignedUrl = (req, res, next) => {
+  // required here so that the local adapter is only loaded when the local driver is in use
+  // eslint-disable-next-line global-require
+  const { isValidSignature } = require('../services/storage/local.adapter');
+  const key = decodeURIComponent(req.path.slice(1));
+  if (!isValidSignature(key, req.query.expires, req.query.signature)) {
+    return next(new ApiError(httpStatus.FORBIDDEN, 'Invalid or expired link'));
+  }
+  return next();
+};
+
+module.exports = verifySignedUrl;
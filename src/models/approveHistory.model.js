@@ -24,6 +24,17 @@ const ApproveHistorySchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Why the requester withdrew the document
+    reason: {
+      type: String,
+      default: null,
+    },
+    // Which approval it records when the service needs two notaries
+    approval: {
+      type: String,
+      enum: ['first', 'countersign', null],
+      default: null,
+    },
   },
   { collection: 'approveHistory' }
 );
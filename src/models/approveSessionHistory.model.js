@@ -24,6 +24,11 @@ const ApproveSessionHistorySchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Why the requester withdrew the session
+    reason: {
+      type: String,
+      default: null,
+    },
   },
   { collection: 'approveSessionHistory' }
 );
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const eventTypes = [
+  'created',
+  'statusChanged',
+  'approved',
+  'outputUploaded',
+  'signed',
+  'paymentCreated',
+  'paymentUpdated',
+  'minted',
+];
+
+const caseEventSchema = mongoose.Schema(
+  {
+    caseType: {
+      type: String,
+      enum: ['document', 'session'],
+      required: true,
+    },
+    caseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: eventTypes,
+      required: true,
+    },
+    // Null for the automatic jobs
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      default: null,
+    },
+    action: {
+      type: String,
+      default: null,
+    },
+    fromStatus: {
+      type: String,
+      default: null,
+    },
+    toStatus: {
+      type: String,
+      default: null,
+    },
+    feedback: {
+      type: String,
+      default: null,
+    },
+    // Files, payment or transaction details, depending on the type
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'caseEvents',
+  }
+);
+
+caseEventSchema.index({ caseType: 1, caseId: 1, createdAt: 1 });
+
+const refuseChange = function (next) {
+  next(new Error('Case events are append-only'));
+};
+
+// Events are only ever added, a past event is never changed or removed
+caseEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'remove',
+].forEach((operation) => caseEventSchema.pre(operation, refuseChange));
+
+caseEventSchema.plugin(toJSON);
+caseEventSchema.plugin(paginate);
+
+module.exports = mongoose.model('CaseEvent', caseEventSchema);
@@ -1,22 +1,59 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
 
+// A file submitted by the requester
+const requestFile = {
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  storageKey: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  // SHA-256 digest, size in bytes and MIME type recorded at upload time
+  sha256: {
+    type: String,
+    required: false,
+  },
+  size: {
+    type: Number,
+    required: false,
+  },
+  mimeType: {
+    type: String,
+    required: false,
+  },
+  // Verdict of the malware scanner, see scan.service
+  scan: {
+    status: { type: String, enum: ['clean', 'infected', 'skipped'] },
+    engine: { type: String },
+    signature: { type: String, default: null },
+    scannedAt: { type: Date },
+  },
+  // Small JPEG preview of images and of the first page of PDFs, see thumbnail.service
+  thumbnailKey: {
+    type: String,
+    default: null,
+  },
+  // Code of the document slot of the service this file fills
+  slot: {
+    type: String,
+    default: null,
+  },
+  // Public url of files taken from the user wallet (IPFS)
+  firebaseUrl: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+};
+
 const documentSchema = new mongoose.Schema(
   {
-    files: [
-      {
-        filename: {
-          type: String,
-          required: true,
-          trim: true,
-        },
-        firebaseUrl: {
-          type: String,
-          required: true,
-          trim: true,
-        },
-      },
-    ],
+    files: [requestFile],
     notarizationService: {
       id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -54,6 +91,15 @@ const documentSchema = new mongoose.Schema(
           message: 'Required documents must be strings or objects with name property',
         },
       },
+      documentSlots: [
+        {
+          _id: false,
+          code: { type: String, required: true },
+          name: { type: String, required: true },
+          description: { type: String },
+          required: { type: Boolean, default: true },
+        },
+      ],
 
       code: {
         type: String,
@@ -102,11 +148,80 @@ const documentSchema = new mongoose.Schema(
         required: true,
       },
     },
+    // What OCR read from the citizen ID card among the files, compared with requesterInfo for the notary
+    ocr: {
+      status: { type: String, enum: ['matched', 'mismatch', 'unreadable', 'skipped', 'failed'] },
+      engine: { type: String },
+      sourceFile: { type: String },
+      fullName: { type: String },
+      citizenId: { type: String },
+      dateOfBirth: { type: String },
+      confidence: { type: Number },
+      mismatches: [
+        {
+          _id: false,
+          field: { type: String },
+          provided: { type: String },
+          extracted: { type: String },
+        },
+      ],
+      processedAt: { type: Date },
+    },
+    // Notary working on the document, a claim expires when its notary stops acting on it
+    assignment: {
+      notaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      method: { type: String, enum: ['manual', 'claim', 'auto', 'countersign'] },
+      assignedAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+      // Why automatic routing picked the notary, or why it found none
+      reason: { type: String, default: null },
+    },
+    // Notaries who approved the document for the signatures when its service is under dual control,
+    // cleared when it is sent back to the requester
+    approvals: [
+      {
+        _id: false,
+        notaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        approvedAt: { type: Date, required: true },
+      },
+    ],
+    // Rounds of changes asked of the requester, the latest one is open until the document is resubmitted
+    revisions: [
+      {
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        requestedAt: { type: Date, required: true },
+        fromStatus: { type: String, required: true },
+        feedback: { type: String, required: true },
+        resubmittedAt: { type: Date, default: null },
+        note: { type: String, default: null },
+        addedFiles: [{ type: String }],
+        // Files taken out of the document by the ones uploaded to the same slot
+        replacedFiles: [requestFile],
+      },
+    ],
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Completed document this one amends or re-notarizes, and the amendments made to this one
+    amends: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      default: null,
+    },
+    amendments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+      },
+    ],
+    // Drafts collect files over several visits and only enter the pipeline once submitted
+    draft: {
+      type: Boolean,
+      default: false,
+    },
     amount: {
       type: Number,
       required: true,
@@ -118,11 +233,35 @@ const documentSchema = new mongoose.Schema(
           required: true,
           trim: true,
         },
-        firebaseUrl: {
+        storageKey: {
           type: String,
           required: true,
           trim: true,
         },
+        // SHA-256 digest, size in bytes and MIME type recorded at upload time
+        sha256: {
+          type: String,
+          required: false,
+        },
+        size: {
+          type: Number,
+          required: false,
+        },
+        mimeType: {
+          type: String,
+          required: false,
+        },
+        // Verdict of the malware scanner, see scan.service
+        scan: {
+          status: { type: String, enum: ['clean', 'infected', 'skipped'] },
+          engine: { type: String },
+          signature: { type: String, default: null },
+          scannedAt: { type: Date },
+        },
+        thumbnailKey: {
+          type: String,
+          default: null,
+        },
         transactionHash: {
           type: String,
           required: false,
@@ -133,8 +272,35 @@ const documentSchema = new mongoose.Schema(
           required: true,
           default: Date.now,
         },
+        // Uploading a file to an existing slot supersedes its current version, only current versions are minted
+        slot: {
+          type: String,
+          trim: true,
+        },
+        version: {
+          type: Number,
+          default: 1,
+        },
+        isCurrent: {
+          type: Boolean,
+          default: true,
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reason: {
+          type: String,
+          default: null,
+        },
       },
     ],
+    // Cached PDF bundle of the submitted files, rebuilt when the files change
+    bundle: {
+      storageKey: { type: String },
+      fingerprint: { type: String },
+      generatedAt: { type: Date },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const idempotencyKeySchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Keys are scoped to the user sending them, two clients never share a key
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Hash of the method, url and body of the first request, a key cannot be reused for another request
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    // A key still processing after this date belongs to a request that died, a retry takes it over
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // The first response, replayed for the repeated requests
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseType: {
+      type: String,
+      default: null,
+    },
+    responseBody: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'idempotencyKeys',
+  }
+);
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.plugin(toJSON);
+
+/**
+ * @typedef IdempotencyKey
+ */
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -13,3 +13,11 @@ module.exports.SessionStatusTracking = require('./sessionStatusTracking.model');
 module.exports.ApproveSessionHistory = require('./approveSessionHistory.model');
 module.exports.RequestSessionSignature = require('./requestSessionSignature.model');
 module.exports.UserWallet = require('./userWallet.model');
+module.exports.Upload = require('./upload.model');
+module.exports.Workflow = require('./workflow.model');
+module.exports.NotaryRouting = require('./notaryRouting.model');
+module.exports.RoutingSettings = require('./routingSettings.model');
+module.exports.NotaryProfile = require('./notaryProfile.model');
+module.exports.SlaBreach = require('./slaBreach.model');
+module.exports.CaseEvent = require('./caseEvent.model');
+module.exports.IdempotencyKey = require('./idempotencyKey.model');
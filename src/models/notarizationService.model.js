@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { toSlotCode } = require('../utils/documentSlots');
+const { defaultUploadPolicy } = require('../config/upload');
 //const { required } = require('joi');
 
 const notarizationServiceSchema = new mongoose.Schema(
@@ -26,15 +28,111 @@ const notarizationServiceSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Names of the required slots, kept for clients that only display the list
     required_documents: {
       type: [String],
       required: true,
       default: [],
     },
+    // Documents the requester uploads, each file is tagged with the code of the slot it fills
+    documentSlots: {
+      type: [
+        {
+          _id: false,
+          code: { type: String, required: true, trim: true },
+          name: { type: String, required: true, trim: true },
+          description: { type: String, trim: true },
+          required: { type: Boolean, default: true },
+        },
+      ],
+      default: [],
+      validate: {
+        validator(slots) {
+          return new Set(slots.map((slot) => slot.code)).size === slots.length;
+        },
+        message: 'Document slot codes must be unique',
+      },
+    },
+    // Steps its documents and sessions go through, the default workflow when null
+    workflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      default: null,
+    },
+    // Files accepted by the service, enforced when files are attached to a document or session. Null means no limit.
+    uploadPolicy: {
+      allowedMimeTypes: {
+        type: [String],
+        default: defaultUploadPolicy.allowedMimeTypes,
+      },
+      maxFileSizeMb: {
+        type: Number,
+        default: defaultUploadPolicy.maxFileSizeMb,
+        min: 0,
+      },
+      maxFiles: {
+        type: Number,
+        default: defaultUploadPolicy.maxFiles,
+        min: 1,
+      },
+      minPdfPages: {
+        type: Number,
+        default: defaultUploadPolicy.minPdfPages,
+        min: 1,
+      },
+      maxPdfPages: {
+        type: Number,
+        default: defaultUploadPolicy.maxPdfPages,
+        min: 1,
+      },
+    },
+    // Hours its documents and sessions may stay in a status before they are escalated, the defaults when empty
+    slaTargets: {
+      type: [
+        {
+          _id: false,
+          status: { type: String, required: true, trim: true },
+          hours: { type: Number, required: true, min: 1 },
+        },
+      ],
+      default: [],
+      validate: {
+        validator(targets) {
+          return new Set(targets.map((target) => target.status)).size === targets.length;
+        },
+        message: 'A status can only have one SLA target',
+      },
+    },
+    // Documents worth at least minAmount (price times amount) need two notaries to approve them before the signatures
+    dualControl: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Every document of the service when null
+      minAmount: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+    },
   },
   { collection: 'notarizationServices' }
 );
 
+notarizationServiceSchema.pre('validate', function (next) {
+  if (this.isModified('documentSlots')) {
+    this.documentSlots.forEach((slot) => {
+      if (!slot.code && slot.name) {
+        // eslint-disable-next-line no-param-reassign
+        slot.code = toSlotCode(slot.name);
+      }
+    });
+    this.required_documents = this.documentSlots.filter((slot) => slot.required !== false).map((slot) => slot.name);
+  }
+  next();
+});
+
 notarizationServiceSchema.plugin(toJSON);
 notarizationServiceSchema.plugin(paginate);
 
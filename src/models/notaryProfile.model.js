@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const notaryProfileSchema = mongoose.Schema(
+  {
+    notaryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    licenseNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    licenseIssuedAt: {
+      type: Date,
+    },
+    licenseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    office: {
+      name: { type: String, trim: true },
+      address: { type: String, trim: true },
+      phoneNumber: { type: String, trim: true },
+    },
+    bio: {
+      type: String,
+      trim: true,
+    },
+    // Edited by the notary, automatic routing skips notaries on leave or outside their working hours.
+    // The fields a notary is routed and whether they take cases at all are kept in their NotaryRouting.
+    availability: {
+      unavailableUntil: { type: Date, default: null },
+      note: { type: String, trim: true },
+      timezone: { type: String, default: 'Asia/Ho_Chi_Minh' },
+      // Days are 0 (Sunday) to 6, times are HH:mm in the timezone. No working hours means any time.
+      workingHours: [
+        {
+          _id: false,
+          day: { type: Number, min: 0, max: 6, required: true },
+          start: { type: String, required: true },
+          end: { type: String, required: true },
+        },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'notaryProfiles',
+  }
+);
+
+notaryProfileSchema.plugin(toJSON);
+notaryProfileSchema.plugin(paginate);
+
+module.exports = mongoose.model('NotaryProfile', notaryProfileSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+// Fields a notary receives cases for, maintained by admins
+const notaryRoutingSchema = mongoose.Schema(
+  {
+    notaryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    fields: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NotarizationField',
+      },
+    ],
+    // Unavailable notaries keep their cases but receive no new ones
+    available: {
+      type: Boolean,
+      default: true,
+    },
+    // Open cases above which the notary is skipped, no limit when null
+    maxOpenCases: {
+      type: Number,
+      default: null,
+    },
+    lastAssignedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'notaryRoutings',
+  }
+);
+
+notaryRoutingSchema.plugin(toJSON);
+notaryRoutingSchema.plugin(paginate);
+
+module.exports = mongoose.model('NotaryRouting', notaryRoutingSchema);
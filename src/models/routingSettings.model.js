@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+const { routingStrategies, defaultStrategy } = require('../config/routing');
+
+// A single document holds the settings, see routing.service
+const routingSettingsSchema = mongoose.Schema(
+  {
+    strategy: {
+      type: String,
+      enum: routingStrategies,
+      default: defaultStrategy,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'routingSettings',
+  }
+);
+
+routingSettingsSchema.plugin(toJSON);
+
+module.exports = mongoose.model('RoutingSettings', routingSettingsSchema);
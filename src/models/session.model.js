@@ -62,6 +62,42 @@ const sessionSchema = new mongoose.Schema({
           required: false,
           trim: true,
         },
+        storageKey: {
+          type: String,
+          required: false,
+          trim: true,
+        },
+        // SHA-256 digest, size in bytes and MIME type recorded at upload time
+        sha256: {
+          type: String,
+          required: false,
+        },
+        size: {
+          type: Number,
+          required: false,
+        },
+        mimeType: {
+          type: String,
+          required: false,
+        },
+        // Verdict of the malware scanner, see scan.service
+        scan: {
+          status: { type: String, enum: ['clean', 'infected', 'skipped'] },
+          engine: { type: String },
+          signature: { type: String, default: null },
+          scannedAt: { type: Date },
+        },
+        // Small JPEG preview of images and of the first page of PDFs, see thumbnail.service
+        thumbnailKey: {
+          type: String,
+          default: null,
+        },
+        // Slot of notaryService.documentSlots this file was uploaded for
+        slot: {
+          type: String,
+          default: null,
+        },
+        // Public url of files taken from the user wallet (IPFS)
         firebaseUrl: {
           type: String,
           required: false,
@@ -82,11 +118,35 @@ const sessionSchema = new mongoose.Schema({
         required: true,
         trim: true,
       },
-      firebaseUrl: {
+      storageKey: {
         type: String,
         required: true,
         trim: true,
       },
+      // SHA-256 digest, size in bytes and MIME type recorded at upload time
+      sha256: {
+        type: String,
+        required: false,
+      },
+      size: {
+        type: Number,
+        required: false,
+      },
+      mimeType: {
+        type: String,
+        required: false,
+      },
+      // Verdict of the malware scanner, see scan.service
+      scan: {
+        status: { type: String, enum: ['clean', 'infected', 'skipped'] },
+        engine: { type: String },
+        signature: { type: String, default: null },
+        scannedAt: { type: Date },
+      },
+      thumbnailKey: {
+        type: String,
+        default: null,
+      },
       transactionHash: {
         type: String,
         required: false,
@@ -99,6 +159,33 @@ const sessionSchema = new mongoose.Schema({
       },
     },
   ],
+  // Cached PDF bundle of the submitted files, rebuilt when the files change
+  bundle: {
+    storageKey: { type: String },
+    fingerprint: { type: String },
+    generatedAt: { type: Date },
+  },
+  // Notary handling the session, same rules as the assignment of documents
+  assignment: {
+    notaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    method: { type: String, enum: ['manual', 'claim', 'auto'] },
+    assignedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    // Why automatic routing picked the notary, or why it found none
+    reason: { type: String, default: null },
+  },
+  // Rounds of changes asked of the creator, files are replaced through the usual session upload
+  revisions: [
+    {
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      requestedAt: { type: Date, required: true },
+      fromStatus: { type: String, required: true },
+      feedback: { type: String, required: true },
+      resubmittedAt: { type: Date, default: null },
+      note: { type: String, default: null },
+    },
+  ],
 });
 
 sessionSchema.plugin(toJSON);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const slaBreachSchema = mongoose.Schema(
+  {
+    caseType: {
+      type: String,
+      enum: ['document', 'session'],
+      required: true,
+    },
+    caseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotarizationService',
+      default: null,
+    },
+    status: {
+      type: String,
+      required: true,
+    },
+    // When the case entered the status, a case entering it again is a new breach
+    enteredAt: {
+      type: Date,
+      required: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    breachedAt: {
+      type: Date,
+      required: true,
+    },
+    notaryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    escalatedTo: {
+      type: [String],
+      default: [],
+    },
+    escalatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the case left the status
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'slaBreaches',
+  }
+);
+
+slaBreachSchema.index({ caseType: 1, caseId: 1, status: 1, enteredAt: 1 }, { unique: true });
+
+slaBreachSchema.plugin(toJSON);
+slaBreachSchema.plugin(paginate);
+
+module.exports = mongoose.model('SlaBreach', slaBreachSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const uploadSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // Total size of the file in bytes, announced when the upload is created
+    size: {
+      type: Number,
+      required: true,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    // Indexes of the chunks already stored, used by clients to resume an interrupted upload
+    receivedChunks: {
+      type: [Number],
+      default: [],
+    },
+    // Optional digest announced by the client, checked once the chunks are assembled
+    expectedSha256: {
+      type: String,
+      default: null,
+    },
+    // Assembling while one request scans and stores the chunks
+    status: {
+      type: String,
+      enum: ['pending', 'assembling', 'completed', 'attached'],
+      default: 'pending',
+    },
+    // Set once the upload is completed, copied to the document or session file entry
+    storageKey: {
+      type: String,
+      default: null,
+    },
+    sha256: {
+      type: String,
+      default: null,
+    },
+    scan: {
+      status: { type: String, enum: ['clean', 'infected', 'skipped'] },
+      engine: { type: String },
+      signature: { type: String, default: null },
+      scannedAt: { type: Date },
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    // Pages of PDF files, needed to check the upload policy of the service the file is attached to
+    pageCount: {
+      type: Number,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// add plugin that converts mongoose to json
+uploadSchema.plugin(toJSON);
+
+/**
+ * @typedef Upload
+ */
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = Upload;
@@ -36,6 +36,12 @@ const userWalletSchema = mongoose.Schema(
           required: true,
           trim: true,
         },
+        // The pinned file, the token URI points at its metadata. Null for items minted before the metadata was pinned,
+        // whose token URI is the file itself
+        fileURI: {
+          type: String,
+          default: null,
+        },
         contractAddress: {
           type: String,
           required: true,
@@ -45,6 +51,29 @@ const userWalletSchema = mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Thumbnail of the minted output file, see thumbnail.service
+        thumbnailKey: {
+          type: String,
+          default: null,
+        },
+        // Document the NFT was minted for, null for older items and session outputs
+        documentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Document',
+          default: null,
+        },
+        // Original document when minted for an amendment, and the amendments later minted for this one
+        amends: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Document',
+          default: null,
+        },
+        amendedBy: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Document',
+          },
+        ],
       },
     ],
     createdAt: {
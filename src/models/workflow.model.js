@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { transitionInputs } = require('../config/workflow');
+
+const workflowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Statuses a document or session can be in, requests start in `pending`
+    states: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true, trim: true },
+          label: { type: String, trim: true },
+          final: { type: Boolean, default: false },
+        },
+      ],
+      default: [],
+    },
+    // Moves between states, at most one per action and state so every action has a single outcome
+    transitions: {
+      type: [
+        {
+          _id: false,
+          action: { type: String, required: true, trim: true },
+          from: { type: [String], required: true },
+          to: { type: String, required: true },
+          roles: { type: [String], default: [] },
+          requires: { type: [{ type: String, enum: transitionInputs }], default: [] },
+        },
+      ],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'workflows',
+  }
+);
+
+workflowSchema.plugin(toJSON);
+workflowSchema.plugin(paginate);
+
+module.exports = mongoose.model('Workflow', workflowSchema);
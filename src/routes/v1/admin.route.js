@@ -1,5 +1,7 @@
 const express = require('express');
 const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const adminValidation = require('../../validations/admin.validation');
 const { adminController } = require('../../controllers');
 
 const router = express.Router();
@@ -32,6 +34,16 @@ router.get(
   adminController.getPaymentTotalByNotarizationField
 );
 
+// Documents and sessions overdue in their status
+router.get(
+  '/sla-breaches',
+  auth('getSlaBreaches'),
+  validate(adminValidation.getSlaBreaches),
+  adminController.getSlaBreaches
+);
+
+router.get('/sla-breaches/summary', auth('getSlaBreaches'), adminController.getSlaBreachSummary);
+
 // export excel file for metrics with period
 router.get('/export/:period', auth('exportMetrics'), adminController.exportMetrics);
 
@@ -792,3 +804,126 @@ module.exports = router;
  *             schema:
  *               $ref: '#/components/responses/InternalServerError'
  */
+
+/**
+ * @swagger
+ * /admin/metrics/sla-breaches:
+ *   get:
+ *     summary: Get the documents and sessions overdue in their status
+ *     description: Filled by a job running every 15 minutes against the SLA targets of each notarization service. A breach is resolved once its case leaves the status.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: caseType
+ *         schema:
+ *           type: string
+ *           enum: [document, session]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Status the case was stuck in
+ *       - in: query
+ *         name: notaryId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *         description: Only the breaches still open, or only the resolved ones
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (default dueAt:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SlaBreach'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/metrics/sla-breaches/summary:
+ *   get:
+ *     summary: Count the open SLA breaches
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 open:
+ *                   type: integer
+ *                   example: 3
+ *                 resolved:
+ *                   type: integer
+ *                   example: 12
+ *                 byStatus:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       caseType:
+ *                         type: string
+ *                         example: document
+ *                       status:
+ *                         type: string
+ *                         example: processing
+ *                       count:
+ *                         type: integer
+ *                         example: 2
+ *                       oldestDueAt:
+ *                         type: string
+ *                         format: date-time
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
@@ -14,6 +14,10 @@ const paymentRoute = require('./payment.route');
 const emailRoute = require('./email.route');
 const notaryRoute = require('./notary.route');
 const userWalletRoute = require('./userWallet.route');
+const uploadRoute = require('./upload.route');
+const workflowRoute = require('./workflow.route');
+const routingRoute = require('./routing.route');
+const notaryProfileRoute = require('./notaryProfile.route');
 // const { path } = require('../../app');
 
 const router = express.Router();
@@ -72,6 +76,22 @@ const defaultRoutes = [
     path: '/userWallet',
     route: userWalletRoute,
   },
+  {
+    path: '/uploads',
+    route: uploadRoute,
+  },
+  {
+    path: '/workflows',
+    route: workflowRoute,
+  },
+  {
+    path: '/routing',
+    route: routingRoute,
+  },
+  {
+    path: '/notary-profiles',
+    route: notaryProfileRoute,
+  },
 ];
 
 const devRoutes = [
@@ -3,10 +3,13 @@ const httpStatus = require('http-status');
 const multer = require('multer');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const idempotent = require('../../middlewares/idempotency');
 const notarizationValidation = require('../../validations/notarization.validation');
 const notarizationController = require('../../controllers/notarization.controller');
 const ApiError = require('../../utils/ApiError');
 const parseJson = require('../../middlewares/parseJson');
+const config = require('../../config/config');
+const { defaultUploadPolicy } = require('../../config/upload');
 
 const router = express.Router();
 const upload = multer({
@@ -24,6 +27,13 @@ const upload = multer({
   },
 });
 
+// Files are held in memory, so they are capped at the default policy size: larger ones go through resumable uploads.
+// Type, size and page count are then checked against the upload policy of the service.
+const uploadAttachments = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: defaultUploadPolicy.maxFileSizeMb * 1024 * 1024, files: config.upload.directMaxFiles },
+});
+
 /**
  * @swagger
  * tags:
@@ -31,25 +41,111 @@ const upload = multer({
  *   description: Notarization document management API
  */
 
-router.route('/upload-files').post(
-  auth('uploadDocuments'),
-  upload.array('files'),
-  parseJson,
-  (req, res, next) => {
-    console.log('Uploaded files:', req.files);
-    req.body.amount = Number(req.body.amount);
-    req.body.files = req.files.map((file) => file.originalname);
-    req.body.fileIds = req.body.fileIds ? JSON.parse(req.body.fileIds) : [];
-    req.body.customFileNames = req.body.customFileNames ? JSON.parse(req.body.customFileNames) : [];
-    next();
-  },
-  validate(notarizationValidation.createDocument),
-  notarizationController.createDocument
-);
+// Multipart bodies carry the lists of wallet files, resumable uploads and slots as JSON strings
+const parseFileFields = (req, res, next) => {
+  req.body.files = (req.files || []).map((file) => file.originalname);
+  ['fileIds', 'customFileNames', 'uploadIds', 'fileSlots', 'walletFileSlots', 'uploadSlots'].forEach((field) => {
+    req.body[field] = req.body[field] ? JSON.parse(req.body[field]) : [];
+  });
+  next();
+};
+
+const parseDocumentFields = (req, res, next) => {
+  req.body.amount = Number(req.body.amount);
+  parseFileFields(req, res, next);
+};
+
+router
+  .route('/upload-files')
+  .post(
+    auth('uploadDocuments'),
+    uploadAttachments.array('files'),
+    idempotent,
+    parseJson,
+    parseDocumentFields,
+    validate(notarizationValidation.createDocument),
+    notarizationController.createDocument
+  );
+
+router
+  .route('/drafts')
+  .post(
+    auth('uploadDocuments'),
+    uploadAttachments.array('files'),
+    parseJson,
+    parseDocumentFields,
+    validate(notarizationValidation.createDocument),
+    notarizationController.createDraft
+  )
+  .get(auth('uploadDocuments'), notarizationController.getDrafts);
+
+router
+  .route('/drafts/:documentId')
+  .delete(auth('uploadDocuments'), validate(notarizationValidation.getDraft), notarizationController.discardDraft);
+
+router
+  .route('/drafts/:documentId/files')
+  .post(
+    auth('uploadDocuments'),
+    uploadAttachments.array('files'),
+    parseFileFields,
+    validate(notarizationValidation.addDraftFiles),
+    notarizationController.addDraftFiles
+  );
+
+router
+  .route('/drafts/:documentId/files/:fileId')
+  .delete(auth('uploadDocuments'), validate(notarizationValidation.removeDraftFile), notarizationController.removeDraftFile);
+
+router
+  .route('/drafts/:documentId/submit')
+  .post(auth('uploadDocuments'), validate(notarizationValidation.getDraft), notarizationController.submitDraft);
+router
+  .route('/amendments')
+  .post(
+    auth('uploadDocuments'),
+    uploadAttachments.array('files'),
+    parseFileFields,
+    validate(notarizationValidation.createAmendment),
+    notarizationController.createAmendment
+  );
+
+router
+  .route('/ocr/citizen-id')
+  .post(auth('uploadDocuments'), upload.single('file'), notarizationController.readCitizenIdCard);
+
 router
   .route('/document/:documentId')
   .get(auth('getDocument'), validate(notarizationValidation.getDocument), notarizationController.getDocumentById);
 
+router
+  .route('/document/:documentId/assignment')
+  .patch(auth('assignCases'), validate(notarizationValidation.assignDocument), notarizationController.assignDocument);
+
+router
+  .route('/document/:documentId/claim')
+  .post(auth('claimCases'), validate(notarizationValidation.claimDocument), notarizationController.claimDocument);
+
+router
+  .route('/document/:documentId/release')
+  .post(auth('claimCases'), validate(notarizationValidation.claimDocument), notarizationController.releaseDocument);
+
+router
+  .route('/document/:documentId/bundle')
+  .get(auth('getDocument'), validate(notarizationValidation.getDocument), notarizationController.getDocumentBundle);
+
+router
+  .route('/document/:documentId/timeline')
+  .get(auth('getDocument'), validate(notarizationValidation.getDocument), notarizationController.getDocumentTimeline);
+
+router
+  .route('/document/:documentId/files/:fileId')
+  .get(auth('getDocument'), validate(notarizationValidation.getDocumentFile), notarizationController.getDocumentFile);
+
+router
+  .route('/document/:documentId/files/:fileId/verify')
+  .get(auth('getDocument'), validate(notarizationValidation.getDocumentFile), notarizationController.verifyDocumentFile);
+
 router
   .route('/history')
   .get(auth('viewNotarizationHistory'), validate(notarizationValidation.getHistory), notarizationController.getHistory);
@@ -72,20 +168,64 @@ router
 
 router.route('/getStatusById/:documentId').get(notarizationController.getDocumentStatus);
 
-router.route('/getDocumentByRole').get(auth('getDocumentsByRole'), notarizationController.getDocumentByRole);
+router
+  .route('/getDocumentByRole')
+  .get(
+    auth('getDocumentsByRole'),
+    validate(notarizationValidation.getDocumentByRole),
+    notarizationController.getDocumentByRole
+  );
 
 router.route('/forwardDocumentStatus/:documentId').patch(
   auth('forwardDocumentStatus'),
   upload.array('files'),
+  idempotent,
   (req, res, next) => {
     const files = req.files || [];
     req.body.files = files;
+    if (req.body.outputSlots) {
+      try {
+        req.body.outputSlots = JSON.parse(req.body.outputSlots);
+      } catch (error) {
+        return next(new ApiError(httpStatus.BAD_REQUEST, 'outputSlots must be a JSON array'));
+      }
+    }
     next();
   },
   validate(notarizationValidation.forwardDocumentStatus),
   notarizationController.forwardDocumentStatus
 );
 
+router
+  .route('/bulk-forward-document-status')
+  .patch(
+    auth('forwardDocumentStatus'),
+    validate(notarizationValidation.forwardDocumentStatuses),
+    notarizationController.forwardDocumentStatuses
+  );
+
+router.route('/document/:documentId/resubmit').post(
+  auth('resubmitDocuments'),
+  uploadAttachments.array('files'),
+  (req, res, next) => {
+    req.body.files = (req.files || []).map((file) => file.originalname);
+    req.body.uploadIds = req.body.uploadIds ? JSON.parse(req.body.uploadIds) : [];
+    req.body.fileSlots = req.body.fileSlots ? JSON.parse(req.body.fileSlots) : [];
+    req.body.uploadSlots = req.body.uploadSlots ? JSON.parse(req.body.uploadSlots) : [];
+    next();
+  },
+  validate(notarizationValidation.resubmitDocument),
+  notarizationController.resubmitDocument
+);
+
+router
+  .route('/document/:documentId/withdraw')
+  .post(
+    auth('withdrawDocuments'),
+    validate(notarizationValidation.withdrawDocument),
+    notarizationController.withdrawDocument
+  );
+
 router.route('/getAllNotarization').get(auth('getAllNotarizations'), notarizationController.getAllNotarizations);
 
 router.route('/getApproveHistory').get(auth('getApproveHistory'), notarizationController.getApproveHistory);
@@ -95,6 +235,7 @@ router
   .post(
     auth('approveSignatureByUser'),
     upload.single('signatureImage'),
+    idempotent,
     validate(notarizationValidation.approveSignatureByUser),
     notarizationController.approveSignatureByUser
   );
@@ -104,6 +245,7 @@ router
   .post(
     auth('approveSignatureByNotary'),
     upload.none(),
+    idempotent,
     validate(notarizationValidation.approveSignatureByNotary),
     notarizationController.approveSignatureByNotary
   );
@@ -112,9 +254,12 @@ router
  * /notarization/upload-files:
  *   post:
  *     summary: Upload notarization documents
+ *     description: Files are checked against the uploadPolicy of the notarization service (types, size, number of files and PDF page count). Wallet files only count towards the number of files.
  *     tags: [Notarizations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -214,6 +359,22 @@ router
  *                 type: string
  *                 description: JSON array of custom file names
  *                 example: '["file1.pdf", "file2.docx"]'
+ *               uploadIds:
+ *                 type: string
+ *                 description: JSON array of completed resumable upload IDs (see /uploads)
+ *                 example: '["6746f07ccc390609e20d08bf"]'
+ *               fileSlots:
+ *                 type: string
+ *                 description: JSON array with the documentSlots code each file of `files` fills, in the same order. Use null for files that fill no slot.
+ *                 example: '["cccd", "contract"]'
+ *               walletFileSlots:
+ *                 type: string
+ *                 description: JSON array of slot codes for `fileIds`, in the same order
+ *                 example: '["land-certificate"]'
+ *               uploadSlots:
+ *                 type: string
+ *                 description: JSON array of slot codes for `uploadIds`, in the same order
+ *                 example: '["contract"]'
  *     responses:
  *       "201":
  *         description: Documents uploaded successfully
@@ -245,105 +406,83 @@ router
 
 /**
  * @swagger
- * /notarization/getStatusById/{documentId}:
+ * /notarization/drafts:
+ *   post:
+ *     summary: Create a draft
+ *     description: Takes the same fields as /notarization/upload-files, but files are optional. The draft has no status, is not verified and sends no email until it is submitted.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notarizations'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
  *   get:
- *     summary: Get the status of a document by ID
+ *     summary: List my drafts
+ *     description: Most recent first, each with the required documents of its service and whether they are filled yet.
  *     tags: [Notarizations]
- *     parameters:
- *       - in: path
- *         name: documentId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID of the document to retrieve status
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       "200":
- *         description: Document status retrieved successfully
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Notarizations'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Notarizations'
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
- *       "403":
- *         $ref: '#/components/responses/Forbidden'
- *       "404":
- *         $ref: '#/components/responses/NotFound'
- *       "500":
- *         $ref: '#/components/responses/InternalServerError'
  */
 
 /**
  * @swagger
- * /notarization/getDocumentByRole:
- *   get:
- *     summary: Get documents by user role
- *     description: Retrieve documents based on user role and status filters
+ * /notarization/drafts/{documentId}:
+ *   delete:
+ *     summary: Discard a draft
+ *     description: Wallet copies used by its files are given back and its stored files are deleted.
  *     tags: [Notarizations]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [processing, readyToSign, pendingSignature]
+ *       - in: path
+ *         name: documentId
  *         required: true
- *         description: Filter documents by status
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
  *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Maximum number of documents per page
+ *           type: string
  *     responses:
- *       "200":
- *         description: OK
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 documents:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Notarizations'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     totalPages:
- *                       type: integer
- *                       example: 7
- *                     totalDocuments:
- *                       type: integer
- *                       example: 66
+ *       "204":
+ *         description: No content
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  *       "403":
  *         $ref: '#/components/responses/Forbidden'
- *   "500":
- *    $ref: '#/components/responses/InternalServerError'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The document has already been submitted
  */
+
 /**
  * @swagger
- * /notarization/forwardDocumentStatus/{documentId}:
- *   patch:
- *     summary: Forward the status of a notarization document by document ID
+ * /notarization/drafts/{documentId}/files:
+ *   post:
+ *     summary: Attach files to a draft
+ *     description: Accepts files, fileIds, uploadIds and their slots like /notarization/upload-files. The upload policy of the service counts the files already attached.
  *     tags: [Notarizations]
  *     security:
  *       - bearerAuth: []
@@ -353,7 +492,6 @@ router
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the document to update status
  *     requestBody:
  *       required: true
  *       content:
@@ -361,102 +499,495 @@ router
  *           schema:
  *             type: object
  *             properties:
- *               action:
- *                 type: string
- *                 enum: [accept, reject]
- *                 description: The action to perform on the document
- *               feedback:
- *                 type: string
- *                 description: Feedback for rejecting the document (required if action is 'reject')
  *               files:
  *                 type: array
  *                 items:
  *                   type: string
  *                   format: binary
- *                 description: Output files to be uploaded
+ *               fileSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each file
+ *               fileIds:
+ *                 type: string
+ *                 description: JSON array of wallet items
+ *               walletFileSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each wallet item
+ *               uploadIds:
+ *                 type: string
+ *                 description: JSON array of completed resumable uploads
+ *               uploadSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each resumable upload
  *     responses:
  *       "200":
- *         description: Successfully updated the document status
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 documentId:
- *                   type: string
- *                 outputFiles:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       filename:
- *                         type: string
- *                       firebaseUrl:
- *                         type: string
- *                       transactionHash:
- *                         type: string
- *                         nullable: true
- *                       uploadedAt:
- *                         type: string
- *                         format: date-time
+ *               $ref: '#/components/schemas/Notarizations'
  *       "400":
  *         $ref: '#/components/responses/BadRequest'
- *       "401":
- *         $ref: '#/components/responses/Unauthorized'
  *       "403":
  *         $ref: '#/components/responses/Forbidden'
  *       "404":
  *         $ref: '#/components/responses/NotFound'
- *       "500":
- *         $ref: '#/components/responses/InternalServerError'
+ *       "409":
+ *         description: The document has already been submitted
  */
 
 /**
  * @swagger
- * /notarization/getApproveHistory:
- *   get:
- *     summary: Retrieve the approval history of notarization documents
+ * /notarization/drafts/{documentId}/files/{fileId}:
+ *   delete:
+ *     summary: Remove a file from a draft
+ *     description: A wallet copy goes back to the wallet, an uploaded file is deleted from storage.
  *     tags: [Notarizations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       "200":
- *         description: Successfully retrieved approval history
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   documentId:
- *                     type: string
- *                     example: "66f462fa57b33d48e47ab55f"
- *                   status:
- *                     type: string
- *                     example: "approved"
- *                   approvedBy:
- *                     type: string
- *                     example: "userId123"
- *                   approvedAt:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-09-26T08:09:42.039Z"
- *                   comments:
- *                     type: string
- *                     example: "Document approved successfully."
- *       "401":
- *         $ref: '#/components/responses/Unauthorized'
+ *               $ref: '#/components/schemas/Notarizations'
  *       "403":
- *         description: Forbidden - User does not have permission to access this resource
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The document has already been submitted
+ */
+
+/**
+ * @swagger
+ * /notarization/drafts/{documentId}/submit:
+ *   post:
+ *     summary: Submit a draft
+ *     description: Refused while a required document is missing. The document then enters the pipeline as if it had been uploaded with /notarization/upload-files, status tracking and auto-verification start and the confirmation email is sent.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 documentId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *             example:
+ *               message: Document submitted
+ *               documentId: 5ebac534954b54139806c112
+ *               status: pending
+ *       "400":
+ *         description: No files or missing required documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: "Missing required documents: Citizen ID card"
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The document has already been submitted
+
+/**
+ * @swagger
+ * /notarization/amendments:
+ *   post:
+ *     summary: Amend or re-notarize a completed document
+ *     description: Creates a new request for the service, field and requester of a completed document of the user, found by its ID or by a wallet item minted from it. Both documents keep the link, the notary sees the outputs and transaction hashes of the original next to the amendment, and the NFTs minted for it name the original.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documentId:
+ *                 type: string
+ *                 description: The original document, or give walletItemId instead
+ *               walletItemId:
+ *                 type: string
+ *                 description: A wallet item minted from the original document
+ *               amount:
+ *                 type: integer
+ *                 description: Defaults to the amount of the original document
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               fileSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each file
+ *               fileIds:
+ *                 type: string
+ *                 description: JSON array of wallet items
+ *               walletFileSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each wallet item
+ *               uploadIds:
+ *                 type: string
+ *                 description: JSON array of completed resumable uploads
+ *               uploadSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each resumable upload
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notarizations'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The original document is not completed
+ */
+
+/**
+ * @swagger
+ * /notarization/getStatusById/{documentId}:
+ *   get:
+ *     summary: Get the status of a document by ID
+ *     tags: [Notarizations]
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document to retrieve status
+ *     responses:
+ *       "200":
+ *         description: Document status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notarizations'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "500":
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notarization/getDocumentByRole:
+ *   get:
+ *     summary: Get documents by user role
+ *     description: Retrieve documents based on user role and status filters
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, readyToSign, pendingSignature]
+ *         required: true
+ *         description: Filter documents by status
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *           enum: [mine, unassigned]
+ *         description: Only the documents assigned to the current notary, or the ones nobody holds
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Maximum number of documents per page
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notarizations'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 10
+ *                     totalPages:
+ *                       type: integer
+ *                       example: 7
+ *                     totalDocuments:
+ *                       type: integer
+ *                       example: 66
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *   "500":
+ *    $ref: '#/components/responses/InternalServerError'
+ */
+/**
+ * @swagger
+ * /notarization/forwardDocumentStatus/{documentId}:
+ *   patch:
+ *     summary: Forward the status of a notarization document by document ID
+ *     description: Notaries can only act on a document they have claimed or been assigned. When the service is under dual control, the first notary moving the document to the signatures only records their approval and hands the document to a second notary, the status moves on once that notary approves it too.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document to update status
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 description: The action to perform on the document, one of the transitions of the workflow of its service (accept, requestRevision or reject in the default workflow)
+ *               feedback:
+ *                 type: string
+ *                 description: Feedback for the requester (required if action is 'reject' or 'requestRevision')
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Output files to be uploaded
+ *               outputSlots:
+ *                 type: string
+ *                 description: JSON array with the output slot of each file. A file sent to a slot that already has a file becomes its new current version. Defaults to the original file name.
+ *                 example: '["certificate"]'
+ *               reason:
+ *                 type: string
+ *                 description: Why the output files are uploaded, required when replacing an existing version
+ *               reviewerId:
+ *                 type: string
+ *                 description: Notary who countersigns a document under dual control, picked by routing when left out
+ *     responses:
+ *       "200":
+ *         description: Successfully updated the document status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 documentId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   description: Only returned with the first approval of a document under dual control
+ *                 reviewerId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The second notary, null when the document was left in the shared queue
+ *                 outputFiles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       filename:
+ *                         type: string
+ *                       storageKey:
+ *                         type: string
+ *                       slot:
+ *                         type: string
+ *                       version:
+ *                         type: integer
+ *                       isCurrent:
+ *                         type: boolean
+ *                       uploadedBy:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                       transactionHash:
+ *                         type: string
+ *                         nullable: true
+ *                       uploadedAt:
+ *                         type: string
+ *                         format: date-time
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "500":
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notarization/bulk-forward-document-status:
+ *   patch:
+ *     summary: Take the same action on several documents
+ *     description: Each document is handled like a single call to forwardDocumentStatus, with the same checks and emails. Documents are processed one after the other and a failing document does not stop the others, the response lists the result of each one. Output files cannot be uploaded in bulk.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - documentIds
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 description: Workflow action taken on every document
+ *               feedback:
+ *                 type: string
+ *                 description: Shared by every document, required if action is 'reject' or 'requestRevision'
+ *               documentIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *           example:
+ *             action: reject
+ *             feedback: The certified copy is not legible
+ *             documentIds: [5ebac534954b54139806c112, 5ebac534954b54139806c113]
+ *     responses:
+ *       "200":
+ *         description: Result of each document, check `failed` for partial failures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkStatusResult'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /notarization/getApproveHistory:
+ *   get:
+ *     summary: Retrieve the approval history of notarization documents
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Successfully retrieved approval history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   documentId:
+ *                     type: string
+ *                     example: "66f462fa57b33d48e47ab55f"
+ *                   status:
+ *                     type: string
+ *                     example: "approved"
+ *                   approvedBy:
+ *                     type: string
+ *                     example: "userId123"
+ *                   approvedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     example: "2024-09-26T08:09:42.039Z"
+ *                   comments:
+ *                     type: string
+ *                     example: "Document approved successfully."
+ *                   notary:
+ *                     description: Card of the notary, null when they have no profile
+ *                     nullable: true
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/NotaryCard'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         description: Forbidden - User does not have permission to access this resource
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
  *                   type: string
  *                   example: "You do not have permission to access this resource."
  *       "404":
@@ -474,11 +1005,114 @@ router
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Failed to retrieve approval history"
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Failed to retrieve approval history"
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/resubmit:
+ *   post:
+ *     summary: Resubmit a document sent back for revision
+ *     description: Only the requester can resubmit. Files uploaded to a slot replace the files already filling it, the replaced files stay in the revision. The document then goes through the automatic check again.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What was changed
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               fileSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each file
+ *               uploadIds:
+ *                 type: string
+ *                 description: JSON array of completed resumable uploads
+ *               uploadSlots:
+ *                 type: string
+ *                 description: JSON array with the slot code of each resumable upload
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notarizations'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/withdraw:
+ *   post:
+ *     summary: Withdraw a document
+ *     description: Only the requester can withdraw, while the document is pending, processing or sent back for revision. Its pending payments are cancelled, the wallet copies used by its files are given back and the assigned notary is told by email.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *           example:
+ *             reason: Uploaded the wrong contract
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Withdrawal'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The status changed while withdrawing
  */
 
 /**
@@ -548,6 +1182,8 @@ router
  *     tags: [Notarizations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -590,9 +1226,12 @@ router
  * /notarization/approve-signature-by-notary:
  *   post:
  *     summary: Approve signature by notary
+ *     description: Notaries can only act on a document they have claimed or been assigned.
  *     tags: [Notarizations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -746,4 +1385,295 @@ router
  *         $ref: '#/components/responses/InternalServerError'
  */
 
+/**
+ * @swagger
+ * /notarization/ocr/citizen-id:
+ *   post:
+ *     summary: Read the requester details from a citizen ID card
+ *     description: Reads the full name, ID number and date of birth from a picture or scan of the front of a CCCD/CMND so the client can prefill requesterInfo. Nothing is stored.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or PDF of the card
+ *     responses:
+ *       "200":
+ *         description: Details read from the card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CitizenIdCard'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "503":
+ *         description: The OCR engine is unavailable
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/files/{fileId}:
+ *   get:
+ *     summary: Get a short-lived download url for a document file
+ *     description: Works for both uploaded files and notary output files. Users can only access their own documents. Superseded output versions are only available to admins.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *       - name: fileId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the file entry in files or output
+ *     responses:
+ *       "200":
+ *         description: Signed download url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileDownload'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "500":
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/files/{fileId}/verify:
+ *   get:
+ *     summary: Verify the integrity of a document file
+ *     description: Downloads the stored file again and compares its SHA-256 digest with the one recorded at upload time.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *       - name: fileId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the file entry in files or output
+ *     responses:
+ *       "200":
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileVerification'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "500":
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/bundle:
+ *   get:
+ *     summary: Download all submitted files of a document as a single PDF
+ *     description: The bundle starts with a cover page listing the requester information and the documents required by the service. It is cached in storage and rebuilt only when the files change. The same bundle is returned in the `bundle` field of the document detail for notaries.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     responses:
+ *       "200":
+ *         description: Signed download url of the bundle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileBundle'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "500":
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/timeline:
+ *   get:
+ *     summary: Get the history of a document
+ *     description: Every status change, feedback, uploaded output, signature, payment and mint of the document, with who did it and when. Requesters can only see their own documents.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     responses:
+ *       "200":
+ *         description: Events of the document, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CaseTimeline'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "500":
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/assignment:
+ *   patch:
+ *     summary: Assign a document to a notary
+ *     description: Only admins can assign documents. A manual assignment does not expire and replaces any claim. Send a null notaryId to put the document back in the shared queue.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notaryId
+ *             properties:
+ *               notaryId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       "200":
+ *         description: The document with its new assignment
+ *       "400":
+ *         description: The user is not a notary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: Cases can only be assigned to notaries
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /notarization/document/{documentId}/claim:
+ *   post:
+ *     summary: Claim a document from the shared queue
+ *     description: The notary holds the document until they release it or stop acting on it for CLAIM_TIMEOUT_MINUTES. Claiming a document you already hold renews the claim.
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     responses:
+ *       "200":
+ *         description: The document with its new assignment
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Another notary holds the document
+ *
+ * /notarization/document/{documentId}/release:
+ *   post:
+ *     summary: Put a claimed document back in the shared queue
+ *     tags: [Notarizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     responses:
+ *       "200":
+ *         description: The document without assignment
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The document is not assigned to the current notary
+ */
+
 module.exports = router;
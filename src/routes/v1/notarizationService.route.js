@@ -77,11 +77,33 @@ router.get(
  *               price:
  *                 type: number
  *                 format: float
+ *               documentSlots:
+ *                 type: array
+ *                 description: Documents the requester has to upload. The code is built from the name when left out.
+ *                 items:
+ *                   $ref: '#/components/schemas/DocumentSlot'
+ *               uploadPolicy:
+ *                 $ref: '#/components/schemas/UploadPolicy'
+ *               workflowId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Workflow followed by the documents and sessions of the service, see /workflows
+ *               slaTargets:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SlaTarget'
+ *                 description: Hours a case may stay in a status before it is escalated
+ *               dualControl:
+ *                 $ref: '#/components/schemas/DualControl'
  *             example:
  *               name: Notarization Service Example
  *               fieldId: "5f2b2b23c3a2b16f2e143b67"  # example of a NotarizationField ID
  *               description: "This is an example of a notarization service."
  *               price: 10000.00
+ *               documentSlots:
+ *                 - code: cccd
+ *                   name: Căn cước công dân
+ *                 - name: Hợp đồng mua bán
  *     responses:
  *       "201":
  *         description: Created
@@ -207,6 +229,28 @@ router.get(
  *                 type: number
  *                 format: float
  *                 description: Price of the notarization service.
+ *               documentSlots:
+ *                 type: array
+ *                 description: Replaces the document slots of the service. Files already tagged with a removed code no longer fill any slot.
+ *                 items:
+ *                   $ref: '#/components/schemas/DocumentSlot'
+ *               uploadPolicy:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/UploadPolicy'
+ *                 description: Only the given rules are changed
+ *               workflowId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Null switches the service back to the default workflow
+ *               slaTargets:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SlaTarget'
+ *                 description: Replaces the targets, an empty list goes back to the default targets
+ *               dualControl:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/DualControl'
+ *                 description: Only the given settings are changed
  *             example:
  *               name: Updated Notarization Service
  *               fieldId: "5f2b2b23c3a2b16f2e143b67"  # example of a NotarizationField ID
@@ -46,6 +46,11 @@ module.exports = router;
  *                   type: number
  *                   description: Growth percentage of the total sessions and documents between the current month and previous month
  *                   example: 11.11
+ *                 profile:
+ *                   description: Card of the notary, null until an admin creates their profile
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/NotaryCard'
  *       "401":
  *         description: Unauthorized access
  *         content:
@@ -97,6 +102,11 @@ module.exports = router;
  *                   type: number
  *                   description: Growth percentage of the total sessions and documents between today and yesterday
  *                   example: 11
+ *                 profile:
+ *                   description: Card of the notary, null until an admin creates their profile
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/NotaryCard'
  *       "401":
  *         description: Unauthorized access
  *         content:
@@ -148,6 +158,11 @@ module.exports = router;
  *                   type: number
  *                   description: Growth percentage of approved sessions and documents between the current and previous months
  *                   example: 25.50
+ *                 profile:
+ *                   description: Card of the notary, null until an admin creates their profile
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/NotaryCard'
  *       "401":
  *         description: Unauthorized access
  *         content:
@@ -199,6 +214,11 @@ module.exports = router;
  *                   type: number
  *                   description: Percentage of approved sessions and documents between the current and previous week
  *                   example: 25.50
+ *                 profile:
+ *                   description: Card of the notary, null until an admin creates their profile
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/NotaryCard'
  *       "401":
  *         description: Unauthorized access
  *         content:
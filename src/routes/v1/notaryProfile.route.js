@@ -0,0 +1,374 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const notaryProfileValidation = require('../../validations/notaryProfile.validation');
+const notaryProfileController = require('../../controllers/notaryProfile.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(
+    auth('manageNotaryProfiles'),
+    validate(notaryProfileValidation.createNotaryProfile),
+    notaryProfileController.createNotaryProfile
+  )
+  .get(
+    auth('manageNotaryProfiles'),
+    validate(notaryProfileValidation.getNotaryProfiles),
+    notaryProfileController.getNotaryProfiles
+  );
+
+router.route('/me').get(auth('manageOwnAvailability'), notaryProfileController.getMyProfile);
+
+router
+  .route('/me/availability')
+  .patch(
+    auth('manageOwnAvailability'),
+    validate(notaryProfileValidation.updateMyAvailability),
+    notaryProfileController.updateMyAvailability
+  );
+
+router
+  .route('/:notaryId')
+  .get(
+    auth('manageNotaryProfiles'),
+    validate(notaryProfileValidation.getNotaryProfile),
+    notaryProfileController.getNotaryProfile
+  )
+  .patch(
+    auth('manageNotaryProfiles'),
+    validate(notaryProfileValidation.updateNotaryProfile),
+    notaryProfileController.updateNotaryProfile
+  )
+  .delete(
+    auth('manageNotaryProfiles'),
+    validate(notaryProfileValidation.deleteNotaryProfile),
+    notaryProfileController.deleteNotaryProfile
+  );
+
+router
+  .route('/:notaryId/card')
+  .get(auth(), validate(notaryProfileValidation.getNotaryCard), notaryProfileController.getNotaryCard);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notary Profiles
+ *   description: License, office and availability of the notaries
+ */
+
+/**
+ * @swagger
+ * /notary-profiles:
+ *   post:
+ *     summary: Create the profile of a notary
+ *     description: Only admins can manage notary profiles.
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notaryId
+ *               - licenseNumber
+ *             properties:
+ *               notaryId:
+ *                 type: string
+ *               licenseNumber:
+ *                 type: string
+ *               licenseIssuedAt:
+ *                 type: string
+ *                 format: date-time
+ *               licenseExpiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               office:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   phoneNumber:
+ *                     type: string
+ *               bio:
+ *                 type: string
+ *               availability:
+ *                 $ref: '#/components/schemas/NotaryAvailability'
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryProfile'
+ *       "400":
+ *         description: The user is not a notary, already has a profile, or the license number is taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: License number already taken
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   get:
+ *     summary: Get the notary profiles
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *         description: Only the notaries routed cases of this notarization field
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. licenseNumber:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotaryProfile'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /notary-profiles/me:
+ *   get:
+ *     summary: Get my notary profile
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryProfile'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /notary-profiles/me/availability:
+ *   patch:
+ *     summary: Change my availability
+ *     description: Notaries who are unavailable, on leave or outside their working hours do not receive routed documents. `available` is stored in the routing of the notary, the rest of the profile is managed by admins.
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/NotaryAvailability'
+ *               - type: object
+ *                 properties:
+ *                   available:
+ *                     type: boolean
+ *                     description: Switched off by the notary when they stop taking cases
+ *           example:
+ *             available: false
+ *             unavailableUntil: '2024-06-03T00:00:00.000Z'
+ *             note: On leave
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryProfile'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /notary-profiles/{notaryId}:
+ *   get:
+ *     summary: Get the profile of a notary
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryProfile'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update the profile of a notary
+ *     description: A given `availability` replaces the stored one.
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               licenseNumber:
+ *                 type: string
+ *               licenseIssuedAt:
+ *                 type: string
+ *                 format: date-time
+ *               licenseExpiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               office:
+ *                 type: object
+ *               bio:
+ *                 type: string
+ *               availability:
+ *                 $ref: '#/components/schemas/NotaryAvailability'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryProfile'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete the profile of a notary
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /notary-profiles/{notaryId}/card:
+ *   get:
+ *     summary: Get the public card of a notary
+ *     description: Any logged in user can see who handles their case. Contact details beyond the office are not shown.
+ *     tags: [Notary Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryCard'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -1,5 +1,7 @@
 const express = require('express');
 const paymentController = require('../../controllers/payment.controller');
+const auth = require('../../middlewares/auth');
+const idempotent = require('../../middlewares/idempotency');
 
 const router = express.Router();
 
@@ -10,7 +12,10 @@ const router = express.Router();
  *   description: Testing route for payment API
  */
 
-router.post('/create-payment', paymentController.createPayment);
+// Creating a payment stays open, only a request sending an Idempotency-Key has to be signed in: keys are scoped to the user
+const authIdempotent = (req, res, next) => (req.get('Idempotency-Key') === undefined ? next() : auth()(req, res, next));
+
+router.post('/create-payment', authIdempotent, idempotent, paymentController.createPayment);
 router.get('/get-payment/:paymentId', paymentController.getPayment);
 router.put('/update-payment-status/:paymentId', paymentController.updatePaymentStatus);
 router.get('/get-payment-status/:paymentId', paymentController.getPaymentStatus);
@@ -25,6 +30,8 @@ module.exports = router;
  *     summary: Create a new payment
  *     description: Create a new payment with the specified amount, description, and URLs for success or cancellation.
  *     tags: [Payments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -69,6 +76,8 @@ module.exports = router;
  *               $ref: '#/components/schemas/Payment'
  *       400:
  *         description: Invalid input
+ *       401:
+ *         description: An Idempotency-Key was sent without signing in
  *       500:
  *         description: Internal server error
  */
@@ -0,0 +1,250 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const routingValidation = require('../../validations/routing.validation');
+const routingController = require('../../controllers/routing.controller');
+
+const router = express.Router();
+
+router
+  .route('/settings')
+  .get(auth('manageRouting'), routingController.getRoutingSettings)
+  .patch(auth('manageRouting'), validate(routingValidation.updateRoutingSettings), routingController.updateRoutingSettings);
+
+router
+  .route('/notaries')
+  .get(auth('manageRouting'), validate(routingValidation.getNotaryRoutings), routingController.getNotaryRoutings);
+
+router
+  .route('/notaries/:notaryId')
+  .get(auth('manageRouting'), validate(routingValidation.getNotaryRouting), routingController.getNotaryRouting)
+  .put(auth('manageRouting'), validate(routingValidation.setNotaryRouting), routingController.setNotaryRouting)
+  .delete(auth('manageRouting'), validate(routingValidation.deleteNotaryRouting), routingController.deleteNotaryRouting);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Routing
+ *   description: Automatic assignment of verified documents to the notaries of their field
+ */
+
+/**
+ * @swagger
+ * /routing/settings:
+ *   get:
+ *     summary: Get the routing strategy
+ *     description: Only admins can see and change how documents are routed.
+ *     tags: [Routing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoutingSettings'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   patch:
+ *     summary: Change the routing strategy
+ *     description: Applies to documents verified from now on. With `manual`, documents stay in the shared queue.
+ *     tags: [Routing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - strategy
+ *             properties:
+ *               strategy:
+ *                 type: string
+ *                 enum: [round-robin, least-loaded, manual]
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoutingSettings'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /routing/notaries:
+ *   get:
+ *     summary: Get the fields and availability of the notaries
+ *     tags: [Routing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Only the notaries receiving cases of this notarization field
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. lastAssignedAt:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotaryRouting'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /routing/notaries/{notaryId}:
+ *   get:
+ *     summary: Get the fields and availability of a notary
+ *     tags: [Routing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryRouting'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   put:
+ *     summary: Set the fields and availability of a notary
+ *     description: Creates the routing of the notary if needed. Only the given properties are changed.
+ *     tags: [Routing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               available:
+ *                 type: boolean
+ *               maxOpenCases:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotaryRouting'
+ *       "400":
+ *         description: The user is not a notary or a field does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: Cases can only be routed to notaries
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   delete:
+ *     summary: Stop routing cases to a notary
+ *     description: The cases the notary already holds stay assigned to them.
+ *     tags: [Routing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -3,10 +3,13 @@ const multer = require('multer');
 const httpStatus = require('http-status');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const idempotent = require('../../middlewares/idempotency');
 const sessionValidation = require('../../validations/session.validation');
 const sessionController = require('../../controllers/session.controller');
 const ApiError = require('../../utils/ApiError');
 const parseJson = require('../../middlewares/parseJson');
+const config = require('../../config/config');
+const { defaultUploadPolicy } = require('../../config/upload');
 
 const router = express.Router();
 const upload = multer({
@@ -24,6 +27,13 @@ const upload = multer({
   },
 });
 
+// Files are held in memory, so they are capped at the default policy size: larger ones go through resumable uploads.
+// Type, size and page count are then checked against the upload policy of the service.
+const uploadAttachments = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: defaultUploadPolicy.maxFileSizeMb * 1024 * 1024, files: config.upload.directMaxFiles },
+});
+
 /**
  * @swagger
  * tags:
@@ -75,12 +85,17 @@ router
 
 router.route('/upload-session-document/:sessionId').post(
   auth('uploadSessionDocument'),
-  upload.array('files'),
+  uploadAttachments.array('files'),
+  idempotent,
   parseJson,
   (req, res, next) => {
     req.body.files = req.files.map((file) => file.originalname);
     req.body.fileIds = req.body.fileIds ? JSON.parse(req.body.fileIds) : [];
     req.body.customFileNames = req.body.customFileNames ? JSON.parse(req.body.customFileNames) : [];
+    req.body.uploadIds = req.body.uploadIds ? JSON.parse(req.body.uploadIds) : [];
+    req.body.fileSlots = req.body.fileSlots ? JSON.parse(req.body.fileSlots) : [];
+    req.body.walletFileSlots = req.body.walletFileSlots ? JSON.parse(req.body.walletFileSlots) : [];
+    req.body.uploadSlots = req.body.uploadSlots ? JSON.parse(req.body.uploadSlots) : [];
     next();
   },
   validate(sessionValidation.uploadSessionDocument),
@@ -93,7 +108,9 @@ router
 
 router.route('/get-session-status/:sessionId').get(auth('getSessionStatus'), sessionController.getSessionStatus);
 
-router.route('/get-sessions-by-status').get(auth('getSessionsByStatus'), sessionController.getSessionsByStatus);
+router
+  .route('/get-sessions-by-status')
+  .get(auth('getSessionsByStatus'), validate(sessionValidation.getSessionsByStatus), sessionController.getSessionsByStatus);
 
 router.route('/forward-session-status/:sessionId').patch(
   auth('forwardSessionStatus'),
@@ -107,10 +124,19 @@ router.route('/forward-session-status/:sessionId').patch(
   sessionController.forwardSessionStatus
 );
 
+router
+  .route('/resubmit-session/:sessionId')
+  .post(auth('resubmitSessions'), validate(sessionValidation.resubmitSession), sessionController.resubmitSession);
+
+router
+  .route('/withdraw-session/:sessionId')
+  .post(auth('withdrawSessions'), validate(sessionValidation.withdrawSession), sessionController.withdrawSession);
+
 router.post(
   '/approve-signature-session-by-user',
   auth('approveSignatureSessionByUser'),
   upload.single('signatureImage'),
+  idempotent,
   validate(sessionValidation.approveSignatureSessionByUser),
   sessionController.approveSignatureSessionByUser
 );
@@ -118,14 +144,40 @@ router.post(
 router.post(
   '/approve-signature-session-by-notary',
   auth('approveSignatureSessionByNotary'),
+  idempotent,
   validate(sessionValidation.approveSignatureSessionByNotary),
   sessionController.approveSignatureSessionByNotary
 );
 
+router
+  .route('/:sessionId/assignment')
+  .patch(auth('assignCases'), validate(sessionValidation.assignSession), sessionController.assignSession);
+
+router
+  .route('/:sessionId/claim')
+  .post(auth('claimCases'), validate(sessionValidation.claimSession), sessionController.claimSession);
+
+router
+  .route('/:sessionId/release')
+  .post(auth('claimCases'), validate(sessionValidation.claimSession), sessionController.releaseSession);
+
+router
+  .route('/:sessionId/bundle')
+  .get(auth(), validate(sessionValidation.getSessionBundle), sessionController.getSessionBundle);
+
+router
+  .route('/:sessionId/timeline')
+  .get(auth(), validate(sessionValidation.getSessionBundle), sessionController.getSessionTimeline);
+
 router
   .route('/:sessionId/files/:fileId')
+  .get(auth(), validate(sessionValidation.getSessionFile), sessionController.getSessionFile)
   .delete(auth(), validate(sessionValidation.deleteFile), sessionController.deleteFile);
 
+router
+  .route('/:sessionId/files/:fileId/verify')
+  .get(auth(), validate(sessionValidation.getSessionFile), sessionController.verifySessionFile);
+
 /**
  * @swagger
  * /session/createSession:
@@ -775,8 +827,9 @@ router
  *     tags:
  *       - Sessions
  *     summary: Upload documents to a session
- *     description: Uploads files to a specific session and returns URLs of the uploaded files.
+ *     description: Uploads files to a specific session and returns URLs of the uploaded files. Files must follow the uploadPolicy of the session service, where maxFiles counts the files of each member.
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: sessionId
  *         required: true
@@ -804,6 +857,22 @@ router
  *                 type: string
  *                 description: JSON stringified array of custom filenames for the uploaded files.
  *                 example: ["document1.pdf", "document2.pdf"]
+ *               uploadIds:
+ *                 type: string
+ *                 description: JSON stringified array of completed resumable upload IDs (see /uploads).
+ *                 example: ["6746f07ccc390609e20d08bf"]
+ *               fileSlots:
+ *                 type: string
+ *                 description: JSON stringified array with the slot code of the session service each uploaded file fills, in the same order.
+ *                 example: ["cccd", null]
+ *               walletFileSlots:
+ *                 type: string
+ *                 description: JSON stringified array of slot codes for fileIds.
+ *                 example: ["land-certificate"]
+ *               uploadSlots:
+ *                 type: string
+ *                 description: JSON stringified array of slot codes for uploadIds.
+ *                 example: ["contract"]
  *     responses:
  *       '200':
  *         description: Successfully uploaded documents to the session.
@@ -823,9 +892,9 @@ router
  *                       filename:
  *                         type: string
  *                         example: "1633972176823-document.pdf"
- *                       firebaseUrl:
+ *                       storageKey:
  *                         type: string
- *                         example: "https://storage.googleapis.com/bucket-name/folder-name/1633972176823-document.pdf"
+ *                         example: "sessions/6718fa23a4e2b5a0c1b2e4f1/1633972176823-document.pdf"
  *       '400':
  *
  *                 message:
@@ -943,9 +1012,9 @@ router
  *                           filename:
  *                             type: string
  *                             example: "document.pdf"
- *                           firebaseUrl:
+ *                           storageKey:
  *                             type: string
- *                             example: "https://example.com/document.pdf"
+ *                             example: "sessions/6718fa23a4e2b5a0c1b2e4f1/document.pdf"
  *                           createAt:
  *                             type: string
  *                             format: date-time
@@ -1086,6 +1155,12 @@ router
  *         required: true
  *         description: Filter sessions by status
  *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *           enum: [mine, unassigned]
+ *         description: Only the sessions assigned to the current notary, or the ones nobody holds
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -1152,6 +1227,7 @@ router
  * /session/forward-session-status/{sessionId}:
  *   patch:
  *     summary: Forward the status of a session by session ID
+ *     description: Notaries can only act on a session they have claimed or been assigned.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
@@ -1171,11 +1247,10 @@ router
  *             properties:
  *               action:
  *                 type: string
- *                 enum: [accept, reject]
- *                 description: The action to perform on the session
+ *                 description: The action to perform on the session, one of the transitions of the workflow of its service (accept, requestRevision or reject in the default workflow)
  *               feedback:
  *                 type: string
- *                 description: Feedback for rejecting the session (required if action is 'reject')
+ *                 description: Feedback for the creator (required if action is 'reject' or 'requestRevision')
  *               files:
  *                 type: array
  *                 items:
@@ -1201,7 +1276,7 @@ router
  *                     properties:
  *                       filename:
  *                         type: string
- *                       firebaseUrl:
+ *                       storageKey:
  *                         type: string
  *                       transactionHash:
  *                         type: string
@@ -1221,7 +1296,7 @@ router
  *                   example: 400
  *                 message:
  *                   type: string
- *                   example: "Feedback is required for rejected status"
+ *                   example: "Feedback is required to reject"
  *       "401":
  *         description: Unauthorized
  *         $ref: '#/components/responses/Unauthorized'
@@ -1255,6 +1330,98 @@ router
  *         $ref: '#/components/responses/InternalServerError'
  */
 
+/**
+ * @swagger
+ * /session/resubmit-session/{sessionId}:
+ *   post:
+ *     summary: Resubmit a session sent back for revision
+ *     description: Only the creator can resubmit the session, after replacing its files through the session upload. The session returns to review and its revisions are kept.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What was changed
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sessionId:
+ *                   type: string
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /session/withdraw-session/{sessionId}:
+ *   post:
+ *     summary: Withdraw a session
+ *     description: Only the creator can withdraw, while the session is pending, processing or sent back for revision. Its pending payments are cancelled, every member gets back the wallet copies they added and the assigned notary is told by email.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Withdrawal'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The status changed while withdrawing
+ */
+
 /**
  * @swagger
  * /session/approve-signature-session-by-user:
@@ -1263,6 +1430,8 @@ router
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1305,9 +1474,12 @@ router
  * /session/approve-signature-session-by-notary:
  *   post:
  *     summary: Approve signature session by notary
+ *     description: Notaries can only act on a session they have claimed or been assigned.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1344,6 +1516,40 @@ router
 /**
  * @swagger
  * /session/{sessionId}/files/{fileId}:
+ *   get:
+ *     summary: Get a short-lived download url for a session file
+ *     description: Members can download the session outputs and their own uploaded files. The session creator, notaries and admins can download every file.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the file entry in files or output
+ *     responses:
+ *       200:
+ *         description: Signed download url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileDownload'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
  *   delete:
  *     summary: Delete file
  *     tags: [Sessions]
@@ -1375,4 +1581,211 @@ router
  *         $ref: '#/components/responses/InternalServerError'
  */
 
+/**
+ * @swagger
+ * /session/{sessionId}/files/{fileId}/verify:
+ *   get:
+ *     summary: Verify the integrity of a session file
+ *     description: Downloads the stored file again and compares its SHA-256 digest with the one recorded at upload time.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the file entry in files or output
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileVerification'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /session/{sessionId}/bundle:
+ *   get:
+ *     summary: Download all submitted files of a session as a single PDF
+ *     description: The bundle starts with a cover page listing the session members and the documents required by the service. Available to notaries, admins and the session creator.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *     responses:
+ *       200:
+ *         description: Signed download url of the bundle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileBundle'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /session/{sessionId}/timeline:
+ *   get:
+ *     summary: Get the history of a session
+ *     description: Every status change, feedback, uploaded output, signature, payment and mint of the session, with who did it and when. Users can only see the sessions they created or belong to.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *     responses:
+ *       200:
+ *         description: Events of the session, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CaseTimeline'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /session/{sessionId}/assignment:
+ *   patch:
+ *     summary: Assign a session to a notary
+ *     description: Only admins can assign sessions. A manual assignment does not expire and replaces any claim. Send a null notaryId to put the session back in the shared queue.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notaryId
+ *             properties:
+ *               notaryId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       "200":
+ *         description: The session with its new assignment
+ *       "400":
+ *         description: The user is not a notary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: Cases can only be assigned to notaries
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /session/{sessionId}/claim:
+ *   post:
+ *     summary: Claim a session from the shared queue
+ *     description: The notary holds the session until they release it or stop acting on it for CLAIM_TIMEOUT_MINUTES. Claiming a session you already hold renews the claim.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *     responses:
+ *       "200":
+ *         description: The session with its new assignment
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Another notary holds the session
+ *
+ * /session/{sessionId}/release:
+ *   post:
+ *     summary: Put a claimed session back in the shared queue
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *     responses:
+ *       "200":
+ *         description: The session without assignment
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The session is not assigned to the current notary
+ */
+
 module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const config = require('../../config/config');
+const uploadValidation = require('../../validations/upload.validation');
+const uploadController = require('../../controllers/upload.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Uploads
+ *   description: Resumable chunked uploads for large files
+ */
+
+router.route('/').post(auth('uploadDocuments'), validate(uploadValidation.createUpload), uploadController.createUpload);
+
+router.route('/:uploadId').get(auth('uploadDocuments'), validate(uploadValidation.getUpload), uploadController.getUpload);
+
+router
+  .route('/:uploadId/chunks/:index')
+  .put(
+    auth('uploadDocuments'),
+    express.raw({ type: 'application/octet-stream', limit: config.upload.chunkSize }),
+    validate(uploadValidation.uploadChunk),
+    uploadController.uploadChunk
+  );
+
+router
+  .route('/:uploadId/complete')
+  .post(auth('uploadDocuments'), validate(uploadValidation.completeUpload), uploadController.completeUpload);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * /uploads:
+ *   post:
+ *     summary: Start a resumable upload
+ *     description: The file is then sent in chunks of `chunkSize` bytes. Once completed, the upload ID can be passed in `uploadIds` when creating a document or uploading session documents.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - filename
+ *               - mimeType
+ *               - size
+ *             properties:
+ *               filename:
+ *                 type: string
+ *                 example: contract.pdf
+ *               mimeType:
+ *                 type: string
+ *                 enum: [application/pdf, image/jpeg, image/png]
+ *               size:
+ *                 type: integer
+ *                 description: Total size of the file in bytes
+ *                 example: 12582912
+ *               sha256:
+ *                 type: string
+ *                 description: Hex digest of the whole file, checked when the upload is completed
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Upload'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "413":
+ *         description: File is larger than the allowed size
+ */
+
+/**
+ * @swagger
+ * /uploads/{uploadId}:
+ *   get:
+ *     summary: Get an upload
+ *     description: Use `receivedChunks` to find out which chunks still have to be sent after an interruption.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Upload'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /uploads/{uploadId}/chunks/{index}:
+ *   put:
+ *     summary: Send one chunk of an upload
+ *     description: Chunks can be sent in any order. Sending a chunk again replaces it.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Upload'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Upload is already completed
+ *       "410":
+ *         description: Upload has expired
+ */
+
+/**
+ * @swagger
+ * /uploads/{uploadId}/complete:
+ *   post:
+ *     summary: Complete an upload
+ *     description: Assembles the chunks, checks the size and sha256 and scans the file for malware.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Upload'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Some chunks are missing or the upload is already completed
+ *       "422":
+ *         description: The assembled file does not match its size or sha256, or contains malware
+ */
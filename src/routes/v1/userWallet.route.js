@@ -1,6 +1,7 @@
 const express = require('express');
 const userWalletController = require('../../controllers/userWallet.controller');
 const auth = require('../../middlewares/auth');
+const idempotent = require('../../middlewares/idempotency');
 
 const router = express.Router();
 
@@ -46,6 +47,8 @@ const router = express.Router();
  *     tags: [UserWallet]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -101,6 +104,8 @@ const router = express.Router();
  *     tags: [UserWallet]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -153,12 +158,12 @@ router.route('/wallet').get(auth('getWallet'), userWalletController.getWallet);
  * @route POST /userWallet/wallet/transfer
  * @desc Transfer a specific amount of an NFT to another user
  */
-router.route('/wallet/transfer').post(auth('transferNFT'), userWalletController.transferNFT);
+router.route('/wallet/transfer').post(auth('transferNFT'), idempotent, userWalletController.transferNFT);
 
 /**
  * @route POST /userWallet/wallet/purchase
  * @desc Purchase a document and add it to the user's wallet
  */
-router.route('/wallet/purchase').post(auth('purchaseDocument'), userWalletController.purchaseDocument);
+router.route('/wallet/purchase').post(auth('purchaseDocument'), idempotent, userWalletController.purchaseDocument);
 
 module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const workflowValidation = require('../../validations/workflow.validation');
+const workflowController = require('../../controllers/workflow.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth('manageWorkflows'), validate(workflowValidation.createWorkflow), workflowController.createWorkflow)
+  .get(auth('getWorkflows'), validate(workflowValidation.getWorkflows), workflowController.getWorkflows);
+
+router.route('/default').get(auth('getWorkflows'), workflowController.getDefaultWorkflow);
+
+router
+  .route('/:workflowId')
+  .get(auth('getWorkflows'), validate(workflowValidation.getWorkflow), workflowController.getWorkflow)
+  .patch(auth('manageWorkflows'), validate(workflowValidation.updateWorkflow), workflowController.updateWorkflow)
+  .delete(auth('manageWorkflows'), validate(workflowValidation.deleteWorkflow), workflowController.deleteWorkflow);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workflows
+ *   description: Steps the documents and sessions of a notarization service go through
+ */
+
+/**
+ * @swagger
+ * /workflows:
+ *   post:
+ *     summary: Create a workflow
+ *     description: Only admins can create workflows. Attach it to a notarization service with its workflowId.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - states
+ *               - transitions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: must be unique
+ *               description:
+ *                 type: string
+ *               states:
+ *                 type: array
+ *                 description: Must contain pending
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     final:
+ *                       type: boolean
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkflowTransition'
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Workflow'
+ *       "400":
+ *         description: The name is taken or the transitions do not match the states
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: 'Invalid workflow: complete leads to the unknown state done'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   get:
+ *     summary: Get all workflows
+ *     description: Admins and notaries can retrieve the workflows.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Workflow name
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. name:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of workflows
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workflow'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /workflows/default:
+ *   get:
+ *     summary: Get the default workflow
+ *     description: Followed by the notarization services without a workflow.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Workflow'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /workflows/{id}:
+ *   get:
+ *     summary: Get a workflow
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Workflow id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Workflow'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update a workflow
+ *     description: Requests of the services using it follow the new definition from their next action.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Workflow id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               states:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkflowTransition'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Workflow'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete a workflow
+ *     description: Workflows attached to a notarization service cannot be deleted.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Workflow id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The workflow is used by notarization services
+ */
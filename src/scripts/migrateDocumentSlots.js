@@ -0,0 +1,39 @@
+/**
+ * Creates the document slots of the services saved before slots existed from their required_documents names.
+ * Services that already have slots are left untouched.
+ *
+ * Usage: npm run migrate:document-slots
+ */
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { NotarizationService } = require('../models');
+
+const run = async () => {
+  await mongoose.connect(config.mongoose.url, config.mongoose.options);
+  logger.info('Connected to MongoDB');
+
+  const services = await NotarizationService.find({
+    'documentSlots.0': { $exists: false },
+    'required_documents.0': { $exists: true },
+  });
+
+  // saved one by one so the codes are built by the model
+  await services.reduce(async (previous, service) => {
+    await previous;
+    service.set(
+      'documentSlots',
+      service.required_documents.map((name) => ({ name }))
+    );
+    await service.save();
+  }, Promise.resolve());
+
+  logger.info(`NotarizationService: migrated ${services.length} records`);
+};
+
+run()
+  .catch((error) => {
+    logger.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
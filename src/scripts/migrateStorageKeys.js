@@ -0,0 +1,116 @@
+/**
+ * Replaces the public storage urls saved before files were made private with storage keys.
+ * Urls that do not belong to the configured storage (e.g. IPFS files from the user wallet) are left untouched.
+ *
+ * Usage: npm run migrate:storage-keys
+ */
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { Document, Session, RequestSignature, RequestSessionSignature } = require('../models');
+const { getKeyFromUrl } = require('../services/storage.service');
+
+const toKey = (value) => (value && /^https?:\/\//.test(value) ? getKeyFromUrl(value) : null);
+
+const migrateFileEntries = (entries = []) => {
+  let changed = false;
+  const migrated = entries.map((entry) => {
+    const key = !entry.storageKey && toKey(entry.firebaseUrl);
+    if (!key) {
+      return entry;
+    }
+    changed = true;
+    const { firebaseUrl, ...rest } = entry;
+    return { ...rest, storageKey: key };
+  });
+  return changed ? migrated : null;
+};
+
+const migrateFileOwners = async (Model) => {
+  // read raw documents, output entries were saved under firebaseUrl which is no longer part of the schema
+  const records = await Model.find({
+    $or: [{ 'files.firebaseUrl': { $exists: true } }, { 'output.firebaseUrl': { $exists: true } }],
+  })
+    .select('files output')
+    .lean();
+
+  const updates = records
+    .map((record) => {
+      const files = migrateFileEntries(record.files);
+      const output = migrateFileEntries(record.output);
+      if (!files && !output) {
+        return null;
+      }
+      return {
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { ...(files && { files }), ...(output && { output }) } },
+        },
+      };
+    })
+    .filter(Boolean);
+
+  if (updates.length) {
+    await Model.collection.bulkWrite(updates);
+  }
+  logger.info(`${Model.modelName}: migrated ${updates.length} records`);
+};
+
+const migrateRequestSignatures = async () => {
+  const requestSignatures = await RequestSignature.find({ signatureImage: { $regex: '^https?://' } }).lean();
+  const updates = requestSignatures
+    .map(({ _id, signatureImage }) => {
+      const key = toKey(signatureImage);
+      return key && { updateOne: { filter: { _id }, update: { $set: { signatureImage: key } } } };
+    })
+    .filter(Boolean);
+
+  if (updates.length) {
+    await RequestSignature.collection.bulkWrite(updates);
+  }
+  logger.info(`RequestSignature: migrated ${updates.length} records`);
+};
+
+const migrateRequestSessionSignatures = async () => {
+  const sessionSignatures = await RequestSessionSignature.find({}).lean();
+  const updates = sessionSignatures
+    .map(({ _id, approvalStatus }) => {
+      const creatorKey = toKey(approvalStatus.creator && approvalStatus.creator.signatureImage);
+      const userKeys = (approvalStatus.users || []).map((user) => toKey(user.signatureImage));
+      if (!creatorKey && !userKeys.some(Boolean)) {
+        return null;
+      }
+      const $set = {};
+      if (creatorKey) {
+        $set['approvalStatus.creator.signatureImage'] = creatorKey;
+      }
+      userKeys.forEach((key, index) => {
+        if (key) {
+          $set[`approvalStatus.users.${index}.signatureImage`] = key;
+        }
+      });
+      return { updateOne: { filter: { _id }, update: { $set } } };
+    })
+    .filter(Boolean);
+
+  if (updates.length) {
+    await RequestSessionSignature.collection.bulkWrite(updates);
+  }
+  logger.info(`RequestSessionSignature: migrated ${updates.length} records`);
+};
+
+const run = async () => {
+  await mongoose.connect(config.mongoose.url, config.mongoose.options);
+  logger.info('Connected to MongoDB');
+  await migrateFileOwners(Document);
+  await migrateFileOwners(Session);
+  await migrateRequestSignatures();
+  await migrateRequestSessionSignatures();
+};
+
+run()
+  .catch((error) => {
+    logger.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
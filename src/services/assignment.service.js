@@ -0,0 +1,276 @@
+const httpStatus = require('http-status');
+const { Document, Session, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/config');
+
+const caseTypes = {
+  document: { Model: Document, label: 'Document' },
+  session: { Model: Session, label: 'Session' },
+};
+
+const emptyAssignment = { notaryId: null, assignedBy: null, assignedAt: null, expiresAt: null, reason: null };
+
+const getClaimExpiry = (now = new Date()) => new Date(now.getTime() + config.assignment.claimTimeoutMinutes * 60 * 1000);
+
+/**
+ * Whether a notary currently holds the case, manual assignments never expire
+ * @param {Object} [assignment]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isActiveAssignment = (assignment, now = new Date()) =>
+  Boolean(assignment && assignment.notaryId && (!assignment.expiresAt || new Date(assignment.expiresAt) > now));
+
+const unassignedFilter = (now) => ({
+  $or: [{ 'assignment.notaryId': null }, { 'assignment.expiresAt': { $lte: now } }],
+});
+
+/**
+ * Filter on documents or sessions for a queue of the notary page
+ * @param {('mine'|'unassigned')} queue
+ * @param {ObjectId} userId - Notary looking at the queue
+ * @returns {Object}
+ */
+const getQueueFilter = (queue, userId) => {
+  const now = new Date();
+  if (queue === 'mine') {
+    return {
+      'assignment.notaryId': userId,
+      $or: [{ 'assignment.expiresAt': null }, { 'assignment.expiresAt': { $gt: now } }],
+    };
+  }
+  return unassignedFilter(now);
+};
+
+/**
+ * Ids of the cases in a queue, used to narrow the status tracking and signature queries
+ * @param {('document'|'session')} type
+ * @param {('mine'|'unassigned')} queue
+ * @param {ObjectId} userId
+ * @returns {Promise<ObjectId[]>}
+ */
+const getQueueIds = async (type, queue, userId) => caseTypes[type].Model.find(getQueueFilter(queue, userId)).distinct('_id');
+
+/**
+ * Only the notary holding a case can move it, other roles are left to the workflow
+ * @param {Object} record - Document or session
+ * @param {ObjectId} userId
+ * @param {string} role
+ * @param {('document'|'session')} type
+ */
+const checkAssignee = (record, userId, role, type) => {
+  if (role !== 'notary') {
+    return;
+  }
+  if (!isActiveAssignment(record.assignment)) {
+    throw new ApiError(httpStatus.FORBIDDEN, `Claim the ${type} before working on it`);
+  }
+  if (String(record.assignment.notaryId) !== String(userId)) {
+    throw new ApiError(httpStatus.FORBIDDEN, `This ${type} is assigned to another notary`);
+  }
+};
+
+const findCase = async ({ Model, label }, id) => {
+  const record = await Model.findById(id);
+  if (!record) {
+    throw new ApiError(httpStatus.NOT_FOUND, `${label} not found`);
+  }
+  return record;
+};
+
+/**
+ * A document approved by a notary has to be countersigned by another one
+ * @param {Object} record - Document or session
+ * @param {ObjectId} notaryId
+ */
+const checkNotApprover = (record, notaryId) => {
+  if ((record.approvals || []).some((approval) => String(approval.notaryId) === String(notaryId))) {
+    throw new ApiError(httpStatus.CONFLICT, 'You already approved this document, another notary must countersign it');
+  }
+};
+
+const claimCase = async (type, id, notaryId) => {
+  const caseType = caseTypes[type];
+  try {
+    const record = await findCase(caseType, id);
+    checkNotApprover(record, notaryId);
+    const { assignment } = record;
+    const now = new Date();
+
+    // Claiming again renews the claim, a manual assignment is kept as it is
+    const held = isActiveAssignment(assignment, now);
+    if (held && String(assignment.notaryId) !== String(notaryId)) {
+      throw new ApiError(httpStatus.CONFLICT, `${caseType.label} is already assigned to another notary`);
+    }
+    if (held && assignment.method === 'manual') {
+      return record;
+    }
+
+    // The condition makes the claim atomic, of two notaries claiming together only one gets the case
+    const claimed = await caseType.Model.findOneAndUpdate(
+      { _id: id, ...(held ? { 'assignment.notaryId': notaryId } : unassignedFilter(now)) },
+      {
+        $set: {
+          assignment: {
+            notaryId,
+            assignedBy: notaryId,
+            method: 'claim',
+            assignedAt: held ? assignment.assignedAt : now,
+            expiresAt: getClaimExpiry(now),
+            reason: null,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ApiError(httpStatus.CONFLICT, `${caseType.label} is already assigned to another notary`);
+    }
+    return claimed;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error(`Error claiming ${type}:`, error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to claim ${type}`);
+  }
+};
+
+const releaseCase = async (type, id, userId) => {
+  const caseType = caseTypes[type];
+  try {
+    const record = await findCase(caseType, id);
+    if (!isActiveAssignment(record.assignment) || String(record.assignment.notaryId) !== String(userId)) {
+      throw new ApiError(httpStatus.CONFLICT, `${caseType.label} is not assigned to you`);
+    }
+
+    return await caseType.Model.findByIdAndUpdate(id, { $set: { assignment: emptyAssignment } }, { new: true });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error(`Error releasing ${type}:`, error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to release ${type}`);
+  }
+};
+
+const assignCase = async (type, id, notaryId, adminId) => {
+  const caseType = caseTypes[type];
+  try {
+    const record = await findCase(caseType, id);
+
+    if (!notaryId) {
+      return await caseType.Model.findByIdAndUpdate(id, { $set: { assignment: emptyAssignment } }, { new: true });
+    }
+
+    const notary = await User.findById(notaryId);
+    if (!notary || notary.role !== 'notary') {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Cases can only be assigned to notaries');
+    }
+    checkNotApprover(record, notaryId);
+
+    return await caseType.Model.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          assignment: {
+            notaryId,
+            assignedBy: adminId,
+            method: 'manual',
+            assignedAt: new Date(),
+            expiresAt: null,
+            reason: null,
+          },
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error(`Error assigning ${type}:`, error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to assign ${type}`);
+  }
+};
+
+/**
+ * Give an unassigned case to the notary picked by automatic routing, such assignments do not expire.
+ * Without a notary the case stays in the shared queue with the reason recorded.
+ * @param {('document'|'session')} type
+ * @param {ObjectId} id
+ * @param {ObjectId|null} notaryId
+ * @param {string} reason
+ * @returns {Promise<Object|null>} null when the case was assigned in the meantime
+ */
+const autoAssignCase = async (type, id, notaryId, reason) => {
+  const now = new Date();
+  const assignment = notaryId
+    ? { notaryId, assignedBy: null, method: 'auto', assignedAt: now, expiresAt: null, reason }
+    : { ...emptyAssignment, reason };
+  return caseTypes[type].Model.findOneAndUpdate(
+    { _id: id, ...unassignedFilter(now) },
+    { $set: { assignment } },
+    { new: true }
+  );
+};
+
+/**
+ * Hand a document approved by its notary to the second notary who countersigns it, or to the shared queue
+ * when nobody was found. Any notary but the first approver can then claim it.
+ * @param {ObjectId} documentId
+ * @param {ObjectId|null} notaryId - The second reviewer
+ * @param {ObjectId} approverId - The notary who gave the first approval
+ * @param {string} reason
+ * @returns {Promise<Document>}
+ */
+const assignCountersign = async (documentId, notaryId, approverId, reason) => {
+  const assignment = notaryId
+    ? {
+        notaryId,
+        assignedBy: approverId,
+        method: 'countersign',
+        assignedAt: new Date(),
+        expiresAt: null,
+        reason,
+      }
+    : { ...emptyAssignment, reason };
+  return Document.findByIdAndUpdate(documentId, { $set: { assignment } }, { new: true });
+};
+
+/**
+ * Push back the expiry of a claim after its notary acted on the case
+ * @param {('document'|'session')} type
+ * @param {ObjectId} id
+ * @param {ObjectId} notaryId
+ * @returns {Promise}
+ */
+const renewClaim = async (type, id, notaryId) =>
+  caseTypes[type].Model.updateOne(
+    { _id: id, 'assignment.notaryId': notaryId, 'assignment.method': 'claim' },
+    { $set: { 'assignment.expiresAt': getClaimExpiry() } }
+  );
+
+const claimDocument = (documentId, notaryId) => claimCase('document', documentId, notaryId);
+const releaseDocument = (documentId, userId) => releaseCase('document', documentId, userId);
+const assignDocument = (documentId, notaryId, adminId) => assignCase('document', documentId, notaryId, adminId);
+const autoAssignDocument = (documentId, notaryId, reason) => autoAssignCase('document', documentId, notaryId, reason);
+const claimSession = (sessionId, notaryId) => claimCase('session', sessionId, notaryId);
+const releaseSession = (sessionId, userId) => releaseCase('session', sessionId, userId);
+const assignSession = (sessionId, notaryId, adminId) => assignCase('session', sessionId, notaryId, adminId);
+
+module.exports = {
+  isActiveAssignment,
+  getQueueFilter,
+  getQueueIds,
+  checkAssignee,
+  renewClaim,
+  claimDocument,
+  releaseDocument,
+  assignDocument,
+  autoAssignDocument,
+  assignCountersign,
+  claimSession,
+  releaseSession,
+  assignSession,
+};
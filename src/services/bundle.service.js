@@ -0,0 +1,249 @@
+const axios = require('axios');
+const httpStatus = require('http-status');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { uploadFile, downloadFile, getSignedUrl, hashBuffer } = require('./storage.service');
+const ApiError = require('../utils/ApiError');
+
+const PAGE_SIZE = [595.28, 841.89]; // A4 in points
+const MARGIN = 50;
+const FONT_SIZE = 11;
+const LINE_HEIGHT = 16;
+
+// The standard PDF fonts only support WinAnsi, so Vietnamese diacritics are dropped from the cover page
+const toWinAnsi = (text) =>
+  String(text === undefined || text === null ? '' : text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .replace(/[^\x20-\x7E]/g, '?');
+
+const getFileType = (file) => {
+  const type = `${file.mimeType || ''} ${path.extname(file.filename || '')}`.toLowerCase();
+  if (/pdf/.test(type)) return 'pdf';
+  if (/png/.test(type)) return 'png';
+  if (/jpe?g/.test(type)) return 'jpg';
+  return null;
+};
+
+/**
+ * Writes text lines on pages, adding pages when the current one is full
+ */
+const createWriter = (pdf, font, boldFont) => {
+  let page;
+  let y = 0;
+
+  const newPage = () => {
+    page = pdf.addPage(PAGE_SIZE);
+    y = PAGE_SIZE[1] - MARGIN;
+  };
+
+  const write = (text, { bold = false, size = FONT_SIZE, indent = 0 } = {}) => {
+    if (!page || y < MARGIN + LINE_HEIGHT) {
+      newPage();
+    }
+    const lineFont = bold ? boldFont : font;
+    const maxWidth = PAGE_SIZE[0] - 2 * MARGIN - indent;
+    let line = toWinAnsi(text);
+    while (line.length > 4 && lineFont.widthOfTextAtSize(line, size) > maxWidth) {
+      line = `${line.slice(0, -4)}...`;
+    }
+    page.drawText(line, { x: MARGIN + indent, y, size, font: lineFont, color: rgb(0, 0, 0) });
+    y -= size > FONT_SIZE ? size + 8 : LINE_HEIGHT;
+  };
+
+  const gap = () => {
+    y -= LINE_HEIGHT / 2;
+  };
+
+  return { write, gap };
+};
+
+const addImagePage = async (pdf, buffer, type) => {
+  const image = type === 'png' ? await pdf.embedPng(buffer) : await pdf.embedJpg(buffer);
+  const page = pdf.addPage(PAGE_SIZE);
+  const { width, height } = image.scaleToFit(PAGE_SIZE[0] - 2 * MARGIN, PAGE_SIZE[1] - 2 * MARGIN);
+  page.drawImage(image, { x: (PAGE_SIZE[0] - width) / 2, y: (PAGE_SIZE[1] - height) / 2, width, height });
+  return 1;
+};
+
+const addPdfPages = async (pdf, buffer) => {
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const pages = await pdf.copyPages(source, source.getPageIndices());
+  pages.forEach((page) => pdf.addPage(page));
+  return pages.length;
+};
+
+const addPlaceholderPage = (pdf, font, filename, reason) => {
+  const page = pdf.addPage(PAGE_SIZE);
+  page.drawText(toWinAnsi(`${filename} could not be included in this bundle`), {
+    x: MARGIN,
+    y: PAGE_SIZE[1] - MARGIN,
+    size: FONT_SIZE,
+    font,
+  });
+  page.drawText(toWinAnsi(reason), { x: MARGIN, y: PAGE_SIZE[1] - MARGIN - LINE_HEIGHT, size: FONT_SIZE, font });
+  return 1;
+};
+
+/**
+ * Write the cover page, listing the requester details, the required documents and where each file starts
+ * @returns {Promise<number>} The number of pages used by the cover
+ */
+const writeCover = async (pdf, { title, details, requiredDocuments, entries, firstFilePage }) => {
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const writer = createWriter(pdf, font, boldFont);
+
+  writer.write(title, { bold: true, size: 18 });
+  writer.write(`Generated at ${new Date().toISOString()}`);
+  writer.gap();
+  details.forEach(([label, value]) => writer.write(`${label}: ${value || '-'}`));
+  writer.gap();
+  writer.write('Required documents', { bold: true });
+  if (requiredDocuments.length === 0) {
+    writer.write('None', { indent: 12 });
+  }
+  requiredDocuments.forEach((document) => writer.write(`- ${document}`, { indent: 12 }));
+  writer.gap();
+  writer.write('Submitted files', { bold: true });
+  let nextPage = firstFilePage;
+  entries.forEach(({ filename, pageCount }, index) => {
+    const pages = pageCount > 1 ? `pages ${nextPage}-${nextPage + pageCount - 1}` : `page ${nextPage}`;
+    writer.write(`${index + 1}. ${filename} (${pages})`, { indent: 12 });
+    nextPage += pageCount;
+  });
+
+  return pdf.getPageCount();
+};
+
+/**
+ * Build a single PDF out of the submitted files
+ * @param {Object} options
+ * @param {string} options.title - Shown at the top of the cover page
+ * @param {Array<[string, string]>} options.details - Label/value pairs shown on the cover page
+ * @param {string[]} options.requiredDocuments - Documents required by the notarization service
+ * @param {Array<{filename: string, mimeType: string, buffer: Buffer}>} options.files
+ * @returns {Promise<Buffer>}
+ */
+const buildBundle = async ({ title, details = [], requiredDocuments = [], files = [] }) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(toWinAnsi(title));
+  pdf.setCreator('Online Notarization Management System');
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  // Files are appended to a separate document first so that the cover page can list their page numbers
+  const content = await PDFDocument.create();
+  const contentFont = await content.embedFont(StandardFonts.Helvetica);
+  // Pages have to be appended in order, so the files are added one after the other
+  const entries = await files.reduce(async (previous, file) => {
+    const added = await previous;
+    const type = getFileType(file);
+    let pageCount;
+    try {
+      if (type === 'pdf') {
+        pageCount = await addPdfPages(content, file.buffer);
+      } else if (type) {
+        pageCount = await addImagePage(content, file.buffer, type);
+      } else {
+        pageCount = addPlaceholderPage(content, contentFont, file.filename, 'Unsupported file type');
+      }
+    } catch (error) {
+      pageCount = addPlaceholderPage(content, contentFont, file.filename, 'The file is damaged or encrypted');
+    }
+    return [...added, { filename: file.filename, pageCount }];
+  }, Promise.resolve([]));
+
+  // The cover is written twice: on a scratch document to know how many pages it takes, then for real
+  const scratch = await PDFDocument.create();
+  const coverPageCount = await writeCover(scratch, { title, details, requiredDocuments, entries, firstFilePage: 1 });
+  await writeCover(pdf, { title, details, requiredDocuments, entries, firstFilePage: coverPageCount + 1 });
+
+  const contentPages = await pdf.copyPages(content, content.getPageIndices());
+  contentPages.forEach((page) => pdf.addPage(page));
+
+  const totalPages = pdf.getPageCount();
+  pdf.getPages().forEach((page, index) => {
+    const label = `Page ${index + 1} of ${totalPages}`;
+    const { width } = page.getSize();
+    page.drawText(label, {
+      x: width - MARGIN - font.widthOfTextAtSize(label, 9),
+      y: MARGIN / 2,
+      size: 9,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+  });
+
+  return Buffer.from(await pdf.save());
+};
+
+const readFile = async (file) => {
+  if (file.storageKey) {
+    return downloadFile(file.storageKey);
+  }
+  // Files taken from the user wallet are public on IPFS
+  const response = await axios.get(file.firebaseUrl, { responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Identifies the set of files a bundle was built from
+ * @param {Object[]} files
+ * @returns {string}
+ */
+const getFingerprint = (files) =>
+  hashBuffer(
+    Buffer.from(JSON.stringify(files.map((file) => [String(file._id), file.sha256 || file.storageKey || file.firebaseUrl])))
+  );
+
+/**
+ * Get the bundle of a document or session, building it again only when its files changed
+ * @param {Object} record - Document or Session with files and bundle
+ * @param {string} rootFolder - Folder of the record, e.g. documents or sessions
+ * @param {Object} cover - See buildBundle
+ * @returns {Promise<{url: string, expiresAt: Date, generatedAt: Date}>}
+ */
+const getBundle = async (record, rootFolder, cover) => {
+  if (!record.files || record.files.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'There are no files to bundle');
+  }
+
+  const fingerprint = getFingerprint(record.files);
+  if (!record.bundle || !record.bundle.storageKey || record.bundle.fingerprint !== fingerprint) {
+    try {
+      const buffers = await Promise.all(record.files.map(readFile));
+      const buffer = await buildBundle({
+        ...cover,
+        files: record.files.map((file, index) => ({
+          filename: file.filename,
+          mimeType: file.mimeType,
+          buffer: buffers[index],
+        })),
+      });
+      const storageKey = await uploadFile(
+        { originalname: 'bundle.pdf', buffer, mimetype: 'application/pdf' },
+        'bundles',
+        `${rootFolder}/${record._id}`,
+        { keepName: true }
+      );
+      record.set('bundle', { storageKey, fingerprint, generatedAt: new Date() });
+      await record.save();
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      console.error('Error building bundle:', error.message);
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to build the file bundle');
+    }
+  }
+
+  const { url, expiresAt } = await getSignedUrl(record.bundle.storageKey);
+  return { url, expiresAt, generatedAt: record.bundle.generatedAt };
+};
+
+module.exports = {
+  buildBundle,
+  getBundle,
+};
@@ -2,6 +2,8 @@ const cron = require('node-cron');
 const { Token } = require('../models');
 const { autoVerifyDocument } = require('./notarization.service');
 const { autoVerifySession } = require('./session.service');
+const { deleteExpiredUploads } = require('./upload.service');
+const { checkSlaBreaches } = require('./sla.service');
 
 const deleteExpiredTokens = async () => {
   try {
@@ -24,6 +26,8 @@ const deleteExpiredTokens = async () => {
 
 const startCronJob = () => {
   cron.schedule('0 0 * * *', deleteExpiredTokens);
+  cron.schedule('0 * * * *', deleteExpiredUploads);
+  cron.schedule('*/15 * * * *', checkSlaBreaches);
   // 1 minute for testing
   cron.schedule('* * * * *', autoVerifyDocument);
   cron.schedule('* * * * *', autoVerifySession);
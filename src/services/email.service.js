@@ -152,6 +152,38 @@ const sendNFTTransferEmail = async (email, filename, amount) => {
   await sendEmail(email, subject, html);
 };
 
+/**
+ * Tell the notary holding a case and the admins that it is overdue in its status
+ * @param {string[]} emails
+ * @param {Object} breach - caseType, caseId, status, dueAt and the name of the notary
+ * @returns {Promise}
+ */
+const sendSlaEscalationEmail = async (emails, { caseType, caseId, status, dueAt, assignedTo }) => {
+  const label = caseType === 'session' ? 'Session' : 'Document';
+  const subject = `${label} overdue in ${status}`;
+  const html = await loadTemplate('sla_escalation', {
+    label,
+    caseId,
+    status,
+    dueAt: new Date(dueAt).toISOString(),
+    assignedTo,
+  });
+  await Promise.all(emails.map((email) => sendEmail(email, subject, html)));
+};
+
+/**
+ * Tell the notary holding a case that its requester withdrew it
+ * @param {string} email
+ * @param {Object} withdrawal
+ * @returns {Promise}
+ */
+const sendCaseWithdrawnEmail = async (email, { caseType, caseId, withdrawnBy, reason }) => {
+  const label = caseType === 'session' ? 'Session' : 'Document';
+  const subject = `${label} withdrawn by its requester`;
+  const html = await loadTemplate('case_withdrawn', { label, caseId, withdrawnBy, reason });
+  await sendEmail(email, subject, html);
+};
+
 module.exports = {
   transport,
   sendEmail,
@@ -164,4 +196,6 @@ module.exports = {
   sendSessionStatusUpdateEmail,
   sendNFTPaymentEmail,
   sendNFTTransferEmail,
+  sendSlaEscalationEmail,
+  sendCaseWithdrawnEmail,
 };
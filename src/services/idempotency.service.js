@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { IdempotencyKey } = require('../models');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+
+const minuteMs = 60 * 1000;
+const hourMs = 60 * minuteMs;
+
+const getLockExpiry = () => new Date(Date.now() + config.idempotency.lockMinutes * minuteMs);
+
+/**
+ * Hash identifying a request, from its body and the content of its uploaded files
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} [body]
+ * @param {Object[]} [files] - Multer files
+ * @returns {string}
+ */
+const fingerprintRequest = (method, url, body = {}, files = []) => {
+  const fileDigests = files.map((file) => ({
+    fieldname: file.fieldname,
+    originalname: file.originalname,
+    sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+  }));
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${url} ${JSON.stringify(body)} ${JSON.stringify(fileDigests)}`)
+    .digest('hex');
+};
+
+/**
+ * Reserve a key for a request, or find the response already stored for it.
+ * A key still processing, or used for another request, is refused. A key whose request outlived its lock is taken over.
+ * @param {ObjectId} userId
+ * @param {string} key
+ * @param {string} fingerprint
+ * @returns {Promise<Object>} `{ record }` for a new key, `{ replay }` with the stored response for a repeated one
+ */
+const reserveKey = async (userId, key, fingerprint) => {
+  // The TTL monitor only runs every minute, an expired key is free to use again
+  await IdempotencyKey.deleteOne({ userId, key, expiresAt: { $lte: new Date() } });
+
+  try {
+    const record = await IdempotencyKey.create({
+      userId,
+      key,
+      fingerprint,
+      lockedUntil: getLockExpiry(),
+      expiresAt: new Date(Date.now() + config.idempotency.retentionHours * hourMs),
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) {
+    throw new ApiError(httpStatus.CONFLICT, 'A request with this Idempotency-Key is still being processed');
+  }
+  if (existing.fingerprint !== fingerprint) {
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'This Idempotency-Key was already used for another request');
+  }
+  if (existing.status === 'completed') {
+    return { replay: existing };
+  }
+
+  if (existing.lockedUntil && existing.lockedUntil > new Date()) {
+    throw new ApiError(httpStatus.CONFLICT, 'A request with this Idempotency-Key is still being processed');
+  }
+  // The condition on the lock makes the takeover atomic, of two retries only one gets the key
+  const record = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil },
+    { $set: { lockedUntil: getLockExpiry() } },
+    { new: true }
+  );
+  if (!record) {
+    throw new ApiError(httpStatus.CONFLICT, 'A request with this Idempotency-Key is still being processed');
+  }
+  return { record };
+};
+
+/**
+ * Store the first response of a key. Nothing is stored when a retry took the key over in the meantime.
+ * @param {IdempotencyKey} record - As returned by reserveKey
+ * @param {Object} response - status, type and body
+ * @returns {Promise}
+ */
+const saveResponse = async (record, { status, type = null, body = null }) =>
+  IdempotencyKey.updateOne(
+    { _id: record._id, lockedUntil: record.lockedUntil },
+    { $set: { status: 'completed', responseStatus: status, responseType: type, responseBody: body } }
+  );
+
+/**
+ * Free a key whose request failed on the server, so that the client can retry with it
+ * @param {IdempotencyKey} record - As returned by reserveKey
+ * @returns {Promise}
+ */
+const releaseKey = async (record) =>
+  IdempotencyKey.deleteOne({ _id: record._id, status: 'processing', lockedUntil: record.lockedUntil });
+
+module.exports = {
+  fingerprintRequest,
+  reserveKey,
+  saveResponse,
+  releaseKey,
+};
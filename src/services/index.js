@@ -1,5 +1,17 @@
 module.exports.authService = require('./auth.service');
 module.exports.emailService = require('./email.service');
+module.exports.storageService = require('./storage.service');
+module.exports.scanService = require('./scan.service');
+module.exports.thumbnailService = require('./thumbnail.service');
+module.exports.ocrService = require('./ocr.service');
+module.exports.uploadService = require('./upload.service');
+module.exports.workflowService = require('./workflow.service');
+module.exports.assignmentService = require('./assignment.service');
+module.exports.routingService = require('./routing.service');
+module.exports.notaryProfileService = require('./notaryProfile.service');
+module.exports.slaService = require('./sla.service');
+module.exports.timelineService = require('./timeline.service');
+module.exports.idempotencyService = require('./idempotency.service');
 module.exports.tokenService = require('./token.service');
 module.exports.userService = require('./user.service');
 module.exports.notarizationService = require('./notarization.service');
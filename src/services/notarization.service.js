@@ -2,14 +2,51 @@ const httpStatus = require('http-status');
 const mongoose = require('mongoose');
 const { ObjectId } = require('mongoose').Types;
 const emailService = require('./email.service');
-const { Document, StatusTracking, ApproveHistory, NotarizationService, NotarizationField } = require('../models');
+const { Document, StatusTracking, ApproveHistory, NotarizationService, NotarizationField, User } = require('../models');
 const ApiError = require('../utils/ApiError');
-const { bucket, downloadFile } = require('../config/firebase');
 const RequestSignature = require('../models/requestSignature.model');
 const { payOS } = require('../config/payos');
 const Payment = require('../models/payment.model');
-const { uploadToIPFS, mintDocumentNFT, getTransactionData } = require('../config/blockchain');
+const {
+  uploadToIPFS,
+  uploadMetadataToIPFS,
+  unpinFromIPFS,
+  mintDocumentNFT,
+  voidDocumentNFT,
+  getTransactionData,
+} = require('../config/blockchain');
 const userWalletService = require('./userWallet.service');
+const { cancelPendingPayments } = require('./payment.service');
+const {
+  uploadFile,
+  downloadFile,
+  deleteFile,
+  getSignedUrl,
+  getFileMetadata,
+  hashBuffer,
+  verifyFile,
+} = require('./storage.service');
+const { scanFiles } = require('./scan.service');
+const { getBundle } = require('./bundle.service');
+const { claimUploads } = require('./upload.service');
+const { storeThumbnails, withThumbnailUrls } = require('./thumbnail.service');
+const { checkRequesterInfo } = require('./ocr.service');
+const { getUploadPolicy, checkFileCount, checkFiles } = require('./uploadPolicy.service');
+const {
+  getServiceWorkflow,
+  createWorkflowLoader,
+  getTransition,
+  getAvailableActions,
+  collectsSignatures,
+  awaitsRevision,
+} = require('./workflow.service');
+const { initialState, resubmitAction, withdrawAction, systemRole } = require('../config/workflow');
+const { getQueueIds, checkAssignee, renewClaim, assignCountersign } = require('./assignment.service');
+const { routeDocument, pickCountersigner } = require('./routing.service');
+const { findNotaryCard } = require('./notaryProfile.service');
+const { recordEvent, describeFile } = require('./timeline.service');
+const { checkSlotCodes, getSlotStatus, getMissingSlots } = require('../utils/documentSlots');
+const { runInTransaction } = require('../utils/transaction');
 
 const generateOrderCode = () => {
   const MAX_SAFE_INTEGER = 9007199254740991;
@@ -18,22 +55,234 @@ const generateOrderCode = () => {
   return Math.floor(Math.random() * MAX_ORDER_CODE) + 1;
 };
 
-const uploadFileToFirebase = async (file, rootFolder, folderName) => {
-  const fileName = `${file.originalname}`;
-  const fileRef = bucket.file(`${rootFolder}/${folderName}/${fileName}`);
+// Output files uploaded before versioning have no slot, their filename identifies them
+const getOutputSlot = (output) => output.slot || output.filename;
+
+// Changes asked of the requester stay open on the document until it is resubmitted, and void the approvals given so far
+const openRevision = (documentId, requestedBy, fromStatus, feedback) =>
+  Document.updateOne(
+    { _id: documentId },
+    { $push: { revisions: { requestedBy, requestedAt: new Date(), fromStatus, feedback } }, $set: { approvals: [] } }
+  );
+
+/**
+ * Whether the service of the document asks two notaries to approve it before the signatures
+ * @param {Object} document
+ * @returns {Promise<boolean>}
+ */
+const requiresCountersign = async (document) => {
+  const serviceId = document.notarizationService && document.notarizationService.id;
+  const service = serviceId ? await NotarizationService.findById(serviceId, 'dualControl') : null;
+  const rule = service && service.dualControl;
+  if (!rule || !rule.enabled) {
+    return false;
+  }
+  const value = document.notarizationService.price * document.amount;
+  return rule.minAmount == null || value >= rule.minAmount;
+};
+
+/**
+ * Check the second reviewer chosen by the first notary
+ * @param {ObjectId} reviewerId
+ * @param {ObjectId} approverId
+ * @returns {Promise<Object>} The reviewer and the reason of the assignment
+ */
+const checkReviewer = async (reviewerId, approverId) => {
+  if (String(reviewerId) === String(approverId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The second reviewer must be another notary');
+  }
+  const reviewer = await User.findById(reviewerId);
+  if (!reviewer || reviewer.role !== 'notary') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The second reviewer must be a notary');
+  }
+  return { notaryId: reviewer._id, reason: 'countersign: chosen by the first notary' };
+};
+
+const isCurrentOutput = (output) => output.isCurrent !== false;
+
+// Superseded output versions are only shown to admins
+const currentOutputStage = {
+  $addFields: {
+    output: { $filter: { input: { $ifNull: ['$output', []] }, cond: { $ne: ['$$this.isCurrent', false] } } },
+  },
+};
+
+/**
+ * Build the output entries for newly uploaded notary files, superseding the current version of their slots
+ * @param {Document} document
+ * @param {Object[]} files - Uploaded files with storageKey, metadata and scan verdict
+ * @param {ObjectId} userId - Notary uploading the files
+ * @param {Object} [options]
+ * @param {string[]} [options.slots] - Slot of each file, defaults to the original file name
+ * @param {string} [options.reason] - Why the files were uploaded, required when replacing a version
+ * @returns {Object[]}
+ */
+const createOutputVersions = (document, files, userId, { slots = [], reason } = {}) => {
+  const fileSlots = files.map((file, index) => slots[index] || file.originalname);
+  if (new Set(fileSlots).size !== fileSlots.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Each output slot can only receive one file at a time');
+  }
+
+  const superseded = document.output.filter(
+    (output) => isCurrentOutput(output) && fileSlots.includes(getOutputSlot(output))
+  );
+  if (superseded.length > 0 && !reason) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A reason is required when replacing an output file');
+  }
+  superseded.forEach((output) => output.set('isCurrent', false));
+
+  return files.map((file, index) => {
+    const versions = document.output.filter((output) => getOutputSlot(output) === fileSlots[index]);
+    return {
+      filename: `${Date.now()}-${file.originalname}`,
+      storageKey: file.storageKey,
+      ...getFileMetadata(file),
+      scan: file.scan,
+      thumbnailKey: file.thumbnailKey || null,
+      slot: fileSlots[index],
+      version: versions.reduce((latest, output) => Math.max(latest, output.version || 1), 0) + 1,
+      isCurrent: true,
+      uploadedBy: userId,
+      reason: reason || null,
+      transactionHash: null, // Reserved for future blockchain integration
+      uploadedAt: new Date(),
+    };
+  });
+};
 
+/**
+ * Start tracking the status of a document
+ * @param {ObjectId} documentId
+ * @param {string} status
+ * @param {ClientSession} [session] - Transaction the document is created in
+ * @returns {Promise<StatusTracking>}
+ */
+const createStatusTracking = async (documentId, status, session = null) => {
   try {
-    await fileRef.save(file.buffer, { contentType: file.mimetype });
-    return `https://storage.googleapis.com/${bucket.name}/${rootFolder}/${folderName}/${fileName}`;
+    const statusTracking = new StatusTracking({
+      documentId,
+      status,
+      updatedAt: new Date(),
+    });
+
+    await statusTracking.save({ session });
+    return statusTracking;
   } catch (error) {
-    console.error('Error uploading file:', error.message);
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload file');
+    console.error('Error creating status tracking:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to create status tracking');
   }
 };
 
-const createDocument = async (documentBody, files, fileIds, customFileNames, userId) => {
+const isReadOcr = (ocr) => Boolean(ocr && ['matched', 'mismatch'].includes(ocr.status));
+
+/**
+ * Add the files of a request to a document: copies taken from the wallet of the requester, direct uploads and
+ * finished resumable uploads. The document is not saved, nor is the reading of the ID card given back.
+ * @param {Document} document
+ * @param {Object} fileOptions - fileIds, customFileNames, uploadIds and the slot of each kind of file
+ * @param {Object[]} files - Multer files
+ * @param {ObjectId} userId
+ * @param {Object} uploadPolicy
+ * @param {Object} transaction - Session of the transaction and `compensate` to remove the stored files if it fails
+ * @returns {Promise<{addedFiles: Object[], ocr: Object}>} The added files and the reading of the ID card to keep
+ */
+const addFiles = async (document, fileOptions, files, userId, uploadPolicy, { session, compensate }) => {
+  const {
+    fileIds = [],
+    customFileNames = [],
+    uploadIds = [],
+    fileSlots = [],
+    walletFileSlots = [],
+    uploadSlots = [],
+  } = fileOptions;
+  const addedFiles = [];
+  let { ocr } = document;
+
+  // Handle files from user wallet
+  if (fileIds && fileIds.length > 0) {
+    const userWallet = await userWalletService.getWallet(userId);
+    const walletItems = userWallet.nftItems.filter((item) => fileIds.includes(item._id.toString()));
+
+    if (walletItems.length !== fileIds.length) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Some files are not found in the user wallet');
+    }
+
+    const walletFiles = walletItems.map((item, index) => ({
+      _id: item._id,
+      filename: customFileNames && customFileNames[index] ? customFileNames[index] : item.filename,
+      firebaseUrl: item.fileURI || item.tokenURI,
+      thumbnailKey: item.thumbnailKey || null,
+      slot: walletFileSlots[fileIds.indexOf(item._id.toString())] || null,
+    }));
+
+    await userWalletService.decreaseNFTAmount(userId, fileIds, session);
+
+    addedFiles.push(...walletFiles);
+  }
+
+  // Handle file uploads to storage
+  if (files && files.length > 0) {
+    const verdicts = await scanFiles(files, 'documents', document._id);
+    const fileKeys = await Promise.all(
+      files.map(async (file) => {
+        const key = await uploadFile(file, 'documents', document._id);
+        compensate(() => deleteFile(key));
+        return key;
+      })
+    );
+    const thumbnailKeys = await storeThumbnails(files, fileKeys);
+    thumbnailKeys.filter(Boolean).forEach((key) => compensate(() => deleteFile(key)));
+    const uploadedFiles = files.map((file, index) => ({
+      filename: `${file.originalname}`,
+      storageKey: fileKeys[index],
+      ...getFileMetadata(file),
+      scan: verdicts[index],
+      thumbnailKey: thumbnailKeys[index],
+      slot: fileSlots[index] || null,
+    }));
+
+    addedFiles.push(...uploadedFiles);
+    const fileOcr = await checkRequesterInfo(files, document.requesterInfo);
+    // A later batch of a draft without the ID card does not wipe out an earlier reading of it
+    if (!isReadOcr(ocr) || isReadOcr(fileOcr)) {
+      ocr = fileOcr;
+    }
+  }
+
+  // Handle files sent through resumable uploads, they are already scanned and stored
+  if (uploadIds.length > 0) {
+    const claimedFiles = await claimUploads(uploadIds, userId, uploadPolicy, session);
+    addedFiles.push(...claimedFiles.map((file, index) => ({ ...file, slot: uploadSlots[index] || null })));
+  }
+
+  document.files.push(...addedFiles);
+  return { addedFiles, ocr };
+};
+
+/**
+ * Create a document from the request of a user. A draft may start without files and only enters the pipeline,
+ * with its confirmation email, once submitted.
+ * @param {Object} documentBody
+ * @param {Object[]} files
+ * @param {string[]} fileIds - Wallet items to copy
+ * @param {string[]} customFileNames
+ * @param {ObjectId} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.draft]
+ * @param {ObjectId} [options.amends] - Completed document this one amends, which gets it in its amendments
+ * @returns {Promise<Document>}
+ */
+const createDocument = async (
+  documentBody,
+  files,
+  fileIds,
+  customFileNames,
+  userId,
+  { draft = false, amends = null } = {}
+) => {
   try {
-    if ((!files || files.length === 0) && (!fileIds || fileIds.length === 0)) {
+    const { uploadIds = [], fileSlots = [], walletFileSlots = [], uploadSlots = [] } = documentBody;
+    if (!draft && (!files || files.length === 0) && (!fileIds || fileIds.length === 0) && uploadIds.length === 0) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'No files provided');
     }
 
@@ -53,6 +302,14 @@ const createDocument = async (documentBody, files, fileIds, customFileNames, use
       throw new ApiError(httpStatus.BAD_REQUEST, 'Notarization service does not match the provided field');
     }
 
+    // Slots are read from the service itself, the snapshot sent by the client is not trusted for them
+    const documentSlots = notarizationServiceDoc.documentSlots || [];
+    checkSlotCodes([...fileSlots, ...walletFileSlots, ...uploadSlots], documentSlots);
+
+    const uploadPolicy = getUploadPolicy(notarizationServiceDoc);
+    checkFileCount(uploadPolicy, (files || []).length + (fileIds || []).length + uploadIds.length);
+    await checkFiles(uploadPolicy, files);
+
     const newDocument = new Document({
       files: [],
       notarizationService: {
@@ -62,6 +319,7 @@ const createDocument = async (documentBody, files, fileIds, customFileNames, use
         description: notarizationService.description,
         price: notarizationService.price,
         required_documents: notarizationService.required_documents,
+        documentSlots,
         code: notarizationService.code,
       },
       notarizationField: {
@@ -80,66 +338,345 @@ const createDocument = async (documentBody, files, fileIds, customFileNames, use
       userId,
       createdAt: Date.now(),
       amount,
+      draft,
+      amends,
     });
 
-    // Handle files from user wallet
-    if (fileIds && fileIds.length > 0) {
-      const userWallet = await userWalletService.getWallet(userId);
-      const walletItems = userWallet.nftItems.filter((item) => fileIds.includes(item._id.toString()));
-
-      if (walletItems.length !== fileIds.length) {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Some files are not found in the user wallet');
+    // The wallet copies, claimed uploads, document and its status are written together or not at all
+    await runInTransaction(async (transaction) => {
+      const { ocr } = await addFiles(
+        newDocument,
+        { ...documentBody, fileIds, customFileNames },
+        files,
+        userId,
+        uploadPolicy,
+        transaction
+      );
+      newDocument.ocr = ocr;
+      await newDocument.save({ session: transaction.session });
+      if (!draft) {
+        await createStatusTracking(newDocument._id, initialState, transaction.session);
       }
+      if (amends) {
+        await Document.updateOne(
+          { _id: amends },
+          { $addToSet: { amendments: newDocument._id } },
+          { session: transaction.session }
+        );
+      }
+    });
 
-      const walletFiles = walletItems.map((item, index) => ({
-        _id: item._id,
-        filename: customFileNames && customFileNames[index] ? customFileNames[index] : item.filename,
-        firebaseUrl: item.tokenURI,
-      }));
+    await recordEvent('document', newDocument._id, 'created', {
+      actorId: userId,
+      toStatus: draft ? null : initialState,
+      data: { files: newDocument.files.map(describeFile), ...(draft && { draft }), ...(amends && { amends }) },
+    });
 
-      await userWalletService.decreaseNFTAmount(userId, fileIds);
+    if (!draft) {
+      await emailService.sendDocumentUploadEmail(requesterInfo.email, requesterInfo.fullName, newDocument._id);
+    }
 
-      newDocument.files.push(...walletFiles);
+    return newDocument;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
     }
+    console.error('Error creating document:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create document: ${error.message}`);
+  }
+};
+
+/**
+ * Load a draft of the requester, submitted documents can no longer be changed this way
+ * @param {ObjectId} documentId
+ * @param {Object} user
+ * @returns {Promise<Document>}
+ */
+const findDraft = async (documentId, user) => {
+  const document = await Document.findById(documentId);
+  if (!document) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+  }
+  if (String(document.userId) !== String(user.id)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the requester can change the draft');
+  }
+  if (!document.draft) {
+    throw new ApiError(httpStatus.CONFLICT, 'The document has already been submitted');
+  }
+  return document;
+};
 
-    // Handle file uploads to Firebase
-    if (files && files.length > 0) {
-      const fileUrls = await Promise.all(files.map((file) => uploadFileToFirebase(file, 'documents', newDocument._id)));
-      const uploadedFiles = files.map((file, index) => ({
-        filename: `${file.originalname}`,
-        firebaseUrl: fileUrls[index],
-      }));
+const withRequiredDocuments = (document) => ({
+  ...document.toJSON(),
+  requiredDocuments: getSlotStatus(document.notarizationService.documentSlots, document.files),
+});
+
+/**
+ * Drafts of the requester, most recent first, with the required documents still missing
+ * @param {ObjectId} userId
+ * @returns {Promise<Object[]>}
+ */
+const getDrafts = async (userId) => {
+  try {
+    const drafts = await Document.find({ userId, draft: true }).sort({ createdAt: -1 });
+    return drafts.map(withRequiredDocuments);
+  } catch (error) {
+    console.error('Error fetching drafts:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to fetch drafts');
+  }
+};
 
-      newDocument.files.push(...uploadedFiles);
+/**
+ * Attach more files to a draft, within the upload policy of its service
+ * @param {ObjectId} documentId
+ * @param {Object} user
+ * @param {Object} fileOptions - fileIds, customFileNames, uploadIds and the slot of each kind of file
+ * @param {Object[]} files
+ * @returns {Promise<Object>}
+ */
+const addDraftFiles = async (documentId, user, fileOptions, files = []) => {
+  try {
+    const { fileIds = [], uploadIds = [], fileSlots = [], walletFileSlots = [], uploadSlots = [] } = fileOptions;
+    if (files.length === 0 && fileIds.length === 0 && uploadIds.length === 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'No files provided');
     }
 
-    await newDocument.save();
+    const document = await findDraft(documentId, user);
+    checkSlotCodes([...fileSlots, ...walletFileSlots, ...uploadSlots], document.notarizationService.documentSlots);
 
-    await emailService.sendDocumentUploadEmail(requesterInfo.email, requesterInfo.fullName, newDocument._id);
+    const uploadPolicy = getUploadPolicy(await NotarizationService.findById(document.notarizationService.id));
+    checkFileCount(uploadPolicy, document.files.length + files.length + fileIds.length + uploadIds.length);
+    await checkFiles(uploadPolicy, files);
 
-    return newDocument;
+    await runInTransaction(async (transaction) => {
+      const { ocr } = await addFiles(document, fileOptions, files, user.id, uploadPolicy, transaction);
+      document.ocr = ocr;
+      await document.save({ session: transaction.session });
+    });
+
+    return withRequiredDocuments(document);
   } catch (error) {
     if (error instanceof ApiError) {
       throw error;
     }
-    console.error('Error creating document:', error.message);
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create document: ${error.message}`);
+    console.error('Error adding files to draft:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to add files to draft');
   }
 };
-const createStatusTracking = async (documentId, status) => {
+
+/**
+ * Wallet items whose copies went into the given files
+ * @param {Object[]} files
+ * @returns {string[]}
+ */
+const getWalletItemIds = (files) =>
+  files.filter((file) => file.firebaseUrl && !file.storageKey).map((file) => String(file._id));
+
+/**
+ * Give back what the files of a draft hold: wallet copies return to the wallet, stored files are deleted
+ * @param {Document} document
+ * @param {Object[]} files
+ * @returns {Promise<number>} The wallet copies given back
+ */
+const releaseDraftFiles = async (document, files) => {
+  const walletItemsRestored = await userWalletService.restoreNFTAmount(document.userId, getWalletItemIds(files));
+
+  // Leftover objects in storage are harmless, the draft itself no longer points at them
+  await Promise.all(
+    files
+      .filter((file) => file.storageKey)
+      .map((file) =>
+        deleteFile(file.storageKey).catch((error) => console.error('Error deleting draft file:', error.message))
+      )
+  );
+
+  return walletItemsRestored;
+};
+
+/**
+ * Remove a file from a draft
+ * @param {ObjectId} documentId
+ * @param {Object} user
+ * @param {ObjectId} fileId
+ * @returns {Promise<Object>}
+ */
+const removeDraftFile = async (documentId, user, fileId) => {
   try {
-    const statusTracking = new StatusTracking({
-      documentId,
-      status,
-      updatedAt: new Date(),
+    const document = await findDraft(documentId, user);
+    const file = document.files.find((item) => String(item._id) === String(fileId));
+    if (!file) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'File not found');
+    }
+
+    document.files = document.files.filter((item) => item !== file);
+    await document.save();
+    await releaseDraftFiles(document, [file]);
+
+    return withRequiredDocuments(document);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error removing file from draft:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to remove file from draft');
+  }
+};
+
+/**
+ * Delete a draft and give back its files
+ * @param {ObjectId} documentId
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+const discardDraft = async (documentId, user) => {
+  try {
+    const document = await findDraft(documentId, user);
+    const result = await Document.deleteOne({ _id: documentId, draft: true });
+    if (result.deletedCount === 0) {
+      throw new ApiError(httpStatus.CONFLICT, 'The document has already been submitted');
+    }
+    await releaseDraftFiles(document, document.files);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error discarding draft:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to discard draft');
+  }
+};
+
+/**
+ * Send a complete draft into the pipeline: status tracking starts, auto-verification picks it up and the
+ * requester gets the confirmation email
+ * @param {ObjectId} documentId
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+const submitDraft = async (documentId, user) => {
+  try {
+    const document = await findDraft(documentId, user);
+    if (document.files.length === 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'No files provided');
+    }
+    const missingDocuments = getMissingSlots(document.notarizationService.documentSlots, document.files);
+    if (missingDocuments.length > 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Missing required documents: ${missingDocuments.join(', ')}`);
+    }
+
+    // Only one submission of the draft starts the pipeline
+    await runInTransaction(async ({ session }) => {
+      const result = await Document.updateOne({ _id: documentId, draft: true }, { $set: { draft: false } }, { session });
+      if (result.nModified === 0) {
+        throw new ApiError(httpStatus.CONFLICT, 'The document has already been submitted');
+      }
+      await createStatusTracking(documentId, initialState, session);
+    });
+    await recordEvent('document', documentId, 'statusChanged', {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'submit',
+      toStatus: initialState,
+      data: { files: document.files.map(describeFile) },
     });
+    await emailService.sendDocumentUploadEmail(document.requesterInfo.email, document.requesterInfo.fullName, documentId);
 
-    await statusTracking.save();
-    return statusTracking;
+    return { message: 'Document submitted', documentId, status: initialState };
   } catch (error) {
-    console.error('Error creating status tracking:', error.message);
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to create status tracking');
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error submitting draft:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to submit draft');
+  }
+};
+
+// A wallet item points at the document it was minted for, older items are matched by their mint transaction
+const findWalletItemDocument = async (userId, walletItemId) => {
+  const wallet = await userWalletService.getWallet(userId);
+  const item = wallet.nftItems.find((nftItem) => String(nftItem._id) === String(walletItemId));
+  if (!item) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Wallet item not found');
   }
+  return item.documentId
+    ? Document.findById(item.documentId)
+    : Document.findOne({ 'output.transactionHash': item.transactionHash });
+};
+
+/**
+ * Start an amendment or re-notarization of a completed document. The new request copies the service, field and
+ * requester of the original and both documents keep the link.
+ * @param {Object} user - The requester of the original document
+ * @param {Object} amendmentBody - documentId or walletItemId of the original, amount and the files options
+ * @param {Object[]} files
+ * @returns {Promise<Document>}
+ */
+const createAmendment = async (user, amendmentBody, files = []) => {
+  try {
+    const { documentId, walletItemId, amount, fileIds, customFileNames, ...fileOptions } = amendmentBody;
+    const original = walletItemId
+      ? await findWalletItemDocument(user.id, walletItemId)
+      : await Document.findById(documentId);
+    if (!original) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Original document not found');
+    }
+    if (String(original.userId) !== String(user.id)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Only the requester of the original document can amend it');
+    }
+    const originalStatus = await StatusTracking.findOne({ documentId: original._id }, 'status');
+    if (!originalStatus || originalStatus.status !== 'completed') {
+      throw new ApiError(httpStatus.CONFLICT, 'Only completed documents can be amended');
+    }
+
+    const amendment = await createDocument(
+      {
+        ...fileOptions,
+        notarizationService: original.notarizationService,
+        notarizationField: original.notarizationField,
+        requesterInfo: original.requesterInfo,
+        amount: amount || original.amount,
+      },
+      files,
+      fileIds,
+      customFileNames,
+      user.id,
+      { amends: original._id }
+    );
+
+    return amendment;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error creating amendment:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to create amendment');
+  }
+};
+
+/**
+ * What the notary compares an amendment with: the current outputs of the original and the transactions that minted them
+ * @param {ObjectId} originalId
+ * @returns {Promise<Object|null>}
+ */
+const describeOriginal = async (originalId) => {
+  const original = await Document.findById(originalId);
+  if (!original) {
+    return null;
+  }
+  const output = (original.output || []).filter(isCurrentOutput).map((file) => ({
+    _id: file._id,
+    filename: file.filename,
+    slot: file.slot || null,
+    version: file.version,
+    sha256: file.sha256,
+    transactionHash: file.transactionHash || null,
+    thumbnailKey: file.thumbnailKey || null,
+  }));
+
+  return {
+    documentId: original._id,
+    createdAt: original.createdAt,
+    output: await withThumbnailUrls(output),
+  };
 };
 
 const getHistoryByUserId = async (userId) => {
@@ -150,7 +687,7 @@ const getHistoryByUserId = async (userId) => {
 
     const history = await Document.aggregate([
       {
-        $match: { userId: new mongoose.Types.ObjectId(userId) },
+        $match: { userId: new mongoose.Types.ObjectId(userId), draft: { $ne: true } },
       },
       {
         $lookup: {
@@ -166,6 +703,7 @@ const getHistoryByUserId = async (userId) => {
           status: { $arrayElemAt: ['$status', 0] },
         },
       },
+      currentOutputStage,
     ]);
 
     return history;
@@ -181,7 +719,7 @@ const getHistoryByUserId = async (userId) => {
 const getHistoryWithStatus = async (userId) => {
   const history = await Document.aggregate([
     {
-      $match: { userId: new ObjectId(userId) },
+      $match: { userId: new ObjectId(userId), draft: { $ne: true } },
     },
     {
       $lookup: {
@@ -200,6 +738,7 @@ const getHistoryWithStatus = async (userId) => {
         as: 'signature',
       },
     },
+    currentOutputStage,
   ]);
 
   return history.map((doc) => ({
@@ -219,24 +758,34 @@ const getDocumentStatus = async (documentId) => {
   }
 };
 
-const getTotalDocuments = async (status) => {
+// Drafts stay with their requester until submitted
+const submittedFilter = (documentIds) => ({
+  draft: { $ne: true },
+  ...(documentIds && { _id: { $in: documentIds } }),
+});
+
+const getTotalDocuments = async (status, documentIds) => {
+  const inQueue = documentIds ? { documentId: { $in: documentIds } } : {};
   const countQueries = {
-    processing: () => StatusTracking.countDocuments({ status: 'processing' }),
+    processing: () => StatusTracking.countDocuments({ status: 'processing', ...inQueue }),
     readyToSign: () =>
       RequestSignature.countDocuments({
         'approvalStatus.notary.approved': false,
         'approvalStatus.user.approved': true,
+        ...inQueue,
       }),
     pendingSignature: () =>
       RequestSignature.countDocuments({
         'approvalStatus.user.approved': false,
+        ...inQueue,
       }),
+    default: () => Document.countDocuments(submittedFilter(documentIds)),
   };
 
   return countQueries[status]();
 };
 
-const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
+const getDocumentByRole = async ({ status, limit = 10, page = 1, queue }, userId) => {
   try {
     // Ensure limit and page are converted to numbers
     limit = Number(limit);
@@ -253,9 +802,13 @@ const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
 
     const skipDocuments = (page - 1) * limit;
 
+    // Narrow to the documents of the notary or to the shared queue
+    const documentIds = queue ? await getQueueIds('document', queue, userId) : null;
+    const inQueue = documentIds ? { documentId: { $in: documentIds } } : {};
+
     const statusQueries = {
       processing: async () => {
-        const documents = await StatusTracking.find({ status: 'processing' })
+        const documents = await StatusTracking.find({ status: 'processing', ...inQueue })
           .skip(skipDocuments)
           .limit(limit)
           .populate('documentId'); // Added populate to get document details
@@ -269,6 +822,7 @@ const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
         const documents = await RequestSignature.find({
           'approvalStatus.notary.approved': false,
           'approvalStatus.user.approved': true,
+          ...inQueue,
         })
           .populate('documentId')
           .skip(skipDocuments)
@@ -283,6 +837,7 @@ const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
       pendingSignature: async () => {
         const documents = await RequestSignature.find({
           'approvalStatus.user.approved': false,
+          ...inQueue,
         })
           .populate('documentId')
           .skip(skipDocuments)
@@ -297,7 +852,7 @@ const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
       // Handle the case where no status is provided
       default: async () => {
         // Implement logic to fetch all documents (or return an error)
-        const documents = await Document.find().skip(skipDocuments).limit(limit);
+        const documents = await Document.find(submittedFilter(documentIds)).skip(skipDocuments).limit(limit);
         return documents.map((doc) => ({
           ...doc.toObject(),
           status: 'default',
@@ -309,7 +864,7 @@ const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
     const documents = await (status && statusQueries[status] ? statusQueries[status]() : statusQueries.default());
 
     // Count total documents for pagination.  This needs to be adjusted based on how you handle the default case.
-    const totalDocuments = await getTotalDocuments(status || 'default'); // Pass 'default' if status is undefined
+    const totalDocuments = await getTotalDocuments(status || 'default', documentIds); // Pass 'default' if status is undefined
 
     return {
       documents,
@@ -326,13 +881,48 @@ const getDocumentByRole = async ({ status, limit = 10, page = 1 }) => {
   }
 };
 
-const forwardDocumentStatus = async (documentId, action, role, userId, feedback, files) => {
-  try {
-    const validStatuses = ['pending', 'processing', 'digitalSignature', 'completed'];
-    const roleStatusMap = {
-      notary: ['pending', 'processing', 'digitalSignature'],
-    };
+/**
+ * Record the first approval of a document under dual control and hand it to the second reviewer, picked by routing
+ * unless the notary chose one. The status only moves on once the second notary approves it too.
+ * @param {Document} document
+ * @param {string} status
+ * @param {Object} approval - userId, role, the chosen reviewer and the uploaded output files
+ * @returns {Promise<Object>}
+ */
+const requestCountersign = async (document, status, { userId, role, reviewer, outputFiles }) => {
+  const documentId = document._id;
+  const secondReviewer = reviewer || (await pickCountersigner(document, [userId]));
+  const notaryId = secondReviewer ? secondReviewer.notaryId : null;
+  const reason = secondReviewer ? secondReviewer.reason : 'countersign: no available notary, left in the shared queue';
+
+  await Document.updateOne({ _id: documentId }, { $push: { approvals: { notaryId: userId, approvedAt: new Date() } } });
+  await assignCountersign(documentId, notaryId, userId, reason);
+  await new ApproveHistory({
+    userId,
+    documentId,
+    beforeStatus: status,
+    afterStatus: status,
+    approval: 'first',
+  }).save();
+  await recordEvent('document', documentId, 'approved', {
+    actorId: userId,
+    actorRole: role,
+    fromStatus: status,
+    toStatus: status,
+    data: { approval: 'first', reviewerId: notaryId },
+  });
+
+  return {
+    message: 'Approval recorded, waiting for a second notary to countersign',
+    documentId,
+    status,
+    reviewerId: notaryId,
+    outputFiles: outputFiles.length > 0 ? outputFiles : undefined,
+  };
+};
 
+const forwardDocumentStatus = async (documentId, action, role, userId, feedback, files, options = {}) => {
+  try {
     // Fetch current status and document
     const [currentStatus, document] = await Promise.all([
       StatusTracking.findOne({ documentId }, 'status'),
@@ -342,64 +932,91 @@ const forwardDocumentStatus = async (documentId, action, role, userId, feedback,
     if (!currentStatus) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Document status not found');
     }
-
-    // Validate role permissions
-    if (!roleStatusMap[role].includes(currentStatus.status)) {
-      throw new ApiError(httpStatus.FORBIDDEN, 'You do not have permission to access these documents');
+    if (!document) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
     }
+    checkAssignee(document, userId, role, 'document');
+
+    const workflow = await getServiceWorkflow(document.notarizationService && document.notarizationService.id);
+    const { to: newStatus } = getTransition(workflow, {
+      status: currentStatus.status,
+      action,
+      role,
+      feedback,
+      hasOutput: (files && files.length > 0) || (document.output || []).some(isCurrentOutput),
+    });
 
-    // Handle files upload if provided
-    let outputFiles = [];
-    if (files && files.length > 0) {
-      const fileUrls = await Promise.all(files.map((file) => uploadFileToFirebase(file, 'outputs', documentId)));
-
-      outputFiles = files.map((file, index) => ({
-        filename: `${Date.now()}-${file.originalname}`,
-        firebaseUrl: fileUrls[index],
-        transactionHash: null, // Reserved for future blockchain integration
-        uploadedAt: new Date(),
-      }));
-
-      await Document.findByIdAndUpdate(
-        documentId,
-        {
-          $push: {
-            output: {
-              $each: outputFiles,
-            },
-          },
-        },
-        { new: true }
-      );
+    // Under dual control a second notary has to approve the document before it collects signatures
+    const approvals = document.approvals || [];
+    const countersigned = collectsSignatures(workflow, newStatus) && (await requiresCountersign(document));
+    if (countersigned && approvals.some((approval) => String(approval.notaryId) === String(userId))) {
+      throw new ApiError(httpStatus.CONFLICT, 'You already approved this document, another notary must countersign it');
     }
-
-    // Determine new status
-    let newStatus;
-    if (action === 'accept') {
-      if (currentStatus.status === 'rejected') {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Document already been rejected');
+    const isFirstApproval = countersigned && approvals.length === 0;
+    const reviewer = isFirstApproval && options.reviewerId ? await checkReviewer(options.reviewerId, userId) : null;
+
+    // Only move the document from the status it was read in, a concurrent withdrawal or action wins otherwise.
+    // The outputs are written in the same transaction: when it fails their files are removed and the versions
+    // they replaced stay current.
+    const outputFiles = await runInTransaction(async ({ session, compensate }) => {
+      if (!isFirstApproval) {
+        const result = await StatusTracking.updateOne(
+          { documentId, status: currentStatus.status },
+          {
+            status: newStatus,
+            updatedAt: new Date(),
+            ...(feedback && { feedback }),
+          },
+          { session }
+        );
+        if (result.nModified === 0) {
+          throw new ApiError(httpStatus.CONFLICT, 'The document status changed, please try again');
+        }
       }
-      const currentStatusIndex = validStatuses.indexOf(currentStatus.status);
-
-      // Disallow forwarding from 'digitalSignature' to 'completed'
-      if (currentStatus.status === 'digitalSignature') {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot forward from digitalSignature to completed');
+      if (!files || files.length === 0) {
+        return [];
       }
 
-      newStatus = validStatuses[currentStatusIndex + 1];
+      const verdicts = await scanFiles(files, 'outputs', documentId);
+      const fileKeys = await Promise.all(
+        files.map(async (file) => {
+          const key = await uploadFile(file, 'outputs', documentId);
+          compensate(() => deleteFile(key));
+          return key;
+        })
+      );
+      const thumbnailKeys = await storeThumbnails(files, fileKeys);
+      thumbnailKeys.filter(Boolean).forEach((key) => compensate(() => deleteFile(key)));
+
+      const added = createOutputVersions(
+        document,
+        files.map((file, index) => ({
+          ...file,
+          storageKey: fileKeys[index],
+          scan: verdicts[index],
+          thumbnailKey: thumbnailKeys[index],
+        })),
+        userId,
+        options
+      );
+      document.output.push(...added);
+      await document.save({ session });
+      return added;
+    });
 
-      if (!newStatus) {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Document has already reached final status');
-      }
-    } else if (action === 'reject') {
-      if (!feedback) {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Feedback is required for rejection');
-      }
-      newStatus = 'rejected';
-    } else {
-      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid action provided');
+    if (outputFiles.length > 0) {
+      await recordEvent('document', documentId, 'outputUploaded', {
+        actorId: userId,
+        actorRole: role,
+        data: { files: outputFiles.map(describeFile), reason: options.reason || null },
+      });
+    }
+
+    if (isFirstApproval) {
+      return await requestCountersign(document, currentStatus.status, { userId, role, reviewer, outputFiles });
     }
-    if (newStatus === 'digitalSignature') {
+
+    if (collectsSignatures(workflow, newStatus)) {
       const newRequestSignature = new RequestSignature({
         documentId,
         signatureImage: null,
@@ -423,20 +1040,26 @@ const forwardDocumentStatus = async (documentId, action, role, userId, feedback,
       documentId,
       beforeStatus: currentStatus.status,
       afterStatus: newStatus,
+      ...(countersigned && { approval: 'countersign' }),
     });
     await approveHistory.save();
 
-    // Update status
-    const updateData = {
-      status: newStatus,
-      updatedAt: new Date(),
-      ...(feedback && { feedback }),
-    };
-
-    // Update status and send email
+    // Send email
     const [email] = await Promise.all([
       Document.findOne({ _id: documentId }, 'requesterInfo.email'),
-      StatusTracking.updateOne({ documentId }, updateData),
+      renewClaim('document', documentId, userId),
+      awaitsRevision(workflow, newStatus) && openRevision(documentId, userId, currentStatus.status, feedback),
+      countersigned &&
+        Document.updateOne({ _id: documentId }, { $push: { approvals: { notaryId: userId, approvedAt: new Date() } } }),
+      recordEvent('document', documentId, 'statusChanged', {
+        actorId: userId,
+        actorRole: role,
+        action,
+        fromStatus: currentStatus.status,
+        toStatus: newStatus,
+        feedback: feedback || null,
+        ...(countersigned && { data: { approval: 'countersign' } }),
+      }),
     ]);
 
     if (!email.requesterInfo.email) {
@@ -465,6 +1088,271 @@ const forwardDocumentStatus = async (documentId, action, role, userId, feedback,
   }
 };
 
+/**
+ * Take the same action on several documents of the notary queue. Each document goes through forwardDocumentStatus
+ * with its checks and emails, one after the other, and a failure only stops its own document.
+ * @param {ObjectId[]} documentIds
+ * @param {string} action
+ * @param {string} role
+ * @param {ObjectId} userId
+ * @param {string} [feedback] - Shared by every document
+ * @returns {Promise<Object>} The result of each document and the counts
+ */
+const forwardDocumentStatuses = async (documentIds, action, role, userId, feedback) => {
+  const results = await documentIds.reduce(async (previous, documentId) => {
+    const done = await previous;
+    try {
+      const result = await forwardDocumentStatus(documentId, action, role, userId, feedback);
+      return [...done, { success: true, ...result }];
+    } catch (error) {
+      const statusCode = error instanceof ApiError ? error.statusCode : httpStatus.INTERNAL_SERVER_ERROR;
+      return [...done, { documentId, success: false, statusCode, message: error.message }];
+    }
+  }, Promise.resolve([]));
+
+  const succeeded = results.filter((result) => result.success).length;
+  return {
+    action,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+};
+
+/**
+ * Send a document back to review once its requester made the changes asked of them.
+ * A file uploaded to a slot replaces the files already filling it, the replaced files are kept with the revision
+ * and the wallet copies among them are given back.
+ * @param {ObjectId} documentId
+ * @param {Object} user - The requester
+ * @param {Object} resubmitBody - note, and the slots of the uploaded files and of the resumable uploads
+ * @param {Object[]} [files]
+ * @returns {Promise<Document>}
+ */
+const resubmitDocument = async (documentId, user, resubmitBody, files = []) => {
+  const { note, fileSlots = [], uploadIds = [], uploadSlots = [] } = resubmitBody;
+  try {
+    const [currentStatus, document] = await Promise.all([
+      StatusTracking.findOne({ documentId }, 'status'),
+      Document.findById(documentId),
+    ]);
+    if (!currentStatus || !document) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+    }
+    if (String(document.userId) !== String(user.id)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Only the requester can resubmit the document');
+    }
+
+    const serviceId = document.notarizationService && document.notarizationService.id;
+    const workflow = await getServiceWorkflow(serviceId);
+    const { to: newStatus } = getTransition(workflow, {
+      status: currentStatus.status,
+      action: resubmitAction,
+      role: user.role,
+    });
+
+    const service = await NotarizationService.findById(serviceId);
+    checkSlotCodes([...fileSlots, ...uploadSlots], (service && service.documentSlots) || []);
+
+    const replacedSlots = new Set(
+      [...fileSlots.slice(0, files.length), ...uploadSlots.slice(0, uploadIds.length)].filter(Boolean)
+    );
+    const keptFiles = document.files.filter((file) => !replacedSlots.has(file.slot));
+    const replacedFiles = document.files.filter((file) => replacedSlots.has(file.slot));
+
+    const uploadPolicy = getUploadPolicy(service);
+    checkFileCount(uploadPolicy, keptFiles.length + files.length + uploadIds.length);
+    await checkFiles(uploadPolicy, files);
+
+    // The status, files, wallet copies and history are written together. The status only moves from the one read
+    // above, a concurrent withdrawal or rejection wins and the stored files are removed again.
+    const { addedFiles, walletItemsRestored } = await runInTransaction(async ({ session, compensate }) => {
+      const result = await StatusTracking.updateOne(
+        { documentId, status: currentStatus.status },
+        { $set: { status: newStatus, updatedAt: new Date() }, $unset: { feedback: 1 } },
+        { session }
+      );
+      if (result.nModified === 0) {
+        throw new ApiError(httpStatus.CONFLICT, 'The document status changed, please try again');
+      }
+
+      const added = [];
+      if (files.length > 0) {
+        const verdicts = await scanFiles(files, 'documents', documentId);
+        const fileKeys = await Promise.all(
+          files.map(async (file) => {
+            const key = await uploadFile(file, 'documents', documentId);
+            compensate(() => deleteFile(key));
+            return key;
+          })
+        );
+        const thumbnailKeys = await storeThumbnails(files, fileKeys);
+        thumbnailKeys.filter(Boolean).forEach((key) => compensate(() => deleteFile(key)));
+        added.push(
+          ...files.map((file, index) => ({
+            filename: `${file.originalname}`,
+            storageKey: fileKeys[index],
+            ...getFileMetadata(file),
+            scan: verdicts[index],
+            thumbnailKey: thumbnailKeys[index],
+            slot: fileSlots[index] || null,
+          }))
+        );
+        document.ocr = await checkRequesterInfo(files, document.requesterInfo);
+      }
+      if (uploadIds.length > 0) {
+        const claimedFiles = await claimUploads(uploadIds, user.id, uploadPolicy, session);
+        added.push(...claimedFiles.map((file, index) => ({ ...file, slot: uploadSlots[index] || null })));
+      }
+
+      const revision = [...document.revisions].reverse().find((item) => !item.resubmittedAt);
+      if (revision) {
+        revision.resubmittedAt = new Date();
+        revision.note = note || null;
+        revision.addedFiles = added.map((file) => file.filename);
+        revision.replacedFiles = replacedFiles.map((file) => (file.toObject ? file.toObject() : file));
+      }
+      document.files = [...keptFiles, ...added];
+      await document.save({ session });
+      const restored = await userWalletService.restoreNFTAmount(document.userId, getWalletItemIds(replacedFiles), session);
+
+      await new ApproveHistory({
+        userId: user.id,
+        documentId,
+        beforeStatus: currentStatus.status,
+        afterStatus: newStatus,
+      }).save({ session });
+
+      return { addedFiles: added, walletItemsRestored: restored };
+    });
+
+    await recordEvent('document', documentId, 'statusChanged', {
+      actorId: user.id,
+      actorRole: user.role,
+      action: resubmitAction,
+      fromStatus: currentStatus.status,
+      toStatus: newStatus,
+      data: {
+        note: note || null,
+        addedFiles: addedFiles.map(describeFile),
+        replacedFiles: replacedFiles.map(describeFile),
+        walletItemsRestored,
+      },
+    });
+
+    await emailService.sendDocumentStatusUpdateEmail(
+      document.requesterInfo.email,
+      documentId,
+      currentStatus.status,
+      newStatus
+    );
+
+    return document;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error resubmitting document:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to resubmit document');
+  }
+};
+
+/**
+ * Let the requester cancel a document before it is signed. Pending payments are cancelled, the wallet copies
+ * used by its files are given back and the notary holding it is told.
+ * @param {ObjectId} documentId
+ * @param {Object} user - The requester
+ * @param {string} reason
+ * @returns {Promise<Object>}
+ */
+const withdrawDocument = async (documentId, user, reason) => {
+  try {
+    const [currentStatus, document] = await Promise.all([
+      StatusTracking.findOne({ documentId }, 'status'),
+      Document.findById(documentId),
+    ]);
+    if (!currentStatus || !document) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+    }
+    if (String(document.userId) !== String(user.id)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Only the requester can withdraw the document');
+    }
+
+    const workflow = await getServiceWorkflow(document.notarizationService && document.notarizationService.id);
+    const { to: newStatus } = getTransition(workflow, {
+      status: currentStatus.status,
+      action: withdrawAction,
+      role: user.role,
+      feedback: reason,
+    });
+
+    // Only the request that moves the document out of its status gives back the payments and wallet copies
+    const result = await StatusTracking.updateOne(
+      { documentId, status: currentStatus.status },
+      { $set: { status: newStatus, updatedAt: new Date(), feedback: reason } }
+    );
+    if (result.nModified === 0) {
+      throw new ApiError(httpStatus.CONFLICT, 'The document status changed, please try again');
+    }
+
+    await new ApproveHistory({
+      userId: user.id,
+      documentId,
+      beforeStatus: currentStatus.status,
+      afterStatus: newStatus,
+      reason,
+    }).save();
+
+    const paymentsCancelled = await cancelPendingPayments({ documentId }, reason);
+    // Wallet copies of the files replaced during revisions were given back when they were replaced
+    const walletItemsRestored = await userWalletService.restoreNFTAmount(document.userId, getWalletItemIds(document.files));
+    await recordEvent('document', documentId, 'statusChanged', {
+      actorId: user.id,
+      actorRole: user.role,
+      action: withdrawAction,
+      fromStatus: currentStatus.status,
+      toStatus: newStatus,
+      feedback: reason,
+      data: { paymentsCancelled, walletItemsRestored },
+    });
+
+    const notaryId = document.assignment && document.assignment.notaryId;
+    const notary = notaryId ? await User.findById(notaryId) : null;
+    await Promise.all([
+      emailService.sendDocumentStatusUpdateEmail(
+        document.requesterInfo.email,
+        documentId,
+        currentStatus.status,
+        newStatus,
+        reason
+      ),
+      notary &&
+        notary.email &&
+        emailService.sendCaseWithdrawnEmail(notary.email, {
+          caseType: 'document',
+          caseId: documentId,
+          withdrawnBy: document.requesterInfo.fullName,
+          reason,
+        }),
+    ]).catch((error) => console.error('Error sending withdrawal emails:', error.message));
+
+    return {
+      message: `Document status updated to ${newStatus}`,
+      documentId,
+      status: newStatus,
+      paymentsCancelled,
+      walletItemsRestored,
+    };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error withdrawing document:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to withdraw document');
+  }
+};
+
 const getApproveHistory = async (userId) => {
   try {
     const history = await ApproveHistory.aggregate([
@@ -489,6 +1377,8 @@ const getApproveHistory = async (userId) => {
           createdDate: 1,
           beforeStatus: 1,
           afterStatus: 1,
+          approval: 1,
+          reason: 1,
           document: 1,
         },
       },
@@ -501,11 +1391,15 @@ const getApproveHistory = async (userId) => {
       throw new ApiError(httpStatus.NOT_FOUND, 'No approval history found for this user.');
     }
 
+    const notary = await findNotaryCard(userId);
     return history.map((record) => ({
       _id: record._id,
+      notary,
       createdDate: record.createdDate,
       beforeStatus: record.beforeStatus,
       status: record.afterStatus,
+      approval: record.approval || null,
+      reason: record.reason || null,
       documentId: {
         id: record.document._id,
         ...record.document,
@@ -574,9 +1468,13 @@ const approveSignatureByUser = async (documentId, signatureImage) => {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid document ID');
     }
 
-    const statusTracking = await StatusTracking.findOne({ documentId });
-    // Check if the document is in the correct status
-    if (statusTracking.status !== 'digitalSignature') {
+    const [statusTracking, document] = await Promise.all([
+      StatusTracking.findOne({ documentId }),
+      Document.findById(documentId),
+    ]);
+    // Check if the document is in a status that collects signatures
+    const workflow = await getServiceWorkflow(document && document.notarizationService && document.notarizationService.id);
+    if (!collectsSignatures(workflow, statusTracking.status)) {
       throw new ApiError(httpStatus.CONFLICT, 'Document is not ready for digital signature');
     }
 
@@ -590,8 +1488,7 @@ const approveSignatureByUser = async (documentId, signatureImage) => {
     }
 
     if (signatureImage) {
-      const signatureImageUrl = await uploadFileToFirebase(signatureImage, 'signatures', documentId);
-      requestSignature.signatureImage = signatureImageUrl;
+      requestSignature.signatureImage = await uploadFile(signatureImage, 'signatures', documentId);
     }
 
     requestSignature.approvalStatus.user = {
@@ -600,6 +1497,11 @@ const approveSignatureByUser = async (documentId, signatureImage) => {
     };
 
     await requestSignature.save();
+    await recordEvent('document', documentId, 'signed', {
+      actorId: document.userId,
+      actorRole: 'user',
+      data: { signatureImage: Boolean(signatureImage) },
+    });
 
     return {
       message: 'User approved and signed the document successfully',
@@ -614,7 +1516,7 @@ const approveSignatureByUser = async (documentId, signatureImage) => {
   }
 };
 
-const approveSignatureByNotary = async (documentId, userId) => {
+const approveSignatureByNotary = async (documentId, userId, role) => {
   try {
     if (!ObjectId.isValid(documentId)) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid document ID');
@@ -628,10 +1530,19 @@ const approveSignatureByNotary = async (documentId, userId) => {
     if (!statusTracking) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Status tracking not found');
     }
-    if (statusTracking.status !== 'digitalSignature') {
-      throw new ApiError(httpStatus.CONFLICT, 'Document is not ready for digital signature');
+
+    // Retrieve document
+    const document = await Document.findById(documentId);
+    if (!document) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
     }
 
+    checkAssignee(document, userId, role, 'document');
+
+    const workflow = await getServiceWorkflow(document.notarizationService && document.notarizationService.id);
+    const beforeStatus = statusTracking.status;
+    const { to: afterStatus } = getTransition(workflow, { status: beforeStatus, action: 'sign', role });
+
     // Verify signature request
     const requestSignature = await RequestSignature.findOne({ documentId });
     if (!requestSignature) {
@@ -640,133 +1551,194 @@ const approveSignatureByNotary = async (documentId, userId) => {
     if (!requestSignature.approvalStatus.user.approved) {
       throw new ApiError(httpStatus.CONFLICT, 'User has not approved the document yet');
     }
-
-    // Retrieve document
-    const document = await Document.findById(documentId);
-    if (!document) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
-    }
     if (document.payment) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Document has already been paid');
     }
 
-    // Mint NFTs for output files
-    if (document.output && Array.isArray(document.output)) {
-      console.log(`document.output exists and is an array with length: ${document.output.length}`);
-      if (document.output.length > 0) {
-        for (const outputFile of document.output) {
-          if (!outputFile.filename) {
-            throw new ApiError(httpStatus.BAD_REQUEST, 'Output file filename is missing');
-          }
-          // Download file from storage
-          const fileBuffer = await downloadFile(outputFile.firebaseUrl);
-          if (!fileBuffer) {
-            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to download file');
-          }
-          // Upload to IPFS
-          const ipfsUrl = await uploadToIPFS(fileBuffer, outputFile.filename);
-          if (!ipfsUrl) {
-            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload to IPFS');
-          }
-
-          // Mint NFT
-          const nftData = await mintDocumentNFT(ipfsUrl);
-          if (!nftData || !nftData.transactionHash) {
-            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to mint NFT');
-          }
-          const transactionData = await getTransactionData(nftData.transactionHash);
-          if (!transactionData || !transactionData.transactionHash) {
-            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to retrieve transaction data');
-          }
+    // Mints, wallet items, payment, status and approvals are kept only if every step succeeds. Pins, mints and the
+    // payment link live outside the database, they are undone by compensation when a later step fails.
+    const mints = [];
+    const { payment, paymentLinkResponse } = await runInTransaction(async ({ session, compensate }) => {
+      // Mint NFTs for the current version of each output file
+      if (document.output && Array.isArray(document.output)) {
+        const currentOutputs = document.output.filter(isCurrentOutput);
+        if (currentOutputs.length > 0) {
+          await currentOutputs.reduce(async (previous, outputFile) => {
+            await previous;
+            if (!outputFile.filename) {
+              throw new ApiError(httpStatus.BAD_REQUEST, 'Output file filename is missing');
+            }
+            // Download file from storage
+            const fileBuffer = await downloadFile(outputFile.storageKey);
+            if (!fileBuffer) {
+              throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to download file');
+            }
+            // Make sure the file about to be minted is the one the notary uploaded
+            const sha256 = hashBuffer(fileBuffer);
+            if (outputFile.sha256 && outputFile.sha256 !== sha256) {
+              throw new ApiError(httpStatus.CONFLICT, `Output file ${outputFile.filename} does not match its recorded hash`);
+            }
+            outputFile.set('sha256', sha256);
+
+            // Upload the file and its metadata to IPFS
+            // The pin of an amendment names the original document it amends
+            const amendsKeyvalue = document.amends && { amends: String(document.amends) };
+            // Content pinned before, e.g. the same file in another document, keeps its pin if this approval fails
+            const filePin = await uploadToIPFS(fileBuffer, outputFile.filename, { sha256, ...amendsKeyvalue });
+            if (!filePin || !filePin.uri) {
+              throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload to IPFS');
+            }
+            const fileURI = filePin.uri;
+            if (!filePin.isDuplicate) {
+              compensate(() => unpinFromIPFS(fileURI));
+            }
+            const metadataPin = await uploadMetadataToIPFS(fileURI, {
+              name: outputFile.filename,
+              sha256,
+              mimeType: outputFile.mimeType,
+              documentId: String(document._id),
+              ...amendsKeyvalue,
+            });
+            const tokenURI = metadataPin.uri;
+            if (!metadataPin.isDuplicate) {
+              compensate(() => unpinFromIPFS(tokenURI));
+            }
+
+            // Mint NFT
+            const nftData = await mintDocumentNFT(tokenURI);
+            if (!nftData || !nftData.transactionHash) {
+              throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to mint NFT');
+            }
+            compensate(async () => {
+              const { tokenId } = await getTransactionData(nftData.transactionHash);
+              await voidDocumentNFT(tokenId);
+            });
+            const transactionData = await getTransactionData(nftData.transactionHash);
+            if (!transactionData || !transactionData.transactionHash) {
+              throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to retrieve transaction data');
+            }
+
+            // Update output file with transaction details
+            outputFile.set('transactionHash', transactionData.transactionHash);
+            mints.push({ outputFile, transactionData });
+
+            await userWalletService.addNFTToWallet(
+              document.userId,
+              {
+                transactionHash: transactionData.transactionHash,
+                filename: outputFile.filename,
+                amount: document.amount,
+                tokenId: transactionData.tokenId,
+                tokenURI: transactionData.tokenURI,
+                fileURI,
+                contractAddress: transactionData.contractAddress,
+                thumbnailKey: outputFile.thumbnailKey,
+                documentId: document._id,
+                amends: document.amends || null,
+              },
+              session
+            );
+          }, Promise.resolve());
 
-          // Update output file with transaction details
-          outputFile.transactionHash = transactionData.transactionHash;
-
-          console.log('Adding NFT to wallet with data:', {
-            transactionHash: transactionData.transactionHash,
-            filename: outputFile.filename,
-            amount: document.amount,
-            tokenId: transactionData.tokenId,
-            tokenURI: transactionData.tokenURI,
-            contractAddress: transactionData.contractAddress,
-          });
-
-          await userWalletService.addNFTToWallet(document.userId, {
-            transactionHash: transactionData.transactionHash,
-            filename: outputFile.filename,
-            amount: document.amount,
-            tokenId: transactionData.tokenId,
-            tokenURI: transactionData.tokenURI,
-            contractAddress: transactionData.contractAddress,
-          });
+          // Save updated document
+          await document.save({ session });
         }
-
-        // Save updated document
-        await document.save();
+      } else {
+        console.warn('document.output is undefined or not an array');
       }
-    } else {
-      console.warn('document.output is undefined or not an array');
-    }
-
-    // Create payment
-    const payment = new Payment({
-      orderCode: generateOrderCode(),
-      amount: document.notarizationService.price * document.amount,
-      description: `${document._id}`,
-      returnUrl: `${process.env.SERVER_URL}/success.html`,
-      cancelUrl: `${process.env.SERVER_URL}/cancel.html`,
-      userId: document.userId,
-      documentId,
-      serviceId: document.notarizationService.id,
-      fieldId: document.notarizationField.id,
-    });
 
-    await payment.save();
+      // Create payment
+      const newPayment = new Payment({
+        orderCode: generateOrderCode(),
+        amount: document.notarizationService.price * document.amount,
+        description: `${document._id}`,
+        returnUrl: `${process.env.SERVER_URL}/success.html`,
+        cancelUrl: `${process.env.SERVER_URL}/cancel.html`,
+        userId: document.userId,
+        documentId,
+        serviceId: document.notarizationService.id,
+        fieldId: document.notarizationField.id,
+      });
 
-    // Generate payment link
-    const paymentLinkResponse = await payOS.createPaymentLink({
-      orderCode: payment.orderCode,
-      amount: payment.amount,
-      description: payment.description,
-      returnUrl: payment.returnUrl,
-      cancelUrl: payment.cancelUrl,
-    });
+      await newPayment.save({ session });
 
-    payment.checkoutUrl = paymentLinkResponse.checkoutUrl;
-    await payment.save();
+      // Generate payment link
+      const linkResponse = await payOS.createPaymentLink({
+        orderCode: newPayment.orderCode,
+        amount: newPayment.amount,
+        description: newPayment.description,
+        returnUrl: newPayment.returnUrl,
+        cancelUrl: newPayment.cancelUrl,
+      });
+      compensate(() => payOS.cancelPaymentLink(newPayment.orderCode, 'Notary signature failed'));
 
-    // Update status tracking
-    statusTracking.status = 'completed';
-    statusTracking.updatedAt = new Date();
-    await statusTracking.save();
+      newPayment.checkoutUrl = linkResponse.checkoutUrl;
+      await newPayment.save({ session });
 
-    // Record approval history
-    const approveHistory = new ApproveHistory({
-      userId,
-      documentId,
-      beforeStatus: 'digitalSignature',
-      afterStatus: 'completed',
-    });
-
-    // Update request approval status
-    requestSignature.approvalStatus.notary = {
-      approved: true,
-      approvedAt: new Date(),
-    };
+      // Update status tracking
+      statusTracking.status = afterStatus;
+      statusTracking.updatedAt = new Date();
+      await statusTracking.save({ session });
 
-    const userEmail = document.requesterInfo.email;
+      // Record approval history
+      await new ApproveHistory({
+        userId,
+        documentId,
+        beforeStatus,
+        afterStatus,
+      }).save({ session });
+
+      // Update request approval status
+      requestSignature.approvalStatus.notary = {
+        approved: true,
+        approvedAt: new Date(),
+      };
+      await requestSignature.save({ session });
 
-    // Send payment email
-    await emailService.sendPaymentEmail(userEmail, documentId, paymentLinkResponse);
+      return { payment: newPayment, paymentLinkResponse: linkResponse };
+    });
 
-    // Send document status update email
-    await emailService.sendDocumentStatusUpdateEmail(userEmail, documentId, 'digitalSignature', 'completed');
+    await mints.reduce(async (previous, { outputFile, transactionData }) => {
+      await previous;
+      await recordEvent('document', documentId, 'minted', {
+        actorId: userId,
+        actorRole: role,
+        data: {
+          file: describeFile(outputFile),
+          transactionHash: transactionData.transactionHash,
+          tokenId: transactionData.tokenId,
+          amount: document.amount,
+        },
+      });
+    }, Promise.resolve());
+    await recordEvent('document', documentId, 'paymentCreated', {
+      actorId: userId,
+      actorRole: role,
+      data: { paymentId: payment._id, orderCode: payment.orderCode, amount: payment.amount },
+    });
+    await recordEvent('document', documentId, 'signed', { actorId: userId, actorRole: role });
+    await recordEvent('document', documentId, 'statusChanged', {
+      actorId: userId,
+      actorRole: role,
+      action: 'sign',
+      fromStatus: beforeStatus,
+      toStatus: afterStatus,
+    });
 
-    // Save approve history
-    await approveHistory.save();
+    if (document.amends && mints.length > 0) {
+      const original = await Document.findById(document.amends, 'output');
+      const originalHashes = ((original && original.output) || []).map((output) => output.transactionHash).filter(Boolean);
+      await userWalletService
+        .linkAmendment(originalHashes, document._id)
+        .catch((error) => console.error('Error linking amendment in wallets:', error.message));
+    }
 
-    // Save request signature
-    await requestSignature.save();
+    // The signature is committed, a failed email does not undo it
+    const userEmail = document.requesterInfo.email;
+    await Promise.all([
+      emailService.sendPaymentEmail(userEmail, documentId, paymentLinkResponse),
+      emailService.sendDocumentStatusUpdateEmail(userEmail, documentId, beforeStatus, afterStatus),
+    ]).catch((error) => console.error('Error sending signature emails:', error.message));
 
     return {
       message: 'Notary approved and minted NFTs successfully',
@@ -781,6 +1753,13 @@ const approveSignatureByNotary = async (documentId, userId) => {
   }
 };
 
+// A routing failure leaves the document in the shared queue, it must not undo the verification
+const routeVerifiedDocument = (document) =>
+  routeDocument(document).catch((error) => {
+    console.error(`Error routing document ${document._id}:`, error.message);
+    return null;
+  });
+
 const autoVerifyDocument = async () => {
   try {
     const oneMinuteAgo = new Date(Date.now() - 1 * 60 * 1000);
@@ -788,7 +1767,7 @@ const autoVerifyDocument = async () => {
     const pendingDocuments = await StatusTracking.aggregate([
       {
         $match: {
-          status: 'pending',
+          status: initialState,
           updatedAt: { $lt: oneMinuteAgo },
         },
       },
@@ -803,52 +1782,76 @@ const autoVerifyDocument = async () => {
       { $unwind: '$documentInfo' },
     ]);
 
+    const loadWorkflow = createWorkflowLoader();
+
     const updatePromises = pendingDocuments.map(async (tracking) => {
       const document = tracking.documentInfo;
 
+      // Workflows without a verify step leave every document to the notary
+      const workflow = await loadWorkflow(document.notarizationService && document.notarizationService.id);
+      const systemActions = getAvailableActions(workflow, initialState, systemRole);
+      const verify = systemActions.find((transition) => transition.action === 'verify');
+      if (!verify) {
+        return null;
+      }
+
       // Check if any file URL contains IPFS gateway
       const hasIPFSFile = document.files.some((file) => file.firebaseUrl?.includes('https://gateway.pinata.cloud/ipfs/'));
 
-      // If has IPFS file, automatically move to processing
+      // If has IPFS file, automatically verify it
       if (hasIPFSFile) {
         await StatusTracking.updateOne(
           { _id: tracking._id },
           {
             $set: {
-              status: 'processing',
+              status: verify.to,
               updatedAt: new Date(),
             },
           }
         );
 
-        emailService.sendDocumentStatusUpdateEmail(document.requesterInfo.email, document._id, 'pending', 'processing');
+        emailService.sendDocumentStatusUpdateEmail(document.requesterInfo.email, document._id, initialState, verify.to);
 
         await new ApproveHistory({
           userId: null,
           documentId: document._id,
-          beforeStatus: 'pending',
-          afterStatus: 'processing',
+          beforeStatus: initialState,
+          afterStatus: verify.to,
           createdDate: new Date(),
         }).save();
+        await recordEvent('document', document._id, 'statusChanged', {
+          actorRole: systemRole,
+          action: verify.action,
+          fromStatus: initialState,
+          toStatus: verify.to,
+          feedback: 'IPFS files detected',
+        });
+        await routeVerifiedDocument(document);
 
         return {
           documentId: document._id,
-          status: 'processing',
+          status: verify.to,
         };
       }
 
-      // Normal verification flow for non-IPFS files
-      if (!document?.notarizationService?.required_documents) {
+      // Normal verification flow for non-IPFS files, documents submitted before slots existed are left to the notary
+      if (!document?.notarizationService?.documentSlots) {
         console.log(`Document ${tracking._id} lacks notarization requirements`);
         return null;
       }
 
-      const requiredDocs = document.notarizationService.required_documents;
-      const existingFileNames = document.files.map((file) => file.filename);
-
-      const missingDocs = requiredDocs.filter((reqDoc) => !existingFileNames.some((filename) => filename.includes(reqDoc)));
+      const missingDocs = getMissingSlots(document.notarizationService.documentSlots, document.files);
+      const feedback = missingDocs.length > 0 ? `Missing documents: ${missingDocs.join(', ')}` : undefined;
 
-      const newStatus = missingDocs.length === 0 ? 'processing' : 'rejected';
+      // Missing documents are asked of the requester when the workflow allows it, the document is rejected otherwise
+      const transition = feedback
+        ? systemActions.find(({ to }) => awaitsRevision(workflow, to)) ||
+          systemActions.find(({ action }) => action === 'reject')
+        : verify;
+      if (!transition) {
+        return null;
+      }
+      const newStatus = transition.to;
 
       await StatusTracking.updateOne(
         { _id: tracking._id },
@@ -856,7 +1859,7 @@ const autoVerifyDocument = async () => {
           $set: {
             status: newStatus,
             updatedAt: new Date(),
-            feedback: missingDocs.length > 0 ? `Missing documents: ${missingDocs.join(', ')}` : undefined,
+            feedback,
           },
         }
       );
@@ -864,18 +1867,30 @@ const autoVerifyDocument = async () => {
       emailService.sendDocumentStatusUpdateEmail(
         document.requesterInfo.email,
         document._id,
-        'pending',
+        initialState,
         newStatus,
-        missingDocs.length > 0 ? `Missing documents: ${missingDocs.join(', ')}` : undefined
+        feedback
       );
 
       await new ApproveHistory({
         userId: null,
         documentId: document._id,
-        beforeStatus: 'pending',
+        beforeStatus: initialState,
         afterStatus: newStatus,
         createdDate: new Date(),
       }).save();
+      await recordEvent('document', document._id, 'statusChanged', {
+        actorRole: systemRole,
+        action: transition.action,
+        fromStatus: initialState,
+        toStatus: newStatus,
+        feedback: feedback || null,
+      });
+      if (transition === verify) {
+        await routeVerifiedDocument(document);
+      } else if (awaitsRevision(workflow, newStatus)) {
+        await openRevision(document._id, null, initialState, feedback);
+      }
 
       return {
         documentId: document._id,
@@ -894,7 +1909,39 @@ const autoVerifyDocument = async () => {
   }
 };
 
-const getDocumentById = async (documentId) => {
+const getDocumentBundle = async (documentId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid document ID');
+  }
+
+  const document = await Document.findById(documentId);
+  if (!document) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+  }
+
+  if (user.role === 'user' && document.userId.toString() !== user.id.toString()) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'User does not have access to this document');
+  }
+
+  const service = await NotarizationService.findById(document.notarizationService.id);
+  const { requesterInfo } = document;
+
+  return getBundle(document, 'documents', {
+    title: `Notarization request ${document._id}`,
+    details: [
+      ['Service', document.notarizationService.name],
+      ['Requester', requesterInfo.fullName],
+      ['Citizen ID', requesterInfo.citizenId],
+      ['Phone number', requesterInfo.phoneNumber],
+      ['Email', requesterInfo.email],
+      ['Copies', document.amount],
+      ['Submitted at', document.createdAt && document.createdAt.toISOString()],
+    ],
+    requiredDocuments: service ? service.required_documents : [],
+  });
+};
+
+const getDocumentById = async (documentId, user) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(documentId)) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid document ID');
@@ -934,13 +1981,43 @@ const getDocumentById = async (documentId) => {
           signature: { $arrayElemAt: ['$signature', 0] },
         },
       },
+      ...(user && user.role === 'admin' ? [] : [currentOutputStage]),
     ]);
 
     if (!document || document.length === 0) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
     }
 
-    return document[0];
+    const [result] = document;
+    if (result.draft && (!user || String(result.userId) !== String(user.id))) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+    }
+    result.requiredDocuments = getSlotStatus(
+      result.notarizationService && result.notarizationService.documentSlots,
+      result.files
+    );
+    if (user && result.status) {
+      const workflow = await getServiceWorkflow(result.notarizationService && result.notarizationService.id);
+      result.availableActions = getAvailableActions(workflow, result.status.status, user.role);
+    }
+    result.files = await withThumbnailUrls(result.files);
+    result.output = await withThumbnailUrls(result.output);
+    if (result.amends) {
+      result.original = await describeOriginal(result.amends);
+    }
+    delete result.bundle;
+    if (!user || user.role === 'user') {
+      delete result.ocr;
+    }
+    // Notaries get a single PDF of every submitted file along with the document detail
+    if (user && user.role !== 'user' && result.files && result.files.length > 0) {
+      result.bundle = await getDocumentBundle(documentId, user).catch((error) => {
+        console.error('Error preparing document bundle:', error.message);
+        return null;
+      });
+    }
+
+    return result;
   } catch (error) {
     if (error instanceof ApiError) {
       throw error;
@@ -950,14 +2027,75 @@ const getDocumentById = async (documentId) => {
   }
 };
 
+const findDocumentFile = async (documentId, fileId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(documentId) || !mongoose.Types.ObjectId.isValid(fileId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid document ID or file ID');
+  }
+
+  const document = await Document.findById(documentId);
+  if (!document) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+  }
+
+  if (user.role === 'user' && document.userId.toString() !== user.id.toString()) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'User does not have access to this document');
+  }
+
+  const file = document.files.id(fileId) || document.output.id(fileId);
+  if (!file || (!isCurrentOutput(file) && user.role !== 'admin')) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'File not found');
+  }
+
+  return file;
+};
+
+const getDocumentFile = async (documentId, fileId, user) => {
+  const file = await findDocumentFile(documentId, fileId, user);
+
+  // Files taken from the user wallet are already public on IPFS
+  if (!file.storageKey) {
+    return { filename: file.filename, url: file.firebaseUrl, expiresAt: null };
+  }
+
+  const { url, expiresAt } = await getSignedUrl(file.storageKey);
+  return { filename: file.filename, url, expiresAt };
+};
+
+const verifyDocumentFile = async (documentId, fileId, user) => {
+  const file = await findDocumentFile(documentId, fileId, user);
+
+  if (!file.storageKey || !file.sha256) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'File has no recorded hash to verify against');
+  }
+
+  const { valid, sha256, size } = await verifyFile(file.storageKey, file.sha256);
+  return {
+    filename: file.filename,
+    valid,
+    expectedSha256: file.sha256,
+    actualSha256: sha256,
+    expectedSize: file.size,
+    actualSize: size,
+    verifiedAt: new Date(),
+  };
+};
+
 module.exports = {
-  uploadFileToFirebase,
   createDocument,
   createStatusTracking,
+  getDrafts,
+  addDraftFiles,
+  removeDraftFile,
+  discardDraft,
+  submitDraft,
+  createAmendment,
   getHistoryByUserId,
   getDocumentStatus,
   getDocumentByRole,
   forwardDocumentStatus,
+  forwardDocumentStatuses,
+  resubmitDocument,
+  withdrawDocument,
   getApproveHistory,
   getAllNotarizations,
   approveSignatureByUser,
@@ -965,4 +2103,7 @@ module.exports = {
   getHistoryWithStatus,
   autoVerifyDocument,
   getDocumentById,
+  getDocumentFile,
+  verifyDocumentFile,
+  getDocumentBundle,
 };
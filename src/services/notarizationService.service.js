@@ -1,5 +1,5 @@
 const httpStatus = require('http-status');
-const { NotarizationService, NotarizationField } = require('../models');
+const { NotarizationService, NotarizationField, Workflow } = require('../models');
 const ApiError = require('../utils/ApiError');
 
 const createNotarizationService = async (notarizationServiceBody) => {
@@ -12,6 +12,10 @@ const createNotarizationService = async (notarizationServiceBody) => {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid fieldId provided');
     }
 
+    if (notarizationServiceBody.workflowId && !(await Workflow.findById(notarizationServiceBody.workflowId))) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid workflowId provided');
+    }
+
     return await NotarizationService.create(notarizationServiceBody);
   } catch (error) {
     if (error instanceof ApiError) {
@@ -66,7 +70,15 @@ const updateNotarizationServiceById = async (serviceId, updateBody) => {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid fieldId provided');
     }
 
-    Object.assign(service, updateBody);
+    if (updateBody.workflowId && !(await Workflow.findById(updateBody.workflowId))) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid workflowId provided');
+    }
+
+    const { uploadPolicy, dualControl, ...fields } = updateBody;
+    Object.assign(service, fields);
+    // Only the given rules of the upload policy and of dual control are changed
+    Object.entries(uploadPolicy || {}).forEach(([rule, value]) => service.set(`uploadPolicy.${rule}`, value));
+    Object.entries(dualControl || {}).forEach(([rule, value]) => service.set(`dualControl.${rule}`, value));
     await service.save();
     return service;
   } catch (error) {
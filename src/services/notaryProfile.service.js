@@ -0,0 +1,211 @@
+const httpStatus = require('http-status');
+const { User, NotaryProfile, NotaryRouting } = require('../models');
+const ApiError = require('../utils/ApiError');
+
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Day of the week and HH:mm time of a date in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{day: number, time: string}}
+ */
+const getLocalTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((item) => item.type === type).value;
+  return { day: weekdays.indexOf(part('weekday')), time: `${part('hour')}:${part('minute')}` };
+};
+
+/**
+ * Whether the leave and working hours of the notary let them take cases at a given time
+ * @param {Object} profile
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+const isAvailableAt = (profile, date = new Date()) => {
+  const availability = (profile && profile.availability) || {};
+  if (availability.unavailableUntil && new Date(availability.unavailableUntil) > date) {
+    return false;
+  }
+  if (!availability.workingHours || availability.workingHours.length === 0) {
+    return true;
+  }
+
+  const { day, time } = getLocalTime(date, availability.timezone || 'Asia/Ho_Chi_Minh');
+  return availability.workingHours.some((slot) => slot.day === day && slot.start <= time && time < slot.end);
+};
+
+const checkWorkingHours = (availability) => {
+  if (availability && availability.workingHours && availability.workingHours.some((slot) => slot.start >= slot.end)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Working hours must end after they start');
+  }
+};
+
+const checkLicenseNumber = async (licenseNumber, excludeNotaryId) => {
+  if (!licenseNumber) {
+    return;
+  }
+  const taken = await NotaryProfile.findOne({ licenseNumber, notaryId: { $ne: excludeNotaryId } });
+  if (taken) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'License number already taken');
+  }
+};
+
+/**
+ * Create the profile of a notary
+ * @param {Object} profileBody
+ * @returns {Promise<NotaryProfile>}
+ */
+const createNotaryProfile = async (profileBody) => {
+  try {
+    const notary = await User.findById(profileBody.notaryId);
+    if (!notary || notary.role !== 'notary') {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Profiles can only be created for notaries');
+    }
+    if (await NotaryProfile.findOne({ notaryId: profileBody.notaryId })) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'The notary already has a profile');
+    }
+    await checkLicenseNumber(profileBody.licenseNumber);
+    checkWorkingHours(profileBody.availability);
+
+    return await NotaryProfile.create(profileBody);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error creating notary profile:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to create notary profile');
+  }
+};
+
+/**
+ * Query for notary profiles
+ * @param {Object} filter
+ * @param {ObjectId} [filter.specialization] - Only the notaries routed cases of this notarization field
+ * @param {Object} options - Query options, see the paginate plugin
+ * @returns {Promise<QueryResult>}
+ */
+const queryNotaryProfiles = async ({ specialization, ...filter }, options) => {
+  const routings = specialization ? await NotaryRouting.find({ fields: specialization }, 'notaryId') : null;
+  const query = routings ? { ...filter, notaryId: { $in: routings.map((routing) => routing.notaryId) } } : filter;
+  const profiles = await NotaryProfile.paginate(query, options);
+  return profiles;
+};
+
+const getNotaryProfile = async (notaryId) => {
+  const profile = await NotaryProfile.findOne({ notaryId });
+  if (!profile) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Notary profile not found');
+  }
+  return profile;
+};
+
+/**
+ * Update the profile of a notary, nested availability settings replace the stored ones
+ * @param {ObjectId} notaryId
+ * @param {Object} updateBody
+ * @returns {Promise<NotaryProfile>}
+ */
+const updateNotaryProfile = async (notaryId, updateBody) => {
+  const profile = await getNotaryProfile(notaryId);
+  await checkLicenseNumber(updateBody.licenseNumber, notaryId);
+  checkWorkingHours(updateBody.availability);
+
+  Object.assign(profile, updateBody);
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Notaries change their own availability without touching the rest of the profile
+ * @param {ObjectId} notaryId
+ * @param {Object} availabilityBody
+ * @param {boolean} [availabilityBody.available] - Whether the notary takes cases at all, stored in their routing
+ * @returns {Promise<NotaryProfile>}
+ */
+const updateAvailability = async (notaryId, { available, ...availabilityBody }) => {
+  const profile = await getNotaryProfile(notaryId);
+  checkWorkingHours(availabilityBody);
+
+  if (available !== undefined) {
+    await NotaryRouting.updateOne({ notaryId }, { $set: { available } });
+  }
+
+  Object.keys(availabilityBody).forEach((key) => {
+    profile.availability[key] = availabilityBody[key];
+  });
+  await profile.save();
+  return profile;
+};
+
+const deleteNotaryProfile = async (notaryId) => {
+  const profile = await getNotaryProfile(notaryId);
+  await profile.remove();
+  return profile;
+};
+
+/**
+ * Ids of the notaries whose profile says they do not take cases right now, notaries without a profile are not listed
+ * @param {ObjectId[]} notaryIds
+ * @param {Date} [date]
+ * @returns {Promise<Set<string>>}
+ */
+const getUnavailableNotaryIds = async (notaryIds, date = new Date()) => {
+  const profiles = await NotaryProfile.find({ notaryId: { $in: notaryIds } });
+  return new Set(profiles.filter((profile) => !isAvailableAt(profile, date)).map((profile) => String(profile.notaryId)));
+};
+
+/**
+ * Public card of a notary, what requesters get to see
+ * @param {ObjectId} notaryId
+ * @returns {Promise<Object|null>} null when the notary has no profile
+ */
+const findNotaryCard = async (notaryId) => {
+  const [profile, notary, routing] = await Promise.all([
+    NotaryProfile.findOne({ notaryId }),
+    User.findById(notaryId),
+    NotaryRouting.findOne({ notaryId }).populate('fields', 'name'),
+  ]);
+  if (!profile) {
+    return null;
+  }
+
+  const now = new Date();
+  return {
+    notaryId,
+    name: notary ? notary.name : null,
+    licenseNumber: profile.licenseNumber,
+    licenseValid: !profile.licenseExpiresAt || new Date(profile.licenseExpiresAt) > now,
+    office: profile.office,
+    specializations: ((routing && routing.fields) || []).map((field) => ({ id: field.id, name: field.name })),
+    bio: profile.bio,
+    availableNow: Boolean(routing && routing.available) && isAvailableAt(profile, now),
+  };
+};
+
+const getNotaryCard = async (notaryId) => {
+  const card = await findNotaryCard(notaryId);
+  if (!card) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Notary profile not found');
+  }
+  return card;
+};
+
+module.exports = {
+  isAvailableAt,
+  createNotaryProfile,
+  queryNotaryProfiles,
+  getNotaryProfile,
+  updateNotaryProfile,
+  updateAvailability,
+  deleteNotaryProfile,
+  getUnavailableNotaryIds,
+  findNotaryCard,
+  getNotaryCard,
+};
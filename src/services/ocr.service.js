@@ -0,0 +1,164 @@
+const httpStatus = require('http-status');
+const ocr = require('./ocr');
+const renderPdfPage = require('../utils/renderPdfPage');
+const ApiError = require('../utils/ApiError');
+
+// Reading a card takes a few seconds, so only the first files of a request are tried
+const MAX_FILES_TO_READ = 3;
+// Width in pixels PDF pages are rendered at before being read
+const PDF_RENDER_WIDTH = 1600;
+const READABLE_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const removeDiacritics = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+
+const normalizeName = (name) => removeDiacritics(name).toUpperCase().replace(/\s+/g, ' ').trim();
+
+const DATE_PATTERN = /(\d{1,2})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{4})/;
+
+// Names are printed in capitals, so the name is the run of capitalized words ending the line
+const getTrailingName = (line) => {
+  const words = line.split(/\s+/).filter(Boolean);
+  const lastLabelWord = words.map((word) => /^\p{Lu}+$/u.test(word)).lastIndexOf(false);
+  const name = words.slice(lastLabelWord + 1);
+  return name.length >= 2 ? name.join(' ') : null;
+};
+
+const toIsoDate = (match) => `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+/**
+ * Extract the holder details from the text of a CCCD (12 digit number) or CMND (9 digit number)
+ * @param {string} text - Text read from the front of the card
+ * @returns {{fullName: string|null, citizenId: string|null, dateOfBirth: string|null}} dateOfBirth is YYYY-MM-DD
+ */
+const parseCitizenIdCard = (text) => {
+  const lines = text
+    .normalize('NFC')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const labels = lines.map((line) => removeDiacritics(line).toLowerCase());
+
+  // OCR often splits long numbers with spaces or dots
+  const idMatch = text.replace(/(\d)[ .](?=\d)/g, '$1').match(/(?<!\d)(\d{12}|\d{9})(?!\d)/);
+
+  // The name follows its label, on the same line or on the next one
+  const nameIndex = labels.findIndex((line) => /ho va ten|ho ten|full name/.test(line));
+  const fullName =
+    nameIndex === -1 ? null : getTrailingName(lines[nameIndex]) || getTrailingName(lines[nameIndex + 1] || '');
+
+  const birthIndex = labels.findIndex((line) => /ngay sinh|sinh ngay|date of birth/.test(line));
+  const birthMatch =
+    (birthIndex !== -1 && `${lines[birthIndex]} ${lines[birthIndex + 1] || ''}`.match(DATE_PATTERN)) ||
+    text.match(DATE_PATTERN);
+
+  return {
+    fullName,
+    citizenId: idMatch ? idMatch[1] : null,
+    dateOfBirth: birthMatch ? toIsoDate(birthMatch) : null,
+  };
+};
+
+/**
+ * Read the holder details from a picture or scan of a citizen ID card
+ * @param {Object} file - The multer file (buffer, mimetype)
+ * @returns {Promise<Object>} status is read, unreadable or skipped when no OCR engine is configured
+ */
+const readCitizenIdCard = async (file) => {
+  if (!READABLE_TYPES.includes(file.mimetype)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only images and PDFs can be read');
+  }
+
+  let result;
+  try {
+    const image = file.mimetype === 'application/pdf' ? await renderPdfPage(file.buffer, PDF_RENDER_WIDTH) : file.buffer;
+    result = await ocr.recognize(image);
+  } catch (error) {
+    console.error('Error reading citizen ID card:', error.message);
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Text recognition is unavailable, please try again later');
+  }
+
+  if (!result) {
+    return { status: 'skipped', engine: ocr.name, fullName: null, citizenId: null, dateOfBirth: null, confidence: null };
+  }
+
+  const extracted = parseCitizenIdCard(result.text);
+  return {
+    status: extracted.citizenId || extracted.fullName ? 'read' : 'unreadable',
+    engine: ocr.name,
+    ...extracted,
+    confidence: result.confidence,
+  };
+};
+
+/**
+ * List the fields of requesterInfo that differ from what was read on the card
+ * @param {Object} extracted - See parseCitizenIdCard
+ * @param {Object} requesterInfo
+ * @returns {Array<{field: string, provided: string, extracted: string}>}
+ */
+const compareRequesterInfo = (extracted, requesterInfo) => {
+  const mismatches = [];
+  const providedId = String(requesterInfo.citizenId || '').replace(/\D/g, '');
+  if (extracted.citizenId && providedId && extracted.citizenId !== providedId) {
+    mismatches.push({ field: 'citizenId', provided: requesterInfo.citizenId, extracted: extracted.citizenId });
+  }
+  // Names are compared without diacritics, which OCR does not always read correctly
+  if (
+    extracted.fullName &&
+    requesterInfo.fullName &&
+    normalizeName(extracted.fullName) !== normalizeName(requesterInfo.fullName)
+  ) {
+    mismatches.push({ field: 'fullName', provided: requesterInfo.fullName, extracted: extracted.fullName });
+  }
+  return mismatches;
+};
+
+/**
+ * Find the citizen ID card among the uploaded files and check the requester info typed by the user against it.
+ * OCR problems never fail the upload, they are recorded in the status instead.
+ * @param {Object[]} files - The multer files
+ * @param {Object} requesterInfo
+ * @returns {Promise<Object>} The ocr entry of the document
+ */
+const checkRequesterInfo = async (files = [], requesterInfo = {}) => {
+  const candidates = files.filter((file) => READABLE_TYPES.includes(file.mimetype)).slice(0, MAX_FILES_TO_READ);
+
+  // Files are read one after the other, stopping at the first one that looks like an ID card
+  const found = await candidates.reduce(async (previous, file) => {
+    const card = await previous;
+    if (card && card.status === 'read') {
+      return card;
+    }
+    const next = await readCitizenIdCard(file).catch(() => ({ status: 'failed' }));
+    return { ...next, sourceFile: file.originalname };
+  }, Promise.resolve(null));
+
+  if (!found || found.status !== 'read') {
+    return { status: (found && found.status) || 'unreadable', engine: ocr.name, mismatches: [], processedAt: new Date() };
+  }
+
+  const mismatches = compareRequesterInfo(found, requesterInfo);
+  return {
+    status: mismatches.length > 0 ? 'mismatch' : 'matched',
+    engine: found.engine,
+    sourceFile: found.sourceFile,
+    fullName: found.fullName,
+    citizenId: found.citizenId,
+    dateOfBirth: found.dateOfBirth,
+    confidence: found.confidence,
+    mismatches,
+    processedAt: new Date(),
+  };
+};
+
+module.exports = {
+  parseCitizenIdCard,
+  readCitizenIdCard,
+  compareRequesterInfo,
+  checkRequesterInfo,
+};
@@ -0,0 +1,10 @@
+/* eslint-disable global-require */
+const config = require('../../config/config');
+
+// Adapters are loaded lazily, like the scanner adapters
+const adapters = {
+  tesseract: () => require('./tesseract.adapter'),
+  noop: () => require('./noop.adapter'),
+};
+
+module.exports = adapters[config.ocr.driver]();
@@ -0,0 +1,12 @@
+/**
+ * OCR engine used when none is configured (development and tests).
+ * Nothing is read, so requester info is never prefilled nor checked.
+ */
+const name = 'noop';
+
+const recognize = async () => null;
+
+module.exports = {
+  name,
+  recognize,
+};
@@ -0,0 +1,34 @@
+const { createWorker } = require('tesseract.js');
+const config = require('../../config/config');
+
+const { languages, langPath } = config.ocr;
+
+const name = 'tesseract';
+
+// Starting a worker loads the language models, so a single worker is kept and reused by every request
+let worker;
+
+const getWorker = () => {
+  if (!worker) {
+    worker = createWorker(languages, 1, langPath ? { langPath } : {}).catch((error) => {
+      worker = null;
+      throw error;
+    });
+  }
+  return worker;
+};
+
+/**
+ * Read the text of an image
+ * @param {Buffer} buffer - A JPEG or PNG image
+ * @returns {Promise<{text: string, confidence: number}>}
+ */
+const recognize = async (buffer) => {
+  const { data } = await (await getWorker()).recognize(buffer);
+  return { text: data.text, confidence: data.confidence };
+};
+
+module.exports = {
+  name,
+  recognize,
+};
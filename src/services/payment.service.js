@@ -2,6 +2,7 @@ const httpStatus = require('http-status');
 const { Payment } = require('../models');
 const ApiError = require('../utils/ApiError');
 const { payOS } = require('../config/payos');
+const { recordEvent } = require('./timeline.service');
 require('dotenv').config();
 
 // Define the maximum allowable value for the orderCode and reduce the range to avoid edge cases.
@@ -67,12 +68,26 @@ const getPaymentById = async (paymentId) => {
   }
 };
 
+// Payments of a document or session show up on its timeline
+const recordPaymentUpdate = (payment, status, reason) => {
+  const caseType = payment.documentId ? 'document' : 'session';
+  const caseId = payment.documentId || payment.sessionId;
+  if (!caseId) {
+    return null;
+  }
+  return recordEvent(caseType, caseId, 'paymentUpdated', {
+    actorId: payment.userId || null,
+    data: { paymentId: payment._id, orderCode: payment.orderCode, status, ...(reason && { reason }) },
+  });
+};
+
 const updatePaymentStatus = async (paymentId, status) => {
   try {
     const payment = await Payment.findByIdAndUpdate(paymentId, { status, updatedAt: new Date() }, { new: true });
     if (!payment) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Payment not found');
     }
+    await recordPaymentUpdate(payment, status);
     return payment;
   } catch (error) {
     if (error instanceof ApiError) {
@@ -83,6 +98,34 @@ const updatePaymentStatus = async (paymentId, status) => {
   }
 };
 
+/**
+ * Cancel the pending payments of a document or session, along with their payment links
+ * @param {Object} filter - documentId or sessionId
+ * @param {string} [reason]
+ * @returns {Promise<number>} The number of cancelled payments
+ */
+const cancelPendingPayments = async (filter, reason) => {
+  const payments = await Payment.find({ ...filter, status: 'pending' });
+  if (payments.length === 0) {
+    return 0;
+  }
+
+  // A link PayOS fails to cancel expires on its own, the payment is still cancelled on our side
+  const results = await Promise.allSettled(
+    payments.filter((payment) => payment.checkoutUrl).map((payment) => payOS.cancelPaymentLink(payment.orderCode, reason))
+  );
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Error cancelling payment link:', result.reason && result.reason.message));
+
+  await Payment.updateMany(
+    { _id: { $in: payments.map((payment) => payment._id) } },
+    { $set: { status: 'cancelled', updatedAt: new Date() } }
+  );
+  await Promise.all(payments.map((payment) => recordPaymentUpdate(payment, 'cancelled', reason)));
+  return payments.length;
+};
+
 const getPaymentStatus = async (paymentId) => {
   try {
     const payment = await Payment.findById(paymentId);
@@ -162,6 +205,7 @@ module.exports = {
   createPayment,
   getPaymentById,
   updatePaymentStatus,
+  cancelPendingPayments,
   getPaymentStatus,
   updateAllPayments,
 };
@@ -0,0 +1,229 @@
+const httpStatus = require('http-status');
+const { Document, Session, User, NotarizationField, NotaryRouting, RoutingSettings } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { defaultStrategy } = require('../config/routing');
+const { getFinalStates } = require('./workflow.service');
+const { autoAssignDocument } = require('./assignment.service');
+const { getUnavailableNotaryIds } = require('./notaryProfile.service');
+
+const getRoutingSettings = async () => {
+  const settings = await RoutingSettings.findOne();
+  return settings || { strategy: defaultStrategy, updatedBy: null };
+};
+
+const updateRoutingSettings = async (updateBody, adminId) => {
+  try {
+    return await RoutingSettings.findOneAndUpdate(
+      {},
+      { $set: { ...updateBody, updatedBy: adminId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error('Error updating routing settings:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to update routing settings');
+  }
+};
+
+const queryNotaryRoutings = async (filter, options) => {
+  const routings = await NotaryRouting.paginate(filter, options);
+  return routings;
+};
+
+const getNotaryRouting = async (notaryId) => {
+  const routing = await NotaryRouting.findOne({ notaryId });
+  if (!routing) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Notary routing not found');
+  }
+  return routing;
+};
+
+/**
+ * Create or replace the fields and availability of a notary
+ * @param {ObjectId} notaryId
+ * @param {Object} routingBody
+ * @returns {Promise<NotaryRouting>}
+ */
+const setNotaryRouting = async (notaryId, routingBody) => {
+  try {
+    const notary = await User.findById(notaryId);
+    if (!notary || notary.role !== 'notary') {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Cases can only be routed to notaries');
+    }
+
+    if (routingBody.fields) {
+      const fieldCount = await NotarizationField.countDocuments({ _id: { $in: routingBody.fields } });
+      if (fieldCount !== new Set(routingBody.fields.map(String)).size) {
+        throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid notarization field provided');
+      }
+    }
+
+    return await NotaryRouting.findOneAndUpdate(
+      { notaryId },
+      { $set: routingBody },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error updating notary routing:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to update notary routing');
+  }
+};
+
+const deleteNotaryRouting = async (notaryId) => {
+  const routing = await getNotaryRouting(notaryId);
+  await routing.remove();
+  return routing;
+};
+
+/**
+ * Documents and sessions each notary holds and has not closed yet
+ * @param {ObjectId[]} notaryIds
+ * @returns {Promise<Map<string, number>>} Open cases by notary id
+ */
+const countOpenCases = async (notaryIds) => {
+  const finalStates = await getFinalStates();
+  const now = new Date();
+  const openCases = (trackings, foreignField) => [
+    {
+      $match: {
+        'assignment.notaryId': { $in: notaryIds },
+        $or: [{ 'assignment.expiresAt': null }, { 'assignment.expiresAt': { $gt: now } }],
+      },
+    },
+    { $lookup: { from: trackings, localField: '_id', foreignField, as: 'tracking' } },
+    { $match: { 'tracking.status': { $nin: finalStates } } },
+    { $group: { _id: '$assignment.notaryId', count: { $sum: 1 } } },
+  ];
+
+  const [documents, sessions] = await Promise.all([
+    Document.aggregate(openCases('statustrackings', 'documentId')),
+    Session.aggregate(openCases('sessionStatusTrackings', 'sessionId')),
+  ]);
+
+  const counts = new Map(notaryIds.map((notaryId) => [String(notaryId), 0]));
+  [...documents, ...sessions].forEach(({ _id, count }) => {
+    counts.set(String(_id), (counts.get(String(_id)) || 0) + count);
+  });
+  return counts;
+};
+
+const lastAssignedTime = (routing) => (routing.lastAssignedAt ? new Date(routing.lastAssignedAt).getTime() : 0);
+
+/**
+ * Pick a notary among the routings of a field
+ * @param {Object[]} routings - Available notaries of the field
+ * @param {Map<string, number>} openCases
+ * @param {string} strategy
+ * @returns {Object|null} The chosen routing, null when every notary is at capacity
+ */
+const pickNotary = (routings, openCases, strategy) => {
+  const candidates = routings.filter(
+    (routing) => routing.maxOpenCases == null || openCases.get(String(routing.notaryId)) < routing.maxOpenCases
+  );
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const byTurn = (a, b) => lastAssignedTime(a) - lastAssignedTime(b);
+  const byLoad = (a, b) => openCases.get(String(a.notaryId)) - openCases.get(String(b.notaryId)) || byTurn(a, b);
+
+  return [...candidates].sort(strategy === 'round-robin' ? byTurn : byLoad)[0];
+};
+
+const explain = (strategy, chosen, routings, openCases, fieldName) => {
+  const count = openCases.get(String(chosen.notaryId));
+  const pool = `${routings.length} available notaries of ${fieldName}`;
+  if (strategy === 'round-robin') {
+    return `round-robin: waited the longest for a case among ${pool}, ${count} open cases`;
+  }
+  return `least-loaded: ${count} open cases, the fewest among ${pool}`;
+};
+
+/**
+ * Give a document leaving `pending` to a notary of its field following the routing strategy.
+ * Documents already held by a notary are left alone, and so are notaries whose profile says they are unavailable.
+ * @param {Object} document
+ * @returns {Promise<Object|null>} The notary and the reason, null when the strategy is manual or the document is taken
+ */
+const routeDocument = async (document) => {
+  const { strategy } = await getRoutingSettings();
+  if (strategy === 'manual') {
+    return null;
+  }
+
+  const field = document.notarizationField || {};
+  const fieldName = field.name || 'the field';
+  const fieldRoutings = await NotaryRouting.find({ fields: field.id, available: true });
+  // Notaries away or out of their working hours according to their profile are skipped
+  const away = await getUnavailableNotaryIds(fieldRoutings.map((routing) => routing.notaryId));
+  const routings = fieldRoutings.filter((routing) => !away.has(String(routing.notaryId)));
+
+  let chosen = null;
+  let reason = `No available notary for ${fieldName}`;
+  if (routings.length > 0) {
+    const openCases = await countOpenCases(routings.map((routing) => routing.notaryId));
+    chosen = pickNotary(routings, openCases, strategy);
+    reason = chosen
+      ? explain(strategy, chosen, routings, openCases, fieldName)
+      : `All ${routings.length} available notaries of ${fieldName} are at capacity`;
+  }
+
+  const assigned = await autoAssignDocument(document._id, chosen && chosen.notaryId, reason);
+  if (!assigned || !chosen) {
+    return null;
+  }
+
+  await NotaryRouting.updateOne({ _id: chosen._id }, { $set: { lastAssignedAt: new Date() } });
+  return { notaryId: chosen.notaryId, reason };
+};
+
+/**
+ * Pick the second notary of a document under dual control among the notaries of its field, following the
+ * routing strategy. The notaries who already approved it are left out.
+ * @param {Object} document
+ * @param {ObjectId[]} excludedIds
+ * @returns {Promise<Object|null>} The notary and the reason, null when the strategy is manual or nobody is available
+ */
+const pickCountersigner = async (document, excludedIds) => {
+  const { strategy } = await getRoutingSettings();
+  if (strategy === 'manual') {
+    return null;
+  }
+
+  const field = document.notarizationField || {};
+  const excluded = new Set(excludedIds.map(String));
+  const fieldRoutings = await NotaryRouting.find({ fields: field.id, available: true });
+  const candidates = fieldRoutings.filter((routing) => !excluded.has(String(routing.notaryId)));
+  const away = await getUnavailableNotaryIds(candidates.map((routing) => routing.notaryId));
+  const routings = candidates.filter((routing) => !away.has(String(routing.notaryId)));
+  if (routings.length === 0) {
+    return null;
+  }
+
+  const openCases = await countOpenCases(routings.map((routing) => routing.notaryId));
+  const chosen = pickNotary(routings, openCases, strategy);
+  if (!chosen) {
+    return null;
+  }
+
+  await NotaryRouting.updateOne({ _id: chosen._id }, { $set: { lastAssignedAt: new Date() } });
+  return {
+    notaryId: chosen.notaryId,
+    reason: `countersign: ${explain(strategy, chosen, routings, openCases, field.name || 'the field')}`,
+  };
+};
+
+module.exports = {
+  getRoutingSettings,
+  updateRoutingSettings,
+  queryNotaryRoutings,
+  getNotaryRouting,
+  setNotaryRouting,
+  deleteNotaryRouting,
+  countOpenCases,
+  pickNotary,
+  routeDocument,
+  pickCountersigner,
+};
@@ -0,0 +1,83 @@
+const httpStatus = require('http-status');
+const scanner = require('./scanner');
+const { uploadFile, uploadStream } = require('./storage.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Scan a single file with the configured scanner
+ * @param {Object} file - The multer file
+ * @returns {Promise<{status: string, engine: string, signature: string|null, scannedAt: Date}>}
+ */
+const scanFile = async (file) => {
+  try {
+    const { status, signature } = await scanner.scan(file.buffer);
+    return { status, engine: scanner.name, signature, scannedAt: new Date() };
+  } catch (error) {
+    console.error('Error scanning file:', error.message);
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Malware scanner is unavailable, please try again later');
+  }
+};
+
+/**
+ * Scan files before they are stored. Infected files are moved to the quarantine folder and the whole upload is rejected.
+ * @param {Object[]} files - The multer files
+ * @param {string} rootFolder - Folder the files were meant for, e.g. documents
+ * @param {string} folderName - Usually the id of the owning document or session
+ * @returns {Promise<Object[]>} The verdict of each file, in the same order
+ */
+const scanFiles = async (files, rootFolder, folderName) => {
+  const verdicts = await Promise.all(files.map(scanFile));
+
+  const infected = files.filter((file, index) => verdicts[index].status === 'infected');
+  if (infected.length > 0) {
+    await Promise.all(infected.map((file) => uploadFile(file, 'quarantine', `${rootFolder}/${folderName}`)));
+    infected.forEach((file) => {
+      const { signature } = verdicts[files.indexOf(file)];
+      logger.warn(`Quarantined ${file.originalname} uploaded to ${rootFolder}/${folderName}: ${signature}`);
+    });
+    throw new ApiError(
+      httpStatus.UNPROCESSABLE_ENTITY,
+      `Malware detected in: ${infected.map((file) => file.originalname).join(', ')}`
+    );
+  }
+
+  return verdicts;
+};
+
+/**
+ * Scan a file read from a stream, for files too large to be held in memory. An infected file is quarantined and rejected.
+ * @param {Function} openStream - Returns a new stream of the file, it is read again to quarantine the file
+ * @param {Object} file - originalname, mimetype and size of the file
+ * @param {string} rootFolder - Folder the file was meant for
+ * @param {string} folderName
+ * @returns {Promise<Object>} The verdict
+ */
+const scanFileStream = async (openStream, file, rootFolder, folderName) => {
+  const source = openStream();
+  let verdict;
+  try {
+    const { status, signature } = await scanner.scan(source);
+    verdict = { status, engine: scanner.name, signature, scannedAt: new Date() };
+  } catch (error) {
+    console.error('Error scanning file:', error.message);
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Malware scanner is unavailable, please try again later');
+  } finally {
+    // Scanners that skip the file leave the stream unread
+    source.destroy();
+  }
+
+  if (verdict.status === 'infected') {
+    await uploadStream(openStream(), file, 'quarantine', `${rootFolder}/${folderName}`);
+    logger.warn(`Quarantined ${file.originalname} uploaded to ${rootFolder}/${folderName}: ${verdict.signature}`);
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, `Malware detected in: ${file.originalname}`);
+  }
+
+  return verdict;
+};
+
+module.exports = {
+  scanFile,
+  scanFiles,
+  scanFileStream,
+};
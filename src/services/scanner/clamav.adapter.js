@@ -0,0 +1,69 @@
+const net = require('net');
+const { Readable } = require('stream');
+const config = require('../../config/config');
+
+const { host, port, timeout } = config.scanner.clamav;
+
+const name = 'clamav';
+
+// clamd accepts at most StreamMaxLength bytes per chunk, 64KB stays well below the default
+const CHUNK_SIZE = 64 * 1024;
+
+const toChunk = (data) => {
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(data.length, 0);
+  return Buffer.concat([size, data]);
+};
+
+/**
+ * Stream a file to clamd with the INSTREAM command
+ * @param {Buffer|Readable} input - The file, or a stream of it for files too large to be held in memory
+ * @returns {Promise<string>} The raw clamd reply, e.g. "stream: OK"
+ */
+const instream = (input) =>
+  new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const reply = [];
+
+    socket.setTimeout(timeout);
+    socket.on('timeout', () => socket.destroy(new Error('clamd did not answer in time')));
+    socket.on('error', reject);
+    socket.on('data', (data) => reply.push(data));
+    socket.on('end', () => resolve(Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim()));
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      const source = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+      source.on('data', (data) => {
+        let flushed = true;
+        for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+          flushed = socket.write(toChunk(data.subarray(offset, offset + CHUNK_SIZE)));
+        }
+        // Wait for clamd to catch up instead of buffering the rest of the stream
+        if (!flushed) {
+          source.pause();
+          socket.once('drain', () => source.resume());
+        }
+      });
+      source.on('end', () => socket.end(toChunk(Buffer.alloc(0))));
+      source.on('error', (error) => socket.destroy(error));
+    });
+  });
+
+const scan = async (input) => {
+  const reply = await instream(input);
+
+  if (reply.endsWith('OK')) {
+    return { status: 'clean', signature: null };
+  }
+  const infected = reply.match(/^stream: (.+) FOUND$/);
+  if (infected) {
+    return { status: 'infected', signature: infected[1] };
+  }
+  throw new Error(`Unexpected clamd reply: ${reply}`);
+};
+
+module.exports = {
+  name,
+  scan,
+};
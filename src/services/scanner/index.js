@@ -0,0 +1,10 @@
+/* eslint-disable global-require */
+const config = require('../../config/config');
+
+// Adapters are loaded lazily, like the storage adapters
+const adapters = {
+  clamav: () => require('./clamav.adapter'),
+  noop: () => require('./noop.adapter'),
+};
+
+module.exports = adapters[config.scanner.driver]();
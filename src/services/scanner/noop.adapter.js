@@ -0,0 +1,12 @@
+/**
+ * Scanner used when no antivirus is configured (development and tests).
+ * Files are accepted without being inspected and their verdict says so.
+ */
+const name = 'noop';
+
+const scan = async () => ({ status: 'skipped', signature: null });
+
+module.exports = {
+  name,
+  scan,
+};
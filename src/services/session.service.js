@@ -13,28 +13,42 @@ const {
   Payment,
 } = require('../models');
 const ApiError = require('../utils/ApiError');
-const { userService, notarizationService } = require('.');
+const { runInTransaction } = require('../utils/transaction');
+const { userService } = require('.');
 const emailService = require('./email.service');
 const { payOS } = require('../config/payos');
-const { bucket, downloadFile } = require('../config/firebase');
-const { uploadToIPFS, mintDocumentNFT, getTransactionData } = require('../config/blockchain');
+const { uploadToIPFS, uploadMetadataToIPFS, mintDocumentNFT, getTransactionData } = require('../config/blockchain');
 const userWalletService = require('./userWallet.service');
+const { cancelPendingPayments } = require('./payment.service');
+const {
+  uploadFile,
+  downloadFile,
+  deleteFile: deleteStoredFile,
+  getSignedUrl,
+  getFileMetadata,
+  hashBuffer,
+  verifyFile,
+} = require('./storage.service');
+const { scanFiles } = require('./scan.service');
+const { getBundle } = require('./bundle.service');
+const { claimUploads } = require('./upload.service');
+const { storeThumbnails, withThumbnailUrls } = require('./thumbnail.service');
+const { checkSlotCodes, getSlotStatus, getMissingSlots } = require('../utils/documentSlots');
+const { getUploadPolicy, checkFileCount, checkFiles } = require('./uploadPolicy.service');
+const {
+  getServiceWorkflow,
+  createWorkflowLoader,
+  getTransition,
+  getAvailableActions,
+  collectsSignatures,
+  awaitsRevision,
+} = require('./workflow.service');
+const { initialState, systemRole, resubmitAction, withdrawAction } = require('../config/workflow');
+const { getQueueIds, checkAssignee, renewClaim } = require('./assignment.service');
+const { recordEvent, describeFile } = require('./timeline.service');
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-const uploadFileToFirebase = async (file, rootFolder, folderName) => {
-  const fileName = `${file.originalname}`;
-  const fileRef = bucket.file(`${rootFolder}/${folderName}/${fileName}`);
-
-  try {
-    await fileRef.save(file.buffer, { contentType: file.mimetype });
-    return `https://storage.googleapis.com/${bucket.name}/${rootFolder}/${folderName}/${fileName}`;
-  } catch (error) {
-    console.error('Error uploading file:', error.message);
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload file');
-  }
-};
-
 const generateOrderCode = () => {
   const MAX_SAFE_INTEGER = 9007199254740991;
   const MAX_ORDER_CODE = Math.floor(MAX_SAFE_INTEGER / 10);
@@ -150,6 +164,7 @@ const createSession = async (sessionBody) => {
     description: serviceExists.description,
     price: serviceExists.price,
     required_documents: serviceExists.required_documents,
+    documentSlots: serviceExists.documentSlots,
     code: serviceExists.code,
   };
 
@@ -503,7 +518,9 @@ const getSessionBySessionId = async (sessionId, userId) => {
   return {
     session: {
       ...session.toObject(),
-      files,
+      requiredDocuments: getSlotStatus(session.notaryService.documentSlots, session.files),
+      files: await withThumbnailUrls(files),
+      output: await withThumbnailUrls(session.output),
     },
     status,
     signature,
@@ -512,7 +529,8 @@ const getSessionBySessionId = async (sessionId, userId) => {
 
 const uploadSessionDocument = async (sessionId, documentBody, files, fileIds, customFileNames, userId) => {
   try {
-    if ((!files || files.length === 0) && (!fileIds || fileIds.length === 0)) {
+    const { uploadIds = [], fileSlots = [], walletFileSlots = [], uploadSlots = [] } = documentBody;
+    if ((!files || files.length === 0) && (!fileIds || fileIds.length === 0) && uploadIds.length === 0) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'No files provided');
     }
 
@@ -521,6 +539,14 @@ const uploadSessionDocument = async (sessionId, documentBody, files, fileIds, cu
       throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
     }
 
+    checkSlotCodes([...fileSlots, ...walletFileSlots, ...uploadSlots], session.notaryService.documentSlots);
+
+    // The policy is read from the service itself so changes apply to sessions created before them
+    const uploadPolicy = getUploadPolicy(await NotarizationService.findById(session.notaryService._id));
+    const ownFiles = session.files.filter((file) => file.userId && file.userId.toString() === userId.toString());
+    checkFileCount(uploadPolicy, ownFiles.length + (files || []).length + (fileIds || []).length + uploadIds.length);
+    await checkFiles(uploadPolicy, files);
+
     const newDocument = {
       userId,
       files: [],
@@ -540,7 +566,9 @@ const uploadSessionDocument = async (sessionId, documentBody, files, fileIds, cu
         _id: item._id,
         userId,
         filename: customFileNames && customFileNames[index] ? customFileNames[index] : item.filename,
-        firebaseUrl: item.tokenURI,
+        firebaseUrl: item.fileURI || item.tokenURI,
+        thumbnailKey: item.thumbnailKey || null,
+        slot: walletFileSlots[fileIds.indexOf(item._id.toString())] || null,
         createdAt: Date.now(),
       }));
 
@@ -550,24 +578,41 @@ const uploadSessionDocument = async (sessionId, documentBody, files, fileIds, cu
       await userWalletService.decreaseNFTAmount(userId, fileIds);
     }
 
-    // Handle file uploads to Firebase
+    // Handle file uploads to storage
     if (files && files.length > 0) {
-      const fileUrls = await Promise.all(files.map((file) => uploadFileToFirebase(file, 'session-documents', sessionId)));
+      const verdicts = await scanFiles(files, 'session-documents', sessionId);
+      const fileKeys = await Promise.all(files.map((file) => uploadFile(file, 'session-documents', sessionId)));
+      const thumbnailKeys = await storeThumbnails(files, fileKeys);
       const uploadedFiles = files.map((file, index) => ({
         userId,
         filename: `${file.originalname}`,
-        firebaseUrl: fileUrls[index],
+        storageKey: fileKeys[index],
+        ...getFileMetadata(file),
+        scan: verdicts[index],
+        thumbnailKey: thumbnailKeys[index],
+        slot: fileSlots[index] || null,
         createdAt: Date.now(),
       }));
 
       newDocument.files.push(...uploadedFiles);
     }
 
+    // Handle files sent through resumable uploads, they are already scanned and stored
+    if (uploadIds.length > 0) {
+      const claimedFiles = await claimUploads(uploadIds, userId, uploadPolicy);
+      newDocument.files.push(
+        ...claimedFiles.map((file, index) => ({ ...file, userId, slot: uploadSlots[index] || null, createdAt: Date.now() }))
+      );
+    }
+
     session.files.push(...newDocument.files);
     await session.save();
 
     return newDocument;
   } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
     console.error('Error uploading session document:', error.message);
     throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload session document');
   }
@@ -613,7 +658,12 @@ const sendSessionForNotarization = async (sessionId, userId) => {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Session already sent for notarization');
     }
 
-    const sessionStatusTracking = await createSessionStatusTracking(sessionId, 'pending');
+    const sessionStatusTracking = await createSessionStatusTracking(sessionId, initialState);
+    await recordEvent('session', sessionId, 'created', {
+      actorId: userId,
+      toStatus: initialState,
+      data: { files: session.files.map(describeFile) },
+    });
 
     return {
       message: 'Session sent for notarization successfully',
@@ -657,25 +707,28 @@ const getSessionStatus = async (sessionId) => {
   }
 };
 
-const getTotalSessions = async (status) => {
+const getTotalSessions = async (status, sessionIds) => {
+  const inQueue = sessionIds ? { sessionId: { $in: sessionIds } } : {};
   const countQueries = {
-    processing: () => SessionStatusTracking.countDocuments({ status: 'processing' }),
+    processing: () => SessionStatusTracking.countDocuments({ status: 'processing', ...inQueue }),
     readyToSign: () =>
       RequestSessionSignature.countDocuments({
         'approvalStatus.notary.approved': false,
         'approvalStatus.user.approved': true,
+        ...inQueue,
       }),
     pendingSignature: () =>
       RequestSessionSignature.countDocuments({
         $or: [{ 'approvalStatus.notary.approved': false }, { 'approvalStatus.user.approved': false }],
+        ...inQueue,
       }),
-    default: () => Session.countDocuments(),
+    default: () => Session.countDocuments(sessionIds ? { _id: { $in: sessionIds } } : {}),
   };
 
   return countQueries[status]();
 };
 
-const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
+const getSessionsByStatus = async ({ status, limit = 10, page = 1, queue }, userId) => {
   try {
     const parsedLimit = Number(limit);
     const parsedPage = Number(page);
@@ -686,9 +739,12 @@ const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
 
     const skipSessions = (validatedPage - 1) * validatedLimit;
 
+    const sessionIds = queue ? await getQueueIds('session', queue, userId) : null;
+    const inQueue = sessionIds ? { sessionId: { $in: sessionIds } } : {};
+
     const statusQueries = {
       processing: async () => {
-        const sessions = await SessionStatusTracking.find({ status: 'processing' })
+        const sessions = await SessionStatusTracking.find({ status: 'processing', ...inQueue })
           .skip(skipSessions)
           .limit(validatedLimit)
           .populate({
@@ -709,6 +765,7 @@ const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
           'approvalStatus.notary.approved': false,
           'approvalStatus.creator.approved': true,
           'approvalStatus.users.approved': { $all: [true] },
+          ...inQueue,
         })
           .populate({
             path: 'sessionId',
@@ -729,6 +786,7 @@ const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
       pendingSignature: async () => {
         const sessions = await RequestSessionSignature.find({
           $or: [{ 'approvalStatus.creator.approved': false }, { 'approvalStatus.users.approved': { $all: [false] } }],
+          ...inQueue,
         })
           .populate({
             path: 'sessionId',
@@ -747,7 +805,10 @@ const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
         }));
       },
       default: async () => {
-        const sessions = await Session.find().skip(skipSessions).limit(validatedLimit).populate('createdBy');
+        const sessions = await Session.find(sessionIds ? { _id: { $in: sessionIds } } : {})
+          .skip(skipSessions)
+          .limit(validatedLimit)
+          .populate('createdBy');
 
         return sessions.map((doc) => ({
           ...doc.toObject(),
@@ -757,7 +818,7 @@ const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
     };
     const sessions = await (status && statusQueries[status] ? statusQueries[status]() : statusQueries.default());
 
-    const totalSessions = await getTotalSessions(status || 'default');
+    const totalSessions = await getTotalSessions(status || 'default', sessionIds);
 
     return {
       sessions,
@@ -777,79 +838,92 @@ const getSessionsByStatus = async ({ status, limit = 10, page = 1 }) => {
   }
 };
 
+const openRevision = (sessionId, requestedBy, fromStatus, feedback) =>
+  Session.updateOne(
+    { _id: sessionId },
+    { $push: { revisions: { requestedBy, requestedAt: new Date(), fromStatus, feedback } } }
+  );
+
 const forwardSessionStatus = async (sessionId, action, role, userId, feedback, files) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(sessionId)) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid session ID');
     }
 
-    const validStatuses = ['pending', 'processing', 'digitalSignature', 'completed'];
-    const roleStatusMap = {
-      notary: ['pending', 'processing', 'digitalSignature'],
-    };
-
-    const currentStatus = await SessionStatusTracking.findOne({ sessionId }, 'status');
+    const [currentStatus, session] = await Promise.all([
+      SessionStatusTracking.findOne({ sessionId }, 'status'),
+      Session.findById(sessionId),
+    ]);
 
     if (!currentStatus) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Session status not found');
     }
-    if (currentStatus.status === 'rejected') {
-      throw new ApiError(httpStatus.BAD_REQUEST, 'Session already been rejected');
-    }
-    if (!roleStatusMap[role]) {
-      throw new ApiError(httpStatus.FORBIDDEN, 'You do not have permission to access these sessions');
+    if (!session) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
     }
+    checkAssignee(session, userId, role, 'session');
+
+    const workflow = await getServiceWorkflow(session.notaryService && session.notaryService._id);
+    const { to: newStatus } = getTransition(workflow, {
+      status: currentStatus.status,
+      action,
+      role,
+      feedback,
+      hasOutput: (files && files.length > 0) || (session.output || []).length > 0,
+    });
 
-    let outputFiles = [];
-    if (files && files.length > 0) {
-      const fileUrls = await Promise.all(files.map((file) => uploadFileToFirebase(file, 'outputs', sessionId)));
+    // Only move the session from the status it was read in, a concurrent withdrawal or action wins otherwise.
+    // The outputs are written in the same transaction, their files are removed when it fails.
+    const outputFiles = await runInTransaction(async ({ session: dbSession, compensate }) => {
+      const result = await SessionStatusTracking.updateOne(
+        { sessionId, status: currentStatus.status },
+        {
+          status: newStatus,
+          updatedAt: new Date(),
+          ...(feedback && { feedback }),
+        },
+        { session: dbSession }
+      );
+      if (result.nModified === 0) {
+        throw new ApiError(httpStatus.CONFLICT, 'The session status changed, please try again');
+      }
+      if (!files || files.length === 0) {
+        return [];
+      }
+
+      const verdicts = await scanFiles(files, 'outputs', sessionId);
+      const fileKeys = await Promise.all(
+        files.map(async (file) => {
+          const key = await uploadFile(file, 'outputs', sessionId);
+          compensate(() => deleteStoredFile(key));
+          return key;
+        })
+      );
+      const thumbnailKeys = await storeThumbnails(files, fileKeys);
+      thumbnailKeys.filter(Boolean).forEach((key) => compensate(() => deleteStoredFile(key)));
 
-      outputFiles = files.map((file, index) => ({
+      const added = files.map((file, index) => ({
         filename: `${Date.now()}-${file.originalname}`,
-        firebaseUrl: fileUrls[index],
+        storageKey: fileKeys[index],
+        ...getFileMetadata(file),
+        scan: verdicts[index],
+        thumbnailKey: thumbnailKeys[index],
         transactionHash: null,
         uploadedAt: new Date(),
       }));
+      await Session.findByIdAndUpdate(sessionId, { $push: { output: { $each: added } } }, { session: dbSession });
+      return added;
+    });
 
-      await Session.findByIdAndUpdate(
-        sessionId,
-        {
-          $push: {
-            output: {
-              $each: outputFiles,
-            },
-          },
-        },
-        { new: true }
-      );
+    if (outputFiles.length > 0) {
+      await recordEvent('session', sessionId, 'outputUploaded', {
+        actorId: userId,
+        actorRole: role,
+        data: { files: outputFiles.map(describeFile) },
+      });
     }
 
-    let newStatus;
-    if (action === 'accept') {
-      if (currentStatus.status === 'rejected') {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Session already been rejected');
-      }
-      const currentStatusIndex = validStatuses.indexOf(currentStatus.status);
-
-      // Disallow forwarding from 'digitalSignature' to 'completed'
-      if (currentStatus.status === 'digitalSignature') {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot forward from digitalSignature to completed');
-      }
-
-      newStatus = validStatuses[currentStatusIndex + 1];
-      console.log(feedback);
-      if (!newStatus) {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Session has already reached final status');
-      }
-    } else if (action === 'reject') {
-      if (!feedback) {
-        throw new ApiError(httpStatus.BAD_REQUEST, 'Feedback is required for rejection');
-      }
-      newStatus = 'rejected';
-    } else {
-      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid action provided');
-    }
-    if (newStatus === 'digitalSignature') {
+    if (collectsSignatures(workflow, newStatus)) {
       const newRequestSignature = new RequestSessionSignature({
         sessionId,
         signatureImage: null,
@@ -875,32 +949,28 @@ const forwardSessionStatus = async (sessionId, action, role, userId, feedback, f
     });
 
     await approveSessionHistory.save();
-
-    const updateData = {
-      status: newStatus,
-      updatedAt: new Date(),
-      ...(feedback && { feedback }),
-    };
-
-    const email = await Session.findOne({ _id: sessionId }, 'users email createdBy');
-    if (!email) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Email not found');
+    if (awaitsRevision(workflow, newStatus)) {
+      await openRevision(sessionId, userId, currentStatus.status, feedback);
     }
 
-    const userEmails = email.users.map((user) => user.email);
+    const userEmails = session.users.map((user) => user.email);
 
-    const creator = await User.findById(email.createdBy);
+    const creator = await User.findById(session.createdBy);
     if (creator && creator.email) {
       userEmails.push(creator.email);
     }
 
     await emailService.sendDocumentStatusUpdateEmail(userEmails, sessionId, currentStatus.status, newStatus, feedback);
 
-    const result = await SessionStatusTracking.updateOne({ sessionId }, updateData);
-
-    if (result.nModified === 0) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'No status found for this session');
-    }
+    await renewClaim('session', sessionId, userId);
+    await recordEvent('session', sessionId, 'statusChanged', {
+      actorId: userId,
+      actorRole: role,
+      action,
+      fromStatus: currentStatus.status,
+      toStatus: newStatus,
+      feedback: feedback || null,
+    });
 
     return {
       message: `Session status updated to ${newStatus}`,
@@ -916,6 +986,192 @@ const forwardSessionStatus = async (sessionId, action, role, userId, feedback, f
   }
 };
 
+/**
+ * Send a session back to review once its creator made the changes asked of them, files are replaced beforehand
+ * through the session upload
+ * @param {ObjectId} sessionId
+ * @param {Object} user - The creator of the session
+ * @param {Object} resubmitBody
+ * @param {string} [resubmitBody.note] - What was changed
+ * @returns {Promise<Object>}
+ */
+const resubmitSession = async (sessionId, user, { note } = {}) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid session ID');
+    }
+
+    const [currentStatus, session] = await Promise.all([
+      SessionStatusTracking.findOne({ sessionId }, 'status'),
+      Session.findById(sessionId),
+    ]);
+    if (!currentStatus || !session) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
+    }
+    if (String(session.createdBy) !== String(user.id)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Only the creator can resubmit the session');
+    }
+
+    const workflow = await getServiceWorkflow(session.notaryService && session.notaryService._id);
+    const { to: newStatus } = getTransition(workflow, {
+      status: currentStatus.status,
+      action: resubmitAction,
+      role: user.role,
+    });
+
+    // Only move the session from the status read above, a concurrent withdrawal or rejection wins
+    const result = await SessionStatusTracking.updateOne(
+      { sessionId, status: currentStatus.status },
+      { $set: { status: newStatus, updatedAt: new Date() }, $unset: { feedback: 1 } }
+    );
+    if (result.nModified === 0) {
+      throw new ApiError(httpStatus.CONFLICT, 'The session status changed, please try again');
+    }
+
+    const revision = [...(session.revisions || [])].reverse().find((item) => !item.resubmittedAt);
+    if (revision) {
+      revision.resubmittedAt = new Date();
+      revision.note = note || null;
+      await session.save();
+    }
+
+    await Promise.all([
+      new ApproveSessionHistory({
+        userId: user.id,
+        sessionId,
+        beforeStatus: currentStatus.status,
+        afterStatus: newStatus,
+      }).save(),
+      recordEvent('session', sessionId, 'statusChanged', {
+        actorId: user.id,
+        actorRole: user.role,
+        action: resubmitAction,
+        fromStatus: currentStatus.status,
+        toStatus: newStatus,
+        data: { note: note || null },
+      }),
+    ]);
+
+    const userEmails = [...new Set([...session.users.map((item) => item.email), user.email].filter(Boolean))];
+    await emailService.sendDocumentStatusUpdateEmail(userEmails, sessionId, currentStatus.status, newStatus);
+
+    return {
+      message: `Session status updated to ${newStatus}`,
+      sessionId,
+    };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error resubmitting session:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to resubmit session');
+  }
+};
+
+/**
+ * Let the creator cancel a session before it is signed. Pending payments are cancelled, every member gets back
+ * the wallet copies they added to it and the notary holding it is told.
+ * @param {ObjectId} sessionId
+ * @param {Object} user - The creator of the session
+ * @param {string} reason
+ * @returns {Promise<Object>}
+ */
+const withdrawSession = async (sessionId, user, reason) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid session ID');
+    }
+
+    const [currentStatus, session] = await Promise.all([
+      SessionStatusTracking.findOne({ sessionId }, 'status'),
+      Session.findById(sessionId),
+    ]);
+    if (!currentStatus || !session) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
+    }
+    if (String(session.createdBy) !== String(user.id)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Only the creator can withdraw the session');
+    }
+
+    const workflow = await getServiceWorkflow(session.notaryService && session.notaryService._id);
+    const { to: newStatus } = getTransition(workflow, {
+      status: currentStatus.status,
+      action: withdrawAction,
+      role: user.role,
+      feedback: reason,
+    });
+
+    const result = await SessionStatusTracking.updateOne(
+      { sessionId, status: currentStatus.status },
+      { $set: { status: newStatus, updatedAt: new Date(), feedback: reason } }
+    );
+    if (result.nModified === 0) {
+      throw new ApiError(httpStatus.CONFLICT, 'The session status changed, please try again');
+    }
+
+    await new ApproveSessionHistory({
+      userId: user.id,
+      sessionId,
+      beforeStatus: currentStatus.status,
+      afterStatus: newStatus,
+      reason,
+    }).save();
+
+    const paymentsCancelled = await cancelPendingPayments({ sessionId }, reason);
+
+    // Wallet files keep the id of the wallet item they were copied from
+    const walletItemsByUser = session.files
+      .filter((file) => file.firebaseUrl && !file.storageKey)
+      .reduce((byUser, file) => {
+        const owner = String(file.userId);
+        byUser.set(owner, [...(byUser.get(owner) || []), String(file._id)]);
+        return byUser;
+      }, new Map());
+    const restored = await Promise.all(
+      [...walletItemsByUser].map(([owner, itemIds]) => userWalletService.restoreNFTAmount(owner, itemIds))
+    );
+    const walletItemsRestored = restored.reduce((total, count) => total + count, 0);
+    await recordEvent('session', sessionId, 'statusChanged', {
+      actorId: user.id,
+      actorRole: user.role,
+      action: withdrawAction,
+      fromStatus: currentStatus.status,
+      toStatus: newStatus,
+      feedback: reason,
+      data: { paymentsCancelled, walletItemsRestored },
+    });
+
+    const notaryId = session.assignment && session.assignment.notaryId;
+    const notary = notaryId ? await User.findById(notaryId) : null;
+    const userEmails = [...new Set([...session.users.map((item) => item.email), user.email].filter(Boolean))];
+    await Promise.all([
+      emailService.sendSessionStatusUpdateEmail(userEmails, sessionId, currentStatus.status, newStatus, reason),
+      notary &&
+        notary.email &&
+        emailService.sendCaseWithdrawnEmail(notary.email, {
+          caseType: 'session',
+          caseId: sessionId,
+          withdrawnBy: user.name || user.email,
+          reason,
+        }),
+    ]).catch((error) => console.error('Error sending withdrawal emails:', error.message));
+
+    return {
+      message: `Session status updated to ${newStatus}`,
+      sessionId,
+      status: newStatus,
+      paymentsCancelled,
+      walletItemsRestored,
+    };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    console.error('Error withdrawing session:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to withdraw session');
+  }
+};
+
 const approveSignatureSessionByUser = async (sessionId, userId, signatureImage) => {
   try {
     const session = await Session.findById(sessionId);
@@ -935,16 +1191,16 @@ const approveSignatureSessionByUser = async (sessionId, userId, signatureImage)
       throw new ApiError(httpStatus.NOT_FOUND, 'Signature request not found');
     }
 
-    let uploadedImageUrl = null;
+    let uploadedImageKey = null;
     if (signatureImage) {
-      uploadedImageUrl = await notarizationService.uploadFileToFirebase(signatureImage, 'sessionSignatures', sessionId);
+      uploadedImageKey = await uploadFile(signatureImage, 'sessionSignatures', sessionId);
     }
 
     if (isCreator) {
       signature.approvalStatus.creator = {
         approved: true,
         approvedAt: new Date(),
-        signatureImage: uploadedImageUrl, // Add signatureImage for creator
+        signatureImage: uploadedImageKey, // Add signatureImage for creator
       };
     } else {
       // Find or create user in the users array
@@ -956,7 +1212,7 @@ const approveSignatureSessionByUser = async (sessionId, userId, signatureImage)
           email: user.email,
           approved: true,
           approvedAt: new Date(),
-          signatureImage: uploadedImageUrl,
+          signatureImage: uploadedImageKey,
         });
       } else {
         signature.approvalStatus.users[userIndex] = {
@@ -964,13 +1220,18 @@ const approveSignatureSessionByUser = async (sessionId, userId, signatureImage)
           email: user.email,
           approved: true,
           approvedAt: new Date(),
-          signatureImage: uploadedImageUrl,
+          signatureImage: uploadedImageKey,
         };
       }
     }
 
     await signature.save();
     await session.save();
+    await recordEvent('session', sessionId, 'signed', {
+      actorId: userId,
+      actorRole: user.role,
+      data: { signatureImage: Boolean(uploadedImageKey) },
+    });
 
     return {
       message: 'Signature approved and uploaded successfully',
@@ -989,7 +1250,7 @@ const approveSignatureSessionByUser = async (sessionId, userId, signatureImage)
   }
 };
 
-const approveSignatureSessionByNotary = async (sessionId, userId) => {
+const approveSignatureSessionByNotary = async (sessionId, userId, role) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(sessionId)) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid session ID');
@@ -999,21 +1260,26 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
     }
 
     const sessionStatusTracking = await SessionStatusTracking.findOne({ sessionId });
+    if (!sessionStatusTracking) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Session status not found');
+    }
 
-    if (sessionStatusTracking.status !== 'digitalSignature') {
-      throw new ApiError(httpStatus.CONFLICT, 'Session is not ready for digital signature');
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
     }
 
+    checkAssignee(session, userId, role, 'session');
+
+    const workflow = await getServiceWorkflow(session.notaryService && session.notaryService._id);
+    const beforeStatus = sessionStatusTracking.status;
+    const { to: afterStatus } = getTransition(workflow, { status: beforeStatus, action: 'sign', role });
+
     const requestSessionSignature = await RequestSessionSignature.findOne({ sessionId });
     if (!requestSessionSignature) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Signature request not found');
     }
 
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
-    }
-
     // Check if the creator has signed
     if (!requestSessionSignature.approvalStatus.creator || !requestSessionSignature.approvalStatus.creator.approved) {
       throw new ApiError(httpStatus.CONFLICT, 'Session creator has not approved yet');
@@ -1038,16 +1304,39 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
     if (session.output && Array.isArray(session.output) && session.output.length > 0) {
       for (const outputFile of session.output) {
         // Download file from storage
-        const fileBuffer = await downloadFile(outputFile.firebaseUrl);
-        // Upload to IPFS
-        const ipfsUrl = await uploadToIPFS(fileBuffer, outputFile.filename);
+        const fileBuffer = await downloadFile(outputFile.storageKey);
+        // Make sure the file about to be minted is the one the notary uploaded
+        const sha256 = hashBuffer(fileBuffer);
+        if (outputFile.sha256 && outputFile.sha256 !== sha256) {
+          throw new ApiError(httpStatus.CONFLICT, `Output file ${outputFile.filename} does not match its recorded hash`);
+        }
+        outputFile.sha256 = sha256;
+
+        // Upload the file and its metadata to IPFS
+        const { uri: fileURI } = await uploadToIPFS(fileBuffer, outputFile.filename, { sha256 });
+        const { uri: tokenURI } = await uploadMetadataToIPFS(fileURI, {
+          name: outputFile.filename,
+          sha256,
+          mimeType: outputFile.mimeType,
+          sessionId: String(session._id),
+        });
 
         // Mint NFT
-        const nftData = await mintDocumentNFT(ipfsUrl);
+        const nftData = await mintDocumentNFT(tokenURI);
         const transactionData = await getTransactionData(nftData.transactionHash);
 
         // Update output file with transaction details
         outputFile.transactionHash = transactionData.transactionHash;
+        await recordEvent('session', sessionId, 'minted', {
+          actorId: userId,
+          actorRole: role,
+          data: {
+            file: describeFile(outputFile),
+            transactionHash: transactionData.transactionHash,
+            tokenId: transactionData.tokenId,
+            amount: session.amount,
+          },
+        });
 
         // Add NFT to wallet of everyone in session
         for (const user of session.users) {
@@ -1057,7 +1346,9 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
             amount: session.amount,
             tokenId: transactionData.tokenId,
             tokenURI: transactionData.tokenURI,
+            fileURI,
             contractAddress: transactionData.contractAddress,
+            thumbnailKey: outputFile.thumbnailKey,
           });
         }
 
@@ -1068,7 +1359,9 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
           amount: session.amount,
           tokenId: transactionData.tokenId,
           tokenURI: transactionData.tokenURI,
+          fileURI,
           contractAddress: transactionData.contractAddress,
+          thumbnailKey: outputFile.thumbnailKey,
         });
       }
 
@@ -1100,11 +1393,16 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
 
     payment.checkoutUrl = paymentLinkResponse.checkoutUrl;
     await payment.save();
+    await recordEvent('session', sessionId, 'paymentCreated', {
+      actorId: userId,
+      actorRole: role,
+      data: { paymentId: payment._id, orderCode: payment.orderCode, amount: payment.amount },
+    });
 
     await SessionStatusTracking.updateOne(
       { sessionId },
       {
-        status: 'completed',
+        status: afterStatus,
         updatedAt: new Date(),
       }
     );
@@ -1112,8 +1410,8 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
     const approveSessionHistory = new ApproveSessionHistory({
       userId,
       sessionId,
-      beforeStatus: 'digitalSignature',
-      afterStatus: 'completed',
+      beforeStatus,
+      afterStatus,
     });
 
     requestSessionSignature.approvalStatus.notary = {
@@ -1124,6 +1422,14 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
     await requestSessionSignature.save();
 
     await approveSessionHistory.save();
+    await recordEvent('session', sessionId, 'signed', { actorId: userId, actorRole: role });
+    await recordEvent('session', sessionId, 'statusChanged', {
+      actorId: userId,
+      actorRole: role,
+      action: 'sign',
+      fromStatus: beforeStatus,
+      toStatus: afterStatus,
+    });
 
     // send payment link to creator
     const user = await userService.getUserById(session.createdBy);
@@ -1136,8 +1442,8 @@ const approveSignatureSessionByNotary = async (sessionId, userId) => {
     await emailService.sendSessionStatusUpdateEmail(
       allEmails,
       sessionId,
-      'digitalSignature',
-      'completed',
+      beforeStatus,
+      afterStatus,
       'Session has been completed successfully'
     );
 
@@ -1161,7 +1467,7 @@ const autoVerifySession = async () => {
     const pendingDocuments = await SessionStatusTracking.aggregate([
       {
         $match: {
-          status: 'pending',
+          status: initialState,
           updatedAt: { $lt: oneMinuteAgo },
         },
       },
@@ -1176,23 +1482,29 @@ const autoVerifySession = async () => {
       { $unwind: '$sessionInfo' },
     ]);
 
+    const loadWorkflow = createWorkflowLoader();
+
     const updatePromises = pendingDocuments.map(async (tracking) => {
       const session = tracking.sessionInfo;
 
-      if (!session?.notaryService?.required_documents) {
+      if (!session?.notaryService?.documentSlots) {
         console.log(`Session ${tracking._id} lacks notarization requirements`);
         return null;
       }
 
-      const requiredDocs = session.notaryService.required_documents;
-      const existingFileNames = session.files.map((file) => file.filename);
+      const workflow = await loadWorkflow(session.notaryService._id);
+      const systemActions = getAvailableActions(workflow, initialState, systemRole);
+      const verify = systemActions.find((transition) => transition.action === 'verify');
+      if (!verify) {
+        return null;
+      }
 
       // Check for IPFS files
-      const hasIPFSFiles = session.files.some((file) => file.firebaseUrl.startsWith('https://gateway.pinata.cloud/ipfs'));
+      const hasIPFSFiles = session.files.some((file) => file.firebaseUrl?.startsWith('https://gateway.pinata.cloud/ipfs'));
 
       if (hasIPFSFiles) {
-        // Automatically approve if there are IPFS files
-        const newStatus = 'processing';
+        // Automatically verify if there are IPFS files
+        const newStatus = verify.to;
 
         await SessionStatusTracking.updateOne(
           { _id: tracking._id },
@@ -1208,15 +1520,22 @@ const autoVerifySession = async () => {
         const sessionUsers = session.users.map((user) => user.email);
         const allEmails = [...new Set([...sessionUsers, session.createdBy.email])];
 
-        emailService.sendSessionStatusUpdateEmail(allEmails, session._id, 'pending', newStatus);
+        emailService.sendSessionStatusUpdateEmail(allEmails, session._id, initialState, newStatus);
 
         await new ApproveSessionHistory({
           userId: null,
           sessionId: session._id,
-          beforeStatus: 'pending',
+          beforeStatus: initialState,
           afterStatus: newStatus,
           createdDate: new Date(),
         }).save();
+        await recordEvent('session', session._id, 'statusChanged', {
+          actorRole: systemRole,
+          action: verify.action,
+          fromStatus: initialState,
+          toStatus: newStatus,
+          feedback: 'IPFS files detected',
+        });
 
         return {
           sessionId: session._id,
@@ -1225,8 +1544,18 @@ const autoVerifySession = async () => {
         };
       }
 
-      const missingDocs = requiredDocs.filter((reqDoc) => !existingFileNames.some((filename) => filename.includes(reqDoc)));
-      const newStatus = missingDocs.length === 0 ? 'processing' : 'rejected';
+      const missingDocs = getMissingSlots(session.notaryService.documentSlots, session.files);
+      const feedback = missingDocs.length > 0 ? `Missing documents: ${missingDocs.join(', ')}` : undefined;
+
+      // Incomplete sessions go back to their creator, or are rejected when the workflow has no revision step
+      const transition = feedback
+        ? systemActions.find(({ to }) => awaitsRevision(workflow, to)) ||
+          systemActions.find(({ action }) => action === 'reject')
+        : verify;
+      if (!transition) {
+        return null;
+      }
+      const newStatus = transition.to;
 
       await SessionStatusTracking.updateOne(
         { _id: tracking._id },
@@ -1234,7 +1563,7 @@ const autoVerifySession = async () => {
           $set: {
             status: newStatus,
             updatedAt: new Date(),
-            feedback: missingDocs.length > 0 ? `Missing documents: ${missingDocs.join(', ')}` : undefined,
+            feedback,
           },
         }
       );
@@ -1243,21 +1572,25 @@ const autoVerifySession = async () => {
       const creator = await User.findById(session.createdBy).lean();
       const allEmails = [...new Set([...sessionUsers, creator.email])];
 
-      emailService.sendSessionStatusUpdateEmail(
-        allEmails,
-        session._id,
-        'pending',
-        newStatus,
-        missingDocs.length > 0 ? `Missing documents: ${missingDocs.join(', ')}` : undefined
-      );
+      emailService.sendSessionStatusUpdateEmail(allEmails, session._id, initialState, newStatus, feedback);
 
       await new ApproveSessionHistory({
         userId: null,
         sessionId: session._id,
-        beforeStatus: 'pending',
+        beforeStatus: initialState,
         afterStatus: newStatus,
         createdDate: new Date(),
       }).save();
+      await recordEvent('session', session._id, 'statusChanged', {
+        actorRole: systemRole,
+        action: transition.action,
+        fromStatus: initialState,
+        toStatus: newStatus,
+        feedback: feedback || null,
+      });
+      if (awaitsRevision(workflow, newStatus)) {
+        await openRevision(session._id, null, initialState, feedback);
+      }
 
       return {
         sessionId: session._id,
@@ -1312,6 +1645,105 @@ const deleteFile = async (sessionId, fileId, userId) => {
   await session.save();
 };
 
+const findSessionFile = async (sessionId, fileId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !mongoose.Types.ObjectId.isValid(fileId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid session ID or file ID');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
+  }
+
+  const isSessionCreator = session.createdBy && session.createdBy.toString() === user.id.toString();
+  const isSessionUser = session.users.some((u) => u.email === user.email);
+  if (user.role === 'user' && !isSessionCreator && !isSessionUser) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'User does not have access to this session');
+  }
+
+  const output = session.output.id(fileId);
+  const file = output || session.files.id(fileId);
+  if (!file) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'File not found');
+  }
+
+  // Session members only see the files they uploaded themselves, like in getSessionBySessionId
+  if (
+    user.role === 'user' &&
+    !output &&
+    !isSessionCreator &&
+    (!file.userId || file.userId.toString() !== user.id.toString())
+  ) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'User does not have access to this file');
+  }
+
+  return file;
+};
+
+const getSessionFile = async (sessionId, fileId, user) => {
+  const file = await findSessionFile(sessionId, fileId, user);
+
+  // Files taken from the user wallet are already public on IPFS
+  if (!file.storageKey) {
+    return { filename: file.filename, url: file.firebaseUrl, expiresAt: null };
+  }
+
+  const { url, expiresAt } = await getSignedUrl(file.storageKey);
+  return { filename: file.filename, url, expiresAt };
+};
+
+const getSessionBundle = async (sessionId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid session ID');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
+  }
+
+  const isSessionCreator = session.createdBy && session.createdBy.toString() === user.id.toString();
+  if (user.role === 'user' && !isSessionCreator) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the session creator can download the bundle');
+  }
+
+  const creator = await User.findById(session.createdBy);
+  const { notaryService, notaryField } = session;
+
+  return getBundle(session, 'sessions', {
+    title: `Notarization session ${session.sessionName}`,
+    details: [
+      ['Session ID', session._id],
+      ['Field', notaryField && notaryField.name],
+      ['Service', notaryService && notaryService.name],
+      ['Created by', creator && `${creator.name} <${creator.email}>`],
+      ['Members', session.users.map((u) => u.email).join(', ')],
+      ['Scheduled', `${new Date(session.startDate).toISOString().slice(0, 10)} ${session.startTime} - ${session.endTime}`],
+      ['Copies', session.amount],
+    ],
+    requiredDocuments: (notaryService && notaryService.required_documents) || [],
+  });
+};
+
+const verifySessionFile = async (sessionId, fileId, user) => {
+  const file = await findSessionFile(sessionId, fileId, user);
+
+  if (!file.storageKey || !file.sha256) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'File has no recorded hash to verify against');
+  }
+
+  const { valid, sha256, size } = await verifyFile(file.storageKey, file.sha256);
+  return {
+    filename: file.filename,
+    valid,
+    expectedSha256: file.sha256,
+    actualSha256: sha256,
+    expectedSize: file.size,
+    actualSize: size,
+    verifiedAt: new Date(),
+  };
+};
+
 module.exports = {
   validateEmails,
   findBySessionId,
@@ -1333,8 +1765,13 @@ module.exports = {
   getSessionStatus,
   getSessionsByStatus,
   forwardSessionStatus,
+  resubmitSession,
+  withdrawSession,
   approveSignatureSessionByUser,
   approveSignatureSessionByNotary,
   autoVerifySession,
   deleteFile,
+  getSessionFile,
+  verifySessionFile,
+  getSessionBundle,
 };
@@ -0,0 +1,210 @@
+const { StatusTracking, SessionStatusTracking, NotarizationService, SlaBreach, User } = require('../models');
+const { defaultSlaTargets } = require('../config/sla');
+const emailService = require('./email.service');
+
+const hourMs = 60 * 60 * 1000;
+
+const caseTypes = {
+  document: {
+    Tracking: StatusTracking,
+    from: 'documents',
+    localField: 'documentId',
+    serviceId: '$case.notarizationService.id',
+  },
+  session: {
+    Tracking: SessionStatusTracking,
+    from: 'sessions',
+    localField: 'sessionId',
+    serviceId: '$case.notaryService._id',
+  },
+};
+
+/**
+ * Hours allowed in each status for every service, services without targets get the defaults
+ * @returns {Promise<Object>} `getTargetHours(serviceId, status)`, undefined for untracked statuses, the tracked statuses and the shortest target
+ */
+const loadSlaTargets = async () => {
+  const services = await NotarizationService.find({}, 'slaTargets');
+  const byService = new Map(
+    services
+      .filter((service) => service.slaTargets && service.slaTargets.length > 0)
+      .map((service) => [String(service._id), service.slaTargets])
+  );
+
+  const getTargetHours = (serviceId, status) => {
+    const targets = byService.get(String(serviceId)) || defaultSlaTargets;
+    const target = targets.find((item) => item.status === status);
+    return target && target.hours;
+  };
+  const allTargets = [...defaultSlaTargets, ...[...byService.values()].flat()];
+  const statuses = [...new Set(allTargets.map((target) => target.status))];
+  const minHours = Math.min(...allTargets.map((target) => target.hours));
+
+  return { getTargetHours, statuses, minHours };
+};
+
+/**
+ * Cases sitting in one of the tracked statuses longer than the shortest target
+ * @param {('document'|'session')} type
+ * @param {string[]} statuses
+ * @param {Date} enteredBefore
+ * @returns {Promise<Object[]>}
+ */
+const findStalledCases = async (type, statuses, enteredBefore) => {
+  const { Tracking, from, localField, serviceId } = caseTypes[type];
+  return Tracking.aggregate([
+    { $match: { status: { $in: statuses }, updatedAt: { $lte: enteredBefore } } },
+    { $lookup: { from, localField, foreignField: '_id', as: 'case' } },
+    { $unwind: '$case' },
+    {
+      $project: {
+        _id: 0,
+        caseId: '$case._id',
+        status: 1,
+        enteredAt: '$updatedAt',
+        serviceId,
+        notaryId: '$case.assignment.notaryId',
+      },
+    },
+  ]);
+};
+
+const breachKey = ({ caseType, caseId, status, enteredAt }) =>
+  `${caseType}:${caseId}:${status}:${new Date(enteredAt).getTime()}`;
+
+/**
+ * Email the notary holding the case and the admins, once per breach
+ * @param {SlaBreach} breach
+ * @param {string[]} adminEmails
+ * @returns {Promise<string[]>} The recipients
+ */
+const escalateBreach = async (breach, adminEmails) => {
+  const notary = breach.notaryId ? await User.findById(breach.notaryId) : null;
+  const recipients = [...new Set([...(notary && notary.email ? [notary.email] : []), ...adminEmails])];
+  if (recipients.length === 0) {
+    return recipients;
+  }
+
+  await emailService.sendSlaEscalationEmail(recipients, {
+    caseType: breach.caseType,
+    caseId: breach.caseId,
+    status: breach.status,
+    dueAt: breach.dueAt,
+    assignedTo: notary ? notary.name : 'nobody',
+  });
+  await SlaBreach.updateOne({ _id: breach._id }, { $set: { escalatedTo: recipients, escalatedAt: new Date() } });
+  return recipients;
+};
+
+/**
+ * Flag the documents and sessions overdue in their status, escalate the new breaches and resolve the cases that moved on.
+ * Run by the cron job, errors are logged so the next run tries again.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts of the new, escalated and resolved breaches
+ */
+const checkSlaBreaches = async (now = new Date()) => {
+  try {
+    const { getTargetHours, statuses, minHours } = await loadSlaTargets();
+    const enteredBefore = new Date(now.getTime() - minHours * hourMs);
+
+    const stalled = await Promise.all(
+      Object.keys(caseTypes).map(async (caseType) =>
+        (await findStalledCases(caseType, statuses, enteredBefore)).map((item) => ({ ...item, caseType }))
+      )
+    );
+
+    const overdue = stalled
+      .flat()
+      .map((item) => {
+        const hours = getTargetHours(item.serviceId, item.status);
+        return hours ? { ...item, dueAt: new Date(new Date(item.enteredAt).getTime() + hours * hourMs) } : null;
+      })
+      .filter((item) => item && item.dueAt <= now);
+
+    const openBreaches = await SlaBreach.find({ resolvedAt: null });
+    const openKeys = new Set(openBreaches.map(breachKey));
+    const overdueKeys = new Set(overdue.map(breachKey));
+
+    const created = await Promise.all(
+      overdue
+        .filter((item) => !openKeys.has(breachKey(item)))
+        .map((item) =>
+          SlaBreach.create({
+            caseType: item.caseType,
+            caseId: item.caseId,
+            serviceId: item.serviceId || null,
+            status: item.status,
+            enteredAt: item.enteredAt,
+            dueAt: item.dueAt,
+            breachedAt: now,
+            notaryId: item.notaryId || null,
+          })
+        )
+    );
+
+    const resolved = openBreaches.filter((breach) => !overdueKeys.has(breachKey(breach)));
+    if (resolved.length > 0) {
+      await SlaBreach.updateMany({ _id: { $in: resolved.map((breach) => breach._id) } }, { $set: { resolvedAt: now } });
+    }
+
+    // Breaches whose email failed on a previous run are escalated again
+    const toEscalate = [
+      ...created,
+      ...openBreaches.filter((breach) => !breach.escalatedAt && overdueKeys.has(breachKey(breach))),
+    ];
+    let escalated = 0;
+    if (toEscalate.length > 0) {
+      const admins = await User.find({ role: 'admin' }, 'email');
+      const adminEmails = admins.map((admin) => admin.email).filter(Boolean);
+      const results = await Promise.allSettled(toEscalate.map((breach) => escalateBreach(breach, adminEmails)));
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => console.error('Error escalating SLA breach:', result.reason && result.reason.message));
+      escalated = results.filter((result) => result.status === 'fulfilled' && result.value.length > 0).length;
+    }
+
+    return { breached: created.length, escalated, resolved: resolved.length };
+  } catch (error) {
+    console.error('Error checking SLA breaches:', error.message);
+    return { breached: 0, escalated: 0, resolved: 0 };
+  }
+};
+
+/**
+ * Query for SLA breaches
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const querySlaBreaches = async (filter, options) => {
+  const breaches = await SlaBreach.paginate(filter, options);
+  return breaches;
+};
+
+/**
+ * Open breaches by case type and status, with the oldest due date
+ * @returns {Promise<Object>}
+ */
+const getSlaBreachSummary = async () => {
+  const [open, resolved] = await Promise.all([
+    SlaBreach.aggregate([
+      { $match: { resolvedAt: null } },
+      { $group: { _id: { caseType: '$caseType', status: '$status' }, count: { $sum: 1 }, oldestDueAt: { $min: '$dueAt' } } },
+      { $sort: { count: -1 } },
+    ]),
+    SlaBreach.countDocuments({ resolvedAt: { $ne: null } }),
+  ]);
+
+  return {
+    open: open.reduce((total, group) => total + group.count, 0),
+    resolved,
+    byStatus: open.map(({ _id, count, oldestDueAt }) => ({ ..._id, count, oldestDueAt })),
+  };
+};
+
+module.exports = {
+  loadSlaTargets,
+  checkSlaBreaches,
+  querySlaBreaches,
+  getSlaBreachSummary,
+};
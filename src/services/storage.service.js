@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const path = require('path');
+const storage = require('./storage');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Build the storage key of a file. Unless the name is kept, the key gets a random prefix so that
+ * two files uploaded with the same name never overwrite each other.
+ * @param {string} rootFolder
+ * @param {string} folderName
+ * @param {string} fileName
+ * @param {Object} [options]
+ * @param {boolean} [options.keepName] - Store the file under its name, for keys that are derived again later
+ * @returns {string}
+ */
+const buildKey = (rootFolder, folderName, fileName, { keepName = false } = {}) => {
+  const name = path.basename(fileName);
+  return `${rootFolder}/${folderName}/${keepName ? name : `${crypto.randomBytes(8).toString('hex')}-${name}`}`;
+};
+
+/**
+ * Compute the SHA-256 digest of a file content
+ * @param {Buffer} buffer
+ * @returns {string} Hex encoded digest
+ */
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Integrity metadata persisted next to every stored file
+ * @param {Object} file - The multer file (buffer, size, mimetype)
+ * @returns {{sha256: string, size: number, mimeType: string}}
+ */
+const getFileMetadata = (file) => ({
+  sha256: hashBuffer(file.buffer),
+  size: file.size || file.buffer.length,
+  mimeType: file.mimetype,
+});
+
+/**
+ * Upload a file to the configured storage backend. Files are stored privately.
+ * @param {Object} file - The multer file (originalname, buffer, mimetype)
+ * @param {string} rootFolder - e.g. documents, outputs, signatures
+ * @param {string} folderName - Usually the id of the owning document or session
+ * @param {Object} [options] - See buildKey
+ * @returns {Promise<string>} The storage key of the file
+ */
+const uploadFile = async (file, rootFolder, folderName, options) => {
+  const key = buildKey(rootFolder, folderName, file.originalname, options);
+
+  try {
+    await storage.save(key, file.buffer, file.mimetype);
+    return key;
+  } catch (error) {
+    console.error('Error uploading file:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload file');
+  }
+};
+
+/**
+ * Upload a file read from a stream, for files too large to be held in memory
+ * @param {Readable} source
+ * @param {Object} file - originalname, mimetype and size of the file
+ * @param {string} rootFolder
+ * @param {string} folderName
+ * @param {Object} [options] - See buildKey
+ * @returns {Promise<string>} The storage key of the file
+ */
+const uploadStream = async (source, file, rootFolder, folderName, options) => {
+  const key = buildKey(rootFolder, folderName, file.originalname, options);
+
+  try {
+    await storage.saveStream(key, source, file.mimetype, file.size);
+    return key;
+  } catch (error) {
+    console.error('Error uploading file:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to upload file');
+  }
+};
+
+/**
+ * Download a stored file
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+const downloadFile = async (key) => {
+  try {
+    return await storage.download(key);
+  } catch (error) {
+    console.error('Error downloading file:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to download file');
+  }
+};
+
+/**
+ * Delete a stored file
+ * @param {string} key
+ * @returns {Promise}
+ */
+const deleteFile = async (key) => {
+  try {
+    await storage.remove(key);
+  } catch (error) {
+    console.error('Error deleting file:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to delete file');
+  }
+};
+
+/**
+ * Re-download a stored file and check that it still matches its recorded digest
+ * @param {string} key
+ * @param {string} expectedSha256
+ * @returns {Promise<{valid: boolean, sha256: string, size: number}>}
+ */
+const verifyFile = async (key, expectedSha256) => {
+  const buffer = await downloadFile(key);
+  const sha256 = hashBuffer(buffer);
+  return { valid: Boolean(expectedSha256) && sha256 === expectedSha256, sha256, size: buffer.length };
+};
+
+/**
+ * Generate a short-lived url to read a stored file
+ * @param {string} key
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+const getSignedUrl = async (key) => {
+  const expiresAt = new Date(Date.now() + config.storage.signedUrlExpirationMinutes * 60 * 1000);
+
+  try {
+    const url = await storage.getSignedUrl(key, expiresAt);
+    return { url, expiresAt };
+  } catch (error) {
+    console.error('Error signing file url:', error.message);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to generate download url');
+  }
+};
+
+/**
+ * Get the storage key behind a legacy public url
+ * @param {string} url
+ * @returns {string|null} null when the url does not point to the configured storage
+ */
+const getKeyFromUrl = (url) => storage.getKey(url);
+
+module.exports = {
+  hashBuffer,
+  getFileMetadata,
+  uploadFile,
+  uploadStream,
+  downloadFile,
+  deleteFile,
+  verifyFile,
+  getSignedUrl,
+  getKeyFromUrl,
+};
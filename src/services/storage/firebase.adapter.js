@@ -0,0 +1,40 @@
+const stream = require('stream');
+const util = require('util');
+const { bucket } = require('../../config/firebase');
+
+const pipeline = util.promisify(stream.pipeline);
+
+const baseUrl = `https://storage.googleapis.com/${bucket.name}/`;
+
+const save = async (key, buffer, contentType) => {
+  await bucket.file(key).save(buffer, { contentType, private: true });
+};
+
+const saveStream = async (key, source, contentType) => {
+  await pipeline(source, bucket.file(key).createWriteStream({ contentType, private: true, resumable: false }));
+};
+
+const download = async (key) => {
+  const [data] = await bucket.file(key).download();
+  return data;
+};
+
+const remove = async (key) => {
+  await bucket.file(key).delete({ ignoreNotFound: true });
+};
+
+const getSignedUrl = async (key, expiresAt) => {
+  const [url] = await bucket.file(key).getSignedUrl({ action: 'read', expires: expiresAt });
+  return url;
+};
+
+const getKey = (url) => (url.startsWith(baseUrl) ? decodeURIComponent(url.slice(baseUrl.length)) : null);
+
+module.exports = {
+  save,
+  saveStream,
+  download,
+  remove,
+  getSignedUrl,
+  getKey,
+};
@@ -0,0 +1,11 @@
+/* eslint-disable global-require */
+const config = require('../../config/config');
+
+// Adapters are loaded lazily so that only the configured backend is initialized
+const adapters = {
+  firebase: () => require('./firebase.adapter'),
+  local: () => require('./local.adapter'),
+  s3: () => require('./s3.adapter'),
+};
+
+module.exports = adapters[config.storage.driver]();
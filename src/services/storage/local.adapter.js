@@ -0,0 +1,80 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+// Every file path comes from resolvePath, which keeps it inside the storage root
+const crypto = require('crypto');
+const { createWriteStream, promises: fs } = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const config = require('../../config/config');
+
+const { root, baseUrl } = config.storage.local;
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * Path of a storage key under the storage root, keys leading outside of it (e.g. `../`) are refused
+ * @param {string} key
+ * @returns {string}
+ */
+const resolvePath = (key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const sign = (key, expires) => crypto.createHmac('sha256', config.jwt.secret).update(`${key}:${expires}`).digest('hex');
+
+const save = async (key, buffer) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+const saveStream = async (key, source) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(source, createWriteStream(filePath));
+};
+
+const download = async (key) => fs.readFile(resolvePath(key));
+
+const remove = async (key) => {
+  await fs.rm(resolvePath(key), { force: true });
+};
+
+const getSignedUrl = async (key, expiresAt) => {
+  const expires = expiresAt.getTime();
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${baseUrl}/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+/**
+ * Check a signature produced by getSignedUrl
+ * @param {string} key
+ * @param {string} expires - Expiry timestamp in milliseconds
+ * @param {string} signature
+ * @returns {boolean}
+ */
+const isValidSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(sign(key, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const getKey = (url) =>
+  url.startsWith(`${baseUrl}/`) ? decodeURIComponent(url.slice(baseUrl.length + 1).split('?')[0]) : null;
+
+module.exports = {
+  save,
+  saveStream,
+  download,
+  remove,
+  getSignedUrl,
+  isValidSignature,
+  getKey,
+};
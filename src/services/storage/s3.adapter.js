@@ -0,0 +1,50 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const config = require('../../config/config');
+
+const { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl } = config.storage.s3;
+
+const client = new S3Client({
+  region,
+  endpoint,
+  forcePathStyle,
+  credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+});
+
+const baseUrl = publicUrl || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+const save = async (key, buffer, contentType) => {
+  await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+};
+
+// S3 needs the length of a streamed body up front
+const saveStream = async (key, source, contentType, size) => {
+  await client.send(
+    new PutObjectCommand({ Bucket: bucket, Key: key, Body: source, ContentType: contentType, ContentLength: size })
+  );
+};
+
+const download = async (key) => {
+  const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  return Buffer.from(await Body.transformToByteArray());
+};
+
+const remove = async (key) => {
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+};
+
+const getSignedUrl = async (key, expiresAt) =>
+  presign(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+    expiresIn: Math.ceil((expiresAt.getTime() - Date.now()) / 1000),
+  });
+
+const getKey = (url) => (url.startsWith(`${baseUrl}/`) ? decodeURIComponent(url.slice(baseUrl.length + 1)) : null);
+
+module.exports = {
+  save,
+  saveStream,
+  download,
+  remove,
+  getSignedUrl,
+  getKey,
+};
@@ -0,0 +1,83 @@
+const path = require('path');
+const sharp = require('sharp');
+const { uploadFile, getSignedUrl } = require('./storage.service');
+const renderPdfPage = require('../utils/renderPdfPage');
+
+// Thumbnails fit in a square of this size, in pixels
+const THUMBNAIL_SIZE = 320;
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Render a small JPEG preview of an image, or of the first page of a PDF
+ * @param {Object} file - The multer file (buffer, mimetype)
+ * @returns {Promise<Buffer|null>} null when the file type has no preview
+ */
+const createThumbnail = async (file) => {
+  let source;
+  if (file.mimetype === 'application/pdf') {
+    source = await renderPdfPage(file.buffer, THUMBNAIL_SIZE * 2);
+  } else if (IMAGE_TYPES.includes(file.mimetype)) {
+    source = file.buffer;
+  } else {
+    return null;
+  }
+
+  return sharp(source)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+};
+
+/**
+ * Store a thumbnail next to each stored file, e.g. thumbnails/documents/{id}/file.pdf.jpg.
+ * A file that cannot be previewed never fails the upload, it just has no thumbnail.
+ * @param {Object[]} files - The multer files
+ * @param {string[]} fileKeys - Storage keys of the files, in the same order
+ * @returns {Promise<Array<string|null>>} Storage keys of the thumbnails
+ */
+const storeThumbnails = (files, fileKeys) =>
+  Promise.all(
+    files.map(async (file, index) => {
+      try {
+        const thumbnail = await createThumbnail(file);
+        if (!thumbnail) {
+          return null;
+        }
+        const fileKey = fileKeys[index];
+        return await uploadFile(
+          { originalname: `${path.basename(fileKey)}.jpg`, buffer: thumbnail, mimetype: 'image/jpeg' },
+          'thumbnails',
+          path.dirname(fileKey),
+          { keepName: true }
+        );
+      } catch (error) {
+        console.error(`Error creating thumbnail of ${file.originalname}:`, error.message);
+        return null;
+      }
+    })
+  );
+
+/**
+ * Add a signed thumbnailUrl next to each file entry, null when the file has no thumbnail
+ * @param {Object[]} entries - File entries, plain objects or subdocuments
+ * @returns {Promise<Object[]>}
+ */
+const withThumbnailUrls = (entries = []) =>
+  Promise.all(
+    entries.map(async (entry) => {
+      const file = typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+      if (!file.thumbnailKey) {
+        return { ...file, thumbnailUrl: null };
+      }
+      const { url } = await getSignedUrl(file.thumbnailKey).catch(() => ({ url: null }));
+      return { ...file, thumbnailUrl: url };
+    })
+  );
+
+module.exports = {
+  createThumbnail,
+  storeThumbnails,
+  withThumbnailUrls,
+};
@@ -0,0 +1,95 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { CaseEvent, Document, Session } = require('../models');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Append an event to the timeline of a document or session.
+ * The action it records has already happened, so a failed write is logged instead of failing the request.
+ * @param {('document'|'session')} caseType
+ * @param {ObjectId} caseId
+ * @param {string} type
+ * @param {Object} [details] - actorId, actorRole, action, fromStatus, toStatus, feedback and data
+ * @returns {Promise<CaseEvent|null>}
+ */
+const recordEvent = async (caseType, caseId, type, details = {}) => {
+  try {
+    return await CaseEvent.create({ caseType, caseId, type, ...details });
+  } catch (error) {
+    console.error(`Error recording ${type} event of ${caseType} ${caseId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * What the timeline shows of a file, storage keys stay private
+ * @param {Object} file
+ * @returns {Object}
+ */
+const describeFile = (file) => ({
+  filename: file.filename,
+  slot: file.slot || null,
+  ...(file.version && { version: file.version }),
+});
+
+// Requesters only see their own cases, notaries and admins see every case
+const checkTimelineAccess = async (caseType, caseId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid ${caseType} ID`);
+  }
+
+  if (caseType === 'document') {
+    const document = await Document.findById(caseId);
+    if (!document) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Document not found');
+    }
+    if (user.role === 'user' && String(document.userId) !== String(user.id)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'User does not have access to this document');
+    }
+    return;
+  }
+
+  const session = await Session.findById(caseId);
+  if (!session) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
+  }
+  const isMember = session.users.some((member) => member.email === user.email);
+  if (user.role === 'user' && String(session.createdBy) !== String(user.id) && !isMember) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'User does not have access to this session');
+  }
+};
+
+/**
+ * Every event of a document or session, oldest first
+ * @param {('document'|'session')} caseType
+ * @param {ObjectId} caseId
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+const getTimeline = async (caseType, caseId, user) => {
+  await checkTimelineAccess(caseType, caseId, user);
+
+  const events = await CaseEvent.find({ caseType, caseId }).sort({ createdAt: 1, _id: 1 }).populate('actorId', 'name');
+
+  return {
+    caseType,
+    caseId,
+    events: events.map((event) => ({
+      id: event.id,
+      type: event.type,
+      action: event.action,
+      fromStatus: event.fromStatus,
+      toStatus: event.toStatus,
+      feedback: event.feedback,
+      data: event.data,
+      actor: event.actorId ? { id: event.actorId.id, name: event.actorId.name, role: event.actorRole } : null,
+      createdAt: event.createdAt,
+    })),
+  };
+};
+
+module.exports = {
+  recordEvent,
+  describeFile,
+  getTimeline,
+};
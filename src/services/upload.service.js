@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Readable, Transform, pipeline } = require('stream');
+const config = require('../config/config');
+const { Upload } = require('../models');
+const { uploadFile, uploadStream, downloadFile, deleteFile } = require('./storage.service');
+const { scanFileStream } = require('./scan.service');
+const { storeThumbnails } = require('./thumbnail.service');
+const { checkFiles } = require('./uploadPolicy.service');
+const ApiError = require('../utils/ApiError');
+const { runInTransaction } = require('../utils/transaction');
+const countPdfPages = require('../utils/countPdfPages');
+
+const getChunkKey = (upload, index) => `uploads/${upload._id}/chunks/${index}`;
+
+const getExpectedChunkSize = (upload, index) =>
+  index < upload.totalChunks - 1 ? upload.chunkSize : upload.size - upload.chunkSize * (upload.totalChunks - 1);
+
+const removeChunks = async (upload) => {
+  await Promise.all(
+    upload.receivedChunks.map((index) =>
+      deleteFile(getChunkKey(upload, index)).catch((error) => console.error('Error deleting chunk:', error.message))
+    )
+  );
+};
+
+/**
+ * Start a resumable upload
+ * @param {ObjectId} userId
+ * @param {Object} uploadBody
+ * @param {string} uploadBody.filename
+ * @param {string} uploadBody.mimeType
+ * @param {number} uploadBody.size - Total size of the file in bytes
+ * @param {string} [uploadBody.sha256] - Digest of the whole file, checked when the upload is completed
+ * @returns {Promise<Upload>}
+ */
+const createUpload = async (userId, { filename, mimeType, size, sha256 }) => {
+  if (size > config.upload.maxSize) {
+    throw new ApiError(
+      httpStatus.REQUEST_ENTITY_TOO_LARGE,
+      `File is larger than ${config.upload.maxSize / (1024 * 1024)}MB`
+    );
+  }
+
+  const { chunkSize } = config.upload;
+  return Upload.create({
+    userId,
+    filename,
+    mimeType,
+    size,
+    chunkSize,
+    totalChunks: Math.ceil(size / chunkSize),
+    expectedSha256: sha256 || null,
+    expiresAt: new Date(Date.now() + config.upload.expirationHours * 60 * 60 * 1000),
+  });
+};
+
+/**
+ * Get an upload of the user, e.g. to find out which chunks still have to be sent
+ * @param {ObjectId} uploadId
+ * @param {ObjectId} userId
+ * @returns {Promise<Upload>}
+ */
+const getUpload = async (uploadId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid upload ID');
+  }
+
+  const upload = await Upload.findById(uploadId);
+  if (!upload) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Upload not found');
+  }
+  if (upload.userId.toString() !== userId.toString()) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You do not have access to this upload');
+  }
+  return upload;
+};
+
+const getPendingUpload = async (uploadId, userId) => {
+  const upload = await getUpload(uploadId, userId);
+  if (upload.status !== 'pending') {
+    throw new ApiError(httpStatus.CONFLICT, 'Upload is already completed');
+  }
+  if (upload.expiresAt < new Date()) {
+    throw new ApiError(httpStatus.GONE, 'Upload has expired');
+  }
+  return upload;
+};
+
+/**
+ * Store one chunk of an upload. Chunks can be sent in any order and sent again after a failure.
+ * @param {ObjectId} uploadId
+ * @param {number} index - Zero-based index of the chunk
+ * @param {Buffer} buffer
+ * @param {ObjectId} userId
+ * @returns {Promise<Upload>}
+ */
+const uploadChunk = async (uploadId, index, buffer, userId) => {
+  const upload = await getPendingUpload(uploadId, userId);
+
+  if (index >= upload.totalChunks) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Chunk index must be lower than ${upload.totalChunks}`);
+  }
+  const expectedSize = getExpectedChunkSize(upload, index);
+  if (!Buffer.isBuffer(buffer) || buffer.length !== expectedSize) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Chunk ${index} must be ${expectedSize} bytes`);
+  }
+
+  await uploadFile(
+    { originalname: String(index), buffer, mimetype: 'application/octet-stream' },
+    'uploads',
+    `${upload._id}/chunks`,
+    { keepName: true }
+  );
+
+  return Upload.findByIdAndUpdate(upload._id, { $addToSet: { receivedChunks: index } }, { new: true });
+};
+
+/**
+ * Read the chunks of an upload one after the other, only one chunk is held in memory at a time
+ * @param {Upload} upload
+ * @returns {Readable}
+ */
+const createChunkStream = (upload) => {
+  let next = 0;
+  return new Readable({
+    read() {
+      if (next >= upload.totalChunks) {
+        this.push(null);
+        return;
+      }
+      const index = next;
+      next += 1;
+      downloadFile(getChunkKey(upload, index)).then(
+        (chunk) => this.push(chunk),
+        (error) => this.destroy(error)
+      );
+    },
+  });
+};
+
+/**
+ * Pass a stream through, computing its sha256 and size on the way
+ * @param {Readable} source
+ * @returns {{stream: Readable, digest: Function}} `digest()` gives the sha256 and size once the stream was read
+ */
+const measureStream = (source) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  // Errors of the source, e.g. a chunk that cannot be downloaded, fail the stream read from the transform
+  pipeline(source, measure, () => {});
+  return { stream: measure, digest: () => ({ sha256: hash.digest('hex'), size }) };
+};
+
+/**
+ * Scan and store the chunks of an upload marked as assembling, see completeUpload
+ * @param {Upload} upload
+ * @returns {Promise<Upload>}
+ */
+const assembleUpload = async (upload) => {
+  const file = { originalname: upload.filename, mimetype: upload.mimeType, size: upload.size };
+  const verdict = await scanFileStream(() => createChunkStream(upload), file, 'uploads', upload._id);
+
+  const { stream: source, digest } = measureStream(createChunkStream(upload));
+  const storageKey = await uploadStream(source, file, 'uploads', upload._id);
+  const { sha256, size } = digest();
+
+  if (size !== upload.size || (upload.expectedSha256 && upload.expectedSha256 !== sha256)) {
+    // The stored chunks are unusable, the client has to send them again
+    await deleteFile(storageKey).catch((error) => console.error('Error deleting upload:', error.message));
+    await removeChunks(upload);
+    Object.assign(upload, { receivedChunks: [] });
+    await upload.save();
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'Assembled file does not match the announced size or sha256');
+  }
+
+  let thumbnailKey = null;
+  let pageCount = null;
+  if (size <= config.upload.previewMaxSize) {
+    const buffer = await downloadFile(storageKey);
+    [thumbnailKey] = await storeThumbnails([{ ...file, buffer }], [storageKey]);
+    pageCount = upload.mimeType === 'application/pdf' ? await countPdfPages(buffer).catch(() => null) : null;
+  }
+  await removeChunks(upload);
+
+  Object.assign(upload, {
+    status: 'completed',
+    storageKey,
+    sha256,
+    scan: verdict,
+    thumbnailKey,
+    pageCount,
+    // Give the client time to attach the file
+    expiresAt: new Date(Date.now() + config.upload.expirationHours * 60 * 60 * 1000),
+  });
+  await upload.save();
+  return upload;
+};
+
+/**
+ * Assemble the chunks, scan the file and keep it until it is attached to a document or session.
+ * The chunks are streamed to the scanner and to storage, the whole file is only read into memory for its thumbnail
+ * and page count when it is small enough.
+ * @param {ObjectId} uploadId
+ * @param {ObjectId} userId
+ * @returns {Promise<Upload>}
+ */
+const completeUpload = async (uploadId, userId) => {
+  const upload = await getPendingUpload(uploadId, userId);
+
+  const indexes = [...Array(upload.totalChunks).keys()];
+  const missing = indexes.filter((index) => !upload.receivedChunks.includes(index));
+  if (missing.length > 0) {
+    throw new ApiError(httpStatus.CONFLICT, `Missing chunks: ${missing.join(', ')}`);
+  }
+
+  // Only one request assembles the chunks, a concurrent completion gets a conflict instead of storing a second copy
+  const { nModified } = await Upload.updateOne({ _id: upload._id, status: 'pending' }, { status: 'assembling' });
+  if (nModified === 0) {
+    throw new ApiError(httpStatus.CONFLICT, 'Upload is already being completed');
+  }
+
+  try {
+    return await assembleUpload(upload);
+  } catch (error) {
+    // Let the client complete the upload again
+    await Upload.updateOne({ _id: upload._id, status: 'assembling' }, { status: 'pending' });
+    throw error;
+  }
+};
+
+/**
+ * Turn completed uploads into file entries of a document or session. An upload can only be attached once: the uploads
+ * are only attached if none was attached by another request meanwhile, otherwise none is.
+ * @param {ObjectId[]} uploadIds
+ * @param {ObjectId} userId
+ * @param {Object} [uploadPolicy] - Upload policy of the service, see uploadPolicy.service
+ * @param {ClientSession} [session] - Transaction the claim belongs to, the claim runs in its own one without it
+ * @returns {Promise<Object[]>} File entries, in the order of uploadIds
+ */
+const claimUploads = async (uploadIds, userId, uploadPolicy = {}, session = null) => {
+  if (!session) {
+    return runInTransaction(({ session: claimSession }) => claimUploads(uploadIds, userId, uploadPolicy, claimSession));
+  }
+
+  const uploads = await Upload.find({ _id: { $in: uploadIds }, userId, status: 'completed' }, null, { session });
+  if (uploads.length !== uploadIds.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Some uploads are not found or not completed');
+  }
+
+  // Rejected uploads stay completed so they can be attached to another request
+  await checkFiles(uploadPolicy, uploads);
+
+  const { nModified } = await Upload.updateMany(
+    { _id: { $in: uploadIds }, userId, status: 'completed' },
+    { status: 'attached' },
+    { session }
+  );
+  if (nModified !== uploadIds.length) {
+    throw new ApiError(httpStatus.CONFLICT, 'Some uploads were attached by another request');
+  }
+
+  return uploadIds
+    .map((id) => uploads.find((upload) => upload._id.toString() === id.toString()))
+    .map((upload) => ({
+      filename: upload.filename,
+      storageKey: upload.storageKey,
+      sha256: upload.sha256,
+      size: upload.size,
+      mimeType: upload.mimeType,
+      scan: upload.scan,
+      thumbnailKey: upload.thumbnailKey,
+    }));
+};
+
+/**
+ * Delete uploads that were never completed or attached before they expired, along with their files
+ */
+const deleteExpiredUploads = async () => {
+  try {
+    const expiredUploads = await Upload.find({ status: { $ne: 'attached' }, expiresAt: { $lt: new Date() } });
+
+    await Promise.all(
+      expiredUploads.map(async (upload) => {
+        await removeChunks(upload);
+        await Promise.all(
+          [upload.storageKey, upload.thumbnailKey]
+            .filter(Boolean)
+            .map((key) => deleteFile(key).catch((error) => console.error('Error deleting upload:', error.message)))
+        );
+      })
+    );
+
+    if (expiredUploads.length > 0) {
+      await Upload.deleteMany({ _id: { $in: expiredUploads.map((upload) => upload._id) } });
+      console.log(`Deleted ${expiredUploads.length} expired uploads.`);
+    }
+  } catch (error) {
+    console.error('Error deleting expired uploads:', error);
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  claimUploads,
+  deleteExpiredUploads,
+};
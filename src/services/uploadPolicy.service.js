@@ -0,0 +1,81 @@
+const httpStatus = require('http-status');
+const ApiError = require('../utils/ApiError');
+const countPdfPages = require('../utils/countPdfPages');
+const { defaultUploadPolicy } = require('../config/upload');
+
+const MB = 1024 * 1024;
+
+/**
+ * Upload policy of a notarization service, the default policy when there is no service or it has none
+ * @param {NotarizationService} [service]
+ * @returns {Object}
+ */
+const getUploadPolicy = (service) => (service && service.uploadPolicy) || defaultUploadPolicy;
+
+const hasLimit = (value) => value !== null && value !== undefined;
+
+/**
+ * @param {Object} policy
+ * @param {number} count - Number of files the document or session will hold from this requester
+ */
+const checkFileCount = (policy, count) => {
+  if (hasLimit(policy.maxFiles) && count > policy.maxFiles) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `This service accepts at most ${policy.maxFiles} files`);
+  }
+};
+
+const getPageCount = async (file) => {
+  if (hasLimit(file.pageCount)) {
+    return file.pageCount;
+  }
+  if (!file.buffer) {
+    return null;
+  }
+  return countPdfPages(file.buffer).catch(() => null);
+};
+
+const getViolations = async (policy, file) => {
+  const name = file.originalname || file.filename;
+  const mimeType = file.mimetype || file.mimeType;
+  const size = hasLimit(file.size) ? file.size : file.buffer.length;
+  const violations = [];
+
+  const allowedMimeTypes = policy.allowedMimeTypes || [];
+  if (allowedMimeTypes.length > 0 && !allowedMimeTypes.includes(mimeType)) {
+    violations.push(`${name}: ${mimeType} files are not accepted`);
+  }
+  if (hasLimit(policy.maxFileSizeMb) && size > policy.maxFileSizeMb * MB) {
+    violations.push(`${name}: larger than ${policy.maxFileSizeMb} MB`);
+  }
+
+  const checksPages = hasLimit(policy.minPdfPages) || hasLimit(policy.maxPdfPages);
+  if (checksPages && mimeType === 'application/pdf') {
+    const pages = await getPageCount(file);
+    if (pages === null) {
+      violations.push(`${name}: the PDF could not be read`);
+    } else if (hasLimit(policy.minPdfPages) && pages < policy.minPdfPages) {
+      violations.push(`${name}: has ${pages} pages, at least ${policy.minPdfPages} are required`);
+    } else if (hasLimit(policy.maxPdfPages) && pages > policy.maxPdfPages) {
+      violations.push(`${name}: has ${pages} pages, at most ${policy.maxPdfPages} are accepted`);
+    }
+  }
+  return violations;
+};
+
+/**
+ * Check the type, size and page count of files against the upload policy of a service
+ * @param {Object} policy - See getUploadPolicy
+ * @param {Object[]} files - Multer files, or stored entries with filename, mimeType, size and pageCount
+ */
+const checkFiles = async (policy, files = []) => {
+  const violations = (await Promise.all(files.map((file) => getViolations(policy, file)))).flat();
+  if (violations.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Files rejected by the service upload policy: ${violations.join('; ')}`);
+  }
+};
+
+module.exports = {
+  getUploadPolicy,
+  checkFileCount,
+  checkFiles,
+};
@@ -21,13 +21,15 @@ const generateOrderCode = () => {
  * @param {number} nftData.amount - The amount of NFTs minted.
  * @param {string} nftData.tokenId - The token ID of the minted NFT.
  * @param {string} nftData.tokenURI - The URI containing metadata of the NFT.
+ * @param {string} nftData.fileURI - The URI of the pinned file.
  * @param {string} nftData.contractAddress - The smart contract address of the NFT.
+ * @param {ClientSession} [session] - Transaction the write belongs to
  * @returns {Promise<UserWallet>} - The updated user wallet.
  * @throws {ApiError} - If the operation fails.
  */
-const addNFTToWallet = async (userId, nftData) => {
+const addNFTToWallet = async (userId, nftData, session = null) => {
   try {
-    let userWallet = await UserWallet.findOne({ user: userId });
+    let userWallet = await UserWallet.findOne({ user: userId }, null, { session });
 
     if (!userWallet) {
       // If the user doesn't have a wallet, create one
@@ -48,7 +50,7 @@ const addNFTToWallet = async (userId, nftData) => {
     }
 
     // Save the updated wallet
-    await userWallet.save();
+    await userWallet.save({ session });
     return userWallet;
   } catch (error) {
     if (error instanceof ApiError) {
@@ -153,12 +155,13 @@ const transferNFT = async (fromUserId, toUserEmail, transactionHash, amount) =>
  *
  * @param {ObjectId} userId - The ID of the user.
  * @param {Array<string>} fileIds - The list of file IDs whose amounts need to be decreased.
+ * @param {ClientSession} [session] - Transaction the write belongs to
  * @returns {Promise<void>}
  * @throws {ApiError} - If the operation fails.
  */
-const decreaseNFTAmount = async (userId, fileIds) => {
+const decreaseNFTAmount = async (userId, fileIds, session = null) => {
   try {
-    const userWallet = await UserWallet.findOne({ user: userId });
+    const userWallet = await UserWallet.findOne({ user: userId }, null, { session });
 
     if (!userWallet) {
       throw new ApiError(httpStatus.NOT_FOUND, 'User wallet not found');
@@ -180,7 +183,7 @@ const decreaseNFTAmount = async (userId, fileIds) => {
       }
     });
 
-    await userWallet.save();
+    await userWallet.save({ session });
   } catch (error) {
     console.error('Error decreasing NFT amount:', error);
     if (error instanceof ApiError) {
@@ -190,6 +193,49 @@ const decreaseNFTAmount = async (userId, fileIds) => {
   }
 };
 
+/**
+ * Give back the copies taken by decreaseNFTAmount, items no longer in the wallet are skipped
+ * @param {ObjectId} userId
+ * @param {string[]} itemIds - One id per copy to give back
+ * @param {ClientSession} [session] - Transaction the write belongs to
+ * @returns {Promise<number>} The number of copies given back
+ */
+const restoreNFTAmount = async (userId, itemIds, session = null) => {
+  const userWallet = await UserWallet.findOne({ user: userId }, null, { session });
+  if (!userWallet) {
+    return 0;
+  }
+
+  const restored = itemIds.filter((itemId) => {
+    const nftItem = userWallet.nftItems.find((item) => item._id.toString() === String(itemId));
+    if (nftItem) {
+      nftItem.amount += 1;
+    }
+    return Boolean(nftItem);
+  });
+  if (restored.length > 0) {
+    await userWallet.save({ session });
+  }
+  return restored.length;
+};
+
+/**
+ * Mark the NFTs of an original document as amended, in whichever wallets hold them now
+ * @param {string[]} transactionHashes - Mints of the original document
+ * @param {ObjectId} amendmentId
+ * @returns {Promise<void>}
+ */
+const linkAmendment = async (transactionHashes, amendmentId) => {
+  if (transactionHashes.length === 0) {
+    return;
+  }
+  await UserWallet.updateMany(
+    { 'nftItems.transactionHash': { $in: transactionHashes } },
+    { $addToSet: { 'nftItems.$[item].amendedBy': amendmentId } },
+    { arrayFilters: [{ 'item.transactionHash': { $in: transactionHashes } }] }
+  );
+};
+
 const purchaseDocument = async (userId, itemId, amount) => {
   try {
     const userWallet = await UserWallet.findOne({ user: userId });
@@ -249,5 +295,7 @@ module.exports = {
   getWallet,
   transferNFT,
   decreaseNFTAmount,
+  restoreNFTAmount,
+  linkAmendment,
   purchaseDocument,
 };
@@ -0,0 +1,255 @@
+const httpStatus = require('http-status');
+const { Workflow, NotarizationService } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { roles } = require('../config/roles');
+const { defaultWorkflow, initialState, resubmitAction, systemRole } = require('../config/workflow');
+
+const findState = (workflow, status) => workflow.states.find((state) => state.name === status);
+
+const findTransition = (workflow, status, action) =>
+  workflow.transitions.find((transition) => transition.action === action && transition.from.includes(status));
+
+/**
+ * Problems with a workflow definition, empty when it can be used
+ * @param {Object} workflow - states and transitions
+ * @returns {string[]}
+ */
+const getWorkflowErrors = ({ states = [], transitions = [] }) => {
+  const errors = [];
+  const names = states.map((state) => state.name);
+  const finalStates = states.filter((state) => state.final).map((state) => state.name);
+  const knownRoles = [...roles, systemRole];
+
+  if (new Set(names).size !== names.length) {
+    errors.push('state names must be unique');
+  }
+  if (!names.includes(initialState)) {
+    errors.push(`the ${initialState} state is required`);
+  }
+
+  const seen = new Set();
+  transitions.forEach(({ action, from = [], to, roles: transitionRoles = [] }) => {
+    if (!names.includes(to)) {
+      errors.push(`${action} leads to the unknown state ${to}`);
+    }
+    from.forEach((status) => {
+      if (!names.includes(status)) {
+        errors.push(`${action} leaves from the unknown state ${status}`);
+      } else if (finalStates.includes(status)) {
+        errors.push(`${action} leaves from the final state ${status}`);
+      }
+      if (seen.has(`${status}:${action}`)) {
+        errors.push(`${action} is defined more than once from ${status}`);
+      }
+      seen.add(`${status}:${action}`);
+    });
+    transitionRoles
+      .filter((role) => !knownRoles.includes(role))
+      .forEach((role) => errors.push(`${action} is given to the unknown role ${role}`));
+  });
+
+  return errors;
+};
+
+const checkWorkflow = (workflow) => {
+  const errors = getWorkflowErrors(workflow);
+  if (errors.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid workflow: ${errors.join('; ')}`);
+  }
+};
+
+/**
+ * Check that a role may take an action on a request, this is the only place status changes are allowed or refused
+ * @param {Object} workflow
+ * @param {Object} params
+ * @param {string} params.status - Current status of the document or session
+ * @param {string} params.action
+ * @param {string} params.role - Role of the user, or `system` for automatic steps
+ * @param {string} [params.feedback]
+ * @param {boolean} [params.hasOutput] - Whether the request has output files, counting the ones sent with the action
+ * @returns {Object} The transition to take
+ */
+const getTransition = (workflow, { status, action, role, feedback, hasOutput = false }) => {
+  const state = findState(workflow, status);
+  if (!state) {
+    throw new ApiError(httpStatus.CONFLICT, `Status ${status} is not part of the ${workflow.name} workflow`);
+  }
+  if (state.final) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `The request is already ${status}`);
+  }
+
+  const transition = findTransition(workflow, status, action);
+  if (!transition) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Cannot ${action} a request in status ${status}`);
+  }
+  if (!transition.roles.includes(role)) {
+    throw new ApiError(httpStatus.FORBIDDEN, `Role ${role} cannot ${action} a request in status ${status}`);
+  }
+
+  const requires = transition.requires || [];
+  if (requires.includes('feedback') && !feedback) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Feedback is required to ${action}`);
+  }
+  if (requires.includes('output') && !hasOutput) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `An output file is required to ${action}`);
+  }
+  return transition;
+};
+
+/**
+ * @param {Object} workflow
+ * @param {string} status
+ * @param {string} role
+ * @returns {Array<{action: string, to: string, requires: string[]}>} Actions the role can take from the status
+ */
+const getAvailableActions = (workflow, status, role) =>
+  workflow.transitions
+    .filter((transition) => transition.from.includes(status) && transition.roles.includes(role))
+    .map(({ action, to, requires = [] }) => ({ action, to, requires: [...requires] }));
+
+/**
+ * Whether signatures are collected in a status, i.e. the request can leave it with `sign`
+ * @param {Object} workflow
+ * @param {string} status
+ * @returns {boolean}
+ */
+const collectsSignatures = (workflow, status) => Boolean(findTransition(workflow, status, 'sign'));
+
+/**
+ * Whether a request in the status waits for changes from its requester, i.e. it can leave it with `resubmit`
+ * @param {Object} workflow
+ * @param {string} status
+ * @returns {boolean}
+ */
+const awaitsRevision = (workflow, status) => Boolean(findTransition(workflow, status, resubmitAction));
+
+/**
+ * Workflow of a notarization service, the default one when none is attached.
+ * Requests follow the workflow their service has when they move, not the one it had when they were created.
+ * @param {ObjectId} serviceId
+ * @returns {Promise<Object>}
+ */
+const getServiceWorkflow = async (serviceId) => {
+  const service = serviceId ? await NotarizationService.findById(serviceId) : null;
+  if (!service || !service.workflowId) {
+    return defaultWorkflow;
+  }
+  return (await Workflow.findById(service.workflowId)) || defaultWorkflow;
+};
+
+/**
+ * getServiceWorkflow loading each workflow once, for jobs going through many requests
+ * @returns {function(ObjectId): Promise<Object>}
+ */
+const createWorkflowLoader = () => {
+  const workflows = new Map();
+  return (serviceId) => {
+    const key = String(serviceId);
+    if (!workflows.has(key)) {
+      workflows.set(key, getServiceWorkflow(serviceId));
+    }
+    return workflows.get(key);
+  };
+};
+
+/**
+ * Names of the final states of all workflows, a request in one of them is closed
+ * @returns {Promise<string[]>}
+ */
+const getFinalStates = async () => {
+  const workflows = await Workflow.find({}, 'states');
+  const finalStates = [defaultWorkflow, ...workflows].flatMap((workflow) =>
+    workflow.states.filter((state) => state.final).map((state) => state.name)
+  );
+  return [...new Set(finalStates)];
+};
+
+const createWorkflow = async (workflowBody) => {
+  try {
+    if (await Workflow.findOne({ name: workflowBody.name })) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Workflow name already exists');
+    }
+    checkWorkflow(workflowBody);
+    return await Workflow.create(workflowBody);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Error creating workflow');
+  }
+};
+
+const queryWorkflows = async (filter, options) => {
+  const workflows = await Workflow.paginate(filter, options);
+  return workflows;
+};
+
+const getWorkflowById = async (workflowId) => {
+  try {
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Workflow not found');
+    }
+    return workflow;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Error fetching workflow');
+  }
+};
+
+const updateWorkflowById = async (workflowId, updateBody) => {
+  try {
+    const workflow = await getWorkflowById(workflowId);
+
+    if (updateBody.name && (await Workflow.findOne({ name: updateBody.name, _id: { $ne: workflowId } }))) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Workflow name already taken');
+    }
+
+    Object.assign(workflow, updateBody);
+    checkWorkflow(workflow);
+    await workflow.save();
+    return workflow;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Error updating workflow');
+  }
+};
+
+const deleteWorkflowById = async (workflowId) => {
+  try {
+    const workflow = await getWorkflowById(workflowId);
+
+    const serviceCount = await NotarizationService.countDocuments({ workflowId });
+    if (serviceCount > 0) {
+      throw new ApiError(httpStatus.CONFLICT, `Workflow is used by ${serviceCount} notarization services`);
+    }
+
+    await workflow.remove();
+    return workflow;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Error deleting workflow');
+  }
+};
+
+module.exports = {
+  getWorkflowErrors,
+  getTransition,
+  getAvailableActions,
+  collectsSignatures,
+  awaitsRevision,
+  getServiceWorkflow,
+  createWorkflowLoader,
+  getFinalStates,
+  createWorkflow,
+  queryWorkflows,
+  getWorkflowById,
+  updateWorkflowById,
+  deleteWorkflowById,
+};
@@ -0,0 +1,17 @@
+const loadMupdf = require('./loadMupdf');
+
+/**
+ * @param {Buffer} buffer - The PDF file
+ * @returns {Promise<number>} Number of pages, throws when the file is not a readable PDF
+ */
+const countPdfPages = async (buffer) => {
+  const mupdf = await loadMupdf();
+  const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+  try {
+    return document.countPages();
+  } finally {
+    document.destroy();
+  }
+};
+
+module.exports = countPdfPages;
@@ -0,0 +1,65 @@
+const httpStatus = require('http-status');
+const ApiError = require('./ApiError');
+
+/**
+ * Build the code of a slot from its name, e.g. "Căn cước công dân" -> "can-cuoc-cong-dan"
+ * @param {string} name
+ * @returns {string}
+ */
+const toSlotCode = (name) =>
+  name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Check that every slot a file is tagged with belongs to the service
+ * @param {Array<string|null>} codes - One code per file, empty for untagged files
+ * @param {Object[]} documentSlots - The documentSlots of the service
+ */
+const checkSlotCodes = (codes = [], documentSlots = []) => {
+  const known = documentSlots.map((slot) => slot.code);
+  const unknown = codes.filter((code) => code && !known.includes(code));
+  if (unknown.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown document slots: ${[...new Set(unknown)].join(', ')}`);
+  }
+};
+
+/**
+ * Report which slots of the service are filled by the files
+ * @param {Object[]} documentSlots
+ * @param {Object[]} files - File entries with their slot code
+ * @returns {Array<{code: string, name: string, description: string, required: boolean, satisfied: boolean, fileIds: string[]}>}
+ */
+const getSlotStatus = (documentSlots = [], files = []) =>
+  documentSlots.map((slot) => {
+    const fileIds = files.filter((file) => file.slot === slot.code).map((file) => String(file._id));
+    return {
+      code: slot.code,
+      name: slot.name,
+      description: slot.description,
+      required: slot.required !== false,
+      satisfied: fileIds.length > 0,
+      fileIds,
+    };
+  });
+
+/**
+ * @param {Object[]} documentSlots
+ * @param {Object[]} files
+ * @returns {string[]} Names of the required slots no file is tagged with
+ */
+const getMissingSlots = (documentSlots, files) =>
+  getSlotStatus(documentSlots, files)
+    .filter((slot) => slot.required && !slot.satisfied)
+    .map((slot) => slot.name);
+
+module.exports = {
+  toSlotCode,
+  checkSlotCodes,
+  getSlotStatus,
+  getMissingSlots,
+};
@@ -0,0 +1,16 @@
+// mupdf is only published as an ES module, so it is imported on first use
+let mupdf;
+
+/**
+ * @returns {Promise<Object>} The mupdf module
+ */
+const loadMupdf = async () => {
+  if (!mupdf) {
+    // the package only declares its entry point in "exports", which the lint resolver does not read
+    // eslint-disable-next-line import/no-unresolved
+    mupdf = await import('mupdf');
+  }
+  return mupdf;
+};
+
+module.exports = loadMupdf;
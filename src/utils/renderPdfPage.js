@@ -0,0 +1,26 @@
+const loadMupdf = require('./loadMupdf');
+
+/**
+ * Render the first page of a PDF as a PNG image
+ * @param {Buffer} buffer - The PDF file
+ * @param {number} width - Width of the rendered page in pixels
+ * @returns {Promise<Buffer>}
+ */
+const renderPdfPage = async (buffer, width) => {
+  const mupdf = await loadMupdf();
+  const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+  const page = document.loadPage(0);
+  try {
+    const [left, , right] = page.getBounds();
+    const scale = width / (right - left);
+    const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+    const png = Buffer.from(pixmap.asPNG());
+    pixmap.destroy();
+    return png;
+  } finally {
+    page.destroy();
+    document.destroy();
+  }
+};
+
+module.exports = renderPdfPage;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run undo steps one after the other, latest first. A failing step is logged and the others still run.
+ * @param {Function[]} compensations
+ * @returns {Promise<void>}
+ */
+const compensateAll = (compensations) =>
+  [...compensations].reverse().reduce(
+    (previous, undo) =>
+      previous.then(() =>
+        Promise.resolve()
+          .then(undo)
+          .catch((error) => console.error('Error compensating failed transaction:', error.message))
+      ),
+    Promise.resolve()
+  );
+
+/**
+ * Run several writes as one MongoDB transaction, MongoDB has to run as a replica set.
+ * Steps outside the database (storage uploads, IPFS pins, chain mints, payment links) are not rolled back by the
+ * transaction, so each of them registers an undo step with `compensate`. When anything fails the transaction is
+ * aborted and the undo steps run before the error is rethrown.
+ * The work is not retried: a retry would repeat the uploads and mints.
+ * @param {Function} work - Called with `{ session, compensate }`, every write has to use the session
+ * @returns {Promise<*>} The result of the work, once committed
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  const compensations = [];
+  const compensate = (undo) => {
+    compensations.push(undo);
+  };
+
+  try {
+    session.startTransaction();
+    const result = await work({ session, compensate });
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session
+        .abortTransaction()
+        .catch((abortError) => console.error('Error aborting transaction:', abortError.message));
+    }
+    await compensateAll(compensations);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};
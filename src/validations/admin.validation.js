@@ -0,0 +1,18 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const getSlaBreaches = {
+  query: Joi.object().keys({
+    caseType: Joi.string().valid('document', 'session'),
+    status: Joi.string(),
+    notaryId: Joi.string().custom(objectId),
+    open: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+module.exports = {
+  getSlaBreaches,
+};
@@ -22,8 +22,18 @@ const emails = (value, helpers) => {
   return value;
 };
 
+const timeZone = (value, helpers) => {
+  try {
+    Intl.DateTimeFormat('en-GB', { timeZone: value });
+  } catch (error) {
+    return helpers.message('"{{#label}}" must be a valid IANA timezone');
+  }
+  return value;
+};
+
 module.exports = {
   objectId,
   password,
   emails,
+  timeZone,
 };
@@ -6,3 +6,8 @@ module.exports.roleValidation = require('./role.validation');
 module.exports.notarizationFieldValidation = require('./notarizationField.validation');
 module.exports.notarizationServiceValidation = require('./notarizationService.validation');
 module.exports.sessionValidation = require('./session.validation');
+module.exports.uploadValidation = require('./upload.validation');
+module.exports.workflowValidation = require('./workflow.validation');
+module.exports.routingValidation = require('./routing.validation');
+module.exports.notaryProfileValidation = require('./notaryProfile.validation');
+module.exports.adminValidation = require('./admin.validation');
@@ -6,6 +6,10 @@ const createDocument = {
     files: Joi.array().optional(),
     fileIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
     customFileNames: Joi.array().items(Joi.string()).optional(),
+    uploadIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+    fileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    walletFileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    uploadSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
     notarizationService: Joi.object()
       .keys({
         id: Joi.string().custom(objectId).required(),
@@ -50,13 +54,97 @@ const forwardDocumentStatus = {
     userId: Joi.string().required(),
   }),
   body: Joi.object().keys({
-    action: Joi.string().valid('accept', 'reject').required(),
+    // Actions are defined by the workflow of the service
+    action: Joi.string().required(),
     feedback: Joi.string().when('action', {
-      is: 'reject',
+      is: Joi.valid('reject', 'requestRevision'),
       then: Joi.required(),
       otherwise: Joi.optional(),
     }),
     files: Joi.array().items(Joi.object()).optional(),
+    outputSlots: Joi.array().items(Joi.string().allow('')).optional(),
+    reason: Joi.string().max(500).optional(),
+    // Second notary of a service under dual control, picked by routing when missing
+    reviewerId: Joi.string().custom(objectId).optional(),
+  }),
+};
+
+const forwardDocumentStatuses = {
+  body: Joi.object().keys({
+    action: Joi.string().required(),
+    feedback: Joi.string().when('action', {
+      is: Joi.valid('reject', 'requestRevision'),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+    documentIds: Joi.array().items(Joi.string().custom(objectId)).min(1).max(50).unique().required(),
+  }),
+};
+
+const resubmitDocument = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    note: Joi.string().max(1000).optional(),
+    files: Joi.array().optional(),
+    uploadIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+    fileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    uploadSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+  }),
+};
+
+const getDraft = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const addDraftFiles = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    files: Joi.array().optional(),
+    fileIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+    customFileNames: Joi.array().items(Joi.string()).optional(),
+    uploadIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+    fileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    walletFileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    uploadSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+  }),
+};
+
+const removeDraftFile = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+    fileId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const createAmendment = {
+  body: Joi.object()
+    .keys({
+      documentId: Joi.string().custom(objectId),
+      walletItemId: Joi.string().custom(objectId),
+      amount: Joi.number().integer().min(1),
+      files: Joi.array().optional(),
+      fileIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+      customFileNames: Joi.array().items(Joi.string()).optional(),
+      uploadIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+      fileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+      walletFileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+      uploadSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    })
+    .xor('documentId', 'walletItemId'),
+};
+
+const withdrawDocument = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().min(1).max(500).required(),
   }),
 };
 
@@ -87,6 +175,7 @@ const getHistoryWithStatus = {
 const getDocumentByRole = {
   query: Joi.object().keys({
     status: Joi.string().valid('processing', 'readyToSign', 'pendingSignature'),
+    queue: Joi.string().valid('mine', 'unassigned'),
     page: Joi.number().min(1).default(1),
     limit: Joi.number().min(1).max(100).default(10),
   }),
@@ -97,14 +186,48 @@ const getDocument = {
     documentId: Joi.string().custom(objectId).required(),
   }),
 };
+
+const claimDocument = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const assignDocument = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // null sends the document back to the shared queue
+    notaryId: Joi.string().custom(objectId).allow(null).required(),
+  }),
+};
+
+const getDocumentFile = {
+  params: Joi.object().keys({
+    documentId: Joi.string().custom(objectId).required(),
+    fileId: Joi.string().custom(objectId).required(),
+  }),
+};
+
 module.exports = {
   createDocument,
+  getDraft,
+  addDraftFiles,
+  removeDraftFile,
+  createAmendment,
   getHistory,
   forwardDocumentStatus,
+  forwardDocumentStatuses,
+  resubmitDocument,
+  withdrawDocument,
   approveSignatureByUser,
   approveSignatureByNotary,
   getHistoryByUserId,
   getHistoryWithStatus,
   getDocumentByRole,
   getDocument,
+  getDocumentFile,
+  claimDocument,
+  assignDocument,
 };
@@ -1,12 +1,59 @@
 const Joi = require('joi');
+const config = require('../config/config');
 const { objectId } = require('./custom.validation');
 
+const documentSlots = Joi.array()
+  .items(
+    Joi.object().keys({
+      code: Joi.string()
+        .pattern(/^[a-z0-9-]+$/)
+        .message('Slot codes can only contain lowercase letters, digits and dashes'),
+      name: Joi.string().required(),
+      description: Joi.string().allow(''),
+      required: Joi.boolean(),
+    })
+  )
+  .unique((a, b) => a.code && a.code === b.code);
+
+const uploadPolicy = Joi.object().keys({
+  allowedMimeTypes: Joi.array().items(Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+$/, 'MIME type')),
+  maxFileSizeMb: Joi.number()
+    .positive()
+    .max(config.upload.maxSize / (1024 * 1024)),
+  maxFiles: Joi.number().integer().min(1).allow(null),
+  minPdfPages: Joi.number().integer().min(1).allow(null),
+  maxPdfPages: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .when('minPdfPages', { is: Joi.number().required(), then: Joi.number().min(Joi.ref('minPdfPages')) }),
+});
+
+const slaTargets = Joi.array()
+  .items(
+    Joi.object().keys({
+      status: Joi.string().required(),
+      hours: Joi.number().min(1).required(),
+    })
+  )
+  .unique('status');
+
+const dualControl = Joi.object().keys({
+  enabled: Joi.boolean(),
+  minAmount: Joi.number().min(0).allow(null),
+});
+
 const createNotarizationService = {
   body: Joi.object().keys({
     name: Joi.string().required(),
     fieldId: Joi.string().custom(objectId).required(),
     description: Joi.string().required(),
     price: Joi.number().required(),
+    documentSlots: documentSlots.optional(),
+    uploadPolicy: uploadPolicy.optional(),
+    workflowId: Joi.string().custom(objectId).allow(null).optional(),
+    slaTargets: slaTargets.optional(),
+    dualControl: dualControl.optional(),
   }),
 };
 
@@ -20,6 +67,11 @@ const updateNotarizationService = {
       fieldId: Joi.string().custom(objectId).optional(),
       description: Joi.string().optional(),
       price: Joi.number().optional(),
+      documentSlots: documentSlots.optional(),
+      uploadPolicy: uploadPolicy.optional(),
+      workflowId: Joi.string().custom(objectId).allow(null).optional(),
+      slaTargets: slaTargets.optional(),
+      dualControl: dualControl.optional(),
     })
     .min(1),
 };
@@ -0,0 +1,92 @@
+const Joi = require('joi');
+const { objectId, timeZone } = require('./custom.validation');
+
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:mm');
+
+const availability = Joi.object().keys({
+  unavailableUntil: Joi.date().iso().allow(null),
+  note: Joi.string().allow(''),
+  timezone: Joi.string().custom(timeZone),
+  workingHours: Joi.array().items(
+    Joi.object().keys({
+      day: Joi.number().integer().min(0).max(6).required(),
+      start: time.required(),
+      end: time.required(),
+    })
+  ),
+});
+
+const office = Joi.object().keys({
+  name: Joi.string(),
+  address: Joi.string(),
+  phoneNumber: Joi.string(),
+});
+
+const createNotaryProfile = {
+  body: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+    licenseNumber: Joi.string().required(),
+    licenseIssuedAt: Joi.date().iso(),
+    licenseExpiresAt: Joi.date().iso().allow(null),
+    office,
+    bio: Joi.string().allow(''),
+    availability,
+  }),
+};
+
+const getNotaryProfiles = {
+  query: Joi.object().keys({
+    specialization: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getNotaryProfile = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateNotaryProfile = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      licenseNumber: Joi.string(),
+      licenseIssuedAt: Joi.date().iso(),
+      licenseExpiresAt: Joi.date().iso().allow(null),
+      office,
+      bio: Joi.string().allow(''),
+      availability,
+    })
+    .min(1),
+};
+
+const deleteNotaryProfile = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateMyAvailability = {
+  body: availability.keys({ available: Joi.boolean() }).min(1),
+};
+
+const getNotaryCard = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  createNotaryProfile,
+  getNotaryProfiles,
+  getNotaryProfile,
+  updateNotaryProfile,
+  deleteNotaryProfile,
+  updateMyAvailability,
+  getNotaryCard,
+};
@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { routingStrategies } = require('../config/routing');
+
+const updateRoutingSettings = {
+  body: Joi.object().keys({
+    strategy: Joi.string()
+      .valid(...routingStrategies)
+      .required(),
+  }),
+};
+
+const getNotaryRoutings = {
+  query: Joi.object().keys({
+    field: Joi.string().custom(objectId),
+    available: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getNotaryRouting = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const setNotaryRouting = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      fields: Joi.array().items(Joi.string().custom(objectId)),
+      available: Joi.boolean(),
+      maxOpenCases: Joi.number().integer().min(1).allow(null),
+    })
+    .min(1),
+};
+
+const deleteNotaryRouting = {
+  params: Joi.object().keys({
+    notaryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  updateRoutingSettings,
+  getNotaryRoutings,
+  getNotaryRouting,
+  setNotaryRouting,
+  deleteNotaryRouting,
+};
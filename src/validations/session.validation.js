@@ -79,6 +79,10 @@ const uploadSessionDocument = {
     userId: Joi.string().custom(objectId),
     fileIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
     customFileNames: Joi.array().items(Joi.string()).optional(),
+    uploadIds: Joi.array().items(Joi.string().custom(objectId)).optional(),
+    fileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    walletFileSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
+    uploadSlots: Joi.array().items(Joi.string().allow('', null)).optional(),
   }),
 };
 
@@ -87,11 +91,12 @@ const forwardSessionStatus = {
     userId: Joi.string().required(),
   }),
   body: Joi.object().keys({
-    action: Joi.string().valid('accept', 'reject').required(),
+    // Actions are defined by the workflow of the service
+    action: Joi.string().required(),
     feedback: Joi.string()
       .allow('')
       .when('action', {
-        is: 'reject',
+        is: Joi.valid('reject', 'requestRevision'),
         then: Joi.string().min(1).required(),
         otherwise: Joi.optional(),
       }),
@@ -99,6 +104,24 @@ const forwardSessionStatus = {
   }),
 };
 
+const resubmitSession = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    note: Joi.string().max(1000).optional(),
+  }),
+};
+
+const withdrawSession = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+};
+
 const approveSignatureSessionByUser = {
   body: Joi.object().keys({
     sessionId: Joi.string().required(),
@@ -119,6 +142,44 @@ const deleteFile = {
   }),
 };
 
+const getSessionFile = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().custom(objectId).required(),
+    fileId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getSessionBundle = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getSessionsByStatus = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('processing', 'readyToSign', 'pendingSignature'),
+    queue: Joi.string().valid('mine', 'unassigned'),
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(100).default(10),
+  }),
+};
+
+const claimSession = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const assignSession = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // null sends the session back to the shared queue
+    notaryId: Joi.string().custom(objectId).allow(null).required(),
+  }),
+};
+
 module.exports = {
   createSession,
   addUserToSession,
@@ -129,7 +190,14 @@ module.exports = {
   getSessionBySessionId,
   uploadSessionDocument,
   forwardSessionStatus,
+  resubmitSession,
+  withdrawSession,
   approveSignatureSessionByUser,
   approveSignatureSessionByNotary,
   deleteFile,
+  getSessionFile,
+  getSessionBundle,
+  getSessionsByStatus,
+  claimSession,
+  assignSession,
 };
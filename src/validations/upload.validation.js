@@ -0,0 +1,40 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const createUpload = {
+  body: Joi.object().keys({
+    filename: Joi.string()
+      .pattern(/\.(jpe?g|png|pdf)$/i)
+      .required()
+      .messages({ 'string.pattern.base': 'Only images and PDFs are allowed' }),
+    mimeType: Joi.string().valid('application/pdf', 'image/jpeg', 'image/png').required(),
+    size: Joi.number().integer().min(1).required(),
+    sha256: Joi.string().hex().length(64),
+  }),
+};
+
+const getUpload = {
+  params: Joi.object().keys({
+    uploadId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const uploadChunk = {
+  params: Joi.object().keys({
+    uploadId: Joi.string().custom(objectId).required(),
+    index: Joi.number().integer().min(0).required(),
+  }),
+};
+
+const completeUpload = {
+  params: Joi.object().keys({
+    uploadId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+};
@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { roles } = require('../config/roles');
+const { systemRole, transitionInputs } = require('../config/workflow');
+
+const name = Joi.string()
+  .pattern(/^[A-Za-z][\w-]*$/)
+  .message('State and action names must start with a letter and only contain letters, digits, dashes and underscores');
+
+const states = Joi.array()
+  .items(
+    Joi.object().keys({
+      name: name.required(),
+      label: Joi.string().allow(''),
+      final: Joi.boolean(),
+    })
+  )
+  .min(1)
+  .unique('name');
+
+const transitions = Joi.array().items(
+  Joi.object().keys({
+    action: name.required(),
+    from: Joi.array().items(name).min(1).required(),
+    to: name.required(),
+    roles: Joi.array()
+      .items(Joi.string().valid(...roles, systemRole))
+      .min(1)
+      .required(),
+    requires: Joi.array().items(Joi.string().valid(...transitionInputs)),
+  })
+);
+
+const createWorkflow = {
+  body: Joi.object().keys({
+    name: Joi.string().required(),
+    description: Joi.string().allow(''),
+    states: states.required(),
+    transitions: transitions.required(),
+  }),
+};
+
+const getWorkflows = {
+  query: Joi.object().keys({
+    name: Joi.string(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getWorkflow = {
+  params: Joi.object().keys({
+    workflowId: Joi.string().custom(objectId),
+  }),
+};
+
+const updateWorkflow = {
+  params: Joi.object().keys({
+    workflowId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string(),
+      description: Joi.string().allow(''),
+      states,
+      transitions,
+    })
+    .min(1),
+};
+
+const deleteWorkflow = {
+  params: Joi.object().keys({
+    workflowId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createWorkflow,
+  getWorkflows,
+  getWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const CaseEvent = require('../../../src/models/caseEvent.model');
+
+describe('CaseEvent Model', () => {
+  const caseId = new mongoose.Types.ObjectId();
+
+  it('should validate a status change without an actor', () => {
+    const event = new CaseEvent({ caseType: 'document', caseId, type: 'statusChanged', fromStatus: 'pending' });
+
+    expect(event.validateSync()).toBeUndefined();
+    expect(event.actorId).toBeNull();
+  });
+
+  it('should only accept the known case and event types', () => {
+    const error = new CaseEvent({ caseType: 'folder', caseId, type: 'deleted' }).validateSync();
+
+    expect(error.errors.caseType).toBeDefined();
+    expect(error.errors.type).toBeDefined();
+  });
+
+  it('should refuse to change a recorded event', async () => {
+    const event = new CaseEvent({ caseType: 'session', caseId, type: 'signed' });
+    event.isNew = false;
+
+    await expect(event.save()).rejects.toThrow('Case events are append-only');
+    await expect(CaseEvent.updateOne({ caseId }, { $set: { type: 'minted' } })).rejects.toThrow(
+      'Case events are append-only'
+    );
+    await expect(CaseEvent.deleteMany({ caseId })).rejects.toThrow('Case events are append-only');
+  });
+});
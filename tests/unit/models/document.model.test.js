@@ -11,8 +11,19 @@ describe('Document Model', () => {
     expect(files).toBeDefined();
     expect(files[0].filename.type).toBe(String);
     expect(files[0].filename.required).toBe(true);
+    expect(files[0].storageKey.type).toBe(String);
+    expect(files[0].storageKey.required).toBe(false);
     expect(files[0].firebaseUrl.type).toBe(String);
-    expect(files[0].firebaseUrl.required).toBe(true);
+    expect(files[0].firebaseUrl.required).toBe(false);
+    expect(files[0].sha256.type).toBe(String);
+    expect(files[0].size.type).toBe(Number);
+    expect(files[0].mimeType.type).toBe(String);
+    expect(files[0].scan.status.enum).toEqual(['clean', 'infected', 'skipped']);
+    expect(files[0].scan.scannedAt.type).toBe(Date);
+    expect(files[0].thumbnailKey.type).toBe(String);
+    expect(files[0].thumbnailKey.default).toBe(null);
+    expect(files[0].slot.type).toBe(String);
+    expect(files[0].slot.default).toBe(null);
   });
 
   it('should have a notarizationService field', () => {
@@ -32,6 +43,8 @@ describe('Document Model', () => {
     expect(notarizationService.price.required).toBe(true);
     expect(notarizationService.required_documents).toBeDefined();
     expect(notarizationService.required_documents).toBeInstanceOf(Object);
+    expect(notarizationService.documentSlots[0].code.required).toBe(true);
+    expect(notarizationService.documentSlots[0].required.default).toBe(true);
     expect(notarizationService.code.type).toBe(String);
     expect(notarizationService.code.required).toBe(true);
   });
@@ -66,6 +79,16 @@ describe('Document Model', () => {
     expect(requesterInfo.email.required).toBe(true);
   });
 
+  it('should have an ocr field', () => {
+    const { ocr } = Document.schema.obj;
+    expect(ocr).toBeDefined();
+    expect(ocr.status.enum).toEqual(['matched', 'mismatch', 'unreadable', 'skipped', 'failed']);
+    expect(ocr.citizenId.type).toBe(String);
+    expect(ocr.confidence.type).toBe(Number);
+    expect(ocr.mismatches[0].field.type).toBe(String);
+    expect(ocr.processedAt.type).toBe(Date);
+  });
+
   it('should have a userId field', () => {
     const userId = Document.schema.obj.userId;
     expect(userId).toBeDefined();
@@ -86,12 +109,30 @@ describe('Document Model', () => {
     expect(output).toBeDefined();
     expect(output[0].filename.type).toBe(String);
     expect(output[0].filename.required).toBe(true);
-    expect(output[0].firebaseUrl.type).toBe(String);
-    expect(output[0].firebaseUrl.required).toBe(true);
+    expect(output[0].storageKey.type).toBe(String);
+    expect(output[0].storageKey.required).toBe(true);
+    expect(output[0].sha256.type).toBe(String);
+    expect(output[0].size.type).toBe(Number);
+    expect(output[0].mimeType.type).toBe(String);
+    expect(output[0].scan.status.enum).toEqual(['clean', 'infected', 'skipped']);
+    expect(output[0].firebaseUrl).toBeUndefined();
     expect(output[0].transactionHash.type).toBe(String);
     expect(output[0].transactionHash.default).toBe(null);
     expect(output[0].uploadedAt.type).toBe(Date);
     expect(output[0].uploadedAt.default).toBeDefined();
+    expect(output[0].thumbnailKey.type).toBe(String);
+  });
+
+  it('should version output files', () => {
+    const { output } = Document.schema.obj;
+    expect(output[0].slot.type).toBe(String);
+    expect(output[0].version.type).toBe(Number);
+    expect(output[0].version.default).toBe(1);
+    expect(output[0].isCurrent.type).toBe(Boolean);
+    expect(output[0].isCurrent.default).toBe(true);
+    expect(output[0].uploadedBy.type).toBe(mongoose.Schema.Types.ObjectId);
+    expect(output[0].uploadedBy.ref).toBe('User');
+    expect(output[0].reason.default).toBe(null);
   });
 
   it('should have timestamps', () => {
@@ -104,4 +145,11 @@ describe('Document Model', () => {
       expect.arrayContaining([expect.objectContaining({ fn: expect.any(Function), opts: undefined })])
     );
   });
+
+  it('should have a bundle field', () => {
+    const { bundle } = Document.schema.obj;
+    expect(bundle.storageKey.type).toBe(String);
+    expect(bundle.fingerprint.type).toBe(String);
+    expect(bundle.generatedAt.type).toBe(Date);
+  });
 });
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../../../src/models/idempotencyKey.model');
+
+describe('IdempotencyKey Model', () => {
+  it('should scope the keys to the user', () => {
+    const { key, userId } = IdempotencyKey.schema.obj;
+    expect(key.required).toBe(true);
+    expect(userId.type).toBe(mongoose.SchemaTypes.ObjectId);
+    expect(userId.required).toBe(true);
+    expect(IdempotencyKey.schema.indexes()).toContainEqual([
+      { userId: 1, key: 1 },
+      { unique: true, background: true },
+    ]);
+  });
+
+  it('should have a status field', () => {
+    const { status } = IdempotencyKey.schema.obj;
+    expect(status.enum).toEqual(['processing', 'completed']);
+    expect(status.default).toBe('processing');
+  });
+
+  it('should lock a key while its request runs', () => {
+    const { lockedUntil } = IdempotencyKey.schema.obj;
+    expect(lockedUntil.type).toBe(Date);
+    expect(lockedUntil.default).toBeNull();
+  });
+
+  it('should delete the keys once they expire', () => {
+    const { expiresAt } = IdempotencyKey.schema.obj;
+    expect(expiresAt.required).toBe(true);
+    expect(IdempotencyKey.schema.indexes()).toContainEqual([{ expiresAt: 1 }, { expireAfterSeconds: 0, background: true }]);
+  });
+});
@@ -51,6 +51,63 @@ describe('NotarizationService Model', () => {
     expect(required_documents.default).toEqual([]);
   });
 
+  it('should have a documentSlots field', () => {
+    const { documentSlots } = NotarizationService.schema.obj;
+    expect(documentSlots).toBeDefined();
+    expect(documentSlots.type[0].code.type).toBe(String);
+    expect(documentSlots.type[0].name.required).toBe(true);
+    expect(documentSlots.type[0].required.default).toBe(true);
+    expect(documentSlots.default).toEqual([]);
+  });
+
+  it('should have an uploadPolicy field with the previous defaults', () => {
+    const { uploadPolicy } = NotarizationService.schema.obj;
+    expect(uploadPolicy.allowedMimeTypes.default).toEqual(['image/jpeg', 'image/png', 'application/pdf']);
+    expect(uploadPolicy.maxFileSizeMb.default).toBe(5);
+    expect(uploadPolicy.maxFiles.default).toBe(null);
+    expect(uploadPolicy.minPdfPages.default).toBe(null);
+    expect(uploadPolicy.maxPdfPages.default).toBe(null);
+  });
+
+  describe('documentSlots validation', () => {
+    const newService = (documentSlots) =>
+      new NotarizationService({
+        name: 'Service',
+        fieldId: mongoose.Types.ObjectId(),
+        description: 'Description',
+        price: 100,
+        code: 'S1',
+        documentSlots,
+      });
+
+    it('should build missing slot codes from the slot names', async () => {
+      const service = newService([{ name: 'Căn cước công dân' }, { code: 'contract', name: 'Hợp đồng' }]);
+
+      await expect(service.validate()).resolves.toBeUndefined();
+      expect(service.toObject().documentSlots.map((slot) => slot.code)).toEqual(['can-cuoc-cong-dan', 'contract']);
+    });
+
+    it('should list the names of the required slots in required_documents', async () => {
+      const service = newService([
+        { code: 'cccd', name: 'CCCD' },
+        { code: 'photo', name: 'Portrait photo', required: false },
+      ]);
+
+      await service.validate();
+
+      expect(service.toObject().required_documents).toEqual(['CCCD']);
+    });
+
+    it('should reject duplicate slot codes', async () => {
+      const service = newService([
+        { code: 'cccd', name: 'CCCD' },
+        { code: 'cccd', name: 'CMND' },
+      ]);
+
+      await expect(service.validate()).rejects.toThrow('Document slot codes must be unique');
+    });
+  });
+
   it('should have the correct collection name', () => {
     expect(NotarizationService.collection.collectionName).toBe('notarizationServices');
   });
@@ -94,6 +94,12 @@ describe('Session Model', () => {
     expect(files.type[0].userId.ref).toBe('User');
     expect(files.type[0].filename.type).toBe(String);
     expect(files.type[0].filename.trim).toBe(true);
+    expect(files.type[0].storageKey.type).toBe(String);
+    expect(files.type[0].storageKey.trim).toBe(true);
+    expect(files.type[0].sha256.type).toBe(String);
+    expect(files.type[0].size.type).toBe(Number);
+    expect(files.type[0].mimeType.type).toBe(String);
+    expect(files.type[0].scan.status.enum).toEqual(['clean', 'infected', 'skipped']);
     expect(files.type[0].firebaseUrl.type).toBe(String);
     expect(files.type[0].firebaseUrl.trim).toBe(true);
     // Corrected spelling here
@@ -107,9 +113,14 @@ describe('Session Model', () => {
     expect(output[0].filename.type).toBe(String);
     expect(output[0].filename.required).toBe(true);
     expect(output[0].filename.trim).toBe(true);
-    expect(output[0].firebaseUrl.type).toBe(String);
-    expect(output[0].firebaseUrl.required).toBe(true);
-    expect(output[0].firebaseUrl.trim).toBe(true);
+    expect(output[0].storageKey.type).toBe(String);
+    expect(output[0].storageKey.required).toBe(true);
+    expect(output[0].storageKey.trim).toBe(true);
+    expect(output[0].sha256.type).toBe(String);
+    expect(output[0].size.type).toBe(Number);
+    expect(output[0].mimeType.type).toBe(String);
+    expect(output[0].scan.status.enum).toEqual(['clean', 'infected', 'skipped']);
+    expect(output[0].firebaseUrl).toBeUndefined();
     expect(output[0].transactionHash.type).toBe(String);
     expect(output[0].transactionHash.default).toBe(null);
     expect(output[0].uploadedAt.type).toBe(Date);
@@ -121,4 +132,11 @@ describe('Session Model', () => {
     expect(plugins).toContain('toJSON');
     expect(plugins).toContain('paginate');
   });
+
+  it('should have a bundle field', () => {
+    const { bundle } = Session.schema.obj;
+    expect(bundle.storageKey.type).toBe(String);
+    expect(bundle.fingerprint.type).toBe(String);
+    expect(bundle.generatedAt.type).toBe(Date);
+  });
 });
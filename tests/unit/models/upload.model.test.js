@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Upload = require('../../../src/models/upload.model');
+
+describe('Upload Model', () => {
+  it('should have a schema', () => {
+    expect(Upload.schema).toBeDefined();
+  });
+
+  it('should have a userId field', () => {
+    const { userId } = Upload.schema.obj;
+    expect(userId.type).toBe(mongoose.SchemaTypes.ObjectId);
+    expect(userId.ref).toBe('User');
+    expect(userId.required).toBe(true);
+  });
+
+  it('should have the fields describing the file and its chunks', () => {
+    const { filename, mimeType, size, chunkSize, totalChunks, receivedChunks } = Upload.schema.obj;
+    expect(filename.type).toBe(String);
+    expect(filename.required).toBe(true);
+    expect(mimeType.required).toBe(true);
+    expect(size.type).toBe(Number);
+    expect(chunkSize.type).toBe(Number);
+    expect(totalChunks.type).toBe(Number);
+    expect(receivedChunks.type).toEqual([Number]);
+    expect(receivedChunks.default).toEqual([]);
+  });
+
+  it('should have a status field', () => {
+    const { status } = Upload.schema.obj;
+    expect(status.enum).toEqual(['pending', 'assembling', 'completed', 'attached']);
+    expect(status.default).toBe('pending');
+  });
+
+  it('should have a scan field', () => {
+    const { scan } = Upload.schema.obj;
+    expect(scan.status.enum).toEqual(['clean', 'infected', 'skipped']);
+    expect(scan.scannedAt.type).toBe(Date);
+  });
+
+  it('should require expiresAt', () => {
+    const { expiresAt } = Upload.schema.obj;
+    expect(expiresAt.type).toBe(Date);
+    expect(expiresAt.required).toBe(true);
+  });
+});
@@ -39,6 +39,8 @@ describe('UserWallet Model', () => {
     expect(nftItems[0].contractAddress.trim).toBe(true);
     expect(nftItems[0].mintedAt.type).toBe(Date);
     expect(nftItems[0].mintedAt.default).toBeDefined();
+    expect(nftItems[0].thumbnailKey.type).toBe(String);
+    expect(nftItems[0].thumbnailKey.default).toBe(null);
   });
 
   it('should have a createdAt field', () => {
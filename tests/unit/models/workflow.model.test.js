@@ -0,0 +1,36 @@
+const Workflow = require('../../../src/models/workflow.model');
+const { defaultWorkflow } = require('../../../src/config/workflow');
+
+describe('Workflow Model', () => {
+  it('should have a schema', () => {
+    expect(Workflow.schema).toBeDefined();
+  });
+
+  it('should have a unique name', () => {
+    const { name } = Workflow.schema.obj;
+    expect(name.type).toBe(String);
+    expect(name.required).toBe(true);
+    expect(name.unique).toBe(true);
+  });
+
+  it('should have the correct collection name', () => {
+    expect(Workflow.collection.collectionName).toBe('workflows');
+  });
+
+  it('should store the default workflow', () => {
+    const workflow = new Workflow(defaultWorkflow);
+
+    expect(workflow.validateSync()).toBeUndefined();
+    expect(workflow.toObject().transitions).toEqual(defaultWorkflow.transitions);
+  });
+
+  it('should only accept known transition inputs', () => {
+    const workflow = new Workflow({
+      name: 'custom',
+      states: [{ name: 'pending' }],
+      transitions: [{ action: 'accept', from: ['pending'], to: 'pending', roles: ['notary'], requires: ['signature'] }],
+    });
+
+    expect(workflow.validateSync().errors['transitions.0.requires.0']).toBeDefined();
+  });
+});
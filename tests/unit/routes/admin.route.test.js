@@ -22,14 +22,19 @@ jest.mock('../../../src/controllers', () => ({
     getPaymentTotal: jest.fn(),
     getPaymentTotalByService: jest.fn(),
     getPaymentTotalByNotarizationField: jest.fn(),
+    getSlaBreaches: jest.fn(),
+    getSlaBreachSummary: jest.fn(),
   },
 }));
 
 describe('Admin routes', () => {
   let router;
+  // Routes registered by the route file, kept before the mocks are cleared
+  let registered;
 
   beforeAll(() => {
     require('../../../src/routes/v1/admin.route');
+    registered = [...express.Router.mock.results[0].value.get.mock.calls];
   });
 
   beforeEach(() => {
@@ -129,4 +134,24 @@ describe('Admin routes', () => {
       );
     });
   });
+
+  describe('SLA breach routes', () => {
+    test('GET /sla-breaches should validate the filters before listing the breaches', () => {
+      expect(registered).toContainEqual([
+        '/sla-breaches',
+        'auth_getSlaBreaches',
+        expect.any(Function),
+        expect.any(Function),
+      ]);
+      expect(registered.find(([route]) => route === '/sla-breaches')[3]).toBe(adminController.getSlaBreaches);
+    });
+
+    test('GET /sla-breaches/summary should use correct middleware and controller', () => {
+      expect(registered).toContainEqual([
+        '/sla-breaches/summary',
+        'auth_getSlaBreaches',
+        adminController.getSlaBreachSummary,
+      ]);
+    });
+  });
 });
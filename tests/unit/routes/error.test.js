@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const multer = require('multer');
 const httpStatus = require('http-status');
 const httpMocks = require('node-mocks-http');
 const { errorConverter, errorHandler } = require('../../../src/middlewares/error');
@@ -83,6 +84,20 @@ describe('Error middlewares', () => {
       );
     });
 
+    test('should convert a file rejected by multer to ApiError with status 400', () => {
+      const error = new multer.MulterError('LIMIT_FILE_SIZE', 'files');
+      const next = jest.fn();
+
+      errorConverter(error, httpMocks.createRequest(), httpMocks.createResponse(), next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: 'File too large',
+        })
+      );
+    });
+
     test('should convert any other object to ApiError with status 500 and its message', () => {
       const error = {};
       const next = jest.fn();
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const express = require('express');
+const multer = require('multer');
+const httpStatus = require('http-status');
+const idempotent = require('../../../src/middlewares/idempotency');
+const idempotencyService = require('../../../src/services/idempotency.service');
+const { errorConverter, errorHandler } = require('../../../src/middlewares/error');
+const ApiError = require('../../../src/utils/ApiError');
+
+jest.mock('../../../src/services/idempotency.service', () => ({
+  ...jest.requireActual('../../../src/services/idempotency.service'),
+  reserveKey: jest.fn(),
+  saveResponse: jest.fn(),
+  releaseKey: jest.fn(),
+}));
+
+describe('Idempotency middleware', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const handler = jest.fn();
+  const record = { _id: 'recordId', lockedUntil: new Date() };
+  const app = express();
+  app.use(express.json());
+  app.post('/anonymous', idempotent, (req, res, next) => handler(req, res, next));
+  app.use((req, res, next) => {
+    req.user = { id: userId };
+    next();
+  });
+  app.post('/transfer', idempotent, (req, res, next) => handler(req, res, next));
+  app.post('/upload', multer({ storage: multer.memoryStorage() }).array('files'), idempotent, (req, res, next) =>
+    handler(req, res, next)
+  );
+  app.use(errorConverter);
+  app.use(errorHandler);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyService.reserveKey.mockResolvedValue({ record });
+    idempotencyService.saveResponse.mockResolvedValue();
+    idempotencyService.releaseKey.mockResolvedValue();
+    handler.mockImplementation((req, res) => res.status(httpStatus.CREATED).send({ transferred: 1 }));
+  });
+
+  test('should run requests without a key as usual', async () => {
+    const response = await request(app).post('/transfer').send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.CREATED);
+    expect(idempotencyService.reserveKey).not.toHaveBeenCalled();
+  });
+
+  test('should store the first response of a key', async () => {
+    const response = await request(app).post('/transfer').set('Idempotency-Key', 'key-1').send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.CREATED);
+    expect(idempotencyService.reserveKey).toHaveBeenCalledWith(
+      userId,
+      'key-1',
+      idempotencyService.fingerprintRequest('POST', '/transfer', { amount: 1 })
+    );
+    expect(idempotencyService.saveResponse).toHaveBeenCalledWith(record, {
+      status: httpStatus.CREATED,
+      type: 'application/json; charset=utf-8',
+      body: '{"transferred":1}',
+    });
+  });
+
+  test('should fingerprint the fields and files of multipart requests', async () => {
+    const upload = (content) =>
+      request(app)
+        .post('/upload')
+        .set('Idempotency-Key', 'key-1')
+        .field('amount', '1')
+        .attach('files', Buffer.from(content), 'contract.pdf');
+
+    await upload('first version');
+    await upload('second version');
+
+    const [[, , first], [, , second]] = idempotencyService.reserveKey.mock.calls;
+    expect(first).toBe(
+      idempotencyService.fingerprintRequest('POST', '/upload', { amount: '1' }, [
+        { fieldname: 'files', originalname: 'contract.pdf', buffer: Buffer.from('first version') },
+      ])
+    );
+    expect(second).not.toBe(first);
+  });
+
+  test('should replay the stored response without running the handler again', async () => {
+    idempotencyService.reserveKey.mockResolvedValueOnce({
+      replay: {
+        responseStatus: httpStatus.CREATED,
+        responseType: 'application/json; charset=utf-8',
+        responseBody: '{"transferred":1}',
+      },
+    });
+
+    const response = await request(app).post('/transfer').set('Idempotency-Key', 'key-1').send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.CREATED);
+    expect(response.body).toEqual({ transferred: 1 });
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(handler).not.toHaveBeenCalled();
+    expect(idempotencyService.saveResponse).not.toHaveBeenCalled();
+  });
+
+  test('should store client errors', async () => {
+    handler.mockImplementationOnce((req, res, next) => next(new ApiError(httpStatus.BAD_REQUEST, 'Not enough NFTs')));
+
+    await request(app).post('/transfer').set('Idempotency-Key', 'key-1').send({ amount: 1 });
+
+    expect(idempotencyService.saveResponse).toHaveBeenCalledWith(
+      record,
+      expect.objectContaining({ status: httpStatus.BAD_REQUEST })
+    );
+  });
+
+  test('should free the key when the request fails on the server', async () => {
+    handler.mockImplementationOnce((req, res, next) => next(new Error('Mint failed')));
+
+    const response = await request(app).post('/transfer').set('Idempotency-Key', 'key-1').send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.INTERNAL_SERVER_ERROR);
+    expect(idempotencyService.releaseKey).toHaveBeenCalledWith(record);
+    expect(idempotencyService.saveResponse).not.toHaveBeenCalled();
+  });
+
+  test('should pass on the refusals of the service', async () => {
+    idempotencyService.reserveKey.mockRejectedValueOnce(new ApiError(httpStatus.CONFLICT, 'Still being processed'));
+
+    const response = await request(app).post('/transfer').set('Idempotency-Key', 'key-1').send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.CONFLICT);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should refuse keys sent without a signed-in user', async () => {
+    const response = await request(app).post('/anonymous').set('Idempotency-Key', 'key-1').send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.UNAUTHORIZED);
+    expect(idempotencyService.reserveKey).not.toHaveBeenCalled();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should refuse keys that are too long', async () => {
+    const response = await request(app).post('/transfer').set('Idempotency-Key', 'k'.repeat(256)).send({ amount: 1 });
+
+    expect(response.status).toBe(httpStatus.BAD_REQUEST);
+    expect(idempotencyService.reserveKey).not.toHaveBeenCalled();
+  });
+});
@@ -9,6 +9,7 @@ const mockRouter = {
     post: jest.fn().mockReturnThis(),
     get: jest.fn().mockReturnThis(),
     patch: jest.fn().mockReturnThis(),
+    delete: jest.fn().mockReturnThis(),
   })),
   post: jest.fn().mockReturnThis(),
   get: jest.fn().mockReturnThis(),
@@ -38,11 +39,27 @@ jest.mock('../../../src/middlewares/validate', () => jest.fn((schema) => `valida
 
 jest.mock('../../../src/controllers/notarization.controller', () => ({
   createDocument: jest.fn(),
+  createDraft: jest.fn(),
+  getDrafts: jest.fn(),
+  addDraftFiles: jest.fn(),
+  removeDraftFile: jest.fn(),
+  discardDraft: jest.fn(),
+  submitDraft: jest.fn(),
+  createAmendment: jest.fn(),
   getDocumentById: jest.fn(),
+  getDocumentFile: jest.fn(),
+  verifyDocumentFile: jest.fn(),
+  getDocumentBundle: jest.fn(),
+  getDocumentTimeline: jest.fn(),
+  readCitizenIdCard: jest.fn(),
   getHistory: jest.fn(),
   getHistoryByUserId: jest.fn(),
   getDocumentStatus: jest.fn(),
+  forwardDocumentStatus: jest.fn(),
+  forwardDocumentStatuses: jest.fn(),
   getDocumentByRole: jest.fn(),
+  resubmitDocument: jest.fn(),
+  withdrawDocument: jest.fn(),
   approveSignatureByUser: jest.fn(),
   approveSignatureByNotary: jest.fn(),
 }));
@@ -57,10 +74,37 @@ describe('Notarization Routes', () => {
 
   it('should setup all routes correctly', () => {
     expect(mockRouter.route).toHaveBeenCalledWith('/upload-files');
+    expect(mockRouter.route).toHaveBeenCalledWith('/drafts');
+    expect(mockRouter.route).toHaveBeenCalledWith('/drafts/:documentId');
+    expect(mockRouter.route).toHaveBeenCalledWith('/drafts/:documentId/files');
+    expect(mockRouter.route).toHaveBeenCalledWith('/drafts/:documentId/files/:fileId');
+    expect(mockRouter.route).toHaveBeenCalledWith('/drafts/:documentId/submit');
+    expect(mockRouter.route).toHaveBeenCalledWith('/amendments');
+    expect(mockRouter.route).toHaveBeenCalledWith('/ocr/citizen-id');
     expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/bundle');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/timeline');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/assignment');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/claim');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/release');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/resubmit');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/withdraw');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/files/:fileId');
+    expect(mockRouter.route).toHaveBeenCalledWith('/document/:documentId/files/:fileId/verify');
     expect(mockRouter.route).toHaveBeenCalledWith('/history');
     expect(mockRouter.route).toHaveBeenCalledWith('/getStatusById/:documentId');
+    expect(mockRouter.route).toHaveBeenCalledWith('/bulk-forward-document-status');
     expect(mockRouter.route).toHaveBeenCalledWith('/getDocumentByRole');
     expect(mockRouter.route).toHaveBeenCalledWith('/approve-signature-by-notary');
   });
+
+  it('should hold at most a few files of the default policy size in memory', () => {
+    let multer;
+    jest.isolateModules(() => {
+      multer = require('multer');
+      require('../../../src/routes/v1/notarization.route');
+    });
+
+    expect(multer).toHaveBeenCalledWith(expect.objectContaining({ limits: { fileSize: 5 * 1024 * 1024, files: 10 } }));
+  });
 });
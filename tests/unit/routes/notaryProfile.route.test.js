@@ -0,0 +1,81 @@
+const request = require('supertest');
+const express = require('express');
+const httpStatus = require('http-status');
+const auth = require('../../../src/middlewares/auth');
+const notaryProfileController = require('../../../src/controllers/notaryProfile.controller');
+const notaryProfileRoutes = require('../../../src/routes/v1/notaryProfile.route');
+
+jest.mock('../../../src/middlewares/auth', () => jest.fn(() => (req, res, next) => next()));
+jest.mock('../../../src/middlewares/validate', () => jest.fn(() => (req, res, next) => next()));
+jest.mock('../../../src/controllers/notaryProfile.controller', () => ({
+  createNotaryProfile: jest.fn((req, res) => res.status(201).send(req.body)),
+  getNotaryProfiles: jest.fn((req, res) => res.send({ results: [], page: 1 })),
+  getNotaryProfile: jest.fn((req, res) => res.send({ notaryId: req.params.notaryId })),
+  updateNotaryProfile: jest.fn((req, res) => res.send({ notaryId: req.params.notaryId, ...req.body })),
+  deleteNotaryProfile: jest.fn((req, res) => res.status(204).send()),
+  getMyProfile: jest.fn((req, res) => res.send({ licenseNumber: 'CCV-001' })),
+  updateMyAvailability: jest.fn((req, res) => res.send({ availability: req.body })),
+  getNotaryCard: jest.fn((req, res) => res.send({ notaryId: req.params.notaryId, availableNow: true })),
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/v1/notary-profiles', notaryProfileRoutes);
+
+describe('Notary Profile Routes', () => {
+  const notaryId = '5ebac534954b54139806c112';
+  const rights = auth.mock.calls.map(([right]) => right);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should keep profile management to admins and availability to notaries', () => {
+    expect(rights).toEqual(expect.arrayContaining(['manageNotaryProfiles', 'manageOwnAvailability', undefined]));
+  });
+
+  test('POST /v1/notary-profiles should create a profile', async () => {
+    const res = await request(app)
+      .post('/v1/notary-profiles')
+      .send({ notaryId, licenseNumber: 'CCV-001' })
+      .expect(httpStatus.CREATED);
+
+    expect(res.body).toEqual({ notaryId, licenseNumber: 'CCV-001' });
+  });
+
+  test('GET /v1/notary-profiles/me should not be taken for a notary id', async () => {
+    await request(app).get('/v1/notary-profiles/me').expect(httpStatus.OK);
+
+    expect(notaryProfileController.getMyProfile).toHaveBeenCalled();
+    expect(notaryProfileController.getNotaryProfile).not.toHaveBeenCalled();
+  });
+
+  test('PATCH /v1/notary-profiles/me/availability should change the availability', async () => {
+    const res = await request(app)
+      .patch('/v1/notary-profiles/me/availability')
+      .send({ available: false })
+      .expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ availability: { available: false } });
+  });
+
+  test('PATCH /v1/notary-profiles/:notaryId should update a profile', async () => {
+    const res = await request(app)
+      .patch(`/v1/notary-profiles/${notaryId}`)
+      .send({ bio: 'Real estate' })
+      .expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ notaryId, bio: 'Real estate' });
+  });
+
+  test('DELETE /v1/notary-profiles/:notaryId should delete a profile', async () => {
+    await request(app).delete(`/v1/notary-profiles/${notaryId}`).expect(httpStatus.NO_CONTENT);
+    expect(notaryProfileController.deleteNotaryProfile).toHaveBeenCalled();
+  });
+
+  test('GET /v1/notary-profiles/:notaryId/card should return the public card', async () => {
+    const res = await request(app).get(`/v1/notary-profiles/${notaryId}/card`).expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ notaryId, availableNow: true });
+  });
+});
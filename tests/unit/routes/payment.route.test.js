@@ -0,0 +1,76 @@
+const request = require('supertest');
+const express = require('express');
+const httpStatus = require('http-status');
+const paymentController = require('../../../src/controllers/payment.controller');
+const idempotencyService = require('../../../src/services/idempotency.service');
+const paymentRoutes = require('../../../src/routes/v1/payment.route');
+const { errorConverter, errorHandler } = require('../../../src/middlewares/error');
+
+const mockUserId = '507f1f77bcf86cd799439011';
+
+jest.mock('../../../src/middlewares/auth', () =>
+  jest.fn(() => (req, res, next) => {
+    if (!req.get('Authorization')) {
+      const ApiError = jest.requireActual('../../../src/utils/ApiError');
+      return next(new ApiError(401, 'Please authenticate'));
+    }
+    req.user = { id: mockUserId };
+    return next();
+  })
+);
+jest.mock('../../../src/services/idempotency.service', () => ({
+  ...jest.requireActual('../../../src/services/idempotency.service'),
+  reserveKey: jest.fn(),
+  saveResponse: jest.fn(),
+  releaseKey: jest.fn(),
+}));
+jest.mock('../../../src/controllers/payment.controller', () => ({
+  createPayment: jest.fn((req, res) => res.status(201).send({ orderCode: 1 })),
+  getPayment: jest.fn(),
+  updatePaymentStatus: jest.fn(),
+  getPaymentStatus: jest.fn(),
+  updateAllPayments: jest.fn(),
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/v1/payments', paymentRoutes);
+app.use(errorConverter);
+app.use(errorHandler);
+
+describe('Payment Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyService.reserveKey.mockResolvedValue({ record: { _id: 'recordId', lockedUntil: new Date() } });
+    idempotencyService.saveResponse.mockResolvedValue();
+  });
+
+  test('POST /v1/payments/create-payment should still create payments for callers without a key or a token', async () => {
+    await request(app).post('/v1/payments/create-payment').send({ amount: 100 }).expect(httpStatus.CREATED);
+
+    expect(paymentController.createPayment).toHaveBeenCalled();
+    expect(idempotencyService.reserveKey).not.toHaveBeenCalled();
+  });
+
+  test('POST /v1/payments/create-payment should require a signed-in user to send an Idempotency-Key', async () => {
+    await request(app)
+      .post('/v1/payments/create-payment')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 100 })
+      .expect(httpStatus.UNAUTHORIZED);
+
+    expect(idempotencyService.reserveKey).not.toHaveBeenCalled();
+    expect(paymentController.createPayment).not.toHaveBeenCalled();
+  });
+
+  test('POST /v1/payments/create-payment should scope the Idempotency-Key to the user', async () => {
+    await request(app)
+      .post('/v1/payments/create-payment')
+      .set('Authorization', 'Bearer token')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 100 })
+      .expect(httpStatus.CREATED);
+
+    expect(idempotencyService.reserveKey).toHaveBeenCalledWith(mockUserId, 'key-1', expect.any(String));
+  });
+});
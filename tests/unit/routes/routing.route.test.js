@@ -0,0 +1,57 @@
+const request = require('supertest');
+const express = require('express');
+const httpStatus = require('http-status');
+const routingController = require('../../../src/controllers/routing.controller');
+const routingRoutes = require('../../../src/routes/v1/routing.route');
+
+jest.mock('../../../src/middlewares/auth', () => jest.fn(() => (req, res, next) => next()));
+jest.mock('../../../src/middlewares/validate', () => jest.fn(() => (req, res, next) => next()));
+jest.mock('../../../src/controllers/routing.controller', () => ({
+  getRoutingSettings: jest.fn((req, res) => res.send({ strategy: 'least-loaded' })),
+  updateRoutingSettings: jest.fn((req, res) => res.send(req.body)),
+  getNotaryRoutings: jest.fn((req, res) => res.send({ results: [], page: 1 })),
+  getNotaryRouting: jest.fn((req, res) => res.send({ notaryId: req.params.notaryId })),
+  setNotaryRouting: jest.fn((req, res) => res.send({ notaryId: req.params.notaryId, ...req.body })),
+  deleteNotaryRouting: jest.fn((req, res) => res.status(204).send()),
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/v1/routing', routingRoutes);
+
+describe('Routing Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /v1/routing/settings should return the strategy', async () => {
+    const res = await request(app).get('/v1/routing/settings').expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ strategy: 'least-loaded' });
+  });
+
+  test('PATCH /v1/routing/settings should change the strategy', async () => {
+    const res = await request(app).patch('/v1/routing/settings').send({ strategy: 'round-robin' }).expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ strategy: 'round-robin' });
+  });
+
+  test('GET /v1/routing/notaries should list the notary routings', async () => {
+    await request(app).get('/v1/routing/notaries').expect(httpStatus.OK);
+    expect(routingController.getNotaryRoutings).toHaveBeenCalled();
+  });
+
+  test('PUT /v1/routing/notaries/:notaryId should set the routing of a notary', async () => {
+    const res = await request(app)
+      .put('/v1/routing/notaries/5ebac534954b54139806c112')
+      .send({ available: false })
+      .expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ notaryId: '5ebac534954b54139806c112', available: false });
+  });
+
+  test('DELETE /v1/routing/notaries/:notaryId should stop routing cases to a notary', async () => {
+    await request(app).delete('/v1/routing/notaries/5ebac534954b54139806c112').expect(httpStatus.NO_CONTENT);
+    expect(routingController.deleteNotaryRouting).toHaveBeenCalled();
+  });
+});
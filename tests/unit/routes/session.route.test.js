@@ -41,9 +41,18 @@ jest.mock('../../../src/controllers/session.controller', () => ({
   getSessionStatus: jest.fn((req, res) => res.status(200).send({ status: 'notarized' })),
   getSessionsByStatus: jest.fn((req, res) => res.status(200).send({ sessions: [] })),
   forwardSessionStatus: jest.fn((req, res) => res.status(200).send({ message: 'Session status forwarded successfully' })),
+  resubmitSession: jest.fn((req, res) => res.status(200).send({ message: 'Session status updated to pending' })),
+  withdrawSession: jest.fn((req, res) => res.status(200).send({ status: 'cancelled' })),
   approveSignatureSessionByUser: jest.fn((req, res) => res.status(200).send({ message: 'Signature approved by user' })),
   approveSignatureSessionByNotary: jest.fn((req, res) => res.status(200).send({ message: 'Signature approved by notary' })),
   deleteFile: jest.fn((req, res) => res.status(204).send()),
+  getSessionFile: jest.fn((req, res) => res.status(200).send({ url: 'https://storage.test/file.pdf' })),
+  verifySessionFile: jest.fn((req, res) => res.status(200).send({ valid: true })),
+  getSessionBundle: jest.fn((req, res) => res.status(200).send({ url: 'https://storage.test/bundle.pdf' })),
+  getSessionTimeline: jest.fn((req, res) => res.status(200).send({ caseType: 'session', events: [] })),
+  claimSession: jest.fn((req, res) => res.status(200).send({ assignment: { method: 'claim' } })),
+  releaseSession: jest.fn((req, res) => res.status(200).send({ assignment: { notaryId: null } })),
+  assignSession: jest.fn((req, res) => res.status(200).send({ assignment: { method: 'manual' } })),
 }));
 
 describe('Session Routes', () => {
@@ -138,6 +147,18 @@ describe('Session Routes', () => {
     expect(response.body.message).toBe('Session status forwarded successfully');
   });
 
+  test('POST /session/resubmit-session/:sessionId - should resubmit a session sent back for revision', async () => {
+    const response = await request(app).post('/session/resubmit-session/123').send({ note: 'Signed every page' });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Session status updated to pending');
+  });
+
+  test('POST /session/withdraw-session/:sessionId - should withdraw a session', async () => {
+    const response = await request(app).post('/session/withdraw-session/123').send({ reason: 'Wrong date' });
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('cancelled');
+  });
+
   test('POST /session/approve-signature-session-by-user - should approve signature by user', async () => {
     const response = await request(app).post('/session/approve-signature-session-by-user');
     expect(response.status).toBe(200);
@@ -150,6 +171,48 @@ describe('Session Routes', () => {
     expect(response.body.message).toBe('Signature approved by notary');
   });
 
+  test('GET /session/:sessionId/bundle - should return the download url of the session bundle', async () => {
+    const response = await request(app).get('/session/123/bundle');
+    expect(response.status).toBe(200);
+    expect(response.body.url).toBe('https://storage.test/bundle.pdf');
+  });
+
+  test('GET /session/:sessionId/timeline - should return the events of the session', async () => {
+    const response = await request(app).get('/session/123/timeline');
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ caseType: 'session', events: [] });
+  });
+
+  test('POST /session/:sessionId/claim - should claim a session', async () => {
+    const response = await request(app).post('/session/123/claim');
+    expect(response.status).toBe(200);
+    expect(response.body.assignment.method).toBe('claim');
+  });
+
+  test('POST /session/:sessionId/release - should release a session', async () => {
+    const response = await request(app).post('/session/123/release');
+    expect(response.status).toBe(200);
+    expect(response.body.assignment.notaryId).toBeNull();
+  });
+
+  test('PATCH /session/:sessionId/assignment - should assign a session', async () => {
+    const response = await request(app).patch('/session/123/assignment').send({ notaryId: '456' });
+    expect(response.status).toBe(200);
+    expect(response.body.assignment.method).toBe('manual');
+  });
+
+  test('GET /session/:sessionId/files/:fileId - should return a download url for a session file', async () => {
+    const response = await request(app).get('/session/123/files/456');
+    expect(response.status).toBe(200);
+    expect(response.body.url).toBe('https://storage.test/file.pdf');
+  });
+
+  test('GET /session/:sessionId/files/:fileId/verify - should verify a session file', async () => {
+    const response = await request(app).get('/session/123/files/456/verify');
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(true);
+  });
+
   test('DELETE /session/:sessionId/files/:fileId - should delete a file from session', async () => {
     const response = await request(app).delete('/session/123/files/456');
     expect(response.status).toBe(204);
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const express = require('express');
+const httpStatus = require('http-status');
+const workflowController = require('../../../src/controllers/workflow.controller');
+const workflowRoutes = require('../../../src/routes/v1/workflow.route');
+
+jest.mock('../../../src/middlewares/auth', () => jest.fn(() => (req, res, next) => next()));
+jest.mock('../../../src/middlewares/validate', () => jest.fn(() => (req, res, next) => next()));
+jest.mock('../../../src/controllers/workflow.controller', () => ({
+  createWorkflow: jest.fn((req, res) => res.status(201).send({ id: 'workflowId', ...req.body })),
+  getWorkflows: jest.fn((req, res) => res.send({ results: [], page: 1 })),
+  getDefaultWorkflow: jest.fn((req, res) => res.send({ name: 'default' })),
+  getWorkflow: jest.fn((req, res) => res.send({ id: req.params.workflowId })),
+  updateWorkflow: jest.fn((req, res) => res.send({ id: req.params.workflowId, ...req.body })),
+  deleteWorkflow: jest.fn((req, res) => res.status(204).send()),
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/v1/workflows', workflowRoutes);
+
+describe('Workflow Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('POST /v1/workflows should create a workflow', async () => {
+    const res = await request(app).post('/v1/workflows').send({ name: 'review-only' }).expect(httpStatus.CREATED);
+
+    expect(res.body).toEqual({ id: 'workflowId', name: 'review-only' });
+  });
+
+  test('GET /v1/workflows should list the workflows', async () => {
+    await request(app).get('/v1/workflows').expect(httpStatus.OK);
+    expect(workflowController.getWorkflows).toHaveBeenCalled();
+  });
+
+  test('GET /v1/workflows/default should not be taken for a workflow id', async () => {
+    const res = await request(app).get('/v1/workflows/default').expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ name: 'default' });
+    expect(workflowController.getWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('GET /v1/workflows/:workflowId should get a workflow', async () => {
+    const res = await request(app).get('/v1/workflows/5ebac534954b54139806c112').expect(httpStatus.OK);
+
+    expect(res.body).toEqual({ id: '5ebac534954b54139806c112' });
+  });
+
+  test('PATCH /v1/workflows/:workflowId should update a workflow', async () => {
+    await request(app).patch('/v1/workflows/5ebac534954b54139806c112').send({ name: 'renamed' }).expect(httpStatus.OK);
+    expect(workflowController.updateWorkflow).toHaveBeenCalled();
+  });
+
+  test('DELETE /v1/workflows/:workflowId should delete a workflow', async () => {
+    await request(app).delete('/v1/workflows/5ebac534954b54139806c112').expect(httpStatus.NO_CONTENT);
+    expect(workflowController.deleteWorkflow).toHaveBeenCalled();
+  });
+});
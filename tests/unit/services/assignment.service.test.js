@@ -0,0 +1,294 @@
+jest.mock('../../../src/models', () => ({
+  Document: {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+  Session: {
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+  },
+  User: {
+    findById: jest.fn(),
+  },
+}));
+
+const httpStatus = require('http-status');
+const { Document, Session, User } = require('../../../src/models');
+const config = require('../../../src/config/config');
+const assignmentService = require('../../../src/services/assignment.service');
+
+describe('Assignment Service', () => {
+  const documentId = '507f1f77bcf86cd799439011';
+  const sessionId = '507f1f77bcf86cd799439012';
+  const notaryId = '507f1f77bcf86cd799439013';
+  const otherNotaryId = '507f1f77bcf86cd799439014';
+  const adminId = '507f1f77bcf86cd799439015';
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+  const anHourAgo = () => new Date(Date.now() - 60 * 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isActiveAssignment', () => {
+    test('should only count assignments that have not expired', () => {
+      expect(assignmentService.isActiveAssignment(undefined)).toBe(false);
+      expect(assignmentService.isActiveAssignment({ notaryId: null })).toBe(false);
+      expect(assignmentService.isActiveAssignment({ notaryId, expiresAt: null })).toBe(true);
+      expect(assignmentService.isActiveAssignment({ notaryId, expiresAt: inOneHour() })).toBe(true);
+      expect(assignmentService.isActiveAssignment({ notaryId, expiresAt: anHourAgo() })).toBe(false);
+    });
+  });
+
+  describe('getQueueIds', () => {
+    test('should list the cases held by the notary', async () => {
+      const distinct = jest.fn().mockResolvedValue([documentId]);
+      Document.find.mockReturnValueOnce({ distinct });
+
+      await expect(assignmentService.getQueueIds('document', 'mine', notaryId)).resolves.toEqual([documentId]);
+      expect(Document.find).toHaveBeenCalledWith({
+        'assignment.notaryId': notaryId,
+        $or: [{ 'assignment.expiresAt': null }, { 'assignment.expiresAt': { $gt: expect.any(Date) } }],
+      });
+      expect(distinct).toHaveBeenCalledWith('_id');
+    });
+
+    test('should count expired claims as unassigned', async () => {
+      Document.find.mockReturnValueOnce({ distinct: jest.fn().mockResolvedValue([]) });
+
+      await assignmentService.getQueueIds('document', 'unassigned', notaryId);
+
+      expect(Document.find).toHaveBeenCalledWith({
+        $or: [{ 'assignment.notaryId': null }, { 'assignment.expiresAt': { $lte: expect.any(Date) } }],
+      });
+    });
+  });
+
+  describe('checkAssignee', () => {
+    test('should only let the notary holding the case act on it', () => {
+      const document = { assignment: { notaryId, expiresAt: inOneHour() } };
+
+      expect(() => assignmentService.checkAssignee(document, notaryId, 'notary', 'document')).not.toThrow();
+      expect(() => assignmentService.checkAssignee(document, otherNotaryId, 'notary', 'document')).toThrow(
+        'This document is assigned to another notary'
+      );
+      expect(() =>
+        assignmentService.checkAssignee({ assignment: { notaryId, expiresAt: anHourAgo() } }, notaryId, 'notary', 'document')
+      ).toThrow('Claim the document before working on it');
+    });
+
+    test('should leave other roles to the workflow', () => {
+      expect(() => assignmentService.checkAssignee({}, adminId, 'admin', 'document')).not.toThrow();
+    });
+  });
+
+  describe('claimDocument', () => {
+    test('should claim unassigned documents until the claim times out', async () => {
+      Document.findById.mockResolvedValueOnce({ _id: documentId, assignment: { notaryId: null } });
+      Document.findOneAndUpdate.mockImplementationOnce((filter, update) =>
+        Promise.resolve({ _id: documentId, ...update.$set })
+      );
+
+      const before = Date.now();
+      const document = await assignmentService.claimDocument(documentId, notaryId);
+
+      expect(Document.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: documentId,
+          $or: [{ 'assignment.notaryId': null }, { 'assignment.expiresAt': { $lte: expect.any(Date) } }],
+        },
+        expect.any(Object),
+        { new: true }
+      );
+      expect(document.assignment).toMatchObject({ notaryId, assignedBy: notaryId, method: 'claim' });
+      expect(document.assignment.expiresAt.getTime()).toBeGreaterThanOrEqual(
+        before + config.assignment.claimTimeoutMinutes * 60 * 1000
+      );
+    });
+
+    test('should refuse documents held by another notary', async () => {
+      Document.findById.mockResolvedValueOnce({
+        _id: documentId,
+        assignment: { notaryId: otherNotaryId, method: 'claim', expiresAt: inOneHour() },
+      });
+
+      await expect(assignmentService.claimDocument(documentId, notaryId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'Document is already assigned to another notary',
+      });
+      expect(Document.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse the claim when another notary was faster', async () => {
+      Document.findById.mockResolvedValueOnce({ _id: documentId, assignment: { notaryId: null } });
+      Document.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await expect(assignmentService.claimDocument(documentId, notaryId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+    });
+
+    test('should not let the first approver claim the countersignature', async () => {
+      Document.findById.mockResolvedValueOnce({
+        _id: documentId,
+        assignment: { notaryId: null },
+        approvals: [{ notaryId, approvedAt: new Date() }],
+      });
+
+      await expect(assignmentService.claimDocument(documentId, notaryId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'You already approved this document, another notary must countersign it',
+      });
+      expect(Document.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should let another notary claim a document waiting for its countersignature', async () => {
+      Document.findById.mockResolvedValueOnce({
+        _id: documentId,
+        assignment: { notaryId: null },
+        approvals: [{ notaryId: otherNotaryId, approvedAt: new Date() }],
+      });
+      Document.findOneAndUpdate.mockImplementationOnce((filter, update) =>
+        Promise.resolve({ _id: documentId, ...update.$set })
+      );
+
+      const document = await assignmentService.claimDocument(documentId, notaryId);
+
+      expect(document.assignment).toMatchObject({ notaryId, method: 'claim' });
+    });
+
+    test('should keep manual assignments as they are', async () => {
+      const document = { _id: documentId, assignment: { notaryId, method: 'manual', expiresAt: null } };
+      Document.findById.mockResolvedValueOnce(document);
+
+      await expect(assignmentService.claimDocument(documentId, notaryId)).resolves.toBe(document);
+      expect(Document.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should throw when the document does not exist', async () => {
+      Document.findById.mockResolvedValueOnce(null);
+
+      await expect(assignmentService.claimDocument(documentId, notaryId)).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+        message: 'Document not found',
+      });
+    });
+  });
+
+  describe('releaseSession', () => {
+    test('should put the session back in the queue', async () => {
+      Session.findById.mockResolvedValueOnce({
+        _id: sessionId,
+        assignment: { notaryId, method: 'claim', expiresAt: inOneHour() },
+      });
+      Session.findByIdAndUpdate.mockResolvedValueOnce({ _id: sessionId, assignment: { notaryId: null } });
+
+      await assignmentService.releaseSession(sessionId, notaryId);
+
+      expect(Session.findByIdAndUpdate).toHaveBeenCalledWith(
+        sessionId,
+        { $set: { assignment: { notaryId: null, assignedBy: null, assignedAt: null, expiresAt: null, reason: null } } },
+        { new: true }
+      );
+    });
+
+    test('should refuse notaries who do not hold the session', async () => {
+      Session.findById.mockResolvedValueOnce({
+        _id: sessionId,
+        assignment: { notaryId: otherNotaryId, method: 'claim', expiresAt: inOneHour() },
+      });
+
+      await expect(assignmentService.releaseSession(sessionId, notaryId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'Session is not assigned to you',
+      });
+      expect(Session.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignDocument', () => {
+    test('should assign documents to notaries without expiry', async () => {
+      Document.findById.mockResolvedValueOnce({ _id: documentId });
+      User.findById.mockResolvedValueOnce({ _id: notaryId, role: 'notary' });
+      Document.findByIdAndUpdate.mockResolvedValueOnce({ _id: documentId });
+
+      await assignmentService.assignDocument(documentId, notaryId, adminId);
+
+      expect(Document.findByIdAndUpdate).toHaveBeenCalledWith(
+        documentId,
+        {
+          $set: {
+            assignment: {
+              notaryId,
+              assignedBy: adminId,
+              method: 'manual',
+              assignedAt: expect.any(Date),
+              expiresAt: null,
+              reason: null,
+            },
+          },
+        },
+        { new: true }
+      );
+    });
+
+    test('should only assign documents to notaries', async () => {
+      Document.findById.mockResolvedValueOnce({ _id: documentId });
+      User.findById.mockResolvedValueOnce({ _id: notaryId, role: 'user' });
+
+      await expect(assignmentService.assignDocument(documentId, notaryId, adminId)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Cases can only be assigned to notaries',
+      });
+      expect(Document.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should not give a document to the notary who already approved it', async () => {
+      Document.findById.mockResolvedValueOnce({ _id: documentId, approvals: [{ notaryId, approvedAt: new Date() }] });
+      User.findById.mockResolvedValueOnce({ _id: notaryId, role: 'notary' });
+
+      await expect(assignmentService.assignDocument(documentId, notaryId, adminId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(Document.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should give a document to the notary who countersigns it', async () => {
+      await assignmentService.assignCountersign(documentId, otherNotaryId, notaryId, 'countersign: round-robin');
+
+      expect(Document.findByIdAndUpdate).toHaveBeenCalledWith(
+        documentId,
+        {
+          $set: {
+            assignment: {
+              notaryId: otherNotaryId,
+              assignedBy: notaryId,
+              method: 'countersign',
+              assignedAt: expect.any(Date),
+              expiresAt: null,
+              reason: 'countersign: round-robin',
+            },
+          },
+        },
+        { new: true }
+      );
+    });
+
+    test('should unassign documents without a notary', async () => {
+      Document.findById.mockResolvedValueOnce({ _id: documentId });
+
+      await assignmentService.assignDocument(documentId, null, adminId);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(Document.findByIdAndUpdate).toHaveBeenCalledWith(
+        documentId,
+        { $set: { assignment: { notaryId: null, assignedBy: null, assignedAt: null, expiresAt: null, reason: null } } },
+        { new: true }
+      );
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../../src/services/storage.service', () => ({
+  uploadFile: jest.fn().mockResolvedValue('bundles/documents/doc1/bundle.pdf'),
+  downloadFile: jest.fn(),
+  getSignedUrl: jest.fn().mockResolvedValue({
+    url: 'https://storage.test/bundles/documents/doc1/bundle.pdf?signature=abc',
+    expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+  }),
+  hashBuffer: (buffer) => jest.requireActual('crypto').createHash('sha256').update(buffer).digest('hex'),
+}));
+
+const { PDFDocument } = require('pdf-lib');
+const { uploadFile, downloadFile, getSignedUrl } = require('../../../src/services/storage.service');
+const bundleService = require('../../../src/services/bundle.service');
+
+// 1x1 transparent png
+const pngBuffer = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const createPdf = async (pageCount) => {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i += 1) {
+    pdf.addPage();
+  }
+  return Buffer.from(await pdf.save());
+};
+
+describe('Bundle Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildBundle', () => {
+    test('should put a cover page before the concatenated files', async () => {
+      const result = await bundleService.buildBundle({
+        title: 'Notarization request doc1',
+        details: [['Requester', 'Nguyễn Văn Đức']],
+        requiredDocuments: ['CCCD'],
+        files: [
+          { filename: 'contract.pdf', mimeType: 'application/pdf', buffer: await createPdf(2) },
+          { filename: 'id.png', mimeType: 'image/png', buffer: pngBuffer },
+        ],
+      });
+
+      const bundle = await PDFDocument.load(result);
+      expect(bundle.getPageCount()).toBe(4);
+      expect(bundle.getTitle()).toBe('Notarization request doc1');
+    });
+
+    test('should replace damaged files with a placeholder page', async () => {
+      const result = await bundleService.buildBundle({
+        title: 'Notarization request doc1',
+        files: [{ filename: 'broken.pdf', mimeType: 'application/pdf', buffer: Buffer.from('not a pdf') }],
+      });
+
+      const bundle = await PDFDocument.load(result);
+      expect(bundle.getPageCount()).toBe(2);
+    });
+  });
+
+  describe('getBundle', () => {
+    const createRecord = (bundle) => ({
+      _id: 'doc1',
+      files: [
+        { _id: 'file1', filename: 'id.png', mimeType: 'image/png', storageKey: 'documents/doc1/id.png', sha256: 'abc' },
+      ],
+      bundle,
+      set: jest.fn(function set(field, value) {
+        this[field] = value;
+      }),
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    test('should build, store and sign the bundle the first time', async () => {
+      downloadFile.mockResolvedValue(pngBuffer);
+      const record = createRecord(undefined);
+
+      const result = await bundleService.getBundle(record, 'documents', { title: 'Notarization request doc1' });
+
+      expect(downloadFile).toHaveBeenCalledWith('documents/doc1/id.png');
+      expect(uploadFile).toHaveBeenCalledWith(
+        expect.objectContaining({ originalname: 'bundle.pdf', mimetype: 'application/pdf' }),
+        'bundles',
+        'documents/doc1',
+        { keepName: true }
+      );
+      expect(record.save).toHaveBeenCalled();
+      expect(record.bundle.storageKey).toBe('bundles/documents/doc1/bundle.pdf');
+      expect(result.url).toBe('https://storage.test/bundles/documents/doc1/bundle.pdf?signature=abc');
+    });
+
+    test('should reuse the cached bundle while the files are unchanged', async () => {
+      downloadFile.mockResolvedValue(pngBuffer);
+      const record = createRecord(undefined);
+      await bundleService.getBundle(record, 'documents', { title: 'Notarization request doc1' });
+      jest.clearAllMocks();
+
+      await bundleService.getBundle(record, 'documents', { title: 'Notarization request doc1' });
+
+      expect(downloadFile).not.toHaveBeenCalled();
+      expect(uploadFile).not.toHaveBeenCalled();
+      expect(getSignedUrl).toHaveBeenCalledWith('bundles/documents/doc1/bundle.pdf');
+    });
+
+    test('should rebuild the bundle when the files changed', async () => {
+      downloadFile.mockResolvedValue(pngBuffer);
+      const record = createRecord({ storageKey: 'bundles/documents/doc1/bundle.pdf', fingerprint: 'outdated' });
+
+      await bundleService.getBundle(record, 'documents', { title: 'Notarization request doc1' });
+
+      expect(uploadFile).toHaveBeenCalled();
+    });
+
+    test('should throw when there are no files', async () => {
+      await expect(bundleService.getBundle({ _id: 'doc1', files: [] }, 'documents', {})).rejects.toThrow(
+        'There are no files to bundle'
+      );
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const { autoVerifyDocument } = require('../../../src/services/notarization.service');
 const { autoForwardSessionStatus } = require('../../../src/services/session.service');
+const { deleteExpiredUploads } = require('../../../src/services/upload.service');
+const { checkSlaBreaches } = require('../../../src/services/sla.service');
 const cronService = require('../../../src/services/cron.service');
 
 jest.mock('node-cron');
@@ -10,6 +12,12 @@ jest.mock('../../../src/services/notarization.service', () => ({
 jest.mock('../../../src/services/session.service', () => ({
   autoForwardSessionStatus: jest.fn(),
 }));
+jest.mock('../../../src/services/upload.service', () => ({
+  deleteExpiredUploads: jest.fn(),
+}));
+jest.mock('../../../src/services/sla.service', () => ({
+  checkSlaBreaches: jest.fn(),
+}));
 
 describe('Cron Service', () => {
   afterEach(() => {
@@ -22,6 +30,8 @@ describe('Cron Service', () => {
 
       expect(cron.schedule).toHaveBeenCalledWith('0 0 * * *', expect.any(Function));
       expect(cron.schedule).toHaveBeenCalledWith('* * * * *', autoVerifyDocument);
+      expect(cron.schedule).toHaveBeenCalledWith('0 * * * *', deleteExpiredUploads);
+      expect(cron.schedule).toHaveBeenCalledWith('*/15 * * * *', checkSlaBreaches);
       // Uncomment the following line if autoForwardSessionStatus is used
       // expect(cron.schedule).toHaveBeenCalledWith('* * * * *', autoForwardSessionStatus);
     });
@@ -214,4 +214,48 @@ describe('Email Service', () => {
       });
     });
   });
+
+  describe('sendSlaEscalationEmail', () => {
+    test('should tell every recipient which case is overdue', async () => {
+      fs.readFile.mockResolvedValueOnce(
+        '<p>{{label}} {{caseId}} stuck in {{status}} since {{dueAt}}, held by {{assignedTo}}</p>'
+      );
+
+      await emailService.sendSlaEscalationEmail(['notary@example.com', 'admin@example.com'], {
+        caseType: 'document',
+        caseId: 'documentId',
+        status: 'processing',
+        dueAt: new Date('2024-05-12T08:00:00Z'),
+        assignedTo: 'Notary',
+      });
+
+      expect(mockTransport.sendMail).toHaveBeenCalledTimes(2);
+      expect(mockTransport.sendMail).toHaveBeenCalledWith({
+        from: config.email.from,
+        to: 'admin@example.com',
+        subject: 'Document overdue in processing',
+        html: '<p>Document documentId stuck in processing since 2024-05-12T08:00:00.000Z, held by Notary</p>',
+      });
+    });
+  });
+
+  describe('sendCaseWithdrawnEmail', () => {
+    test('should tell the notary who withdrew the case and why', async () => {
+      fs.readFile.mockResolvedValueOnce('<p>{{label}} {{caseId}} withdrawn by {{withdrawnBy}}: {{reason}}</p>');
+
+      await emailService.sendCaseWithdrawnEmail('notary@example.com', {
+        caseType: 'session',
+        caseId: 'sessionId',
+        withdrawnBy: 'Requester',
+        reason: 'Wrong date',
+      });
+
+      expect(mockTransport.sendMail).toHaveBeenCalledWith({
+        from: config.email.from,
+        to: 'notary@example.com',
+        subject: 'Session withdrawn by its requester',
+        html: '<p>Session sessionId withdrawn by Requester: Wrong date</p>',
+      });
+    });
+  });
 });
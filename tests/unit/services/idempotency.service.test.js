@@ -0,0 +1,157 @@
+jest.mock('../../../src/models', () => ({
+  IdempotencyKey: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+
+const httpStatus = require('http-status');
+const { IdempotencyKey } = require('../../../src/models');
+const config = require('../../../src/config/config');
+const idempotencyService = require('../../../src/services/idempotency.service');
+
+describe('Idempotency Service', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const fingerprint = idempotencyService.fingerprintRequest('POST', '/v1/userWallet/wallet/transfer', { amount: 1 });
+  const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('fingerprintRequest', () => {
+    test('should tell apart requests with another url or body', () => {
+      expect(idempotencyService.fingerprintRequest('POST', '/v1/userWallet/wallet/transfer', { amount: 1 })).toBe(
+        fingerprint
+      );
+      expect(idempotencyService.fingerprintRequest('POST', '/v1/userWallet/wallet/transfer', { amount: 2 })).not.toBe(
+        fingerprint
+      );
+      expect(idempotencyService.fingerprintRequest('POST', '/v1/userWallet/wallet/purchase', { amount: 1 })).not.toBe(
+        fingerprint
+      );
+    });
+
+    test('should tell apart requests uploading other files', () => {
+      const file = { fieldname: 'files', originalname: 'contract.pdf', buffer: Buffer.from('v1') };
+      const url = '/v1/notarization/upload-files';
+      const withFile = idempotencyService.fingerprintRequest('POST', url, { amount: '1' }, [file]);
+
+      expect(idempotencyService.fingerprintRequest('POST', url, { amount: '1' }, [{ ...file }])).toBe(withFile);
+      expect(idempotencyService.fingerprintRequest('POST', url, { amount: '1' })).not.toBe(withFile);
+      expect(
+        idempotencyService.fingerprintRequest('POST', url, { amount: '1' }, [{ ...file, buffer: Buffer.from('v2') }])
+      ).not.toBe(withFile);
+    });
+  });
+
+  describe('reserveKey', () => {
+    test('should reserve a new key for the retention window', async () => {
+      IdempotencyKey.create.mockImplementationOnce((record) => Promise.resolve({ _id: 'recordId', ...record }));
+
+      const { record, replay } = await idempotencyService.reserveKey(userId, 'key-1', fingerprint);
+
+      expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ userId, key: 'key-1', expiresAt: { $lte: expect.any(Date) } });
+      expect(record).toMatchObject({ _id: 'recordId', userId, key: 'key-1', fingerprint });
+      expect(record.expiresAt.getTime() - Date.now()).toBeGreaterThan((config.idempotency.retentionHours - 1) * 3600000);
+      expect(record.lockedUntil.getTime() - Date.now()).toBeGreaterThan((config.idempotency.lockMinutes - 1) * 60000);
+      expect(replay).toBeUndefined();
+    });
+
+    test('should return the stored response of a completed key', async () => {
+      const existing = { fingerprint, status: 'completed', responseStatus: 201, responseBody: '{"id":"documentId"}' };
+      IdempotencyKey.create.mockRejectedValueOnce(duplicateKeyError);
+      IdempotencyKey.findOne.mockResolvedValueOnce(existing);
+
+      await expect(idempotencyService.reserveKey(userId, 'key-1', fingerprint)).resolves.toEqual({ replay: existing });
+      expect(IdempotencyKey.findOne).toHaveBeenCalledWith({ userId, key: 'key-1' });
+    });
+
+    test('should refuse a key whose first request is still running', async () => {
+      IdempotencyKey.create.mockRejectedValueOnce(duplicateKeyError);
+      IdempotencyKey.findOne.mockResolvedValueOnce({
+        fingerprint,
+        status: 'processing',
+        lockedUntil: new Date(Date.now() + 60000),
+      });
+
+      await expect(idempotencyService.reserveKey(userId, 'key-1', fingerprint)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should take over a key whose request never finished', async () => {
+      const lockedUntil = new Date(Date.now() - 60000);
+      const taken = { _id: 'recordId', fingerprint, status: 'processing', lockedUntil: new Date(Date.now() + 60000) };
+      IdempotencyKey.create.mockRejectedValueOnce(duplicateKeyError);
+      IdempotencyKey.findOne.mockResolvedValueOnce({ _id: 'recordId', fingerprint, status: 'processing', lockedUntil });
+      IdempotencyKey.findOneAndUpdate.mockResolvedValueOnce(taken);
+
+      await expect(idempotencyService.reserveKey(userId, 'key-1', fingerprint)).resolves.toEqual({ record: taken });
+      expect(IdempotencyKey.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'recordId', status: 'processing', lockedUntil },
+        { $set: { lockedUntil: expect.any(Date) } },
+        { new: true }
+      );
+    });
+
+    test('should refuse the takeover when another retry got the key first', async () => {
+      IdempotencyKey.create.mockRejectedValueOnce(duplicateKeyError);
+      IdempotencyKey.findOne.mockResolvedValueOnce({
+        _id: 'recordId',
+        fingerprint,
+        status: 'processing',
+        lockedUntil: new Date(Date.now() - 60000),
+      });
+      IdempotencyKey.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await expect(idempotencyService.reserveKey(userId, 'key-1', fingerprint)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+    });
+
+    test('should refuse a key reused for another request', async () => {
+      IdempotencyKey.create.mockRejectedValueOnce(duplicateKeyError);
+      IdempotencyKey.findOne.mockResolvedValueOnce({ fingerprint: 'other', status: 'completed' });
+
+      await expect(idempotencyService.reserveKey(userId, 'key-1', fingerprint)).rejects.toMatchObject({
+        statusCode: httpStatus.UNPROCESSABLE_ENTITY,
+      });
+    });
+
+    test('should rethrow other database errors', async () => {
+      IdempotencyKey.create.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(idempotencyService.reserveKey(userId, 'key-1', fingerprint)).rejects.toThrow('connection lost');
+      expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveResponse', () => {
+    test('should complete the key with the response', async () => {
+      const lockedUntil = new Date();
+      await idempotencyService.saveResponse(
+        { _id: 'recordId', lockedUntil },
+        { status: 201, type: 'application/json', body: '{}' }
+      );
+
+      expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+        { _id: 'recordId', lockedUntil },
+        { $set: { status: 'completed', responseStatus: 201, responseType: 'application/json', responseBody: '{}' } }
+      );
+    });
+  });
+
+  describe('releaseKey', () => {
+    test('should delete a key still processing', async () => {
+      const lockedUntil = new Date();
+      await idempotencyService.releaseKey({ _id: 'recordId', lockedUntil });
+
+      expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'recordId', status: 'processing', lockedUntil });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockRoot = path.join(os.tmpdir(), `storage-${process.pid}`);
+
+jest.mock('../../../src/config/config', () => {
+  const config = jest.requireActual('../../../src/config/config');
+  return { ...config, storage: { ...config.storage, local: { ...config.storage.local, root: mockRoot } } };
+});
+
+const localAdapter = require('../../../src/services/storage/local.adapter');
+
+describe('Local storage adapter', () => {
+  afterAll(() => {
+    fs.rmSync(mockRoot, { recursive: true, force: true });
+  });
+
+  test('should store, read and remove files under the storage root', async () => {
+    await localAdapter.save('documents/doc1/contract.pdf', Buffer.from('test'));
+
+    await expect(localAdapter.download('documents/doc1/contract.pdf')).resolves.toEqual(Buffer.from('test'));
+
+    await localAdapter.remove('documents/doc1/contract.pdf');
+    await expect(localAdapter.download('documents/doc1/contract.pdf')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('should refuse keys leading outside of the storage root', async () => {
+    const sibling = `../${path.basename(mockRoot)}-outside/file.txt`;
+
+    await expect(localAdapter.save(sibling, Buffer.from('test'))).rejects.toThrow('Invalid storage key');
+    await expect(localAdapter.save('/tmp/file.txt', Buffer.from('test'))).rejects.toThrow('Invalid storage key');
+    await expect(localAdapter.download('documents/../../secret.txt')).rejects.toThrow('Invalid storage key');
+    await expect(localAdapter.remove('.')).rejects.toThrow('Invalid storage key');
+  });
+});
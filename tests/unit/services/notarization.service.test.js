@@ -1,9 +1,39 @@
 const httpStatus = require('http-status');
+const mongoose = require('mongoose');
 const notarizationService = require('../../../src/services/notarization.service');
-const { Document, StatusTracking, ApproveHistory, NotarizationService, NotarizationField } = require('../../../src/models');
+const {
+  Document,
+  StatusTracking,
+  ApproveHistory,
+  NotarizationService,
+  NotarizationField,
+  Workflow,
+  User,
+} = require('../../../src/models');
 const RequestSignature = require('../../../src/models/requestSignature.model');
 const Payment = require('../../../src/models/payment.model');
 const ApiError = require('../../../src/utils/ApiError');
+const { getSignedUrl, verifyFile, uploadFile, deleteFile } = require('../../../src/services/storage.service');
+const { scanFiles } = require('../../../src/services/scan.service');
+const { claimUploads } = require('../../../src/services/upload.service');
+const { storeThumbnails, withThumbnailUrls } = require('../../../src/services/thumbnail.service');
+const { getBundle } = require('../../../src/services/bundle.service');
+const { checkRequesterInfo } = require('../../../src/services/ocr.service');
+const { routeDocument, pickCountersigner } = require('../../../src/services/routing.service');
+const { findNotaryCard } = require('../../../src/services/notaryProfile.service');
+const { cancelPendingPayments } = require('../../../src/services/payment.service');
+const { recordEvent } = require('../../../src/services/timeline.service');
+const userWalletService = require('../../../src/services/userWallet.service');
+const emailService = require('../../../src/services/email.service');
+const {
+  uploadToIPFS,
+  uploadMetadataToIPFS,
+  unpinFromIPFS,
+  mintDocumentNFT,
+  voidDocumentNFT,
+} = require('../../../src/config/blockchain');
+const { payOS } = require('../../../src/config/payos');
+const { defaultUploadPolicy } = require('../../../src/config/upload');
 
 // Mock models
 jest.mock('../../../src/models', () => {
@@ -65,7 +95,7 @@ jest.mock('../../../src/models', () => {
       _id: mockObjectId(),
       status: 'pending',
       notarizationService: { price: 100 },
-      output: [{ filename: 'test.pdf', firebaseUrl: 'https://test.url' }],
+      output: [{ filename: 'test.pdf', storageKey: 'outputs/test/test.pdf' }],
       save: jest.fn().mockResolvedValue(true),
     }),
     findByIdAndUpdate: jest.fn().mockResolvedValue({
@@ -74,6 +104,9 @@ jest.mock('../../../src/models', () => {
       output: [],
       save: jest.fn().mockResolvedValue(true),
     }),
+    findOne: jest.fn().mockResolvedValue({ requesterInfo: { email: 'test@test.com' } }),
+    updateOne: jest.fn().mockResolvedValue({ nModified: 1 }),
+    deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
     countDocuments: jest.fn().mockResolvedValue(1),
   };
 
@@ -102,24 +135,72 @@ jest.mock('../../../src/models', () => {
         _id: mockObjectId(),
       }),
     },
+    Workflow: {
+      findById: jest.fn(),
+    },
+    User: {
+      findById: jest.fn(),
+    },
     mockObjectId, // Add this line to expose mockObjectId
   };
 });
 
-// Mock Firebase
-jest.mock('../../../src/config/firebase', () => ({
-  bucket: {
-    file: jest.fn().mockReturnValue({
-      save: jest.fn().mockResolvedValue(true),
-    }),
-    name: 'test-bucket',
-  },
+// Mock Storage
+jest.mock('../../../src/services/storage.service', () => ({
+  getFileMetadata: jest.fn(() => ({ sha256: 'test-sha256', size: 4, mimeType: 'application/pdf' })),
+  hashBuffer: jest.fn(() => 'test-sha256'),
+  uploadFile: jest.fn().mockResolvedValue('documents/test/test.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(),
   downloadFile: jest.fn().mockResolvedValue(Buffer.from('test')),
+  getSignedUrl: jest.fn().mockResolvedValue({
+    url: 'https://storage.test/documents/test/test.pdf?signature=abc',
+    expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+  }),
+  verifyFile: jest.fn(),
+}));
+jest.mock('../../../src/services/scan.service', () => ({
+  scanFiles: jest.fn((files) =>
+    Promise.resolve(files.map(() => ({ status: 'clean', engine: 'noop', signature: null, scannedAt: new Date() })))
+  ),
+}));
+jest.mock('../../../src/services/thumbnail.service', () => ({
+  storeThumbnails: jest.fn((files) => Promise.resolve(files.map(() => 'thumbnails/test/test.pdf.jpg'))),
+  withThumbnailUrls: jest.fn((entries = []) => Promise.resolve(entries.map((entry) => ({ ...entry, thumbnailUrl: null })))),
+}));
+jest.mock('../../../src/services/upload.service', () => ({
+  claimUploads: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../../src/services/ocr.service', () => ({
+  checkRequesterInfo: jest.fn().mockResolvedValue({ status: 'matched', engine: 'noop', mismatches: [] }),
+}));
+jest.mock('../../../src/services/routing.service', () => ({
+  routeDocument: jest.fn().mockResolvedValue(null),
+  pickCountersigner: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../../src/services/notaryProfile.service', () => ({
+  findNotaryCard: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../../src/services/payment.service', () => ({
+  cancelPendingPayments: jest.fn().mockResolvedValue(0),
+}));
+jest.mock('../../../src/services/timeline.service', () => ({
+  ...jest.requireActual('../../../src/services/timeline.service'),
+  recordEvent: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../../src/services/bundle.service', () => ({
+  getBundle: jest.fn().mockResolvedValue({
+    url: 'https://storage.test/bundle.pdf?signature=abc',
+    expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+    generatedAt: new Date('2029-12-31T23:45:00.000Z'),
+  }),
 }));
 
 // Mock Blockchain
 jest.mock('../../../src/config/blockchain', () => ({
-  uploadToIPFS: jest.fn().mockResolvedValue('ipfs://test'),
+  uploadToIPFS: jest.fn().mockResolvedValue({ uri: 'ipfs://test', isDuplicate: false }),
+  uploadMetadataToIPFS: jest.fn().mockResolvedValue({ uri: 'ipfs://metadata', isDuplicate: false }),
+  unpinFromIPFS: jest.fn().mockResolvedValue(),
+  voidDocumentNFT: jest.fn().mockResolvedValue({ transactionHash: 'void-hash' }),
   mintDocumentNFT: jest.fn().mockResolvedValue({
     transactionHash: 'test-hash',
   }),
@@ -135,7 +216,9 @@ jest.mock('../../../src/config/blockchain', () => ({
 jest.mock('../../../src/services/email.service', () => ({
   sendEmail: jest.fn().mockResolvedValue(true),
   sendDocumentUploadEmail: jest.fn().mockResolvedValue(true),
+  sendPaymentEmail: jest.fn().mockResolvedValue(true),
   sendDocumentStatusUpdateEmail: jest.fn().mockResolvedValue(true),
+  sendCaseWithdrawnEmail: jest.fn().mockResolvedValue(true),
 }));
 
 // Mock Request Signature
@@ -152,30 +235,48 @@ jest.mock('../../../src/models/requestSignature.model', () => {
   });
 });
 
+jest.mock('../../../src/models/payment.model', () =>
+  jest.fn().mockImplementation((payment) => ({
+    ...payment,
+    _id: 'paymentId',
+    save: jest.fn().mockResolvedValue(true),
+  }))
+);
+
+jest.mock('../../../src/config/payos', () => ({
+  payOS: {
+    createPaymentLink: jest.fn().mockResolvedValue({ checkoutUrl: 'https://pay.test/checkout' }),
+    cancelPaymentLink: jest.fn().mockResolvedValue(),
+  },
+}));
+
 // Mock User Wallet Service
 jest.mock('../../../src/services/userWallet.service', () => ({
   addNFTToWallet: jest.fn().mockResolvedValue(true),
+  restoreNFTAmount: jest.fn().mockResolvedValue(0),
+  decreaseNFTAmount: jest.fn().mockResolvedValue(),
+  getWallet: jest.fn(),
+  linkAmendment: jest.fn().mockResolvedValue(),
 }));
 
 // Test suite
 describe('Notarization Service', () => {
   const mockUserId = '507f1f77bcf86cd799439011';
   const mockDocId = '507f1f77bcf86cd799439011';
+  const assignedToNotary = { notaryId: mockUserId, method: 'manual', expiresAt: null };
+  // Output files are subdocuments, their fields are changed with set()
+  const mockOutputFile = (output) => ({ ...output, set: jest.fn() });
+  const mockSession = {
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn().mockResolvedValue(),
+    abortTransaction: jest.fn().mockResolvedValue(),
+    inTransaction: jest.fn(() => true),
+    endSession: jest.fn(),
+  };
 
   beforeEach(() => {
     jest.clearAllMocks();
-  });
-
-  describe('uploadFileToFirebase', () => {
-    test('should upload file successfully', async () => {
-      const mockFile = {
-        originalname: 'test.pdf',
-        buffer: Buffer.from('test'),
-        mimetype: 'application/pdf',
-      };
-      const result = await notarizationService.uploadFileToFirebase(mockFile, 'documents', 'test');
-      expect(result).toContain('https://storage.googleapis.com/test-bucket');
-    });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession);
   });
 
   describe('createDocument', () => {
@@ -224,6 +325,436 @@ describe('Notarization Service', () => {
       // Access mockObjectId from the mocked module
       expect(result).toHaveProperty('_id', mockedModels.mockObjectId());
     });
+
+    test('should not store files rejected by the malware scanner', async () => {
+      const mockData = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com' },
+        amount: 1,
+      };
+      const mockFiles = [{ originalname: 'eicar.pdf', buffer: Buffer.from('eicar'), mimetype: 'application/pdf' }];
+
+      NotarizationField.findById.mockResolvedValue({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', fieldId: 'fieldId' });
+      scanFiles.mockRejectedValueOnce(new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'Malware detected in: eicar.pdf'));
+
+      await expect(
+        notarizationService.createDocument(mockData, mockFiles, undefined, undefined, mockUserId)
+      ).rejects.toThrow('Malware detected in: eicar.pdf');
+      expect(scanFiles).toHaveBeenCalledWith(mockFiles, 'documents', expect.anything());
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('should check the requester info against the uploaded citizen ID card', async () => {
+      const mockData = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { fullName: 'Nguyen Van An', citizenId: '079203001234', email: 'test@test.com' },
+        amount: 1,
+      };
+      const mockFiles = [{ originalname: 'cccd.jpg', buffer: Buffer.from('cccd'), mimetype: 'image/jpeg' }];
+      const ocr = {
+        status: 'mismatch',
+        engine: 'tesseract',
+        citizenId: '079203009999',
+        mismatches: [{ field: 'citizenId', provided: '079203001234', extracted: '079203009999' }],
+      };
+
+      NotarizationField.findById.mockResolvedValue({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', fieldId: 'fieldId' });
+      checkRequesterInfo.mockResolvedValueOnce(ocr);
+
+      const result = await notarizationService.createDocument(mockData, mockFiles, undefined, undefined, mockUserId);
+
+      expect(checkRequesterInfo).toHaveBeenCalledWith(mockFiles, mockData.requesterInfo);
+      expect(result.ocr).toEqual(ocr);
+    });
+
+    test('should tag files with the document slots of the service', async () => {
+      const mockData = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com' },
+        amount: 1,
+        uploadIds: ['6746f07ccc390609e20d08bf'],
+        fileSlots: ['cccd', null],
+        uploadSlots: ['contract'],
+      };
+      const mockFiles = [
+        { originalname: 'scan.jpg', buffer: Buffer.from('scan'), mimetype: 'image/jpeg' },
+        { originalname: 'extra.pdf', buffer: Buffer.from('extra'), mimetype: 'application/pdf' },
+      ];
+      const documentSlots = [
+        { code: 'cccd', name: 'CCCD', required: true },
+        { code: 'contract', name: 'Contract', required: true },
+      ];
+
+      NotarizationField.findById.mockResolvedValue({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', fieldId: 'fieldId', documentSlots });
+      claimUploads.mockResolvedValueOnce([{ filename: 'large.pdf', storageKey: 'uploads/large.pdf' }]);
+
+      const result = await notarizationService.createDocument(mockData, mockFiles, undefined, undefined, mockUserId);
+
+      expect(Document).toHaveBeenCalledWith(
+        expect.objectContaining({ notarizationService: expect.objectContaining({ documentSlots }) })
+      );
+      expect(result.files.map((file) => file.slot)).toEqual(['cccd', null, 'contract']);
+    });
+
+    test('should reject slot codes the service does not have', async () => {
+      const mockData = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com' },
+        amount: 1,
+        fileSlots: ['passport'],
+      };
+      const mockFiles = [{ originalname: 'scan.jpg', buffer: Buffer.from('scan'), mimetype: 'image/jpeg' }];
+
+      NotarizationField.findById.mockResolvedValue({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValue({
+        _id: 'serviceId',
+        fieldId: 'fieldId',
+        documentSlots: [{ code: 'cccd', name: 'CCCD', required: true }],
+      });
+
+      await expect(
+        notarizationService.createDocument(mockData, mockFiles, undefined, undefined, mockUserId)
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST, message: 'Unknown document slots: passport' });
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('should enforce the upload policy of the service', async () => {
+      const mockData = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com' },
+        amount: 1,
+        uploadIds: ['6746f07ccc390609e20d08bf'],
+      };
+      const mockFiles = [{ originalname: 'scan.gif', buffer: Buffer.from('gif'), mimetype: 'image/gif', size: 3 }];
+      const uploadPolicy = { allowedMimeTypes: ['image/jpeg', 'application/pdf'], maxFiles: 2 };
+
+      NotarizationField.findById.mockResolvedValue({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', fieldId: 'fieldId', uploadPolicy });
+
+      await expect(
+        notarizationService.createDocument(mockData, mockFiles, undefined, undefined, mockUserId)
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST, message: expect.stringContaining('scan.gif') });
+      await expect(
+        notarizationService.createDocument(mockData, [...mockFiles, ...mockFiles], undefined, undefined, mockUserId)
+      ).rejects.toThrow('This service accepts at most 2 files');
+      expect(scanFiles).not.toHaveBeenCalled();
+      expect(claimUploads).not.toHaveBeenCalled();
+    });
+
+    test('should attach completed resumable uploads', async () => {
+      const mockData = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com' },
+        amount: 1,
+        uploadIds: ['6746f07ccc390609e20d08bf'],
+      };
+      const claimedFile = { filename: 'large.pdf', storageKey: 'uploads/6746f07ccc390609e20d08bf/large.pdf', sha256: 'abc' };
+
+      NotarizationField.findById.mockResolvedValue({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', fieldId: 'fieldId' });
+      claimUploads.mockResolvedValueOnce([claimedFile]);
+
+      const result = await notarizationService.createDocument(mockData, undefined, undefined, undefined, mockUserId);
+
+      expect(claimUploads).toHaveBeenCalledWith(mockData.uploadIds, mockUserId, defaultUploadPolicy, mockSession);
+      expect(storeThumbnails).not.toHaveBeenCalled();
+      expect(result.files).toEqual([{ ...claimedFile, slot: null }]);
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('drafts', () => {
+    const requester = { id: mockUserId, role: 'user' };
+    const buildDraft = (overrides = {}) => ({
+      _id: mockDocId,
+      userId: mockUserId,
+      draft: true,
+      notarizationService: {
+        id: 'serviceId',
+        documentSlots: [{ code: 'cccd', name: 'Citizen ID card', required: true }],
+      },
+      requesterInfo: { fullName: 'Nguyen Van An', email: 'test@test.com' },
+      files: [],
+      save: jest.fn().mockResolvedValue(),
+      toJSON() {
+        return { id: mockDocId, files: this.files };
+      },
+      ...overrides,
+    });
+    const walletFile = { _id: 'walletItemId', filename: 'contract.pdf', firebaseUrl: 'ipfs://contract' };
+    const storedFile = { _id: 'storedFileId', filename: 'cccd.jpg', storageKey: 'documents/test/cccd.jpg', slot: 'cccd' };
+
+    test('should create a draft without files, status or email', async () => {
+      NotarizationField.findById.mockResolvedValueOnce({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', fieldId: 'fieldId' });
+
+      const draft = await notarizationService.createDocument(
+        {
+          notarizationField: { id: 'fieldId' },
+          notarizationService: { id: 'serviceId' },
+          requesterInfo: { email: 'test@test.com' },
+          amount: 1,
+        },
+        [],
+        [],
+        [],
+        mockUserId,
+        { draft: true }
+      );
+
+      expect(draft.draft).toBe(true);
+      expect(emailService.sendDocumentUploadEmail).not.toHaveBeenCalled();
+      expect(recordEvent).toHaveBeenCalledWith(
+        'document',
+        mockDocId,
+        'created',
+        expect.objectContaining({ toStatus: null, data: { files: [], draft: true } })
+      );
+    });
+
+    test('should attach files to a draft and report the slots they fill', async () => {
+      const draft = buildDraft();
+      Document.findById.mockResolvedValueOnce(draft);
+      NotarizationService.findById.mockResolvedValueOnce({ uploadPolicy: {} });
+      const files = [{ originalname: 'cccd.jpg', buffer: Buffer.from('cccd'), mimetype: 'image/jpeg' }];
+
+      const result = await notarizationService.addDraftFiles(mockDocId, requester, { fileSlots: ['cccd'] }, files);
+
+      expect(uploadFile).toHaveBeenCalledWith(files[0], 'documents', mockDocId);
+      expect(draft.save).toHaveBeenCalled();
+      expect(result.requiredDocuments).toEqual([expect.objectContaining({ code: 'cccd', satisfied: true })]);
+    });
+
+    test('should count the files already in the draft against the upload policy', async () => {
+      Document.findById.mockResolvedValueOnce(buildDraft({ files: [walletFile, storedFile] }));
+      NotarizationService.findById.mockResolvedValueOnce({ uploadPolicy: { maxFiles: 2 } });
+      const files = [{ originalname: 'extra.pdf', buffer: Buffer.from('extra'), mimetype: 'application/pdf' }];
+
+      await expect(notarizationService.addDraftFiles(mockDocId, requester, {}, files)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'This service accepts at most 2 files',
+      });
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('should only let the requester change a draft that was not submitted', async () => {
+      const files = [{ originalname: 'cccd.jpg', buffer: Buffer.from('cccd'), mimetype: 'image/jpeg' }];
+      Document.findById.mockResolvedValueOnce(buildDraft({ userId: 'someoneElse' }));
+      await expect(notarizationService.addDraftFiles(mockDocId, requester, {}, files)).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+
+      Document.findById.mockResolvedValueOnce(buildDraft({ draft: false }));
+      await expect(notarizationService.addDraftFiles(mockDocId, requester, {}, files)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'The document has already been submitted',
+      });
+    });
+
+    test('should give back the wallet copy or delete the stored file of a removed file', async () => {
+      const draft = buildDraft({ files: [walletFile, storedFile] });
+      Document.findById.mockResolvedValueOnce(draft).mockResolvedValueOnce(draft);
+
+      await notarizationService.removeDraftFile(mockDocId, requester, 'walletItemId');
+      expect(userWalletService.restoreNFTAmount).toHaveBeenCalledWith(mockUserId, ['walletItemId']);
+      expect(deleteFile).not.toHaveBeenCalled();
+
+      const result = await notarizationService.removeDraftFile(mockDocId, requester, 'storedFileId');
+      expect(deleteFile).toHaveBeenCalledWith('documents/test/cccd.jpg');
+      expect(result.files).toEqual([]);
+      expect(result.requiredDocuments).toEqual([expect.objectContaining({ code: 'cccd', satisfied: false })]);
+    });
+
+    test('should only delete the stored file of the removed entry when two files have the same name', async () => {
+      const draft = buildDraft();
+      Document.findById.mockResolvedValueOnce(draft).mockResolvedValueOnce(draft).mockResolvedValueOnce(draft);
+      NotarizationService.findById.mockResolvedValueOnce({ uploadPolicy: {} }).mockResolvedValueOnce({ uploadPolicy: {} });
+      const scan = { originalname: 'cccd.jpg', buffer: Buffer.from('cccd'), mimetype: 'image/jpeg' };
+      uploadFile.mockResolvedValueOnce('documents/test/1111-cccd.jpg').mockResolvedValueOnce('documents/test/2222-cccd.jpg');
+
+      await notarizationService.addDraftFiles(mockDocId, requester, { fileSlots: ['cccd'] }, [scan]);
+      await notarizationService.addDraftFiles(mockDocId, requester, { fileSlots: ['cccd'] }, [scan]);
+      draft.files[0]._id = 'firstFileId';
+      draft.files[1]._id = 'secondFileId';
+
+      const result = await notarizationService.removeDraftFile(mockDocId, requester, 'firstFileId');
+
+      expect(deleteFile).toHaveBeenCalledTimes(1);
+      expect(deleteFile).toHaveBeenCalledWith('documents/test/1111-cccd.jpg');
+      expect(result.files).toEqual([expect.objectContaining({ storageKey: 'documents/test/2222-cccd.jpg' })]);
+    });
+
+    test('should discard a draft and give back its files', async () => {
+      Document.findById.mockResolvedValueOnce(buildDraft({ files: [walletFile, storedFile] }));
+
+      await notarizationService.discardDraft(mockDocId, requester);
+
+      expect(Document.deleteOne).toHaveBeenCalledWith({ _id: mockDocId, draft: true });
+      expect(userWalletService.restoreNFTAmount).toHaveBeenCalledWith(mockUserId, ['walletItemId']);
+      expect(deleteFile).toHaveBeenCalledWith('documents/test/cccd.jpg');
+    });
+
+    test('should refuse to submit a draft with missing required documents', async () => {
+      Document.findById.mockResolvedValueOnce(buildDraft({ files: [walletFile] }));
+
+      await expect(notarizationService.submitDraft(mockDocId, requester)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Missing required documents: Citizen ID card',
+      });
+      expect(Document.updateOne).not.toHaveBeenCalled();
+      expect(StatusTracking).not.toHaveBeenCalled();
+    });
+
+    test('should start the pipeline when a complete draft is submitted', async () => {
+      Document.findById.mockResolvedValueOnce(buildDraft({ files: [storedFile] }));
+
+      const result = await notarizationService.submitDraft(mockDocId, requester);
+
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: mockDocId, draft: true },
+        { $set: { draft: false } },
+        { session: mockSession }
+      );
+      expect(StatusTracking).toHaveBeenCalledWith(expect.objectContaining({ documentId: mockDocId, status: 'pending' }));
+      expect(emailService.sendDocumentUploadEmail).toHaveBeenCalledWith('test@test.com', 'Nguyen Van An', mockDocId);
+      expect(result).toEqual({ message: 'Document submitted', documentId: mockDocId, status: 'pending' });
+    });
+
+    test('should submit a draft only once', async () => {
+      Document.findById.mockResolvedValueOnce(buildDraft({ files: [storedFile] }));
+      Document.updateOne.mockResolvedValueOnce({ nModified: 0 });
+
+      await expect(notarizationService.submitDraft(mockDocId, requester)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(emailService.sendDocumentUploadEmail).not.toHaveBeenCalled();
+    });
+
+    test('should hide a draft from everyone but its requester', async () => {
+      Document.aggregate.mockResolvedValueOnce([{ _id: mockDocId, draft: true, userId: 'someoneElse', files: [] }]);
+
+      await expect(notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'notary' })).rejects.toMatchObject(
+        { statusCode: httpStatus.NOT_FOUND }
+      );
+    });
+  });
+
+  describe('createAmendment', () => {
+    const requester = { id: mockUserId, role: 'user' };
+    const originalId = '507f1f77bcf86cd799439099';
+    const original = {
+      _id: originalId,
+      userId: mockUserId,
+      notarizationService: { id: 'serviceId', name: 'Loan contract', fieldId: 'fieldId', price: 100 },
+      notarizationField: { id: 'fieldId', name: 'Lending' },
+      requesterInfo: { fullName: 'Nguyen Van An', citizenId: '079203001234', email: 'test@test.com' },
+      amount: 2,
+    };
+    const files = [{ originalname: 'annex.pdf', buffer: Buffer.from('annex'), mimetype: 'application/pdf' }];
+
+    beforeEach(() => {
+      NotarizationField.findById.mockResolvedValueOnce({ _id: 'fieldId' });
+      NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', fieldId: 'fieldId' });
+    });
+
+    test('should copy the snapshot of a completed document and link both documents', async () => {
+      Document.findById.mockResolvedValueOnce(original);
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'completed' });
+
+      await notarizationService.createAmendment(requester, { documentId: originalId }, files);
+
+      expect(Document).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amends: originalId,
+          notarizationService: expect.objectContaining({ id: 'serviceId', name: 'Loan contract' }),
+          requesterInfo: expect.objectContaining({ fullName: 'Nguyen Van An', citizenId: '079203001234' }),
+          amount: 2,
+        })
+      );
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: originalId },
+        { $addToSet: { amendments: mockDocId } },
+        { session: mockSession }
+      );
+      expect(recordEvent).toHaveBeenCalledWith(
+        'document',
+        mockDocId,
+        'created',
+        expect.objectContaining({ data: expect.objectContaining({ amends: originalId }) })
+      );
+    });
+
+    test('should find the original document of a wallet item by its mint', async () => {
+      userWalletService.getWallet.mockResolvedValueOnce({
+        nftItems: [{ _id: 'walletItemId', transactionHash: '0xabc', documentId: null }],
+      });
+      Document.findOne.mockResolvedValueOnce(original);
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'completed' });
+
+      const amendment = await notarizationService.createAmendment(
+        requester,
+        { walletItemId: 'walletItemId', amount: 1 },
+        files
+      );
+
+      expect(Document.findOne).toHaveBeenCalledWith({ 'output.transactionHash': '0xabc' });
+      expect(amendment).toMatchObject({ amends: originalId, amount: 1 });
+    });
+
+    test('should only amend completed documents of the requester', async () => {
+      Document.findById.mockResolvedValueOnce({ ...original, userId: 'someoneElse' });
+      await expect(notarizationService.createAmendment(requester, { documentId: originalId }, files)).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+
+      Document.findById.mockResolvedValueOnce(original);
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'processing' });
+      await expect(notarizationService.createAmendment(requester, { documentId: originalId }, files)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'Only completed documents can be amended',
+      });
+      expect(Document.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should show the notary the outputs and mints of the original', async () => {
+      Document.aggregate.mockResolvedValueOnce([{ _id: mockDocId, amends: originalId, files: [] }]);
+      Document.findById.mockResolvedValueOnce({
+        _id: originalId,
+        createdAt: new Date('2024-05-01T00:00:00Z'),
+        output: [
+          { _id: 'oldOutput', filename: 'contract.pdf', version: 1, isCurrent: false, transactionHash: null },
+          { _id: 'output', filename: 'contract.pdf', version: 2, sha256: 'test-sha256', transactionHash: '0xabc' },
+        ],
+      });
+
+      const result = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'notary' });
+
+      expect(result.original).toEqual({
+        documentId: originalId,
+        createdAt: new Date('2024-05-01T00:00:00Z'),
+        output: [
+          {
+            _id: 'output',
+            filename: 'contract.pdf',
+            slot: null,
+            version: 2,
+            sha256: 'test-sha256',
+            transactionHash: '0xabc',
+            thumbnailKey: null,
+            thumbnailUrl: null,
+          },
+        ],
+      });
+    });
   });
 
   describe('createStatusTracking', () => {
@@ -283,6 +814,7 @@ describe('Notarization Service', () => {
       Document.findById.mockResolvedValue({
         _id: mockDocId,
         status: 'pending',
+        assignment: assignedToNotary,
         save: jest.fn().mockResolvedValue(true),
       });
 
@@ -293,80 +825,568 @@ describe('Notarization Service', () => {
 
       await expect(
         notarizationService.forwardDocumentStatus(mockDocId, 'processing', 'notary', mockUserId, 'test comment', [])
-      ).rejects.toThrow('Invalid action provided');
+      ).rejects.toThrow('Cannot processing a request in status digitalSignature');
     });
-  });
-
-  describe('getApproveHistory', () => {
-    test('should get approve history', async () => {
-      const mockHistory = [{ _id: mockDocId, status: 'approved' }];
-      ApproveHistory.aggregate.mockResolvedValue(mockHistory);
 
-      await expect(notarizationService.getApproveHistory(mockUserId)).rejects.toThrow('Failed to fetch approve history');
-    });
-  });
+    describe('workflow', () => {
+      const serviceId = '507f1f77bcf86cd799439012';
+      const reviewOnly = {
+        name: 'review-only',
+        states: [
+          { name: 'pending' },
+          { name: 'processing' },
+          { name: 'completed', final: true },
+          { name: 'rejected', final: true },
+        ],
+        transitions: [
+          { action: 'accept', from: ['pending'], to: 'processing', roles: ['notary'], requires: [] },
+          { action: 'complete', from: ['processing'], to: 'completed', roles: ['notary'], requires: ['output'] },
+        ],
+      };
+      let document;
 
-  describe('getAllNotarizations', () => {
-    test('should get all notarizations', async () => {
-      Document.aggregate.mockResolvedValue([
-        {
+      beforeEach(() => {
+        document = {
           _id: mockDocId,
-          status: 'pending',
-        },
-      ]);
-      Document.countDocuments.mockResolvedValue(1);
+          notarizationService: { id: serviceId },
+          output: [],
+          assignment: assignedToNotary,
+          save: jest.fn().mockResolvedValue(true),
+        };
+        Document.findById.mockResolvedValue(document);
+        ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+      });
 
-      const result = await notarizationService.getAllNotarizations({}, { page: 1, limit: 10 });
-      expect(result).toHaveProperty('results');
-      expect(result).toHaveProperty('page');
-      expect(result).toHaveProperty('limit');
-    });
-  });
+      afterEach(() => {
+        ApproveHistory.mockReset();
+        NotarizationService.findById.mockResolvedValue({ _id: serviceId, fieldId: serviceId });
+      });
 
-  describe('approveSignatureByUser', () => {
-    test('should approve user signature', async () => {
-      const mockSignature = 'test-signature';
+      test('should open a signature request when entering a signing state', async () => {
+        StatusTracking.findOne.mockResolvedValue({ status: 'processing' });
 
-      StatusTracking.findOne.mockResolvedValue({
-        status: 'digitalSignature',
-        save: jest.fn().mockResolvedValue(true),
-      });
+        const result = await notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId);
 
-      const mockRequestSignature = {
-        approvalStatus: {
-          user: { approved: false },
-        },
-        save: jest.fn().mockResolvedValue(true),
-      };
-      RequestSignature.mockImplementation(() => mockRequestSignature);
+        expect(result.message).toBe('Document status updated to digitalSignature');
+        expect(RequestSignature).toHaveBeenCalledWith(expect.objectContaining({ documentId: mockDocId }));
+        expect(StatusTracking.updateOne).toHaveBeenCalledWith(
+          { documentId: mockDocId, status: 'processing' },
+          expect.objectContaining({ status: 'digitalSignature' }),
+          { session: mockSession }
+        );
+      });
 
-      await expect(notarizationService.approveSignatureByUser(mockDocId, mockSignature)).rejects.toThrow(
-        'Cannot approve. User has already approved the document'
-      );
-    });
-  });
+      test('should leave the document alone when its status changed in the meantime', async () => {
+        StatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+        StatusTracking.updateOne.mockResolvedValueOnce({ nModified: 0 });
 
-  describe('approveSignatureByNotary', () => {
-    test('should approve notary signature', async () => {
-      Document.findById.mockResolvedValue({
-        _id: mockDocId,
-        output: [{ filename: 'test.pdf', firebaseUrl: 'test-url' }],
-        save: jest.fn().mockResolvedValue(true),
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId)
+        ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+        expect(RequestSignature).not.toHaveBeenCalled();
+        expect(ApproveHistory).not.toHaveBeenCalled();
+        expect(emailService.sendDocumentStatusUpdateEmail).not.toHaveBeenCalled();
       });
 
-      StatusTracking.findOne.mockResolvedValue({
-        status: 'digitalSignature',
-        save: jest.fn().mockResolvedValue(true),
+      test('should open a revision when sending the document back to the requester', async () => {
+        StatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+        const result = await notarizationService.forwardDocumentStatus(
+          mockDocId,
+          'requestRevision',
+          'notary',
+          mockUserId,
+          'The ID card photo is blurry'
+        );
+
+        expect(result.message).toBe('Document status updated to needsRevision');
+        expect(Document.updateOne).toHaveBeenCalledWith(
+          { _id: mockDocId },
+          {
+            $push: {
+              revisions: {
+                requestedBy: mockUserId,
+                requestedAt: expect.any(Date),
+                fromStatus: 'processing',
+                feedback: 'The ID card photo is blurry',
+              },
+            },
+            $set: { approvals: [] },
+          }
+        );
       });
 
-      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId)).rejects.toThrow(
-        'Failed to approve signature by notary'
-      );
-    });
-  });
+      describe('dual control', () => {
+        const secondNotaryId = '507f1f77bcf86cd799439099';
 
-  describe('getHistoryWithStatus', () => {
-    test('should get history with status', async () => {
+        beforeEach(() => {
+          document.notarizationService = { id: serviceId, price: 30000000 };
+          document.amount = 2;
+          NotarizationService.findById.mockResolvedValue({
+            _id: serviceId,
+            dualControl: { enabled: true, minAmount: 50000000 },
+          });
+          StatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+        });
+
+        test('should hand the document to a second notary after the first approval', async () => {
+          pickCountersigner.mockResolvedValueOnce({ notaryId: secondNotaryId, reason: 'countersign: least-loaded' });
+
+          const result = await notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId);
+
+          expect(pickCountersigner).toHaveBeenCalledWith(document, [mockUserId]);
+          expect(Document.updateOne).toHaveBeenCalledWith(
+            { _id: mockDocId },
+            { $push: { approvals: { notaryId: mockUserId, approvedAt: expect.any(Date) } } }
+          );
+          expect(Document.findByIdAndUpdate).toHaveBeenCalledWith(
+            mockDocId,
+            {
+              $set: {
+                assignment: expect.objectContaining({
+                  notaryId: secondNotaryId,
+                  assignedBy: mockUserId,
+                  method: 'countersign',
+                  expiresAt: null,
+                }),
+              },
+            },
+            { new: true }
+          );
+          expect(ApproveHistory).toHaveBeenCalledWith(
+            expect.objectContaining({ beforeStatus: 'processing', afterStatus: 'processing', approval: 'first' })
+          );
+          expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+          expect(RequestSignature).not.toHaveBeenCalled();
+          expect(result).toEqual({
+            message: 'Approval recorded, waiting for a second notary to countersign',
+            documentId: mockDocId,
+            status: 'processing',
+            reviewerId: secondNotaryId,
+            outputFiles: undefined,
+          });
+        });
+
+        test('should move the document to the signatures once another notary countersigns', async () => {
+          document.approvals = [{ notaryId: 'firstNotaryId', approvedAt: new Date() }];
+
+          const result = await notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId);
+
+          expect(result.message).toBe('Document status updated to digitalSignature');
+          expect(ApproveHistory).toHaveBeenCalledWith(
+            expect.objectContaining({ afterStatus: 'digitalSignature', approval: 'countersign' })
+          );
+          expect(Document.updateOne).toHaveBeenCalledWith(
+            { _id: mockDocId },
+            { $push: { approvals: { notaryId: mockUserId, approvedAt: expect.any(Date) } } }
+          );
+        });
+
+        test('should not let the first notary countersign their own approval', async () => {
+          document.approvals = [{ notaryId: mockUserId, approvedAt: new Date() }];
+
+          await expect(
+            notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId)
+          ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+          expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+        });
+
+        test('should refuse a second reviewer who is not another notary', async () => {
+          await expect(
+            notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId, undefined, [], {
+              reviewerId: mockUserId,
+            })
+          ).rejects.toMatchObject({
+            statusCode: httpStatus.BAD_REQUEST,
+            message: 'The second reviewer must be another notary',
+          });
+        });
+
+        test('should leave documents below the threshold to a single notary', async () => {
+          document.amount = 1;
+
+          const result = await notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId);
+
+          expect(result.message).toBe('Document status updated to digitalSignature');
+          expect(ApproveHistory).toHaveBeenCalledWith(expect.not.objectContaining({ approval: expect.anything() }));
+        });
+      });
+
+      test('should refuse roles the workflow does not give the action to', async () => {
+        StatusTracking.findOne.mockResolvedValue({ status: 'pending' });
+
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'admin', mockUserId)
+        ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+        expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+      });
+
+      test('should refuse notaries who have not claimed the document', async () => {
+        StatusTracking.findOne.mockResolvedValue({ status: 'pending' });
+        document.assignment = { notaryId: null };
+
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId)
+        ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN, message: 'Claim the document before working on it' });
+        expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+      });
+
+      test('should follow the workflow attached to the service', async () => {
+        NotarizationService.findById.mockResolvedValue({ _id: serviceId, workflowId: 'workflowId' });
+        Workflow.findById.mockResolvedValue(reviewOnly);
+        StatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+        const result = await notarizationService.forwardDocumentStatus(
+          mockDocId,
+          'complete',
+          'notary',
+          mockUserId,
+          undefined,
+          [{ originalname: 'certificate.pdf', buffer: Buffer.from('test'), mimetype: 'application/pdf' }]
+        );
+
+        expect(result.message).toBe('Document status updated to completed');
+        expect(RequestSignature).not.toHaveBeenCalled();
+      });
+
+      test('should check the inputs before uploading output files', async () => {
+        NotarizationService.findById.mockResolvedValue({ _id: serviceId, workflowId: 'workflowId' });
+        Workflow.findById.mockResolvedValue(reviewOnly);
+        StatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'complete', 'notary', mockUserId, undefined, [])
+        ).rejects.toThrow('An output file is required to complete');
+
+        StatusTracking.findOne.mockResolvedValue({ status: 'completed' });
+        const file = { originalname: 'certificate.pdf', buffer: Buffer.from('test'), mimetype: 'application/pdf' };
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId, undefined, [file])
+        ).rejects.toThrow('The request is already completed');
+        expect(uploadFile).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('output versions', () => {
+      const mockOutput = (output) => ({ ...output, set: jest.fn() });
+      const mockFile = { originalname: 'certificate.pdf', buffer: Buffer.from('test'), mimetype: 'application/pdf' };
+      let document;
+
+      beforeEach(() => {
+        document = {
+          _id: mockDocId,
+          output: [
+            mockOutput({ filename: '1-certificate.pdf', slot: 'certificate', version: 1, isCurrent: false }),
+            mockOutput({ filename: '2-certificate.pdf', slot: 'certificate', version: 2, isCurrent: true }),
+            mockOutput({ filename: '1-appendix.pdf', slot: 'appendix', version: 1, isCurrent: true }),
+          ],
+          assignment: assignedToNotary,
+          save: jest.fn().mockResolvedValue(true),
+        };
+        Document.findById.mockResolvedValue(document);
+        StatusTracking.findOne.mockResolvedValue({ status: 'pending' });
+        ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+      });
+
+      afterEach(() => {
+        ApproveHistory.mockReset();
+      });
+
+      test('should supersede the current version of the slot', async () => {
+        const result = await notarizationService.forwardDocumentStatus(
+          mockDocId,
+          'accept',
+          'notary',
+          mockUserId,
+          undefined,
+          [mockFile],
+          { slots: ['certificate'], reason: 'Fixed the requester name' }
+        );
+
+        expect(document.output[1].set).toHaveBeenCalledWith('isCurrent', false);
+        expect(document.output[2].set).not.toHaveBeenCalled();
+        expect(result.outputFiles).toEqual([
+          expect.objectContaining({
+            slot: 'certificate',
+            version: 3,
+            isCurrent: true,
+            uploadedBy: mockUserId,
+            reason: 'Fixed the requester name',
+          }),
+        ]);
+        expect(document.output).toHaveLength(4);
+        expect(document.save).toHaveBeenCalled();
+      });
+
+      test('should use the original file name as slot by default', async () => {
+        const result = await notarizationService.forwardDocumentStatus(
+          mockDocId,
+          'accept',
+          'notary',
+          mockUserId,
+          undefined,
+          [{ ...mockFile, originalname: 'receipt.pdf' }]
+        );
+
+        expect(result.outputFiles[0]).toMatchObject({ slot: 'receipt.pdf', version: 1, reason: null });
+        document.output.slice(0, 3).forEach((output) => expect(output.set).not.toHaveBeenCalled());
+      });
+
+      test('should require a reason when replacing a version', async () => {
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId, undefined, [mockFile], {
+            slots: ['certificate'],
+          })
+        ).rejects.toThrow('A reason is required when replacing an output file');
+        expect(document.save).not.toHaveBeenCalled();
+        expect(deleteFile).toHaveBeenCalledWith('documents/test/test.pdf');
+      });
+
+      test('should not store outputs when the document status changed in the meantime', async () => {
+        StatusTracking.updateOne.mockResolvedValueOnce({ nModified: 0 });
+
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId, undefined, [mockFile], {
+            slots: ['certificate'],
+            reason: 'Fixed the requester name',
+          })
+        ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+        expect(uploadFile).not.toHaveBeenCalled();
+        expect(document.save).not.toHaveBeenCalled();
+        expect(recordEvent).not.toHaveBeenCalled();
+      });
+
+      test('should remove the uploaded outputs when they cannot be saved', async () => {
+        document.save.mockRejectedValueOnce(new Error('write conflict'));
+
+        await expect(
+          notarizationService.forwardDocumentStatus(mockDocId, 'accept', 'notary', mockUserId, undefined, [mockFile], {
+            slots: ['certificate'],
+            reason: 'Fixed the requester name',
+          })
+        ).rejects.toThrow();
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(deleteFile).toHaveBeenCalledWith('documents/test/test.pdf');
+        expect(deleteFile).toHaveBeenCalledWith('thumbnails/test/test.pdf.jpg');
+        expect(ApproveHistory).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('getApproveHistory', () => {
+    test('should get approve history', async () => {
+      const mockHistory = [{ _id: mockDocId, status: 'approved' }];
+      ApproveHistory.aggregate.mockResolvedValue(mockHistory);
+
+      await expect(notarizationService.getApproveHistory(mockUserId)).rejects.toThrow('Failed to fetch approve history');
+    });
+
+    test('should add the card of the notary to each record', async () => {
+      const card = { notaryId: mockUserId, name: 'Notary', licenseNumber: 'CCV-001' };
+      ApproveHistory.aggregate.mockResolvedValueOnce([
+        { _id: 'history1', afterStatus: 'processing', beforeStatus: 'verification', document: { _id: mockDocId } },
+      ]);
+      findNotaryCard.mockResolvedValueOnce(card);
+
+      const history = await notarizationService.getApproveHistory(mockUserId);
+
+      expect(findNotaryCard).toHaveBeenCalledWith(mockUserId);
+      expect(history[0]).toMatchObject({ notary: card, status: 'processing', documentId: { id: mockDocId } });
+    });
+
+    test('should keep which approval each record is and the reason given', async () => {
+      ApproveHistory.aggregate.mockResolvedValueOnce([
+        {
+          _id: 'history1',
+          afterStatus: 'processing',
+          beforeStatus: 'processing',
+          approval: 'first',
+          document: { _id: mockDocId },
+        },
+        {
+          _id: 'history2',
+          afterStatus: 'cancelled',
+          beforeStatus: 'pending',
+          reason: 'Wrong file',
+          document: { _id: mockDocId },
+        },
+      ]);
+
+      const history = await notarizationService.getApproveHistory(mockUserId);
+
+      expect(ApproveHistory.aggregate).toHaveBeenCalledWith(
+        expect.arrayContaining([{ $project: expect.objectContaining({ approval: 1, reason: 1 }) }])
+      );
+      expect(history[0]).toMatchObject({ approval: 'first', reason: null });
+      expect(history[1]).toMatchObject({ approval: null, reason: 'Wrong file' });
+    });
+  });
+
+  describe('getAllNotarizations', () => {
+    test('should get all notarizations', async () => {
+      Document.aggregate.mockResolvedValue([
+        {
+          _id: mockDocId,
+          status: 'pending',
+        },
+      ]);
+      Document.countDocuments.mockResolvedValue(1);
+
+      const result = await notarizationService.getAllNotarizations({}, { page: 1, limit: 10 });
+      expect(result).toHaveProperty('results');
+      expect(result).toHaveProperty('page');
+      expect(result).toHaveProperty('limit');
+    });
+  });
+
+  describe('approveSignatureByUser', () => {
+    test('should approve user signature', async () => {
+      const mockSignature = 'test-signature';
+
+      StatusTracking.findOne.mockResolvedValue({
+        status: 'digitalSignature',
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      const mockRequestSignature = {
+        approvalStatus: {
+          user: { approved: false },
+        },
+        save: jest.fn().mockResolvedValue(true),
+      };
+      RequestSignature.mockImplementation(() => mockRequestSignature);
+
+      await expect(notarizationService.approveSignatureByUser(mockDocId, mockSignature)).rejects.toThrow(
+        'Cannot approve. User has already approved the document'
+      );
+    });
+  });
+
+  describe('approveSignatureByNotary', () => {
+    test('should approve notary signature', async () => {
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        output: [mockOutputFile({ filename: 'test.pdf', storageKey: 'outputs/test/test.pdf' })],
+        assignment: assignedToNotary,
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      StatusTracking.findOne.mockResolvedValue({
+        status: 'digitalSignature',
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary')).rejects.toThrow(
+        'Failed to approve signature by notary'
+      );
+    });
+
+    test('should send the sha256 of the output file to IPFS', async () => {
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        output: [mockOutputFile({ filename: 'test.pdf', storageKey: 'outputs/test/test.pdf', sha256: 'test-sha256' })],
+        assignment: assignedToNotary,
+        save: jest.fn().mockResolvedValue(true),
+      });
+      StatusTracking.findOne.mockResolvedValue({ status: 'digitalSignature', save: jest.fn().mockResolvedValue(true) });
+
+      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary')).rejects.toThrow();
+      expect(uploadToIPFS).toHaveBeenCalledWith(expect.any(Buffer), 'test.pdf', { sha256: 'test-sha256' });
+    });
+
+    test('should mint the NFT with metadata carrying the sha256 of the file', async () => {
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        output: [
+          mockOutputFile({
+            filename: 'test.pdf',
+            storageKey: 'outputs/test/test.pdf',
+            sha256: 'test-sha256',
+            mimeType: 'application/pdf',
+          }),
+        ],
+        assignment: assignedToNotary,
+        save: jest.fn().mockResolvedValue(true),
+      });
+      StatusTracking.findOne.mockResolvedValue({ status: 'digitalSignature', save: jest.fn().mockResolvedValue(true) });
+
+      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary')).rejects.toThrow();
+      expect(uploadMetadataToIPFS).toHaveBeenCalledWith('ipfs://test', {
+        name: 'test.pdf',
+        sha256: 'test-sha256',
+        mimeType: 'application/pdf',
+        documentId: mockDocId,
+      });
+      expect(mintDocumentNFT).toHaveBeenCalledWith('ipfs://metadata');
+      expect(userWalletService.addNFTToWallet).toHaveBeenCalledWith(
+        undefined,
+        expect.objectContaining({ tokenURI: 'test-uri', fileURI: 'ipfs://test' }),
+        mockSession
+      );
+    });
+
+    test('should name the original document in the pins of an amendment', async () => {
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        amends: 'originalId',
+        output: [mockOutputFile({ filename: 'annex.pdf', storageKey: 'outputs/test/annex.pdf', sha256: 'test-sha256' })],
+        assignment: assignedToNotary,
+        save: jest.fn().mockResolvedValue(true),
+      });
+      StatusTracking.findOne.mockResolvedValue({ status: 'digitalSignature', save: jest.fn().mockResolvedValue(true) });
+
+      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary')).rejects.toThrow();
+      expect(uploadToIPFS).toHaveBeenCalledWith(expect.any(Buffer), 'annex.pdf', {
+        sha256: 'test-sha256',
+        amends: 'originalId',
+      });
+    });
+
+    test('should refuse to mint an output file that does not match its recorded hash', async () => {
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        output: [mockOutputFile({ filename: 'test.pdf', storageKey: 'outputs/test/test.pdf', sha256: 'other-sha256' })],
+        assignment: assignedToNotary,
+        save: jest.fn().mockResolvedValue(true),
+      });
+      StatusTracking.findOne.mockResolvedValue({ status: 'digitalSignature', save: jest.fn().mockResolvedValue(true) });
+
+      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary')).rejects.toThrow(
+        'Output file test.pdf does not match its recorded hash'
+      );
+      expect(uploadToIPFS).not.toHaveBeenCalled();
+    });
+
+    test('should only mint the current version of each output file', async () => {
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        output: [
+          mockOutputFile({
+            filename: 'old.pdf',
+            storageKey: 'outputs/test/old.pdf',
+            sha256: 'test-sha256',
+            isCurrent: false,
+          }),
+          mockOutputFile({
+            filename: 'new.pdf',
+            storageKey: 'outputs/test/new.pdf',
+            sha256: 'test-sha256',
+            isCurrent: true,
+          }),
+        ],
+        assignment: assignedToNotary,
+        save: jest.fn().mockResolvedValue(true),
+      });
+      StatusTracking.findOne.mockResolvedValue({ status: 'digitalSignature', save: jest.fn().mockResolvedValue(true) });
+
+      await expect(notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary')).rejects.toThrow();
+      expect(uploadToIPFS).toHaveBeenCalledTimes(1);
+      expect(uploadToIPFS).toHaveBeenCalledWith(expect.any(Buffer), 'new.pdf', { sha256: 'test-sha256' });
+    });
+  });
+
+  describe('getHistoryWithStatus', () => {
+    test('should get history with status', async () => {
       const mockHistory = [
         {
           documentId: mockDocId,
@@ -398,7 +1418,455 @@ describe('Notarization Service', () => {
 
       StatusTracking.aggregate.mockResolvedValue(mockDocs);
 
-      await expect(notarizationService.autoVerifyDocument()).rejects.toThrow('Document auto-verification failed');
+      // Documents without document slots are left pending for the notary, file names are not matched anymore
+      await expect(notarizationService.autoVerifyDocument()).resolves.toEqual([]);
+      expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+    });
+
+    describe('document slots', () => {
+      const documentSlots = [
+        { code: 'cccd', name: 'CCCD', required: true },
+        { code: 'contract', name: 'Contract', required: true },
+        { code: 'photo', name: 'Photo', required: false },
+      ];
+      const pendingTracking = (files) => [
+        {
+          _id: 'trackingId',
+          documentInfo: {
+            _id: mockDocId,
+            notarizationService: { required_documents: ['CCCD', 'Contract'], documentSlots },
+            files,
+            requesterInfo: { email: 'test@test.com' },
+          },
+        },
+      ];
+
+      beforeEach(() => {
+        ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+      });
+
+      afterEach(() => {
+        ApproveHistory.mockReset();
+      });
+
+      test('should accept documents whose required slots are all filled', async () => {
+        StatusTracking.aggregate.mockResolvedValueOnce(
+          pendingTracking([
+            { _id: 'f1', filename: 'scan.jpg', slot: 'cccd' },
+            { _id: 'f2', filename: 'hd.pdf', slot: 'contract' },
+          ])
+        );
+
+        const [result] = await notarizationService.autoVerifyDocument();
+
+        expect(result).toEqual({ documentId: mockDocId, status: 'processing', missingDocs: null });
+        expect(routeDocument).toHaveBeenCalledWith(expect.objectContaining({ _id: mockDocId }));
+      });
+
+      test('should keep the verification when routing fails', async () => {
+        StatusTracking.aggregate.mockResolvedValueOnce(
+          pendingTracking([
+            { _id: 'f1', filename: 'scan.jpg', slot: 'cccd' },
+            { _id: 'f2', filename: 'hd.pdf', slot: 'contract' },
+          ])
+        );
+        routeDocument.mockRejectedValueOnce(new Error('connection lost'));
+
+        const [result] = await notarizationService.autoVerifyDocument();
+
+        expect(result.status).toBe('processing');
+      });
+
+      test('should ask the requester for files only named after a required document', async () => {
+        StatusTracking.aggregate.mockResolvedValueOnce(
+          pendingTracking([
+            { _id: 'f1', filename: 'CCCD.jpg', slot: null },
+            { _id: 'f2', filename: 'Contract.pdf', slot: 'contract' },
+          ])
+        );
+
+        const [result] = await notarizationService.autoVerifyDocument();
+
+        expect(result).toEqual({ documentId: mockDocId, status: 'needsRevision', missingDocs: ['CCCD'] });
+        expect(routeDocument).not.toHaveBeenCalled();
+        expect(StatusTracking.updateOne).toHaveBeenCalledWith(
+          { _id: 'trackingId' },
+          { $set: expect.objectContaining({ status: 'needsRevision', feedback: 'Missing documents: CCCD' }) }
+        );
+        expect(Document.updateOne).toHaveBeenCalledWith(
+          { _id: mockDocId },
+          {
+            $push: {
+              revisions: expect.objectContaining({
+                requestedBy: null,
+                fromStatus: 'pending',
+                feedback: 'Missing documents: CCCD',
+              }),
+            },
+            $set: { approvals: [] },
+          }
+        );
+      });
+
+      test('should reject incomplete documents when the workflow has no revision step', async () => {
+        NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', workflowId: 'workflowId' });
+        Workflow.findById.mockResolvedValueOnce({
+          name: 'strict',
+          states: [{ name: 'pending' }, { name: 'processing' }, { name: 'rejected', final: true }],
+          transitions: [
+            { action: 'verify', from: ['pending'], to: 'processing', roles: ['system'], requires: [] },
+            { action: 'reject', from: ['pending'], to: 'rejected', roles: ['system'], requires: ['feedback'] },
+          ],
+        });
+        const [tracking] = pendingTracking([{ _id: 'f2', filename: 'Contract.pdf', slot: 'contract' }]);
+        tracking.documentInfo.notarizationService.id = 'serviceId';
+        StatusTracking.aggregate.mockResolvedValueOnce([tracking]);
+
+        const [result] = await notarizationService.autoVerifyDocument();
+
+        expect(result).toEqual({ documentId: mockDocId, status: 'rejected', missingDocs: ['CCCD'] });
+        expect(Document.updateOne).not.toHaveBeenCalled();
+      });
+
+      test('should leave documents to the notary when the workflow has no verify step', async () => {
+        NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', workflowId: 'workflowId' });
+        Workflow.findById.mockResolvedValueOnce({
+          name: 'manual',
+          states: [{ name: 'pending' }, { name: 'completed', final: true }],
+          transitions: [{ action: 'accept', from: ['pending'], to: 'completed', roles: ['notary'], requires: [] }],
+        });
+        const [tracking] = pendingTracking([{ _id: 'f1', filename: 'scan.jpg', slot: 'cccd' }]);
+        tracking.documentInfo.notarizationService.id = 'serviceId';
+        StatusTracking.aggregate.mockResolvedValueOnce([tracking]);
+
+        await expect(notarizationService.autoVerifyDocument()).resolves.toEqual([]);
+        expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('forwardDocumentStatuses', () => {
+    const otherDocId = '507f1f77bcf86cd799439022';
+
+    beforeEach(() => {
+      ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+    });
+
+    afterEach(() => {
+      ApproveHistory.mockReset();
+    });
+
+    test('should report the result of each document and go on after a failure', async () => {
+      StatusTracking.findOne.mockResolvedValue({ status: 'pending' });
+      Document.findById
+        .mockResolvedValueOnce({ _id: mockDocId, output: [], assignment: assignedToNotary })
+        .mockResolvedValueOnce({ _id: otherDocId, output: [], assignment: { notaryId: 'otherNotary', expiresAt: null } });
+
+      const result = await notarizationService.forwardDocumentStatuses(
+        [mockDocId, otherDocId],
+        'reject',
+        'notary',
+        mockUserId,
+        'Not a certified copy'
+      );
+
+      expect(result).toEqual({
+        action: 'reject',
+        total: 2,
+        succeeded: 1,
+        failed: 1,
+        results: [
+          { success: true, documentId: mockDocId, message: 'Document status updated to rejected', outputFiles: undefined },
+          {
+            documentId: otherDocId,
+            success: false,
+            statusCode: httpStatus.FORBIDDEN,
+            message: 'This document is assigned to another notary',
+          },
+        ],
+      });
+      expect(StatusTracking.updateOne).toHaveBeenCalledTimes(1);
+      expect(StatusTracking.updateOne).toHaveBeenCalledWith(
+        { documentId: mockDocId, status: expect.any(String) },
+        expect.objectContaining({ status: 'rejected', feedback: 'Not a certified copy' }),
+        { session: mockSession }
+      );
+      expect(emailService.sendDocumentStatusUpdateEmail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('resubmitDocument', () => {
+    const requester = { id: mockUserId, role: 'user' };
+    const newScan = { originalname: 'cccd-new.jpg', buffer: Buffer.from('test'), mimetype: 'image/jpeg' };
+    let document;
+
+    beforeEach(() => {
+      document = {
+        _id: mockDocId,
+        userId: mockUserId,
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com' },
+        files: [
+          { filename: 'cccd.jpg', slot: 'cccd' },
+          { filename: 'contract.pdf', slot: 'contract' },
+        ],
+        revisions: [
+          { fromStatus: 'processing', feedback: 'Old round', resubmittedAt: new Date('2024-05-01T00:00:00Z') },
+          { fromStatus: 'processing', feedback: 'The ID card photo is blurry', resubmittedAt: null },
+        ],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Document.findById.mockResolvedValueOnce(document);
+      ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+    });
+
+    afterEach(() => {
+      ApproveHistory.mockReset();
+    });
+
+    test('should replace the files of the slot and send the document back to review', async () => {
+      const service = {
+        _id: 'serviceId',
+        documentSlots: [
+          { code: 'cccd', name: 'CCCD', required: true },
+          { code: 'contract', name: 'Contract', required: true },
+        ],
+      };
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'needsRevision' });
+      // Loaded once for its workflow and once for its slots and upload policy
+      NotarizationService.findById.mockResolvedValueOnce(service).mockResolvedValueOnce(service);
+
+      await notarizationService.resubmitDocument(mockDocId, requester, { note: 'New photo', fileSlots: ['cccd'] }, [
+        newScan,
+      ]);
+
+      expect(document.files).toEqual([
+        { filename: 'contract.pdf', slot: 'contract' },
+        expect.objectContaining({ filename: 'cccd-new.jpg', slot: 'cccd' }),
+      ]);
+      expect(document.revisions[0].note).toBeUndefined();
+      expect(document.revisions[1]).toEqual(
+        expect.objectContaining({
+          resubmittedAt: expect.any(Date),
+          note: 'New photo',
+          addedFiles: ['cccd-new.jpg'],
+          replacedFiles: [{ filename: 'cccd.jpg', slot: 'cccd' }],
+        })
+      );
+      expect(document.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(StatusTracking.updateOne).toHaveBeenCalledWith(
+        { documentId: mockDocId, status: 'needsRevision' },
+        { $set: { status: 'pending', updatedAt: expect.any(Date) }, $unset: { feedback: 1 } },
+        { session: mockSession }
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(ApproveHistory).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: mockUserId, beforeStatus: 'needsRevision', afterStatus: 'pending' })
+      );
+    });
+
+    test('should keep the replaced file apart from a new file with the same name', async () => {
+      const service = { _id: 'serviceId', documentSlots: [{ code: 'cccd', name: 'CCCD', required: true }] };
+      document.files = [{ filename: 'cccd.jpg', storageKey: 'documents/test/1111-cccd.jpg', slot: 'cccd' }];
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'needsRevision' });
+      NotarizationService.findById.mockResolvedValueOnce(service).mockResolvedValueOnce(service);
+      uploadFile.mockResolvedValueOnce('documents/test/2222-cccd.jpg');
+
+      await notarizationService.resubmitDocument(mockDocId, requester, { fileSlots: ['cccd'] }, [
+        { ...newScan, originalname: 'cccd.jpg' },
+      ]);
+
+      expect(document.files).toEqual([expect.objectContaining({ storageKey: 'documents/test/2222-cccd.jpg' })]);
+      expect(document.revisions[1].replacedFiles).toEqual([
+        { filename: 'cccd.jpg', storageKey: 'documents/test/1111-cccd.jpg', slot: 'cccd' },
+      ]);
+    });
+
+    test('should give back the wallet copies of the replaced files', async () => {
+      const service = { _id: 'serviceId', documentSlots: [{ code: 'contract', name: 'Contract', required: true }] };
+      document.files = [
+        { _id: 'walletItem', filename: 'deed.pdf', firebaseUrl: 'https://gateway.pinata.cloud/ipfs/deed', slot: 'contract' },
+        { _id: 'uploadedFile', filename: 'cccd.jpg', storageKey: 'documents/test/cccd.jpg', slot: 'cccd' },
+      ];
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'needsRevision' });
+      NotarizationService.findById.mockResolvedValueOnce(service).mockResolvedValueOnce(service);
+      userWalletService.restoreNFTAmount.mockResolvedValueOnce(1);
+
+      await notarizationService.resubmitDocument(mockDocId, requester, { fileSlots: ['contract'] }, [
+        { ...newScan, originalname: 'deed.pdf', mimetype: 'application/pdf' },
+      ]);
+
+      expect(userWalletService.restoreNFTAmount).toHaveBeenCalledWith(mockUserId, ['walletItem'], mockSession);
+      expect(recordEvent).toHaveBeenCalledWith(
+        'document',
+        mockDocId,
+        'statusChanged',
+        expect.objectContaining({ data: expect.objectContaining({ walletItemsRestored: 1 }) })
+      );
+    });
+
+    test('should not revive a document withdrawn in the meantime', async () => {
+      const service = { _id: 'serviceId', documentSlots: [{ code: 'cccd', name: 'CCCD', required: true }] };
+      document.files = [{ _id: 'walletItem', filename: 'cccd.jpg', firebaseUrl: 'ipfs://cccd', slot: 'cccd' }];
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'needsRevision' });
+      NotarizationService.findById.mockResolvedValueOnce(service).mockResolvedValueOnce(service);
+      // The withdrawal moved the document to cancelled between the read and the write
+      StatusTracking.updateOne.mockResolvedValueOnce({ nModified: 0 });
+
+      await expect(
+        notarizationService.resubmitDocument(mockDocId, requester, { fileSlots: ['cccd'] }, [newScan])
+      ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(uploadFile).not.toHaveBeenCalled();
+      expect(document.save).not.toHaveBeenCalled();
+      expect(userWalletService.restoreNFTAmount).not.toHaveBeenCalled();
+      expect(ApproveHistory).not.toHaveBeenCalled();
+      expect(emailService.sendDocumentStatusUpdateEmail).not.toHaveBeenCalled();
+    });
+
+    test('should remove the stored files when the resubmission fails', async () => {
+      const service = { _id: 'serviceId', documentSlots: [{ code: 'cccd', name: 'CCCD', required: true }] };
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'needsRevision' });
+      NotarizationService.findById.mockResolvedValueOnce(service).mockResolvedValueOnce(service);
+      uploadFile.mockResolvedValueOnce('documents/test/2222-cccd-new.jpg');
+      document.save.mockRejectedValueOnce(new Error('failed'));
+
+      await expect(
+        notarizationService.resubmitDocument(mockDocId, requester, { fileSlots: ['cccd'] }, [newScan])
+      ).rejects.toThrow();
+
+      expect(deleteFile).toHaveBeenCalledWith('documents/test/2222-cccd-new.jpg');
+      expect(userWalletService.restoreNFTAmount).not.toHaveBeenCalled();
+    });
+
+    test('should only let the requester resubmit', async () => {
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'needsRevision' });
+
+      await expect(
+        notarizationService.resubmitDocument(mockDocId, { id: 'someoneElse', role: 'user' }, {}, [newScan])
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('should refuse documents that were not sent back', async () => {
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'processing' });
+
+      await expect(notarizationService.resubmitDocument(mockDocId, requester, {}, [])).rejects.toThrow(
+        'Cannot resubmit a request in status processing'
+      );
+      expect(document.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withdrawDocument', () => {
+    const requester = { id: mockUserId, role: 'user' };
+    const notaryId = '507f1f77bcf86cd799439019';
+    let document;
+
+    beforeEach(() => {
+      document = {
+        _id: mockDocId,
+        userId: mockUserId,
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { email: 'test@test.com', fullName: 'Test User' },
+        assignment: { notaryId },
+        files: [
+          { _id: 'walletItem', filename: 'deed.pdf', firebaseUrl: 'https://gateway.pinata.cloud/ipfs/deed' },
+          { _id: 'uploadedFile', filename: 'cccd.jpg', storageKey: 'documents/cccd.jpg' },
+        ],
+        revisions: [
+          {
+            replacedFiles: [
+              { _id: 'oldWalletItem', filename: 'old.pdf', firebaseUrl: 'https://gateway.pinata.cloud/ipfs/old' },
+            ],
+          },
+        ],
+      };
+      Document.findById.mockResolvedValueOnce(document);
+      ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+    });
+
+    afterEach(() => {
+      ApproveHistory.mockReset();
+    });
+
+    test('should cancel the document and give back its payments and wallet copies', async () => {
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'processing' });
+      cancelPendingPayments.mockResolvedValueOnce(1);
+      userWalletService.restoreNFTAmount.mockResolvedValueOnce(2);
+      User.findById.mockResolvedValueOnce({ email: 'notary@example.com' });
+
+      const result = await notarizationService.withdrawDocument(mockDocId, requester, 'Uploaded the wrong contract');
+
+      expect(StatusTracking.updateOne).toHaveBeenCalledWith(
+        { documentId: mockDocId, status: 'processing' },
+        { $set: { status: 'cancelled', updatedAt: expect.any(Date), feedback: 'Uploaded the wrong contract' } }
+      );
+      expect(ApproveHistory).toHaveBeenCalledWith({
+        userId: mockUserId,
+        documentId: mockDocId,
+        beforeStatus: 'processing',
+        afterStatus: 'cancelled',
+        reason: 'Uploaded the wrong contract',
+      });
+      expect(cancelPendingPayments).toHaveBeenCalledWith({ documentId: mockDocId }, 'Uploaded the wrong contract');
+      // The replaced wallet copy went back to the wallet when the document was resubmitted
+      expect(userWalletService.restoreNFTAmount).toHaveBeenCalledWith(mockUserId, ['walletItem']);
+      expect(emailService.sendCaseWithdrawnEmail).toHaveBeenCalledWith('notary@example.com', {
+        caseType: 'document',
+        caseId: mockDocId,
+        withdrawnBy: 'Test User',
+        reason: 'Uploaded the wrong contract',
+      });
+      expect(recordEvent).toHaveBeenCalledWith(
+        'document',
+        mockDocId,
+        'statusChanged',
+        expect.objectContaining({
+          action: 'withdraw',
+          fromStatus: 'processing',
+          toStatus: 'cancelled',
+          feedback: 'Uploaded the wrong contract',
+          data: { paymentsCancelled: 1, walletItemsRestored: 2 },
+        })
+      );
+      expect(result).toEqual({
+        message: 'Document status updated to cancelled',
+        documentId: mockDocId,
+        status: 'cancelled',
+        paymentsCancelled: 1,
+        walletItemsRestored: 2,
+      });
+    });
+
+    test('should not withdraw documents awaiting signatures', async () => {
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'digitalSignature' });
+
+      await expect(notarizationService.withdrawDocument(mockDocId, requester, 'Too late')).rejects.toThrow(
+        'Cannot withdraw a request in status digitalSignature'
+      );
+      expect(cancelPendingPayments).not.toHaveBeenCalled();
+      expect(userWalletService.restoreNFTAmount).not.toHaveBeenCalled();
+    });
+
+    test('should only let the requester withdraw', async () => {
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'pending' });
+
+      await expect(
+        notarizationService.withdrawDocument(mockDocId, { id: 'someoneElse', role: 'user' }, 'Not mine')
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+      expect(StatusTracking.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should give back nothing when another request already moved the document', async () => {
+      StatusTracking.findOne.mockResolvedValueOnce({ status: 'pending' });
+      StatusTracking.updateOne.mockResolvedValueOnce({ nModified: 0 });
+
+      await expect(notarizationService.withdrawDocument(mockDocId, requester, 'Twice')).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(userWalletService.restoreNFTAmount).not.toHaveBeenCalled();
     });
   });
 
@@ -416,5 +1884,506 @@ describe('Notarization Service', () => {
       const result = await notarizationService.getDocumentById(mockDocId);
       expect(result).toEqual(mockDoc[0]);
     });
+
+    test('should list the actions the user can take in the workflow', async () => {
+      Document.aggregate
+        .mockResolvedValueOnce([{ _id: mockDocId, status: { status: 'processing' } }])
+        .mockResolvedValueOnce([{ _id: mockDocId, status: { status: 'processing' } }]);
+
+      const notaryView = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'notary' });
+      const userView = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'user' });
+
+      expect(notaryView.availableActions).toEqual([
+        { action: 'accept', to: 'digitalSignature', requires: [] },
+        { action: 'requestRevision', to: 'needsRevision', requires: ['feedback'] },
+        { action: 'reject', to: 'rejected', requires: ['feedback'] },
+      ]);
+      expect(userView.availableActions).toEqual([{ action: 'withdraw', to: 'cancelled', requires: ['feedback'] }]);
+    });
+
+    test('should include the file bundle for notaries', async () => {
+      Document.aggregate.mockResolvedValue([{ _id: mockDocId, status: 'pending', files: [{ filename: 'test.pdf' }] }]);
+      Document.findById.mockResolvedValue({
+        _id: mockDocId,
+        userId: mockUserId,
+        notarizationService: { id: 'serviceId', name: 'Service' },
+        requesterInfo: { fullName: 'Test User' },
+        files: [{ filename: 'test.pdf' }],
+      });
+
+      const result = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'notary' });
+
+      expect(result.bundle.url).toBe('https://storage.test/bundle.pdf?signature=abc');
+    });
+
+    test('should not include the file bundle for users', async () => {
+      Document.aggregate.mockResolvedValue([
+        { _id: mockDocId, files: [{ filename: 'test.pdf' }], bundle: { storageKey: 'key' } },
+      ]);
+
+      const result = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'user' });
+
+      expect(result.bundle).toBeUndefined();
+      expect(getBundle).not.toHaveBeenCalled();
+    });
+
+    test('should report which document slots are filled', async () => {
+      Document.aggregate.mockResolvedValue([
+        {
+          _id: mockDocId,
+          notarizationService: {
+            documentSlots: [
+              { code: 'cccd', name: 'CCCD', required: true },
+              { code: 'contract', name: 'Contract', required: true },
+            ],
+          },
+          files: [{ _id: 'f1', filename: 'scan.jpg', slot: 'cccd' }],
+        },
+      ]);
+
+      const result = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'user' });
+
+      expect(result.requiredDocuments).toEqual([
+        { code: 'cccd', name: 'CCCD', description: undefined, required: true, satisfied: true, fileIds: ['f1'] },
+        { code: 'contract', name: 'Contract', description: undefined, required: true, satisfied: false, fileIds: [] },
+      ]);
+    });
+
+    test('should only show the OCR check to notaries', async () => {
+      const ocr = { status: 'mismatch', mismatches: [{ field: 'fullName' }] };
+      Document.aggregate.mockResolvedValue([{ _id: mockDocId, ocr }]);
+
+      const forUser = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'user' });
+      expect(forUser.ocr).toBeUndefined();
+
+      Document.aggregate.mockResolvedValue([{ _id: mockDocId, ocr }]);
+      const forNotary = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'notary' });
+      expect(forNotary.ocr).toEqual(ocr);
+    });
+
+    test('should add thumbnail urls next to files and outputs', async () => {
+      const files = [{ filename: 'test.pdf', thumbnailKey: 'thumbnails/documents/test/test.pdf.jpg' }];
+      const output = [{ filename: 'output.pdf', thumbnailKey: null }];
+      Document.aggregate.mockResolvedValue([{ _id: mockDocId, files, output }]);
+
+      const result = await notarizationService.getDocumentById(mockDocId, { id: mockUserId, role: 'user' });
+
+      expect(withThumbnailUrls).toHaveBeenCalledWith(files);
+      expect(withThumbnailUrls).toHaveBeenCalledWith(output);
+      expect(result.files[0]).toHaveProperty('thumbnailUrl');
+      expect(result.output[0]).toHaveProperty('thumbnailUrl');
+    });
+  });
+
+  describe('getDocumentFile', () => {
+    const mockFileId = '507f1f77bcf86cd799439012';
+    const mockUser = { id: mockUserId, role: 'user' };
+
+    const mockDocumentWithFile = (file, userId = mockUserId) => ({
+      _id: mockDocId,
+      userId,
+      files: { id: jest.fn().mockReturnValue(file) },
+      output: { id: jest.fn().mockReturnValue(null) },
+    });
+
+    test('should return a signed url for a stored file', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'test.pdf', storageKey: 'documents/test/test.pdf' })
+      );
+
+      const result = await notarizationService.getDocumentFile(mockDocId, mockFileId, mockUser);
+
+      expect(getSignedUrl).toHaveBeenCalledWith('documents/test/test.pdf');
+      expect(result).toEqual({
+        filename: 'test.pdf',
+        url: 'https://storage.test/documents/test/test.pdf?signature=abc',
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+      });
+    });
+
+    test('should return the public url of wallet files', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'nft.pdf', firebaseUrl: 'https://ipfs.test/hash' })
+      );
+
+      const result = await notarizationService.getDocumentFile(mockDocId, mockFileId, mockUser);
+
+      expect(getSignedUrl).not.toHaveBeenCalled();
+      expect(result).toEqual({ filename: 'nft.pdf', url: 'https://ipfs.test/hash', expiresAt: null });
+    });
+
+    test('should throw error for invalid ids', async () => {
+      await expect(notarizationService.getDocumentFile('invalid', mockFileId, mockUser)).rejects.toThrow(
+        'Invalid document ID or file ID'
+      );
+    });
+
+    test('should throw error when document is not found', async () => {
+      Document.findById.mockResolvedValue(null);
+
+      await expect(notarizationService.getDocumentFile(mockDocId, mockFileId, mockUser)).rejects.toThrow(
+        'Document not found'
+      );
+    });
+
+    test('should throw error when user does not own the document', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'test.pdf', storageKey: 'documents/test/test.pdf' }, '507f1f77bcf86cd799439099')
+      );
+
+      await expect(notarizationService.getDocumentFile(mockDocId, mockFileId, mockUser)).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+    });
+
+    test('should allow notaries to access any document', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'test.pdf', storageKey: 'documents/test/test.pdf' }, '507f1f77bcf86cd799439099')
+      );
+
+      const result = await notarizationService.getDocumentFile(mockDocId, mockFileId, { id: mockUserId, role: 'notary' });
+
+      expect(result.filename).toBe('test.pdf');
+    });
+
+    test('should throw error when file is not found', async () => {
+      Document.findById.mockResolvedValue(mockDocumentWithFile(null));
+
+      await expect(notarizationService.getDocumentFile(mockDocId, mockFileId, mockUser)).rejects.toThrow('File not found');
+    });
+  });
+
+  describe('verifyDocumentFile', () => {
+    const mockFileId = '507f1f77bcf86cd799439012';
+    const mockUser = { id: mockUserId, role: 'user' };
+
+    const mockDocumentWithFile = (file) => ({
+      _id: mockDocId,
+      userId: mockUserId,
+      files: { id: jest.fn().mockReturnValue(file) },
+      output: { id: jest.fn().mockReturnValue(null) },
+    });
+
+    test('should compare the stored file with its recorded digest', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'test.pdf', storageKey: 'documents/test/test.pdf', sha256: 'test-sha256', size: 4 })
+      );
+      verifyFile.mockResolvedValue({ valid: true, sha256: 'test-sha256', size: 4 });
+
+      const result = await notarizationService.verifyDocumentFile(mockDocId, mockFileId, mockUser);
+
+      expect(verifyFile).toHaveBeenCalledWith('documents/test/test.pdf', 'test-sha256');
+      expect(result).toMatchObject({
+        filename: 'test.pdf',
+        valid: true,
+        expectedSha256: 'test-sha256',
+        actualSha256: 'test-sha256',
+        expectedSize: 4,
+        actualSize: 4,
+      });
+      expect(result.verifiedAt).toBeInstanceOf(Date);
+    });
+
+    test('should report a file that no longer matches', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'test.pdf', storageKey: 'documents/test/test.pdf', sha256: 'test-sha256', size: 4 })
+      );
+      verifyFile.mockResolvedValue({ valid: false, sha256: 'other-sha256', size: 8 });
+
+      const result = await notarizationService.verifyDocumentFile(mockDocId, mockFileId, mockUser);
+
+      expect(result.valid).toBe(false);
+      expect(result.actualSha256).toBe('other-sha256');
+    });
+
+    test('should throw error when the file has no recorded hash', async () => {
+      Document.findById.mockResolvedValue(
+        mockDocumentWithFile({ filename: 'nft.pdf', firebaseUrl: 'https://ipfs.test/hash' })
+      );
+
+      await expect(notarizationService.verifyDocumentFile(mockDocId, mockFileId, mockUser)).rejects.toThrow(
+        'File has no recorded hash to verify against'
+      );
+      expect(verifyFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDocumentBundle', () => {
+    const mockDocument = {
+      _id: mockDocId,
+      userId: mockUserId,
+      amount: 2,
+      notarizationService: { id: 'serviceId', name: 'Contract notarization' },
+      requesterInfo: { fullName: 'Test User', citizenId: '012345678901', phoneNumber: '0123456789', email: 'test@test.com' },
+      files: [{ filename: 'test.pdf' }],
+    };
+
+    test('should list the requester info and required documents on the cover page', async () => {
+      Document.findById.mockResolvedValue(mockDocument);
+      NotarizationService.findById.mockResolvedValue({ required_documents: ['CCCD', 'Contract'] });
+
+      const result = await notarizationService.getDocumentBundle(mockDocId, { id: mockUserId, role: 'notary' });
+
+      expect(getBundle).toHaveBeenCalledWith(
+        mockDocument,
+        'documents',
+        expect.objectContaining({
+          details: expect.arrayContaining([
+            ['Requester', 'Test User'],
+            ['Citizen ID', '012345678901'],
+          ]),
+          requiredDocuments: ['CCCD', 'Contract'],
+        })
+      );
+      expect(result.url).toBe('https://storage.test/bundle.pdf?signature=abc');
+    });
+
+    test('should throw error when user does not own the document', async () => {
+      Document.findById.mockResolvedValue({ ...mockDocument, userId: '507f1f77bcf86cd799439099' });
+
+      await expect(notarizationService.getDocumentBundle(mockDocId, { id: mockUserId, role: 'user' })).rejects.toMatchObject(
+        { statusCode: httpStatus.FORBIDDEN }
+      );
+    });
+
+    test('should throw error when document is not found', async () => {
+      Document.findById.mockResolvedValue(null);
+
+      await expect(notarizationService.getDocumentBundle(mockDocId, { id: mockUserId, role: 'notary' })).rejects.toThrow(
+        'Document not found'
+      );
+    });
+  });
+
+  describe('transactions', () => {
+    const thumbnailKey = 'thumbnails/test/test.pdf.jpg';
+
+    afterEach(() => {
+      uploadFile.mockReset().mockResolvedValue('documents/test/test.pdf');
+      claimUploads.mockReset().mockResolvedValue([]);
+    });
+
+    describe('createDocument', () => {
+      const documentBody = {
+        notarizationField: { id: 'fieldId' },
+        notarizationService: { id: 'serviceId' },
+        requesterInfo: { fullName: 'Nguyen Van An', email: 'test@test.com' },
+        amount: 1,
+        uploadIds: ['6746f07ccc390609e20d08bf'],
+      };
+      const files = ['a.pdf', 'b.pdf'].map((name) => ({
+        originalname: name,
+        buffer: Buffer.from(name),
+        mimetype: 'application/pdf',
+      }));
+      const createDocument = () => notarizationService.createDocument(documentBody, files, ['walletItemId'], [], mockUserId);
+
+      beforeEach(() => {
+        NotarizationField.findById.mockResolvedValueOnce({ _id: 'fieldId' });
+        NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', fieldId: 'fieldId' });
+        userWalletService.getWallet.mockResolvedValueOnce({
+          nftItems: [{ _id: 'walletItemId', filename: 'deed.pdf', tokenURI: 'ipfs://deed' }],
+        });
+        uploadFile.mockImplementation((file) => Promise.resolve(`documents/test/${file.originalname}`));
+        claimUploads.mockResolvedValue([{ filename: 'c.pdf', storageKey: 'uploads/c.pdf' }]);
+      });
+
+      test('should write the wallet, uploads, document and status in one transaction', async () => {
+        const document = await createDocument();
+
+        expect(userWalletService.decreaseNFTAmount).toHaveBeenCalledWith(mockUserId, ['walletItemId'], mockSession);
+        expect(claimUploads).toHaveBeenCalledWith(
+          ['6746f07ccc390609e20d08bf'],
+          mockUserId,
+          defaultUploadPolicy,
+          mockSession
+        );
+        expect(document.save).toHaveBeenCalledWith({ session: mockSession });
+        expect(StatusTracking).toHaveBeenCalledWith(expect.objectContaining({ documentId: mockDocId, status: 'pending' }));
+        expect(mockSession.commitTransaction).toHaveBeenCalled();
+        expect(deleteFile).not.toHaveBeenCalled();
+        expect(emailService.sendDocumentUploadEmail).toHaveBeenCalled();
+      });
+
+      test.each([
+        [
+          'taking the wallet copies',
+          () => userWalletService.decreaseNFTAmount.mockRejectedValueOnce(new Error('failed')),
+          [],
+        ],
+        [
+          'uploading the second file',
+          () =>
+            uploadFile.mockImplementation((file) =>
+              file.originalname === 'b.pdf' ? Promise.reject(new Error('failed')) : Promise.resolve('documents/test/a.pdf')
+            ),
+          ['documents/test/a.pdf'],
+        ],
+        [
+          'claiming the resumable uploads',
+          () => claimUploads.mockRejectedValueOnce(new Error('failed')),
+          ['documents/test/a.pdf', 'documents/test/b.pdf', thumbnailKey, thumbnailKey],
+        ],
+        [
+          'saving the document',
+          () =>
+            Document.mockImplementationOnce((doc) => ({
+              ...doc,
+              _id: mockDocId,
+              files: [],
+              save: jest.fn().mockRejectedValue(new Error('failed')),
+            })),
+          ['documents/test/a.pdf', 'documents/test/b.pdf', thumbnailKey, thumbnailKey],
+        ],
+        [
+          'creating the status tracking',
+          () => StatusTracking.mockImplementationOnce(() => ({ save: jest.fn().mockRejectedValue(new Error('failed')) })),
+          ['documents/test/a.pdf', 'documents/test/b.pdf', thumbnailKey, thumbnailKey],
+        ],
+        [
+          'committing',
+          () => mockSession.commitTransaction.mockRejectedValueOnce(new Error('failed')),
+          ['documents/test/a.pdf', 'documents/test/b.pdf', thumbnailKey, thumbnailKey],
+        ],
+      ])('should roll back and remove the stored files when %s fails', async (step, injectFailure, deletedKeys) => {
+        injectFailure();
+
+        await expect(createDocument()).rejects.toThrow();
+
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(mockSession.endSession).toHaveBeenCalled();
+        expect(deleteFile.mock.calls.map(([key]) => key).sort()).toEqual([...deletedKeys].sort());
+        expect(recordEvent).not.toHaveBeenCalled();
+        expect(emailService.sendDocumentUploadEmail).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('addDraftFiles', () => {
+      test('should only remove the files stored by the failed call', async () => {
+        const storedFile = { _id: 'storedFileId', filename: 'a.pdf', storageKey: 'documents/test/1111-a.pdf' };
+        Document.findById.mockResolvedValueOnce({
+          _id: mockDocId,
+          userId: mockUserId,
+          draft: true,
+          notarizationService: { id: 'serviceId', documentSlots: [] },
+          requesterInfo: { email: 'test@test.com' },
+          files: [storedFile],
+          save: jest.fn().mockRejectedValue(new Error('failed')),
+        });
+        NotarizationService.findById.mockResolvedValueOnce({ uploadPolicy: {} });
+        uploadFile.mockResolvedValueOnce('documents/test/2222-a.pdf');
+        const file = { originalname: 'a.pdf', buffer: Buffer.from('a'), mimetype: 'application/pdf' };
+
+        await expect(
+          notarizationService.addDraftFiles(mockDocId, { id: mockUserId, role: 'user' }, {}, [file])
+        ).rejects.toThrow();
+
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(deleteFile.mock.calls.map(([key]) => key).sort()).toEqual(['documents/test/2222-a.pdf', thumbnailKey]);
+      });
+    });
+
+    describe('approveSignatureByNotary', () => {
+      const statusTracking = { status: 'digitalSignature', save: jest.fn() };
+      const approve = () => notarizationService.approveSignatureByNotary(mockDocId, mockUserId, 'notary');
+
+      beforeEach(() => {
+        Document.findById.mockResolvedValueOnce({
+          _id: mockDocId,
+          userId: mockUserId,
+          amount: 1,
+          notarizationService: { price: 100 },
+          notarizationField: {},
+          requesterInfo: { email: 'test@test.com' },
+          output: [
+            mockOutputFile({ filename: 'contract.pdf', storageKey: 'outputs/test/contract.pdf', sha256: 'test-sha256' }),
+          ],
+          assignment: assignedToNotary,
+          save: jest.fn().mockResolvedValue(true),
+        });
+        statusTracking.status = 'digitalSignature';
+        statusTracking.save.mockResolvedValue(true);
+        StatusTracking.findOne.mockResolvedValueOnce(statusTracking);
+        ApproveHistory.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(true) }));
+      });
+
+      afterEach(() => {
+        ApproveHistory.mockReset();
+      });
+
+      test('should commit the mint, wallet, payment and status together', async () => {
+        await expect(approve()).resolves.toEqual({
+          message: 'Notary approved and minted NFTs successfully',
+          documentId: mockDocId,
+        });
+
+        expect(userWalletService.addNFTToWallet).toHaveBeenCalledWith(
+          mockUserId,
+          expect.objectContaining({ transactionHash: 'test-hash', documentId: mockDocId }),
+          mockSession
+        );
+        expect(statusTracking.save).toHaveBeenCalledWith({ session: mockSession });
+        expect(mockSession.commitTransaction).toHaveBeenCalled();
+        expect(voidDocumentNFT).not.toHaveBeenCalled();
+        expect(unpinFromIPFS).not.toHaveBeenCalled();
+        expect(recordEvent).toHaveBeenCalledWith('document', mockDocId, 'minted', expect.any(Object));
+        expect(emailService.sendPaymentEmail).toHaveBeenCalledWith('test@test.com', mockDocId, {
+          checkoutUrl: 'https://pay.test/checkout',
+        });
+      });
+
+      test.each([
+        ['minting', () => mintDocumentNFT.mockRejectedValueOnce(new Error('failed')), { unpin: true }],
+        [
+          'adding the NFT to the wallet',
+          () => userWalletService.addNFTToWallet.mockRejectedValueOnce(new Error('failed')),
+          { unpin: true, voided: true },
+        ],
+        [
+          'creating the payment link',
+          () => payOS.createPaymentLink.mockRejectedValueOnce(new Error('failed')),
+          { unpin: true, voided: true },
+        ],
+        [
+          'updating the status',
+          () => statusTracking.save.mockRejectedValueOnce(new Error('failed')),
+          { unpin: true, voided: true, cancelled: true },
+        ],
+        [
+          'committing',
+          () => mockSession.commitTransaction.mockRejectedValueOnce(new Error('failed')),
+          { unpin: true, voided: true, cancelled: true },
+        ],
+      ])('should undo the steps outside the database when %s fails', async (step, injectFailure, undone) => {
+        injectFailure();
+
+        await expect(approve()).rejects.toThrow();
+
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(unpinFromIPFS.mock.calls).toEqual(undone.unpin ? [['ipfs://metadata'], ['ipfs://test']] : []);
+        expect(voidDocumentNFT).toHaveBeenCalledTimes(undone.voided ? 1 : 0);
+        expect(payOS.cancelPaymentLink).toHaveBeenCalledTimes(undone.cancelled ? 1 : 0);
+        expect(recordEvent).not.toHaveBeenCalled();
+        expect(emailService.sendPaymentEmail).not.toHaveBeenCalled();
+      });
+
+      test('should keep the pin of a file that was already pinned for another output', async () => {
+        uploadToIPFS.mockResolvedValueOnce({ uri: 'ipfs://test', isDuplicate: true });
+        mintDocumentNFT.mockRejectedValueOnce(new Error('failed'));
+
+        await expect(approve()).rejects.toThrow();
+
+        expect(unpinFromIPFS.mock.calls).toEqual([['ipfs://metadata']]);
+      });
+
+      test('should void the NFT before removing its pin', async () => {
+        userWalletService.addNFTToWallet.mockRejectedValueOnce(new Error('failed'));
+
+        await expect(approve()).rejects.toThrow();
+
+        expect(voidDocumentNFT).toHaveBeenCalledWith('test-token');
+        expect(voidDocumentNFT.mock.invocationCallOrder[0]).toBeLessThan(unpinFromIPFS.mock.invocationCallOrder[0]);
+      });
+    });
   });
 });
@@ -1,5 +1,5 @@
 const httpStatus = require('http-status');
-const { NotarizationService, NotarizationField } = require('../../../src/models');
+const { NotarizationService, NotarizationField, Workflow } = require('../../../src/models');
 const ApiError = require('../../../src/utils/ApiError');
 const notarizationService = require('../../../src/services/notarizationService.service');
 
@@ -13,6 +13,9 @@ jest.mock('../../../src/models', () => ({
   NotarizationField: {
     findById: jest.fn(),
   },
+  Workflow: {
+    findById: jest.fn(),
+  },
 }));
 
 jest.mock('../../../src/utils/ApiError', () => {
@@ -114,6 +117,56 @@ describe('NotarizationService Service', () => {
       expect(service.save).toHaveBeenCalled();
     });
 
+    it('should only change the given rules of the upload policy', async () => {
+      const service = { name: 'Test Service', set: jest.fn(), save: jest.fn().mockResolvedValueOnce() };
+      NotarizationService.findById.mockResolvedValueOnce(service);
+
+      await notarizationService.updateNotarizationServiceById('serviceId', {
+        price: 200,
+        uploadPolicy: { maxFiles: 3, maxPdfPages: null },
+      });
+
+      expect(service.price).toBe(200);
+      expect(service).not.toHaveProperty('uploadPolicy');
+      expect(service.set).toHaveBeenCalledWith('uploadPolicy.maxFiles', 3);
+      expect(service.set).toHaveBeenCalledWith('uploadPolicy.maxPdfPages', null);
+      expect(service.save).toHaveBeenCalled();
+    });
+
+    it('should only change the given dual control settings', async () => {
+      const service = { name: 'Test Service', set: jest.fn(), save: jest.fn().mockResolvedValueOnce() };
+      NotarizationService.findById.mockResolvedValueOnce(service);
+
+      await notarizationService.updateNotarizationServiceById('serviceId', { dualControl: { enabled: true } });
+
+      expect(service).not.toHaveProperty('dualControl');
+      expect(service.set).toHaveBeenCalledWith('dualControl.enabled', true);
+      expect(service.set).toHaveBeenCalledTimes(1);
+    });
+
+    it('should attach an existing workflow', async () => {
+      const service = { name: 'Test Service', save: jest.fn().mockResolvedValueOnce() };
+      NotarizationService.findById.mockResolvedValueOnce(service);
+      Workflow.findById.mockResolvedValueOnce({ _id: 'workflowId' });
+
+      await notarizationService.updateNotarizationServiceById('serviceId', { workflowId: 'workflowId' });
+
+      expect(service.workflowId).toBe('workflowId');
+      expect(service.save).toHaveBeenCalled();
+    });
+
+    it('should throw an error if the workflow does not exist', async () => {
+      const service = { name: 'Test Service', save: jest.fn() };
+      NotarizationService.findById.mockResolvedValueOnce(service);
+      Workflow.findById.mockResolvedValueOnce(null);
+
+      await expect(
+        notarizationService.updateNotarizationServiceById('serviceId', { workflowId: 'workflowId' })
+      ).rejects.toThrow('Error updating notarization service');
+      expect(Workflow.findById).toHaveBeenCalledWith('workflowId');
+      expect(service.save).not.toHaveBeenCalled();
+    });
+
     it('should throw an error if service name is already taken', async () => {
       const service = { name: 'Test Service' };
       const updateBody = { name: 'Updated Service' };
@@ -0,0 +1,222 @@
+jest.mock('../../../src/models', () => ({
+  User: { findById: jest.fn() },
+  NotaryProfile: {
+    create: jest.fn(),
+    find: jest.fn(),
+    findOne: jest.fn(),
+    paginate: jest.fn(),
+  },
+  NotaryRouting: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+const httpStatus = require('http-status');
+const { User, NotaryProfile, NotaryRouting } = require('../../../src/models');
+const notaryProfileService = require('../../../src/services/notaryProfile.service');
+
+describe('Notary Profile Service', () => {
+  const notaryId = '507f1f77bcf86cd799439011';
+  const fieldId = '507f1f77bcf86cd799439012';
+  // Monday 10:30 in Ho Chi Minh City
+  const mondayMorning = new Date('2024-05-13T03:30:00Z');
+  const weekdays = [1, 2, 3, 4, 5].map((day) => ({ day, start: '08:00', end: '17:00' }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isAvailableAt', () => {
+    test('should follow the working hours in the timezone of the notary', () => {
+      const profile = { availability: { timezone: 'Asia/Ho_Chi_Minh', workingHours: weekdays } };
+
+      expect(notaryProfileService.isAvailableAt(profile, mondayMorning)).toBe(true);
+      expect(notaryProfileService.isAvailableAt(profile, new Date('2024-05-13T12:00:00Z'))).toBe(false);
+      expect(notaryProfileService.isAvailableAt(profile, new Date('2024-05-12T03:30:00Z'))).toBe(false);
+    });
+
+    test('should take any time without working hours', () => {
+      expect(notaryProfileService.isAvailableAt({ availability: { workingHours: [] } }, mondayMorning)).toBe(true);
+    });
+
+    test('should respect the leave of the notary', () => {
+      const inOneDay = new Date(mondayMorning.getTime() + 24 * 60 * 60 * 1000);
+
+      expect(notaryProfileService.isAvailableAt({ availability: { unavailableUntil: inOneDay } }, mondayMorning)).toBe(
+        false
+      );
+      expect(notaryProfileService.isAvailableAt({ availability: { unavailableUntil: mondayMorning } }, inOneDay)).toBe(true);
+    });
+  });
+
+  describe('createNotaryProfile', () => {
+    const profileBody = { notaryId, licenseNumber: 'CCV-001' };
+
+    test('should create the profile of a notary', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'notary' });
+      NotaryProfile.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+      NotaryProfile.create.mockResolvedValueOnce({ ...profileBody });
+
+      await expect(notaryProfileService.createNotaryProfile(profileBody)).resolves.toEqual(profileBody);
+      expect(NotaryProfile.findOne).toHaveBeenCalledWith({ licenseNumber: 'CCV-001', notaryId: { $ne: undefined } });
+    });
+
+    test('should only create profiles for notaries', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'user' });
+
+      await expect(notaryProfileService.createNotaryProfile(profileBody)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Profiles can only be created for notaries',
+      });
+      expect(NotaryProfile.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a license number held by another notary', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'notary' });
+      NotaryProfile.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ notaryId: 'otherNotary' });
+
+      await expect(notaryProfileService.createNotaryProfile(profileBody)).rejects.toThrow('License number already taken');
+    });
+
+    test('should refuse working hours ending before they start', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'notary' });
+      NotaryProfile.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+
+      await expect(
+        notaryProfileService.createNotaryProfile({
+          ...profileBody,
+          availability: { workingHours: [{ day: 1, start: '17:00', end: '08:00' }] },
+        })
+      ).rejects.toThrow('Working hours must end after they start');
+    });
+  });
+
+  describe('queryNotaryProfiles', () => {
+    test('should find the notaries of a field through their routing', async () => {
+      NotaryRouting.find.mockResolvedValueOnce([{ notaryId: 'notaryA' }, { notaryId: 'notaryB' }]);
+      NotaryProfile.paginate.mockResolvedValueOnce({ results: [] });
+
+      await notaryProfileService.queryNotaryProfiles({ specialization: fieldId }, { limit: 10 });
+
+      expect(NotaryRouting.find).toHaveBeenCalledWith({ fields: fieldId }, 'notaryId');
+      expect(NotaryProfile.paginate).toHaveBeenCalledWith({ notaryId: { $in: ['notaryA', 'notaryB'] } }, { limit: 10 });
+    });
+
+    test('should list every profile without a field', async () => {
+      NotaryProfile.paginate.mockResolvedValueOnce({ results: [] });
+
+      await notaryProfileService.queryNotaryProfiles({}, {});
+
+      expect(NotaryRouting.find).not.toHaveBeenCalled();
+      expect(NotaryProfile.paginate).toHaveBeenCalledWith({}, {});
+    });
+  });
+
+  describe('updateAvailability', () => {
+    test('should only change the given availability settings', async () => {
+      const profile = {
+        licenseNumber: 'CCV-001',
+        availability: { timezone: 'Asia/Ho_Chi_Minh', workingHours: weekdays },
+        save: jest.fn().mockResolvedValue(),
+      };
+      NotaryProfile.findOne.mockResolvedValueOnce(profile);
+
+      await notaryProfileService.updateAvailability(notaryId, { note: 'On leave' });
+
+      expect(profile.availability).toEqual({
+        note: 'On leave',
+        timezone: 'Asia/Ho_Chi_Minh',
+        workingHours: weekdays,
+      });
+      expect(profile.save).toHaveBeenCalled();
+      expect(NotaryRouting.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should switch the notary off in their routing', async () => {
+      const profile = { availability: { workingHours: [] }, save: jest.fn().mockResolvedValue() };
+      NotaryProfile.findOne.mockResolvedValueOnce(profile);
+
+      await notaryProfileService.updateAvailability(notaryId, { available: false });
+
+      expect(NotaryRouting.updateOne).toHaveBeenCalledWith({ notaryId }, { $set: { available: false } });
+      expect(profile.availability).toEqual({ workingHours: [] });
+    });
+
+    test('should throw when the notary has no profile', async () => {
+      NotaryProfile.findOne.mockResolvedValueOnce(null);
+
+      await expect(notaryProfileService.updateAvailability(notaryId, { available: false })).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+        message: 'Notary profile not found',
+      });
+    });
+  });
+
+  describe('getUnavailableNotaryIds', () => {
+    test('should list the notaries who are away', async () => {
+      NotaryProfile.find.mockResolvedValueOnce([
+        { notaryId: 'notaryA', availability: {} },
+        { notaryId: 'notaryB', availability: { unavailableUntil: new Date(Date.now() + 60 * 60 * 1000) } },
+      ]);
+
+      const away = await notaryProfileService.getUnavailableNotaryIds(['notaryA', 'notaryB', 'notaryC']);
+
+      expect(away).toEqual(new Set(['notaryB']));
+    });
+  });
+
+  describe('findNotaryCard', () => {
+    test('should only show the public part of the profile', async () => {
+      NotaryProfile.findOne.mockResolvedValueOnce({
+        notaryId,
+        licenseNumber: 'CCV-001',
+        licenseExpiresAt: new Date('2020-01-01T00:00:00Z'),
+        office: { name: 'Office No. 1' },
+        bio: 'Ten years of practice',
+        availability: {},
+      });
+      User.findById.mockResolvedValueOnce({ name: 'Notary', email: 'notary@example.com' });
+      const populate = jest.fn().mockResolvedValue({
+        available: true,
+        fields: [{ id: fieldId, name: 'Real estate', description: 'Houses and land' }],
+      });
+      NotaryRouting.findOne.mockReturnValueOnce({ populate });
+
+      const card = await notaryProfileService.findNotaryCard(notaryId);
+
+      expect(populate).toHaveBeenCalledWith('fields', 'name');
+      expect(card).toEqual({
+        notaryId,
+        name: 'Notary',
+        licenseNumber: 'CCV-001',
+        licenseValid: false,
+        office: { name: 'Office No. 1' },
+        specializations: [{ id: fieldId, name: 'Real estate' }],
+        bio: 'Ten years of practice',
+        availableNow: true,
+      });
+    });
+
+    test('should show a notary switched off in their routing as unavailable', async () => {
+      NotaryProfile.findOne.mockResolvedValueOnce({ notaryId, licenseNumber: 'CCV-001', availability: {} });
+      User.findById.mockResolvedValueOnce({ name: 'Notary' });
+      NotaryRouting.findOne.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue({ available: false, fields: [] }) });
+
+      await expect(notaryProfileService.findNotaryCard(notaryId)).resolves.toMatchObject({
+        specializations: [],
+        availableNow: false,
+      });
+    });
+
+    test('should return null without a profile and 404 for the public card', async () => {
+      NotaryProfile.findOne.mockResolvedValue(null);
+      User.findById.mockResolvedValue({ name: 'Notary' });
+      NotaryRouting.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+      await expect(notaryProfileService.findNotaryCard(notaryId)).resolves.toBeNull();
+      await expect(notaryProfileService.getNotaryCard(notaryId)).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+    });
+  });
+});
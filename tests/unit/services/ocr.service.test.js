@@ -0,0 +1,166 @@
+jest.mock('../../../src/services/ocr', () => ({
+  name: 'tesseract',
+  recognize: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/renderPdfPage', () => jest.fn().mockResolvedValue(Buffer.from('page')));
+
+const httpStatus = require('http-status');
+const ocr = require('../../../src/services/ocr');
+const renderPdfPage = require('../../../src/utils/renderPdfPage');
+const ocrService = require('../../../src/services/ocr.service');
+
+const CCCD_TEXT = [
+  'CỘNG HÒA XÃ HỘI CHỦ NGHĨA VIỆT NAM',
+  'Độc lập - Tự do - Hạnh phúc',
+  'CĂN CƯỚC CÔNG DÂN',
+  'Số / No.: 079 203 001 234',
+  'Họ và tên / Full name:',
+  'NGUYỄN VĂN AN',
+  'Ngày sinh / Date of birth: 15/03/1990',
+  'Giới tính / Sex: Nam',
+].join('\n');
+
+const CMND_TEXT = ['GIẤY CHỨNG MINH NHÂN DÂN', 'SỐ 025.123.456', 'Họ tên NGUYỄN THỊ BÌNH', 'Sinh ngày 2-1-1985'].join('\n');
+
+describe('OCR Service', () => {
+  const cardImage = { originalname: 'cccd.jpg', buffer: Buffer.from('image'), mimetype: 'image/jpeg' };
+  const cardScan = { originalname: 'cccd.pdf', buffer: Buffer.from('pdf'), mimetype: 'application/pdf' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseCitizenIdCard', () => {
+    test('should read the details of a CCCD', () => {
+      expect(ocrService.parseCitizenIdCard(CCCD_TEXT)).toEqual({
+        fullName: 'NGUYỄN VĂN AN',
+        citizenId: '079203001234',
+        dateOfBirth: '1990-03-15',
+      });
+    });
+
+    test('should read the details of a CMND', () => {
+      expect(ocrService.parseCitizenIdCard(CMND_TEXT)).toEqual({
+        fullName: 'NGUYỄN THỊ BÌNH',
+        citizenId: '025123456',
+        dateOfBirth: '1985-01-02',
+      });
+    });
+
+    test('should return nulls for text that is not an ID card', () => {
+      expect(ocrService.parseCitizenIdCard('Hợp đồng mua bán')).toEqual({
+        fullName: null,
+        citizenId: null,
+        dateOfBirth: null,
+      });
+    });
+  });
+
+  describe('readCitizenIdCard', () => {
+    test('should return the details read by the engine', async () => {
+      ocr.recognize.mockResolvedValueOnce({ text: CCCD_TEXT, confidence: 87 });
+
+      const result = await ocrService.readCitizenIdCard(cardImage);
+
+      expect(ocr.recognize).toHaveBeenCalledWith(cardImage.buffer);
+      expect(result).toEqual({
+        status: 'read',
+        engine: 'tesseract',
+        fullName: 'NGUYỄN VĂN AN',
+        citizenId: '079203001234',
+        dateOfBirth: '1990-03-15',
+        confidence: 87,
+      });
+    });
+
+    test('should read the first page of PDFs', async () => {
+      ocr.recognize.mockResolvedValueOnce({ text: CCCD_TEXT, confidence: 80 });
+
+      await ocrService.readCitizenIdCard(cardScan);
+
+      expect(renderPdfPage).toHaveBeenCalledWith(cardScan.buffer, expect.any(Number));
+      expect(ocr.recognize).toHaveBeenCalledWith(Buffer.from('page'));
+    });
+
+    test('should be skipped when no engine is configured', async () => {
+      ocr.recognize.mockResolvedValueOnce(null);
+
+      const result = await ocrService.readCitizenIdCard(cardImage);
+
+      expect(result.status).toBe('skipped');
+    });
+
+    test('should reject files that are not images or PDFs', async () => {
+      await expect(
+        ocrService.readCitizenIdCard({ originalname: 'a.docx', buffer: Buffer.from('a'), mimetype: 'application/msword' })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+
+    test('should throw service unavailable when the engine fails', async () => {
+      ocr.recognize.mockRejectedValueOnce(new Error('worker crashed'));
+
+      await expect(ocrService.readCitizenIdCard(cardImage)).rejects.toMatchObject({
+        statusCode: httpStatus.SERVICE_UNAVAILABLE,
+      });
+    });
+  });
+
+  describe('checkRequesterInfo', () => {
+    const requesterInfo = { fullName: 'Nguyễn Văn An', citizenId: '079203001234' };
+
+    test('should match requester info typed with or without diacritics', async () => {
+      ocr.recognize.mockResolvedValueOnce({ text: CCCD_TEXT, confidence: 87 });
+
+      const result = await ocrService.checkRequesterInfo([cardImage], { ...requesterInfo, fullName: 'nguyen van an' });
+
+      expect(result).toMatchObject({ status: 'matched', sourceFile: 'cccd.jpg', mismatches: [] });
+      expect(result.processedAt).toBeInstanceOf(Date);
+    });
+
+    test('should flag the fields that differ from the card', async () => {
+      ocr.recognize.mockResolvedValueOnce({ text: CCCD_TEXT, confidence: 87 });
+
+      const result = await ocrService.checkRequesterInfo([cardImage], {
+        fullName: 'Trần Văn An',
+        citizenId: '079203009999',
+      });
+
+      expect(result.status).toBe('mismatch');
+      expect(result.mismatches).toEqual([
+        { field: 'citizenId', provided: '079203009999', extracted: '079203001234' },
+        { field: 'fullName', provided: 'Trần Văn An', extracted: 'NGUYỄN VĂN AN' },
+      ]);
+    });
+
+    test('should try the next file when one is not an ID card', async () => {
+      const contract = { originalname: 'contract.pdf', buffer: Buffer.from('pdf'), mimetype: 'application/pdf' };
+      ocr.recognize
+        .mockResolvedValueOnce({ text: 'Hợp đồng mua bán', confidence: 90 })
+        .mockResolvedValueOnce({ text: CCCD_TEXT, confidence: 87 });
+
+      const result = await ocrService.checkRequesterInfo([contract, cardImage], requesterInfo);
+
+      expect(ocr.recognize).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ status: 'matched', sourceFile: 'cccd.jpg' });
+    });
+
+    test('should record engine failures instead of throwing', async () => {
+      ocr.recognize.mockRejectedValueOnce(new Error('worker crashed'));
+
+      const result = await ocrService.checkRequesterInfo([cardImage], requesterInfo);
+
+      expect(result).toMatchObject({ status: 'failed', mismatches: [] });
+    });
+
+    test('should be unreadable when no file can be read', async () => {
+      const result = await ocrService.checkRequesterInfo(
+        [{ originalname: 'a.docx', buffer: Buffer.from('a'), mimetype: 'application/msword' }],
+        requesterInfo
+      );
+
+      expect(ocr.recognize).not.toHaveBeenCalled();
+      expect(result.status).toBe('unreadable');
+    });
+  });
+});
@@ -3,6 +3,7 @@ const { Payment } = require('../../../src/models');
 const ApiError = require('../../../src/utils/ApiError');
 const { payOS } = require('../../../src/config/payos');
 const paymentService = require('../../../src/services/payment.service');
+const { recordEvent } = require('../../../src/services/timeline.service');
 
 jest.mock('../../../src/models', () => ({
   Payment: jest.fn(),
@@ -12,9 +13,14 @@ jest.mock('../../../src/config/payos', () => ({
   payOS: {
     createPaymentLink: jest.fn(),
     getPaymentLinkInformation: jest.fn(),
+    cancelPaymentLink: jest.fn(),
   },
 }));
 
+jest.mock('../../../src/services/timeline.service', () => ({
+  recordEvent: jest.fn().mockResolvedValue(null),
+}));
+
 jest.mock('../../../src/utils/ApiError', () => {
   return jest.fn().mockImplementation((statusCode, message) => {
     const error = new Error(message || 'Error');
@@ -93,6 +99,20 @@ describe('Payment Service', () => {
       );
     });
 
+    it('should add the update to the timeline of the session it pays for', async () => {
+      recordEvent.mockClear();
+      Payment.findByIdAndUpdate = jest
+        .fn()
+        .mockResolvedValueOnce({ _id: 'paymentId', orderCode: 1, sessionId: 'sessionId', userId: 'userId' });
+
+      await paymentService.updatePaymentStatus('paymentId', 'success');
+
+      expect(recordEvent).toHaveBeenCalledWith('session', 'sessionId', 'paymentUpdated', {
+        actorId: 'userId',
+        data: { paymentId: 'paymentId', orderCode: 1, status: 'success' },
+      });
+    });
+
     it('should throw an error if payment is not found', async () => {
       Payment.findByIdAndUpdate = jest.fn().mockResolvedValueOnce(null);
 
@@ -120,6 +140,44 @@ describe('Payment Service', () => {
     });
   });
 
+  describe('cancelPendingPayments', () => {
+    it('should cancel the pending payments and their links', async () => {
+      Payment.find = jest.fn().mockResolvedValueOnce([
+        { _id: 'paymentId1', orderCode: 1, checkoutUrl: 'http://example.com/checkout1', documentId: 'documentId' },
+        { _id: 'paymentId2', orderCode: 2, checkoutUrl: null, documentId: 'documentId' },
+      ]);
+      Payment.updateMany = jest.fn().mockResolvedValueOnce({ nModified: 2 });
+      payOS.cancelPaymentLink.mockRejectedValueOnce(new Error('PayOS down'));
+
+      const cancelled = await paymentService.cancelPendingPayments({ documentId: 'documentId' }, 'Wrong file');
+
+      expect(Payment.find).toHaveBeenCalledWith({ documentId: 'documentId', status: 'pending' });
+      expect(payOS.cancelPaymentLink).toHaveBeenCalledTimes(1);
+      expect(payOS.cancelPaymentLink).toHaveBeenCalledWith(1, 'Wrong file');
+      expect(Payment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['paymentId1', 'paymentId2'] } },
+        { $set: { status: 'cancelled', updatedAt: expect.any(Date) } }
+      );
+      expect(recordEvent).toHaveBeenCalledWith(
+        'document',
+        'documentId',
+        'paymentUpdated',
+        expect.objectContaining({
+          data: { paymentId: 'paymentId2', orderCode: 2, status: 'cancelled', reason: 'Wrong file' },
+        })
+      );
+      expect(cancelled).toBe(2);
+    });
+
+    it('should do nothing without pending payments', async () => {
+      Payment.find = jest.fn().mockResolvedValueOnce([]);
+      Payment.updateMany = jest.fn();
+
+      await expect(paymentService.cancelPendingPayments({ sessionId: 'sessionId' })).resolves.toBe(0);
+      expect(Payment.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
   describe('updateAllPayments', () => {
     it('should update all payments and return stats', async () => {
       const mockPayments = [
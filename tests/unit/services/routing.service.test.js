@@ -0,0 +1,240 @@
+jest.mock('../../../src/models', () => ({
+  Document: { aggregate: jest.fn() },
+  Session: { aggregate: jest.fn() },
+  User: { findById: jest.fn() },
+  NotarizationField: { countDocuments: jest.fn() },
+  NotaryRouting: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    paginate: jest.fn(),
+  },
+  RoutingSettings: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+jest.mock('../../../src/services/workflow.service', () => ({
+  getFinalStates: jest.fn().mockResolvedValue(['completed', 'rejected']),
+}));
+jest.mock('../../../src/services/assignment.service', () => ({
+  autoAssignDocument: jest.fn(),
+}));
+jest.mock('../../../src/services/notaryProfile.service', () => ({
+  getUnavailableNotaryIds: jest.fn().mockResolvedValue(new Set()),
+}));
+
+const httpStatus = require('http-status');
+const { Document, Session, User, NotarizationField, NotaryRouting, RoutingSettings } = require('../../../src/models');
+const { autoAssignDocument } = require('../../../src/services/assignment.service');
+const { getUnavailableNotaryIds } = require('../../../src/services/notaryProfile.service');
+const routingService = require('../../../src/services/routing.service');
+
+describe('Routing Service', () => {
+  const documentId = '507f1f77bcf86cd799439011';
+  const fieldId = '507f1f77bcf86cd799439012';
+  const alice = { _id: 'routingA', notaryId: 'notaryA', lastAssignedAt: new Date('2024-05-12T10:00:00Z') };
+  const bob = { _id: 'routingB', notaryId: 'notaryB', lastAssignedAt: new Date('2024-05-12T08:00:00Z') };
+  const carol = { _id: 'routingC', notaryId: 'notaryC', lastAssignedAt: null, maxOpenCases: 2 };
+  const document = { _id: documentId, notarizationField: { id: fieldId, name: 'Real estate' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pickNotary', () => {
+    const openCases = new Map([
+      ['notaryA', 1],
+      ['notaryB', 3],
+      ['notaryC', 2],
+    ]);
+
+    test('should pick the notary with the fewest open cases', () => {
+      expect(routingService.pickNotary([alice, bob], openCases, 'least-loaded')).toBe(alice);
+    });
+
+    test('should take turns with round-robin', () => {
+      expect(routingService.pickNotary([alice, bob], openCases, 'round-robin')).toBe(bob);
+    });
+
+    test('should break ties by the longest wait', () => {
+      const tied = new Map([
+        ['notaryA', 1],
+        ['notaryB', 1],
+      ]);
+      expect(routingService.pickNotary([alice, bob], tied, 'least-loaded')).toBe(bob);
+    });
+
+    test('should skip notaries at capacity', () => {
+      expect(routingService.pickNotary([carol], openCases, 'round-robin')).toBeNull();
+      expect(routingService.pickNotary([carol, bob], openCases, 'round-robin')).toBe(bob);
+    });
+  });
+
+  describe('countOpenCases', () => {
+    test('should add up the open documents and sessions of each notary', async () => {
+      Document.aggregate.mockResolvedValueOnce([{ _id: 'notaryA', count: 2 }]);
+      Session.aggregate.mockResolvedValueOnce([{ _id: 'notaryA', count: 1 }]);
+
+      const counts = await routingService.countOpenCases(['notaryA', 'notaryB']);
+
+      expect(counts).toEqual(
+        new Map([
+          ['notaryA', 3],
+          ['notaryB', 0],
+        ])
+      );
+      expect(Document.aggregate).toHaveBeenCalledWith(
+        expect.arrayContaining([{ $match: { 'tracking.status': { $nin: ['completed', 'rejected'] } } }])
+      );
+    });
+  });
+
+  describe('routeDocument', () => {
+    beforeEach(() => {
+      Document.aggregate.mockResolvedValue([
+        { _id: 'notaryA', count: 4 },
+        { _id: 'notaryB', count: 1 },
+      ]);
+      Session.aggregate.mockResolvedValue([]);
+    });
+
+    test('should assign the least loaded notary of the field and say why', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce(null);
+      NotaryRouting.find.mockResolvedValueOnce([alice, bob]);
+      autoAssignDocument.mockResolvedValueOnce({ _id: documentId });
+
+      const result = await routingService.routeDocument(document);
+
+      expect(NotaryRouting.find).toHaveBeenCalledWith({ fields: fieldId, available: true });
+      expect(result).toEqual({
+        notaryId: 'notaryB',
+        reason: 'least-loaded: 1 open cases, the fewest among 2 available notaries of Real estate',
+      });
+      expect(autoAssignDocument).toHaveBeenCalledWith(documentId, 'notaryB', result.reason);
+      expect(NotaryRouting.updateOne).toHaveBeenCalledWith(
+        { _id: 'routingB' },
+        { $set: { lastAssignedAt: expect.any(Date) } }
+      );
+    });
+
+    test('should skip notaries who are unavailable according to their profile', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce({ strategy: 'least-loaded' });
+      NotaryRouting.find.mockResolvedValueOnce([alice, bob]);
+      getUnavailableNotaryIds.mockResolvedValueOnce(new Set(['notaryB']));
+      autoAssignDocument.mockResolvedValueOnce({ _id: documentId });
+
+      const result = await routingService.routeDocument(document);
+
+      expect(getUnavailableNotaryIds).toHaveBeenCalledWith(['notaryA', 'notaryB']);
+      expect(result).toEqual({
+        notaryId: 'notaryA',
+        reason: 'least-loaded: 4 open cases, the fewest among 1 available notaries of Real estate',
+      });
+    });
+
+    test('should leave documents in the shared queue with the manual strategy', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce({ strategy: 'manual' });
+
+      await expect(routingService.routeDocument(document)).resolves.toBeNull();
+      expect(NotaryRouting.find).not.toHaveBeenCalled();
+      expect(autoAssignDocument).not.toHaveBeenCalled();
+    });
+
+    test('should record why no notary was found', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce({ strategy: 'round-robin' });
+      NotaryRouting.find.mockResolvedValueOnce([]);
+      autoAssignDocument.mockResolvedValueOnce({ _id: documentId });
+
+      await expect(routingService.routeDocument(document)).resolves.toBeNull();
+      expect(autoAssignDocument).toHaveBeenCalledWith(documentId, null, 'No available notary for Real estate');
+      expect(NotaryRouting.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should not take turns when the document was claimed in the meantime', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce({ strategy: 'round-robin' });
+      NotaryRouting.find.mockResolvedValueOnce([alice, bob]);
+      autoAssignDocument.mockResolvedValueOnce(null);
+
+      await expect(routingService.routeDocument(document)).resolves.toBeNull();
+      expect(NotaryRouting.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pickCountersigner', () => {
+    beforeEach(() => {
+      Document.aggregate.mockResolvedValue([{ _id: 'notaryB', count: 1 }]);
+      Session.aggregate.mockResolvedValue([]);
+    });
+
+    test('should pick another notary of the field than the first approver', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce(null);
+      NotaryRouting.find.mockResolvedValueOnce([alice, bob]);
+
+      const result = await routingService.pickCountersigner(document, ['notaryB']);
+
+      expect(getUnavailableNotaryIds).toHaveBeenCalledWith(['notaryA']);
+      expect(result).toEqual({
+        notaryId: 'notaryA',
+        reason: 'countersign: least-loaded: 0 open cases, the fewest among 1 available notaries of Real estate',
+      });
+      expect(autoAssignDocument).not.toHaveBeenCalled();
+      expect(NotaryRouting.updateOne).toHaveBeenCalledWith(
+        { _id: 'routingA' },
+        { $set: { lastAssignedAt: expect.any(Date) } }
+      );
+    });
+
+    test('should find nobody when the first approver is the only notary of the field', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce({ strategy: 'round-robin' });
+      NotaryRouting.find.mockResolvedValueOnce([alice]);
+
+      await expect(routingService.pickCountersigner(document, ['notaryA'])).resolves.toBeNull();
+      expect(NotaryRouting.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setNotaryRouting', () => {
+    test('should only route cases to notaries', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'user' });
+
+      await expect(routingService.setNotaryRouting('userId', { available: true })).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Cases can only be routed to notaries',
+      });
+      expect(NotaryRouting.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown fields', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'notary' });
+      NotarizationField.countDocuments.mockResolvedValueOnce(1);
+
+      await expect(routingService.setNotaryRouting('notaryA', { fields: [fieldId, 'otherField'] })).rejects.toThrow(
+        'Invalid notarization field provided'
+      );
+    });
+
+    test('should create the routing of the notary when needed', async () => {
+      User.findById.mockResolvedValueOnce({ role: 'notary' });
+      NotarizationField.countDocuments.mockResolvedValueOnce(1);
+      NotaryRouting.findOneAndUpdate.mockResolvedValueOnce({ notaryId: 'notaryA', fields: [fieldId] });
+
+      await routingService.setNotaryRouting('notaryA', { fields: [fieldId] });
+
+      expect(NotaryRouting.findOneAndUpdate).toHaveBeenCalledWith(
+        { notaryId: 'notaryA' },
+        { $set: { fields: [fieldId] } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    });
+  });
+
+  describe('getRoutingSettings', () => {
+    test('should default to least-loaded', async () => {
+      RoutingSettings.findOne.mockResolvedValueOnce(null);
+
+      await expect(routingService.getRoutingSettings()).resolves.toEqual({ strategy: 'least-loaded', updatedBy: null });
+    });
+  });
+});
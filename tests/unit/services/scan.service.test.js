@@ -0,0 +1,88 @@
+jest.mock('../../../src/services/scanner', () => ({
+  name: 'clamav',
+  scan: jest.fn().mockResolvedValue({ status: 'clean', signature: null }),
+}));
+
+jest.mock('../../../src/services/storage.service', () => ({
+  uploadFile: jest.fn().mockResolvedValue('quarantine/documents/doc1/test.pdf'),
+  uploadStream: jest.fn().mockResolvedValue('quarantine/uploads/upload1/large.pdf'),
+}));
+
+const httpStatus = require('http-status');
+const { Readable } = require('stream');
+const scanner = require('../../../src/services/scanner');
+const { uploadFile, uploadStream } = require('../../../src/services/storage.service');
+const scanService = require('../../../src/services/scan.service');
+
+describe('Scan Service', () => {
+  const cleanFile = { originalname: 'test.pdf', buffer: Buffer.from('test'), mimetype: 'application/pdf' };
+  const infectedFile = { originalname: 'eicar.pdf', buffer: Buffer.from('eicar'), mimetype: 'application/pdf' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scanFile', () => {
+    test('should return the verdict of the configured scanner', async () => {
+      const result = await scanService.scanFile(cleanFile);
+
+      expect(scanner.scan).toHaveBeenCalledWith(cleanFile.buffer);
+      expect(result).toMatchObject({ status: 'clean', engine: 'clamav', signature: null });
+      expect(result.scannedAt).toBeInstanceOf(Date);
+    });
+
+    test('should throw service unavailable when the scanner fails', async () => {
+      scanner.scan.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+      await expect(scanService.scanFile(cleanFile)).rejects.toMatchObject({ statusCode: httpStatus.SERVICE_UNAVAILABLE });
+    });
+  });
+
+  describe('scanFiles', () => {
+    test('should return one verdict per file when all files are clean', async () => {
+      const result = await scanService.scanFiles([cleanFile, cleanFile], 'documents', 'doc1');
+
+      expect(result).toHaveLength(2);
+      expect(result.every((verdict) => verdict.status === 'clean')).toBe(true);
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('should quarantine infected files and reject the upload', async () => {
+      scanner.scan
+        .mockResolvedValueOnce({ status: 'clean', signature: null })
+        .mockResolvedValueOnce({ status: 'infected', signature: 'Eicar-Test-Signature' });
+
+      await expect(scanService.scanFiles([cleanFile, infectedFile], 'documents', 'doc1')).rejects.toMatchObject({
+        statusCode: httpStatus.UNPROCESSABLE_ENTITY,
+        message: 'Malware detected in: eicar.pdf',
+      });
+      expect(uploadFile).toHaveBeenCalledTimes(1);
+      expect(uploadFile).toHaveBeenCalledWith(infectedFile, 'quarantine', 'documents/doc1');
+    });
+  });
+
+  describe('scanFileStream', () => {
+    const largeFile = { originalname: 'large.pdf', mimetype: 'application/pdf', size: 5 };
+    const openStream = jest.fn(() => Readable.from([Buffer.from('large')]));
+
+    test('should scan the stream and close it', async () => {
+      const verdict = await scanService.scanFileStream(openStream, largeFile, 'uploads', 'upload1');
+
+      expect(verdict).toMatchObject({ status: 'clean', engine: 'clamav' });
+      expect(scanner.scan).toHaveBeenCalledWith(expect.any(Readable));
+      expect(scanner.scan.mock.calls[0][0].destroyed).toBe(true);
+      expect(uploadStream).not.toHaveBeenCalled();
+    });
+
+    test('should quarantine an infected file from a new stream and reject it', async () => {
+      scanner.scan.mockResolvedValueOnce({ status: 'infected', signature: 'Eicar-Test-Signature' });
+
+      await expect(scanService.scanFileStream(openStream, largeFile, 'uploads', 'upload1')).rejects.toMatchObject({
+        statusCode: httpStatus.UNPROCESSABLE_ENTITY,
+        message: 'Malware detected in: large.pdf',
+      });
+      expect(openStream).toHaveBeenCalledTimes(2);
+      expect(uploadStream).toHaveBeenCalledWith(expect.any(Readable), largeFile, 'quarantine', 'uploads/upload1');
+    });
+  });
+});
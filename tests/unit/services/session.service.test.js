@@ -1,6 +1,7 @@
 // Mock external dependencies
 jest.mock('../../../src/config/blockchain', () => ({
-  uploadToIPFS: jest.fn().mockResolvedValue('ipfs://mockHash'),
+  uploadToIPFS: jest.fn().mockResolvedValue({ uri: 'ipfs://mockHash', isDuplicate: false }),
+  uploadMetadataToIPFS: jest.fn().mockResolvedValue({ uri: 'ipfs://mockMetadata', isDuplicate: false }),
   mintDocumentNFT: jest.fn().mockResolvedValue({
     transactionHash: 'mockTransactionHash',
   }),
@@ -12,13 +13,36 @@ jest.mock('../../../src/config/blockchain', () => ({
   }),
 }));
 
-jest.mock('../../../src/config/firebase', () => ({
-  bucket: {
-    file: jest.fn().mockReturnValue({
-      save: jest.fn().mockResolvedValue(true),
-    }),
-  },
+jest.mock('../../../src/services/storage.service', () => ({
+  getFileMetadata: jest.fn(() => ({ sha256: 'test-sha256', size: 4, mimeType: 'application/pdf' })),
+  hashBuffer: jest.fn(() => 'test-sha256'),
+  uploadFile: jest.fn().mockResolvedValue('outputs/mock/mock.pdf'),
   downloadFile: jest.fn().mockResolvedValue(Buffer.from('mock file content')),
+  getSignedUrl: jest.fn().mockResolvedValue({
+    url: 'https://storage.test/outputs/mock/mock.pdf?signature=abc',
+    expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+  }),
+  verifyFile: jest.fn(),
+  deleteFile: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../../src/services/scan.service', () => ({
+  scanFiles: jest.fn((files) =>
+    Promise.resolve(files.map(() => ({ status: 'clean', engine: 'noop', signature: null, scannedAt: new Date() })))
+  ),
+}));
+jest.mock('../../../src/services/thumbnail.service', () => ({
+  storeThumbnails: jest.fn((files) => Promise.resolve(files.map(() => 'thumbnails/test/test.pdf.jpg'))),
+  withThumbnailUrls: jest.fn((entries = []) => Promise.resolve(entries.map((entry) => ({ ...entry, thumbnailUrl: null })))),
+}));
+jest.mock('../../../src/services/upload.service', () => ({
+  claimUploads: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../../src/services/bundle.service', () => ({
+  getBundle: jest.fn().mockResolvedValue({
+    url: 'https://storage.test/bundle.pdf?signature=abc',
+    expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+    generatedAt: new Date('2029-12-31T23:45:00.000Z'),
+  }),
 }));
 
 jest.mock('../../../src/models', () => ({
@@ -28,6 +52,7 @@ jest.mock('../../../src/models', () => ({
     create: jest.fn(),
     findOne: jest.fn(),
     findByIdAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
   },
   User: {
     find: jest.fn(),
@@ -48,20 +73,56 @@ jest.mock('../../../src/models', () => ({
   Payment: {
     create: jest.fn(),
   },
+  ApproveSessionHistory: jest.fn(() => ({ save: jest.fn().mockResolvedValue(true) })),
+  RequestSessionSignature: jest.fn(() => ({ save: jest.fn().mockResolvedValue(true) })),
+  Workflow: {
+    findById: jest.fn(),
+  },
 }));
 
+jest.mock('../../../src/services/payment.service', () => ({
+  cancelPendingPayments: jest.fn().mockResolvedValue(0),
+}));
+jest.mock('../../../src/services/timeline.service', () => ({
+  ...jest.requireActual('../../../src/services/timeline.service'),
+  recordEvent: jest.fn().mockResolvedValue(null),
+}));
 jest.mock('../../../src/services/email.service');
 jest.mock('../../../src/services/userWallet.service');
 jest.mock('../../../src/config/payos');
 
 const httpStatus = require('http-status');
 const mongoose = require('mongoose');
-const { Session, User, SessionStatusTracking, NotarizationField, NotarizationService } = require('../../../src/models');
+const {
+  Session,
+  User,
+  SessionStatusTracking,
+  NotarizationField,
+  NotarizationService,
+  RequestSessionSignature,
+  ApproveSessionHistory,
+  Workflow,
+} = require('../../../src/models');
 const sessionService = require('../../../src/services/session.service');
+const { uploadFile, getSignedUrl, verifyFile, deleteFile } = require('../../../src/services/storage.service');
+const { getBundle } = require('../../../src/services/bundle.service');
+const { cancelPendingPayments } = require('../../../src/services/payment.service');
+const { recordEvent } = require('../../../src/services/timeline.service');
+const userWalletService = require('../../../src/services/userWallet.service');
+const emailService = require('../../../src/services/email.service');
 
 describe('Session Service', () => {
+  const dbSession = {
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn().mockResolvedValue(),
+    abortTransaction: jest.fn().mockResolvedValue(),
+    inTransaction: jest.fn(() => true),
+    endSession: jest.fn(),
+  };
+
   beforeEach(() => {
     jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(dbSession);
   });
 
   describe('validateEmails', () => {
@@ -126,6 +187,310 @@ describe('Session Service', () => {
     });
   });
 
+  describe('uploadSessionDocument', () => {
+    const mockSessionId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const mockFiles = [{ originalname: 'scan.jpg', buffer: Buffer.from('scan'), mimetype: 'image/jpeg' }];
+    const mockSession = () => ({
+      _id: mockSessionId,
+      notaryService: { documentSlots: [{ code: 'cccd', name: 'CCCD', required: true }] },
+      files: [],
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    test('should tag uploaded files with their document slot', async () => {
+      const session = mockSession();
+      Session.findById.mockResolvedValue(session);
+
+      const result = await sessionService.uploadSessionDocument(
+        mockSessionId,
+        { fileSlots: ['cccd'] },
+        mockFiles,
+        [],
+        [],
+        userId
+      );
+
+      expect(result.files[0]).toMatchObject({ filename: 'scan.jpg', slot: 'cccd' });
+      expect(session.files[0].slot).toBe('cccd');
+    });
+
+    test('should count the files the member already uploaded towards the upload policy', async () => {
+      const session = mockSession();
+      session.notaryService._id = new mongoose.Types.ObjectId();
+      session.files.push(
+        { userId, filename: 'first.jpg' },
+        { userId: new mongoose.Types.ObjectId(), filename: 'other.jpg' }
+      );
+      Session.findById.mockResolvedValue(session);
+      NotarizationService.findById.mockResolvedValue({ uploadPolicy: { maxFiles: 1 } });
+
+      await expect(sessionService.uploadSessionDocument(mockSessionId, {}, mockFiles, [], [], userId)).rejects.toMatchObject(
+        { statusCode: httpStatus.BAD_REQUEST, message: 'This service accepts at most 1 files' }
+      );
+      expect(NotarizationService.findById).toHaveBeenCalledWith(session.notaryService._id);
+      expect(session.save).not.toHaveBeenCalled();
+    });
+
+    test('should reject slot codes the session service does not have', async () => {
+      const session = mockSession();
+      Session.findById.mockResolvedValue(session);
+
+      await expect(
+        sessionService.uploadSessionDocument(mockSessionId, { fileSlots: ['contract'] }, mockFiles, [], [], userId)
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+      expect(session.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forwardSessionStatus', () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const session = {
+      _id: sessionId,
+      notaryService: { _id: 'serviceId' },
+      users: [{ email: 'member@example.com' }],
+      createdBy: 'creatorId',
+      output: [],
+      assignment: { notaryId: userId, method: 'claim', expiresAt: new Date(Date.now() + 60 * 60 * 1000) },
+    };
+
+    beforeEach(() => {
+      Session.findById.mockResolvedValue(session);
+      User.findById.mockResolvedValue({ email: 'creator@example.com' });
+      SessionStatusTracking.updateOne.mockResolvedValue({ nModified: 1 });
+    });
+
+    test('should open a signature request when entering a signing state', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+      const result = await sessionService.forwardSessionStatus(sessionId, 'accept', 'notary', userId);
+
+      expect(result.message).toBe('Session status updated to digitalSignature');
+      expect(RequestSessionSignature).toHaveBeenCalledWith(expect.objectContaining({ sessionId }));
+      expect(SessionStatusTracking.updateOne).toHaveBeenCalledWith(
+        { sessionId, status: 'processing' },
+        expect.objectContaining({ status: 'digitalSignature' }),
+        { session: dbSession }
+      );
+    });
+
+    test('should leave the session alone when its status changed in the meantime', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+      SessionStatusTracking.updateOne.mockResolvedValueOnce({ nModified: 0 });
+      const file = { originalname: 'certificate.pdf', buffer: Buffer.from('test'), mimetype: 'application/pdf' };
+
+      await expect(
+        sessionService.forwardSessionStatus(sessionId, 'accept', 'notary', userId, undefined, [file])
+      ).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(uploadFile).not.toHaveBeenCalled();
+      expect(Session.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(RequestSessionSignature).not.toHaveBeenCalled();
+      expect(emailService.sendDocumentStatusUpdateEmail).not.toHaveBeenCalled();
+    });
+
+    test('should remove the uploaded outputs when they cannot be saved', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+      Session.findByIdAndUpdate.mockRejectedValueOnce(new Error('write conflict'));
+      const file = { originalname: 'certificate.pdf', buffer: Buffer.from('test'), mimetype: 'application/pdf' };
+
+      await expect(
+        sessionService.forwardSessionStatus(sessionId, 'accept', 'notary', userId, undefined, [file])
+      ).rejects.toThrow();
+      expect(dbSession.abortTransaction).toHaveBeenCalled();
+      expect(deleteFile).toHaveBeenCalledWith('outputs/mock/mock.pdf');
+      expect(RequestSessionSignature).not.toHaveBeenCalled();
+    });
+
+    test('should reject transitions the workflow of the service does not allow', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: 'workflowId' });
+      Workflow.findById.mockResolvedValue({
+        name: 'review-only',
+        states: [{ name: 'pending' }, { name: 'processing' }, { name: 'completed', final: true }],
+        transitions: [
+          { action: 'accept', from: ['pending'], to: 'processing', roles: ['notary'], requires: [] },
+          { action: 'complete', from: ['processing'], to: 'completed', roles: ['notary'], requires: ['output'] },
+        ],
+      });
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+      await expect(sessionService.forwardSessionStatus(sessionId, 'accept', 'notary', userId)).rejects.toThrow(
+        'Cannot accept a request in status processing'
+      );
+      await expect(sessionService.forwardSessionStatus(sessionId, 'complete', 'notary', userId)).rejects.toThrow(
+        'An output file is required to complete'
+      );
+      expect(SessionStatusTracking.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should only let the notary holding the session move it', async () => {
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+      await expect(
+        sessionService.forwardSessionStatus(sessionId, 'accept', 'notary', new mongoose.Types.ObjectId())
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN, message: 'This session is assigned to another notary' });
+      expect(SessionStatusTracking.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should push back the claim after the notary acts', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+      await sessionService.forwardSessionStatus(sessionId, 'accept', 'notary', userId);
+
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: sessionId, 'assignment.notaryId': userId, 'assignment.method': 'claim' },
+        { $set: { 'assignment.expiresAt': expect.any(Date) } }
+      );
+    });
+
+    test('should open a revision when sending the session back to its creator', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'processing' });
+
+      await sessionService.forwardSessionStatus(sessionId, 'requestRevision', 'notary', userId, 'Sign every page');
+
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: sessionId },
+        {
+          $push: {
+            revisions: {
+              requestedBy: userId,
+              requestedAt: expect.any(Date),
+              fromStatus: 'processing',
+              feedback: 'Sign every page',
+            },
+          },
+        }
+      );
+      expect(SessionStatusTracking.updateOne).toHaveBeenCalledWith(
+        { sessionId, status: 'processing' },
+        expect.objectContaining({ status: 'needsRevision', feedback: 'Sign every page' }),
+        { session: dbSession }
+      );
+    });
+  });
+
+  describe('resubmitSession', () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const creator = { id: 'creatorId', role: 'user', email: 'creator@example.com' };
+    let session;
+
+    beforeEach(() => {
+      session = {
+        _id: sessionId,
+        notaryService: { _id: 'serviceId' },
+        users: [{ email: 'member@example.com' }],
+        createdBy: 'creatorId',
+        revisions: [{ fromStatus: 'processing', feedback: 'Sign every page', resubmittedAt: null }],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Session.findById.mockResolvedValue(session);
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.updateOne.mockResolvedValue({ nModified: 1 });
+    });
+
+    test('should close the revision and send the session back to review', async () => {
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'needsRevision' });
+
+      await sessionService.resubmitSession(sessionId, creator, { note: 'Signed every page' });
+
+      expect(session.revisions[0]).toEqual(
+        expect.objectContaining({ resubmittedAt: expect.any(Date), note: 'Signed every page' })
+      );
+      expect(session.save).toHaveBeenCalled();
+      expect(SessionStatusTracking.updateOne).toHaveBeenCalledWith(
+        { sessionId, status: 'needsRevision' },
+        { $set: { status: 'pending', updatedAt: expect.any(Date) }, $unset: { feedback: 1 } }
+      );
+    });
+
+    test('should not revive a session withdrawn in the meantime', async () => {
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'needsRevision' });
+      SessionStatusTracking.updateOne.mockResolvedValueOnce({ nModified: 0 });
+
+      await expect(sessionService.resubmitSession(sessionId, creator, {})).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(session.save).not.toHaveBeenCalled();
+      expect(ApproveSessionHistory).not.toHaveBeenCalled();
+      expect(emailService.sendDocumentStatusUpdateEmail).not.toHaveBeenCalled();
+    });
+
+    test('should only let the creator resubmit', async () => {
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'needsRevision' });
+
+      await expect(sessionService.resubmitSession(sessionId, { id: 'memberId', role: 'user' }, {})).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+      expect(SessionStatusTracking.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withdrawSession', () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const creator = { id: 'creatorId', role: 'user', name: 'Creator', email: 'creator@example.com' };
+    const session = {
+      _id: sessionId,
+      notaryService: { _id: 'serviceId' },
+      users: [{ email: 'member@example.com' }],
+      createdBy: 'creatorId',
+      assignment: { notaryId: 'notaryId' },
+      files: [
+        { _id: 'creatorItem', userId: 'creatorId', firebaseUrl: 'https://gateway.pinata.cloud/ipfs/a' },
+        { _id: 'memberItem', userId: 'memberId', firebaseUrl: 'https://gateway.pinata.cloud/ipfs/b' },
+        { _id: 'upload', userId: 'memberId', storageKey: 'session-documents/scan.jpg' },
+      ],
+    };
+
+    beforeEach(() => {
+      Session.findById.mockResolvedValue(session);
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: null });
+      SessionStatusTracking.updateOne.mockResolvedValue({ nModified: 1 });
+      User.findById.mockResolvedValue({ email: 'notary@example.com' });
+      userWalletService.restoreNFTAmount.mockResolvedValue(1);
+    });
+
+    test('should give every member back the wallet copies they added', async () => {
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'pending' });
+
+      const result = await sessionService.withdrawSession(sessionId, creator, 'Wrong date');
+
+      expect(SessionStatusTracking.updateOne).toHaveBeenCalledWith(
+        { sessionId, status: 'pending' },
+        { $set: { status: 'cancelled', updatedAt: expect.any(Date), feedback: 'Wrong date' } }
+      );
+      expect(cancelPendingPayments).toHaveBeenCalledWith({ sessionId }, 'Wrong date');
+      expect(userWalletService.restoreNFTAmount).toHaveBeenCalledWith('creatorId', ['creatorItem']);
+      expect(userWalletService.restoreNFTAmount).toHaveBeenCalledWith('memberId', ['memberItem']);
+      expect(emailService.sendCaseWithdrawnEmail).toHaveBeenCalledWith(
+        'notary@example.com',
+        expect.objectContaining({ caseType: 'session', withdrawnBy: 'Creator', reason: 'Wrong date' })
+      );
+      expect(recordEvent).toHaveBeenCalledWith(
+        'session',
+        sessionId,
+        'statusChanged',
+        expect.objectContaining({ action: 'withdraw', actorId: creator.id, toStatus: 'cancelled', feedback: 'Wrong date' })
+      );
+      expect(result).toEqual(expect.objectContaining({ status: 'cancelled', walletItemsRestored: 2 }));
+    });
+
+    test('should only let the creator withdraw', async () => {
+      SessionStatusTracking.findOne.mockResolvedValue({ status: 'pending' });
+
+      await expect(
+        sessionService.withdrawSession(sessionId, { id: 'memberId', role: 'user' }, 'Not mine')
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+      expect(SessionStatusTracking.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getSessionStatus', () => {
     const mockSessionId = new mongoose.Types.ObjectId();
 
@@ -142,4 +507,152 @@ describe('Session Service', () => {
       await expect(sessionService.getSessionStatus('invalid-id')).rejects.toThrow('Invalid session ID');
     });
   });
+
+  describe('getSessionFile', () => {
+    const mockSessionId = new mongoose.Types.ObjectId().toString();
+    const mockFileId = new mongoose.Types.ObjectId().toString();
+    const creator = { id: 'creatorId', email: 'creator@example.com', role: 'user' };
+    const member = { id: 'memberId', email: 'member@example.com', role: 'user' };
+
+    const mockSessionWithFile = ({ file = null, output = null }) => ({
+      _id: mockSessionId,
+      createdBy: 'creatorId',
+      users: [{ email: 'member@example.com' }],
+      files: { id: jest.fn().mockReturnValue(file) },
+      output: { id: jest.fn().mockReturnValue(output) },
+    });
+
+    test('should return a signed url to the session creator', async () => {
+      Session.findById.mockResolvedValue(
+        mockSessionWithFile({ file: { filename: 'mock.pdf', storageKey: 'sessions/mock/mock.pdf', userId: 'memberId' } })
+      );
+
+      const result = await sessionService.getSessionFile(mockSessionId, mockFileId, creator);
+
+      expect(getSignedUrl).toHaveBeenCalledWith('sessions/mock/mock.pdf');
+      expect(result).toEqual({
+        filename: 'mock.pdf',
+        url: 'https://storage.test/outputs/mock/mock.pdf?signature=abc',
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+      });
+    });
+
+    test('should let members download the session output', async () => {
+      Session.findById.mockResolvedValue(
+        mockSessionWithFile({ output: { filename: 'mock.pdf', storageKey: 'outputs/mock/mock.pdf' } })
+      );
+
+      const result = await sessionService.getSessionFile(mockSessionId, mockFileId, member);
+
+      expect(result.filename).toBe('mock.pdf');
+    });
+
+    test('should not let members download files uploaded by someone else', async () => {
+      Session.findById.mockResolvedValue(
+        mockSessionWithFile({ file: { filename: 'mock.pdf', storageKey: 'sessions/mock/mock.pdf', userId: 'creatorId' } })
+      );
+
+      await expect(sessionService.getSessionFile(mockSessionId, mockFileId, member)).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+    });
+
+    test('should throw error when user is not part of the session', async () => {
+      Session.findById.mockResolvedValue(mockSessionWithFile({ output: { filename: 'mock.pdf', storageKey: 'key' } }));
+
+      await expect(
+        sessionService.getSessionFile(mockSessionId, mockFileId, { id: 'otherId', email: 'other@example.com', role: 'user' })
+      ).rejects.toThrow('User does not have access to this session');
+    });
+
+    test('should throw error when file is not found', async () => {
+      Session.findById.mockResolvedValue(mockSessionWithFile({}));
+
+      await expect(sessionService.getSessionFile(mockSessionId, mockFileId, creator)).rejects.toThrow('File not found');
+    });
+
+    test('should throw error for invalid ids', async () => {
+      await expect(sessionService.getSessionFile('invalid-id', mockFileId, creator)).rejects.toThrow(
+        'Invalid session ID or file ID'
+      );
+    });
+  });
+
+  describe('verifySessionFile', () => {
+    const mockSessionId = new mongoose.Types.ObjectId().toString();
+    const mockFileId = new mongoose.Types.ObjectId().toString();
+    const creator = { id: 'creatorId', email: 'creator@example.com', role: 'user' };
+
+    const mockSessionWithOutput = (output) => ({
+      _id: mockSessionId,
+      createdBy: 'creatorId',
+      users: [],
+      files: { id: jest.fn().mockReturnValue(null) },
+      output: { id: jest.fn().mockReturnValue(output) },
+    });
+
+    test('should compare the stored file with its recorded digest', async () => {
+      Session.findById.mockResolvedValue(
+        mockSessionWithOutput({ filename: 'mock.pdf', storageKey: 'outputs/mock/mock.pdf', sha256: 'mock-sha256', size: 4 })
+      );
+      verifyFile.mockResolvedValue({ valid: true, sha256: 'mock-sha256', size: 4 });
+
+      const result = await sessionService.verifySessionFile(mockSessionId, mockFileId, creator);
+
+      expect(verifyFile).toHaveBeenCalledWith('outputs/mock/mock.pdf', 'mock-sha256');
+      expect(result).toMatchObject({ filename: 'mock.pdf', valid: true, expectedSha256: 'mock-sha256' });
+    });
+
+    test('should throw error when the file has no recorded hash', async () => {
+      Session.findById.mockResolvedValue(
+        mockSessionWithOutput({ filename: 'mock.pdf', storageKey: 'outputs/mock/mock.pdf' })
+      );
+
+      await expect(sessionService.verifySessionFile(mockSessionId, mockFileId, creator)).rejects.toThrow(
+        'File has no recorded hash to verify against'
+      );
+    });
+  });
+
+  describe('getSessionBundle', () => {
+    const mockSessionId = new mongoose.Types.ObjectId().toString();
+    const mockSession = {
+      _id: mockSessionId,
+      sessionName: 'Contract signing',
+      createdBy: 'creatorId',
+      users: [{ email: 'member@example.com' }],
+      notaryField: { name: 'Field' },
+      notaryService: { name: 'Service', required_documents: ['CCCD'] },
+      startDate: new Date('2030-01-01T00:00:00.000Z'),
+      startTime: '10:00',
+      endTime: '11:00',
+      amount: 1,
+      files: [{ filename: 'mock.pdf' }],
+    };
+
+    test('should return the bundle to a notary', async () => {
+      Session.findById.mockResolvedValue(mockSession);
+      User.findById.mockResolvedValue({ name: 'Creator', email: 'creator@example.com' });
+
+      const result = await sessionService.getSessionBundle(mockSessionId, { id: 'notaryId', role: 'notary' });
+
+      expect(getBundle).toHaveBeenCalledWith(
+        mockSession,
+        'sessions',
+        expect.objectContaining({
+          details: expect.arrayContaining([['Members', 'member@example.com']]),
+          requiredDocuments: ['CCCD'],
+        })
+      );
+      expect(result.url).toBe('https://storage.test/bundle.pdf?signature=abc');
+    });
+
+    test('should not return the bundle to session members', async () => {
+      Session.findById.mockResolvedValue(mockSession);
+
+      await expect(
+        sessionService.getSessionBundle(mockSessionId, { id: 'memberId', email: 'member@example.com', role: 'user' })
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+    });
+  });
 });
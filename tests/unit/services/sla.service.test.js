@@ -0,0 +1,196 @@
+jest.mock('../../../src/models', () => ({
+  StatusTracking: { aggregate: jest.fn() },
+  SessionStatusTracking: { aggregate: jest.fn() },
+  NotarizationService: { find: jest.fn() },
+  SlaBreach: {
+    find: jest.fn(),
+    create: jest.fn(),
+    updateOne: jest.fn(),
+    updateMany: jest.fn(),
+    aggregate: jest.fn(),
+    countDocuments: jest.fn(),
+    paginate: jest.fn(),
+  },
+  User: { find: jest.fn(), findById: jest.fn() },
+}));
+jest.mock('../../../src/services/email.service', () => ({
+  sendSlaEscalationEmail: jest.fn(),
+}));
+
+const { StatusTracking, SessionStatusTracking, NotarizationService, SlaBreach, User } = require('../../../src/models');
+const emailService = require('../../../src/services/email.service');
+const slaService = require('../../../src/services/sla.service');
+
+describe('SLA Service', () => {
+  const hour = 60 * 60 * 1000;
+  const now = new Date('2024-05-12T08:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * hour);
+  const serviceId = '507f1f77bcf86cd799439011';
+  const documentId = '507f1f77bcf86cd799439012';
+  const sessionId = '507f1f77bcf86cd799439013';
+  const notaryId = '507f1f77bcf86cd799439014';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotarizationService.find.mockResolvedValue([]);
+    StatusTracking.aggregate.mockResolvedValue([]);
+    SessionStatusTracking.aggregate.mockResolvedValue([]);
+    SlaBreach.find.mockResolvedValue([]);
+    SlaBreach.create.mockImplementation((breach) => Promise.resolve({ _id: 'breachId', ...breach }));
+    User.find.mockResolvedValue([{ email: 'admin@example.com' }]);
+    User.findById.mockResolvedValue({ name: 'Notary', email: 'notary@example.com' });
+  });
+
+  describe('loadSlaTargets', () => {
+    test('should prefer the targets of the service over the defaults', async () => {
+      NotarizationService.find.mockResolvedValueOnce([
+        { _id: serviceId, slaTargets: [{ status: 'processing', hours: 4 }] },
+        { _id: 'otherService', slaTargets: [] },
+      ]);
+
+      const { getTargetHours, statuses, minHours } = await slaService.loadSlaTargets();
+
+      expect(getTargetHours(serviceId, 'processing')).toBe(4);
+      expect(getTargetHours(serviceId, 'digitalSignature')).toBeUndefined();
+      expect(getTargetHours('otherService', 'digitalSignature')).toBe(24);
+      expect(statuses).toEqual(['processing', 'digitalSignature']);
+      expect(minHours).toBe(4);
+    });
+  });
+
+  describe('checkSlaBreaches', () => {
+    test('should flag overdue cases and escalate them to the notary and the admins', async () => {
+      StatusTracking.aggregate.mockResolvedValueOnce([
+        { caseId: documentId, status: 'processing', enteredAt: hoursAgo(50), serviceId, notaryId },
+        { caseId: 'recentDocument', status: 'processing', enteredAt: hoursAgo(30), serviceId, notaryId: null },
+      ]);
+      SessionStatusTracking.aggregate.mockResolvedValueOnce([
+        { caseId: sessionId, status: 'digitalSignature', enteredAt: hoursAgo(25), serviceId: null, notaryId: null },
+      ]);
+
+      const result = await slaService.checkSlaBreaches(now);
+
+      expect(StatusTracking.aggregate).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          { $match: { status: { $in: ['processing', 'digitalSignature'] }, updatedAt: { $lte: hoursAgo(24) } } },
+        ])
+      );
+      expect(SlaBreach.create).toHaveBeenCalledTimes(2);
+      expect(SlaBreach.create).toHaveBeenCalledWith({
+        caseType: 'document',
+        caseId: documentId,
+        serviceId,
+        status: 'processing',
+        enteredAt: hoursAgo(50),
+        dueAt: hoursAgo(2),
+        breachedAt: now,
+        notaryId,
+      });
+      expect(emailService.sendSlaEscalationEmail).toHaveBeenCalledWith(['notary@example.com', 'admin@example.com'], {
+        caseType: 'document',
+        caseId: documentId,
+        status: 'processing',
+        dueAt: hoursAgo(2),
+        assignedTo: 'Notary',
+      });
+      expect(emailService.sendSlaEscalationEmail).toHaveBeenCalledWith(
+        ['admin@example.com'],
+        expect.objectContaining({ caseType: 'session', assignedTo: 'nobody' })
+      );
+      expect(SlaBreach.updateOne).toHaveBeenCalledWith(
+        { _id: 'breachId' },
+        { $set: { escalatedTo: ['notary@example.com', 'admin@example.com'], escalatedAt: expect.any(Date) } }
+      );
+      expect(result).toEqual({ breached: 2, escalated: 2, resolved: 0 });
+    });
+
+    test('should escalate each breach once and resolve the cases that moved on', async () => {
+      StatusTracking.aggregate.mockResolvedValueOnce([
+        { caseId: documentId, status: 'processing', enteredAt: hoursAgo(50), serviceId, notaryId },
+      ]);
+      SlaBreach.find.mockResolvedValueOnce([
+        {
+          _id: 'openBreach',
+          caseType: 'document',
+          caseId: documentId,
+          status: 'processing',
+          enteredAt: hoursAgo(50),
+          escalatedAt: hoursAgo(1),
+        },
+        {
+          _id: 'movedOn',
+          caseType: 'session',
+          caseId: sessionId,
+          status: 'processing',
+          enteredAt: hoursAgo(60),
+          escalatedAt: hoursAgo(10),
+        },
+      ]);
+
+      const result = await slaService.checkSlaBreaches(now);
+
+      expect(SlaBreach.create).not.toHaveBeenCalled();
+      expect(emailService.sendSlaEscalationEmail).not.toHaveBeenCalled();
+      expect(SlaBreach.updateMany).toHaveBeenCalledWith({ _id: { $in: ['movedOn'] } }, { $set: { resolvedAt: now } });
+      expect(result).toEqual({ breached: 0, escalated: 0, resolved: 1 });
+    });
+
+    test('should retry the escalations that failed', async () => {
+      StatusTracking.aggregate.mockResolvedValueOnce([
+        { caseId: documentId, status: 'processing', enteredAt: hoursAgo(50), serviceId, notaryId },
+      ]);
+      SlaBreach.find.mockResolvedValueOnce([
+        {
+          _id: 'openBreach',
+          caseType: 'document',
+          caseId: documentId,
+          status: 'processing',
+          enteredAt: hoursAgo(50),
+          notaryId,
+        },
+      ]);
+
+      const result = await slaService.checkSlaBreaches(now);
+
+      expect(emailService.sendSlaEscalationEmail).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ breached: 0, escalated: 1, resolved: 0 });
+    });
+
+    test('should keep the breach open for the next run when the email fails', async () => {
+      StatusTracking.aggregate.mockResolvedValueOnce([
+        { caseId: documentId, status: 'processing', enteredAt: hoursAgo(50), serviceId, notaryId },
+      ]);
+      emailService.sendSlaEscalationEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const result = await slaService.checkSlaBreaches(now);
+
+      expect(SlaBreach.updateOne).not.toHaveBeenCalled();
+      expect(result).toEqual({ breached: 1, escalated: 0, resolved: 0 });
+    });
+
+    test('should not throw when the database fails', async () => {
+      NotarizationService.find.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(slaService.checkSlaBreaches(now)).resolves.toEqual({ breached: 0, escalated: 0, resolved: 0 });
+    });
+  });
+
+  describe('getSlaBreachSummary', () => {
+    test('should count the open breaches by status', async () => {
+      SlaBreach.aggregate.mockResolvedValueOnce([
+        { _id: { caseType: 'document', status: 'processing' }, count: 2, oldestDueAt: hoursAgo(5) },
+        { _id: { caseType: 'session', status: 'digitalSignature' }, count: 1, oldestDueAt: hoursAgo(1) },
+      ]);
+      SlaBreach.countDocuments.mockResolvedValueOnce(7);
+
+      await expect(slaService.getSlaBreachSummary()).resolves.toEqual({
+        open: 3,
+        resolved: 7,
+        byStatus: [
+          { caseType: 'document', status: 'processing', count: 2, oldestDueAt: hoursAgo(5) },
+          { caseType: 'session', status: 'digitalSignature', count: 1, oldestDueAt: hoursAgo(1) },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../../src/services/storage', () => ({
+  save: jest.fn().mockResolvedValue(),
+  download: jest.fn().mockResolvedValue(Buffer.from('test')),
+  remove: jest.fn().mockResolvedValue(),
+  getSignedUrl: jest.fn((key) => Promise.resolve(`https://storage.test/${key}?signature=abc`)),
+  getKey: jest.fn((url) => (url.startsWith('https://storage.test/') ? url.slice('https://storage.test/'.length) : null)),
+}));
+
+const crypto = require('crypto');
+const storage = require('../../../src/services/storage');
+const storageService = require('../../../src/services/storage.service');
+const config = require('../../../src/config/config');
+
+describe('Storage Service', () => {
+  const mockFile = {
+    originalname: 'test.pdf',
+    buffer: Buffer.from('test'),
+    mimetype: 'application/pdf',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const testSha256 = crypto.createHash('sha256').update('test').digest('hex');
+
+  describe('hashBuffer', () => {
+    test('should return the hex encoded sha256 digest', () => {
+      expect(storageService.hashBuffer(Buffer.from('test'))).toBe(testSha256);
+    });
+  });
+
+  describe('getFileMetadata', () => {
+    test('should return the digest, size and mime type of the file', () => {
+      expect(storageService.getFileMetadata(mockFile)).toEqual({
+        sha256: testSha256,
+        size: 4,
+        mimeType: 'application/pdf',
+      });
+    });
+  });
+
+  describe('uploadFile', () => {
+    test('should save the file under rootFolder/folderName and return its key', async () => {
+      const result = await storageService.uploadFile(mockFile, 'documents', 'doc1');
+
+      expect(result).toMatch(/^documents\/doc1\/[0-9a-f]{16}-test\.pdf$/);
+      expect(storage.save).toHaveBeenCalledWith(result, mockFile.buffer, 'application/pdf');
+    });
+
+    test('should keep both versions of a file uploaded twice with the same name', async () => {
+      const first = await storageService.uploadFile(mockFile, 'outputs', 'doc1');
+      const second = await storageService.uploadFile({ ...mockFile, buffer: Buffer.from('corrected') }, 'outputs', 'doc1');
+
+      expect(second).not.toBe(first);
+      expect(storage.save).toHaveBeenCalledWith(first, mockFile.buffer, 'application/pdf');
+      expect(storage.save).toHaveBeenCalledWith(second, Buffer.from('corrected'), 'application/pdf');
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+
+    test('should store the file under its name when asked to', async () => {
+      const result = await storageService.uploadFile(mockFile, 'bundles', 'documents/doc1', { keepName: true });
+
+      expect(result).toBe('bundles/documents/doc1/test.pdf');
+    });
+
+    test('should strip directories from the original filename', async () => {
+      const result = await storageService.uploadFile({ ...mockFile, originalname: '../../etc/passwd' }, 'documents', 'doc1');
+
+      expect(result).toMatch(/^documents\/doc1\/[0-9a-f]{16}-passwd$/);
+    });
+
+    test('should throw when the backend fails', async () => {
+      storage.save.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(storageService.uploadFile(mockFile, 'documents', 'doc1')).rejects.toThrow('Failed to upload file');
+    });
+  });
+
+  describe('downloadFile', () => {
+    test('should download the file stored under the key', async () => {
+      const result = await storageService.downloadFile('outputs/doc1/test.pdf');
+
+      expect(storage.download).toHaveBeenCalledWith('outputs/doc1/test.pdf');
+      expect(result).toEqual(Buffer.from('test'));
+    });
+
+    test('should throw when the backend fails', async () => {
+      storage.download.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(storageService.downloadFile('outputs/doc1/test.pdf')).rejects.toThrow('Failed to download file');
+    });
+  });
+
+  describe('deleteFile', () => {
+    test('should remove the file stored under the key', async () => {
+      await storageService.deleteFile('outputs/doc1/test.pdf');
+
+      expect(storage.remove).toHaveBeenCalledWith('outputs/doc1/test.pdf');
+    });
+
+    test('should throw when the backend fails', async () => {
+      storage.remove.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(storageService.deleteFile('outputs/doc1/test.pdf')).rejects.toThrow('Failed to delete file');
+    });
+  });
+
+  describe('verifyFile', () => {
+    test('should report a file that still matches its digest as valid', async () => {
+      const result = await storageService.verifyFile('outputs/doc1/test.pdf', testSha256);
+
+      expect(storage.download).toHaveBeenCalledWith('outputs/doc1/test.pdf');
+      expect(result).toEqual({ valid: true, sha256: testSha256, size: 4 });
+    });
+
+    test('should report a modified file as invalid', async () => {
+      storage.download.mockResolvedValueOnce(Buffer.from('tampered'));
+
+      const result = await storageService.verifyFile('outputs/doc1/test.pdf', testSha256);
+
+      expect(result.valid).toBe(false);
+      expect(result.sha256).not.toBe(testSha256);
+    });
+  });
+
+  describe('getSignedUrl', () => {
+    test('should return a signed url that expires after the configured time', async () => {
+      const before = Date.now();
+      const result = await storageService.getSignedUrl('outputs/doc1/test.pdf');
+
+      expect(result.url).toBe('https://storage.test/outputs/doc1/test.pdf?signature=abc');
+      expect(storage.getSignedUrl).toHaveBeenCalledWith('outputs/doc1/test.pdf', result.expiresAt);
+      expect(result.expiresAt.getTime()).toBeGreaterThanOrEqual(
+        before + config.storage.signedUrlExpirationMinutes * 60 * 1000
+      );
+    });
+
+    test('should throw when the url cannot be signed', async () => {
+      storage.getSignedUrl.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(storageService.getSignedUrl('outputs/doc1/test.pdf')).rejects.toThrow('Failed to generate download url');
+    });
+  });
+
+  describe('getKeyFromUrl', () => {
+    test('should return the key behind a storage url', () => {
+      expect(storageService.getKeyFromUrl('https://storage.test/outputs/doc1/test.pdf')).toBe('outputs/doc1/test.pdf');
+    });
+
+    test('should return null for urls from another backend', () => {
+      expect(storageService.getKeyFromUrl('https://gateway.pinata.cloud/ipfs/hash')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../../src/services/storage.service', () => ({
+  uploadFile: jest.fn((file, rootFolder, folderName) => Promise.resolve(`${rootFolder}/${folderName}/${file.originalname}`)),
+  getSignedUrl: jest.fn((key) =>
+    Promise.resolve({ url: `https://storage.test/${key}?signature=abc`, expiresAt: new Date() })
+  ),
+}));
+
+jest.mock('../../../src/utils/renderPdfPage', () => jest.fn());
+
+const sharp = require('sharp');
+const { uploadFile, getSignedUrl } = require('../../../src/services/storage.service');
+const renderPdfPage = require('../../../src/utils/renderPdfPage');
+const thumbnailService = require('../../../src/services/thumbnail.service');
+
+const createImage = (width, height, format = 'png') =>
+  sharp({ create: { width, height, channels: 3, background: '#336699' } })
+    .toFormat(format)
+    .toBuffer();
+
+describe('Thumbnail Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createThumbnail', () => {
+    test('should shrink images to fit the thumbnail size', async () => {
+      const buffer = await createImage(1200, 600);
+
+      const thumbnail = await thumbnailService.createThumbnail({ buffer, mimetype: 'image/png' });
+      const { width, height, format } = await sharp(thumbnail).metadata();
+
+      expect(format).toBe('jpeg');
+      expect(width).toBe(320);
+      expect(height).toBe(160);
+    });
+
+    test('should render the first page of PDFs', async () => {
+      renderPdfPage.mockResolvedValue(await createImage(640, 905));
+      const buffer = Buffer.from('%PDF-1.7');
+
+      const thumbnail = await thumbnailService.createThumbnail({ buffer, mimetype: 'application/pdf' });
+      const { height, format } = await sharp(thumbnail).metadata();
+
+      expect(renderPdfPage).toHaveBeenCalledWith(buffer, 640);
+      expect(format).toBe('jpeg');
+      expect(height).toBe(320);
+    });
+
+    test('should return null for other file types', async () => {
+      const thumbnail = await thumbnailService.createThumbnail({ buffer: Buffer.from('test'), mimetype: 'text/plain' });
+
+      expect(thumbnail).toBeNull();
+    });
+  });
+
+  describe('storeThumbnails', () => {
+    test('should store thumbnails next to their files', async () => {
+      const file = { originalname: 'id-card.jpg', buffer: await createImage(100, 100, 'jpeg'), mimetype: 'image/jpeg' };
+
+      const keys = await thumbnailService.storeThumbnails([file], ['documents/doc1/id-card.jpg']);
+
+      expect(uploadFile).toHaveBeenCalledWith(
+        expect.objectContaining({ originalname: 'id-card.jpg.jpg', mimetype: 'image/jpeg' }),
+        'thumbnails',
+        'documents/doc1',
+        { keepName: true }
+      );
+      expect(keys).toEqual(['thumbnails/documents/doc1/id-card.jpg.jpg']);
+    });
+
+    test('should not fail the upload when a file cannot be previewed', async () => {
+      const damaged = { originalname: 'damaged.png', buffer: Buffer.from('not an image'), mimetype: 'image/png' };
+
+      const keys = await thumbnailService.storeThumbnails([damaged], ['documents/doc1/damaged.png']);
+
+      expect(keys).toEqual([null]);
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withThumbnailUrls', () => {
+    test('should add a signed url to entries with a thumbnail', async () => {
+      const entries = [
+        { filename: 'a.pdf', thumbnailKey: 'thumbnails/documents/doc1/a.pdf.jpg' },
+        { filename: 'nft.pdf', thumbnailKey: null },
+      ];
+
+      const result = await thumbnailService.withThumbnailUrls(entries);
+
+      expect(getSignedUrl).toHaveBeenCalledTimes(1);
+      expect(result).toEqual([
+        { ...entries[0], thumbnailUrl: 'https://storage.test/thumbnails/documents/doc1/a.pdf.jpg?signature=abc' },
+        { ...entries[1], thumbnailUrl: null },
+      ]);
+    });
+  });
+});
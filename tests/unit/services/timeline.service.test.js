@@ -0,0 +1,128 @@
+jest.mock('../../../src/models', () => ({
+  CaseEvent: { create: jest.fn(), find: jest.fn() },
+  Document: { findById: jest.fn() },
+  Session: { findById: jest.fn() },
+}));
+
+const httpStatus = require('http-status');
+const { CaseEvent, Document, Session } = require('../../../src/models');
+const timelineService = require('../../../src/services/timeline.service');
+
+describe('Timeline Service', () => {
+  const documentId = '507f1f77bcf86cd799439011';
+  const sessionId = '507f1f77bcf86cd799439012';
+  const requester = { id: '507f1f77bcf86cd799439013', role: 'user', email: 'requester@example.com' };
+  const notary = { id: '507f1f77bcf86cd799439014', role: 'notary', email: 'notary@example.com' };
+
+  const mockEvents = (events) => {
+    const populate = jest.fn().mockResolvedValue(events);
+    const sort = jest.fn().mockReturnValue({ populate });
+    CaseEvent.find.mockReturnValueOnce({ sort });
+    return { sort, populate };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordEvent', () => {
+    test('should append the event to the case', async () => {
+      CaseEvent.create.mockResolvedValueOnce({ id: 'eventId' });
+
+      await timelineService.recordEvent('document', documentId, 'signed', { actorId: notary.id, actorRole: 'notary' });
+
+      expect(CaseEvent.create).toHaveBeenCalledWith({
+        caseType: 'document',
+        caseId: documentId,
+        type: 'signed',
+        actorId: notary.id,
+        actorRole: 'notary',
+      });
+    });
+
+    test('should not fail the action when the event cannot be written', async () => {
+      CaseEvent.create.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(timelineService.recordEvent('session', sessionId, 'minted')).resolves.toBeNull();
+    });
+  });
+
+  describe('describeFile', () => {
+    test('should leave the storage details out', () => {
+      expect(
+        timelineService.describeFile({ filename: 'contract.pdf', slot: 'contract', version: 2, storageKey: 'outputs/key' })
+      ).toEqual({ filename: 'contract.pdf', slot: 'contract', version: 2 });
+    });
+  });
+
+  describe('getTimeline', () => {
+    test('should list the events of the document oldest first with their actor', async () => {
+      Document.findById.mockResolvedValueOnce({ userId: requester.id });
+      const createdAt = new Date('2024-05-12T08:00:00Z');
+      const { sort, populate } = mockEvents([
+        {
+          id: 'eventId',
+          type: 'statusChanged',
+          action: 'requestRevision',
+          fromStatus: 'processing',
+          toStatus: 'needsRevision',
+          feedback: 'The contract is not signed',
+          actorId: { id: notary.id, name: 'Notary' },
+          actorRole: 'notary',
+          createdAt,
+        },
+        { id: 'systemEventId', type: 'statusChanged', action: 'verify', actorId: null, createdAt },
+      ]);
+
+      const timeline = await timelineService.getTimeline('document', documentId, requester);
+
+      expect(CaseEvent.find).toHaveBeenCalledWith({ caseType: 'document', caseId: documentId });
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+      expect(populate).toHaveBeenCalledWith('actorId', 'name');
+      expect(timeline.events[0]).toEqual({
+        id: 'eventId',
+        type: 'statusChanged',
+        action: 'requestRevision',
+        fromStatus: 'processing',
+        toStatus: 'needsRevision',
+        feedback: 'The contract is not signed',
+        data: undefined,
+        actor: { id: notary.id, name: 'Notary', role: 'notary' },
+        createdAt,
+      });
+      expect(timeline.events[1].actor).toBeNull();
+    });
+
+    test('should keep requesters out of the documents of others', async () => {
+      Document.findById.mockResolvedValueOnce({ userId: 'someoneElse' });
+
+      await expect(timelineService.getTimeline('document', documentId, requester)).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+      expect(CaseEvent.find).not.toHaveBeenCalled();
+    });
+
+    test('should show the session to its members and to notaries', async () => {
+      const session = { createdBy: 'creatorId', users: [{ email: requester.email }] };
+      Session.findById.mockResolvedValueOnce(session).mockResolvedValueOnce(session);
+      mockEvents([]);
+      mockEvents([]);
+
+      await expect(timelineService.getTimeline('session', sessionId, requester)).resolves.toEqual({
+        caseType: 'session',
+        caseId: sessionId,
+        events: [],
+      });
+      await expect(timelineService.getTimeline('session', sessionId, notary)).resolves.toMatchObject({ events: [] });
+    });
+
+    test('should throw when the case does not exist', async () => {
+      Session.findById.mockResolvedValueOnce(null);
+
+      await expect(timelineService.getTimeline('session', sessionId, notary)).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+        message: 'Session not found',
+      });
+    });
+  });
+});
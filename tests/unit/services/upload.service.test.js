@@ -0,0 +1,383 @@
+const mockUpload = {
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
+};
+
+jest.mock('../../../src/models', () => ({ Upload: mockUpload }));
+
+jest.mock('../../../src/services/storage.service', () => ({
+  uploadFile: jest.fn(),
+  uploadStream: jest.fn(),
+  downloadFile: jest.fn(),
+  deleteFile: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../../src/services/scan.service', () => ({
+  scanFileStream: jest.fn(),
+}));
+
+jest.mock('../../../src/services/thumbnail.service', () => ({
+  storeThumbnails: jest.fn().mockResolvedValue(['thumbnails/uploads/file.pdf.jpg']),
+}));
+
+jest.mock('../../../src/utils/countPdfPages', () => jest.fn().mockResolvedValue(4));
+
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const config = require('../../../src/config/config');
+const { uploadFile, uploadStream, downloadFile, deleteFile } = require('../../../src/services/storage.service');
+const { scanFileStream } = require('../../../src/services/scan.service');
+const { storeThumbnails } = require('../../../src/services/thumbnail.service');
+const uploadService = require('../../../src/services/upload.service');
+
+describe('Upload Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const uploadId = new mongoose.Types.ObjectId();
+  const { chunkSize } = config.upload;
+
+  const buildUpload = (overrides = {}) => ({
+    _id: uploadId,
+    userId,
+    filename: 'contract.pdf',
+    mimeType: 'application/pdf',
+    size: chunkSize + 10,
+    chunkSize,
+    totalChunks: 2,
+    receivedChunks: [],
+    expectedSha256: null,
+    status: 'pending',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  });
+
+  const mockSession = {
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn().mockResolvedValue(),
+    abortTransaction: jest.fn().mockResolvedValue(),
+    inTransaction: jest.fn(() => true),
+    endSession: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession);
+  });
+
+  describe('createUpload', () => {
+    test('should create an upload split in chunks', async () => {
+      mockUpload.create.mockImplementation(async (body) => body);
+
+      const result = await uploadService.createUpload(userId, {
+        filename: 'contract.pdf',
+        mimeType: 'application/pdf',
+        size: chunkSize * 2 + 1,
+      });
+
+      expect(result).toMatchObject({ userId, chunkSize, totalChunks: 3, expectedSha256: null });
+      expect(result.expiresAt).toBeInstanceOf(Date);
+    });
+
+    test('should reject files larger than the allowed size', async () => {
+      await expect(
+        uploadService.createUpload(userId, {
+          filename: 'big.pdf',
+          mimeType: 'application/pdf',
+          size: config.upload.maxSize + 1,
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.REQUEST_ENTITY_TOO_LARGE });
+      expect(mockUpload.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUpload', () => {
+    test('should throw 400 for an invalid upload ID', async () => {
+      await expect(uploadService.getUpload('invalid', userId)).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+
+    test('should throw 404 when the upload does not exist', async () => {
+      mockUpload.findById.mockResolvedValue(null);
+
+      await expect(uploadService.getUpload(uploadId, userId)).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+    });
+
+    test('should throw 403 when the upload belongs to another user', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload({ userId: new mongoose.Types.ObjectId() }));
+
+      await expect(uploadService.getUpload(uploadId, userId)).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+    });
+  });
+
+  describe('uploadChunk', () => {
+    test('should store the chunk and record its index', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload());
+      mockUpload.findByIdAndUpdate.mockResolvedValue(buildUpload({ receivedChunks: [1] }));
+      const buffer = Buffer.alloc(10);
+
+      const result = await uploadService.uploadChunk(uploadId, 1, buffer, userId);
+
+      expect(uploadFile).toHaveBeenCalledWith(
+        { originalname: '1', buffer, mimetype: 'application/octet-stream' },
+        'uploads',
+        `${uploadId}/chunks`,
+        { keepName: true }
+      );
+      expect(mockUpload.findByIdAndUpdate).toHaveBeenCalledWith(
+        uploadId,
+        { $addToSet: { receivedChunks: 1 } },
+        { new: true }
+      );
+      expect(result.receivedChunks).toEqual([1]);
+    });
+
+    test('should reject a chunk with the wrong size', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload());
+
+      await expect(uploadService.uploadChunk(uploadId, 0, Buffer.alloc(10), userId)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+      expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('should reject an index out of range', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload());
+
+      await expect(uploadService.uploadChunk(uploadId, 2, Buffer.alloc(10), userId)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+    });
+
+    test('should reject chunks of a completed upload', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload({ status: 'completed' }));
+
+      await expect(uploadService.uploadChunk(uploadId, 1, Buffer.alloc(10), userId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+    });
+
+    test('should reject chunks of an expired upload', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload({ expiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(uploadService.uploadChunk(uploadId, 1, Buffer.alloc(10), userId)).rejects.toMatchObject({
+        statusCode: httpStatus.GONE,
+      });
+    });
+  });
+
+  describe('completeUpload', () => {
+    test('should throw 409 listing the missing chunks', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload({ receivedChunks: [1] }));
+
+      await expect(uploadService.completeUpload(uploadId, userId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'Missing chunks: 0',
+      });
+    });
+
+    const readStream = (source) =>
+      new Promise((resolve, reject) => {
+        const parts = [];
+        source.on('data', (part) => parts.push(part));
+        source.on('end', () => resolve(Buffer.concat(parts)));
+        source.on('error', reject);
+      });
+    const chunks = [Buffer.alloc(chunkSize, 1), Buffer.alloc(10, 2)];
+    const sha256 = crypto.createHash('sha256').update(Buffer.concat(chunks)).digest('hex');
+    const verdict = { status: 'clean', engine: 'clamav', signature: null, scannedAt: new Date() };
+
+    beforeEach(() => {
+      mockUpload.updateOne.mockResolvedValue({ n: 1, nModified: 1 });
+      downloadFile.mockImplementation((key) => Promise.resolve(chunks[Number(key.split('/').pop())]));
+      scanFileStream.mockImplementation(async (openStream) => {
+        await readStream(openStream());
+        return verdict;
+      });
+      uploadStream.mockImplementation(async (source) => {
+        await readStream(source);
+        return `uploads/${uploadId}/contract.pdf`;
+      });
+    });
+
+    afterEach(() => {
+      downloadFile.mockReset();
+      scanFileStream.mockReset();
+      uploadStream.mockReset();
+    });
+
+    test('should stream the chunks to the scanner and storage, then remove the chunks', async () => {
+      const upload = buildUpload({ receivedChunks: [1, 0] });
+      mockUpload.findById.mockResolvedValue(upload);
+
+      const result = await uploadService.completeUpload(uploadId, userId);
+
+      const file = { originalname: 'contract.pdf', mimetype: 'application/pdf', size: chunkSize + 10 };
+      expect(scanFileStream).toHaveBeenCalledWith(expect.any(Function), file, 'uploads', uploadId);
+      expect(uploadStream).toHaveBeenCalledWith(expect.anything(), file, 'uploads', uploadId);
+      expect(uploadFile).not.toHaveBeenCalled();
+      expect(downloadFile).toHaveBeenCalledWith(`uploads/${uploadId}/chunks/0`);
+      expect(downloadFile).toHaveBeenCalledWith(`uploads/${uploadId}/chunks/1`);
+      expect(deleteFile).toHaveBeenCalledTimes(2);
+      expect(mockUpload.updateOne).toHaveBeenCalledWith({ _id: uploadId, status: 'pending' }, { status: 'assembling' });
+      expect(result).toMatchObject({
+        status: 'completed',
+        storageKey: `uploads/${uploadId}/contract.pdf`,
+        sha256,
+        scan: verdict,
+        thumbnailKey: 'thumbnails/uploads/file.pdf.jpg',
+        pageCount: 4,
+      });
+      expect(upload.save).toHaveBeenCalled();
+    });
+
+    test('should not read files larger than the preview limit into memory', async () => {
+      const upload = buildUpload({ receivedChunks: [0, 1] });
+      mockUpload.findById.mockResolvedValue(upload);
+      const { previewMaxSize } = config.upload;
+      config.upload.previewMaxSize = chunkSize;
+
+      try {
+        const result = await uploadService.completeUpload(uploadId, userId);
+
+        expect(downloadFile).not.toHaveBeenCalledWith(`uploads/${uploadId}/contract.pdf`);
+        expect(storeThumbnails).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ status: 'completed', sha256, thumbnailKey: null, pageCount: null });
+      } finally {
+        config.upload.previewMaxSize = previewMaxSize;
+      }
+    });
+
+    test('should discard the chunks and the stored file when the sha256 does not match', async () => {
+      const upload = buildUpload({ receivedChunks: [0, 1], expectedSha256: 'expected' });
+      mockUpload.findById.mockResolvedValue(upload);
+
+      await expect(uploadService.completeUpload(uploadId, userId)).rejects.toMatchObject({
+        statusCode: httpStatus.UNPROCESSABLE_ENTITY,
+      });
+      expect(deleteFile).toHaveBeenCalledWith(`uploads/${uploadId}/contract.pdf`);
+      expect(deleteFile).toHaveBeenCalledTimes(3);
+      expect(upload.receivedChunks).toEqual([]);
+      expect(upload.save).toHaveBeenCalled();
+    });
+
+    test('should fail when a chunk cannot be read', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload({ receivedChunks: [0, 1] }));
+      scanFileStream.mockResolvedValueOnce(verdict);
+      downloadFile.mockRejectedValueOnce(new Error('Failed to download file'));
+
+      await expect(uploadService.completeUpload(uploadId, userId)).rejects.toThrow('Failed to download file');
+      expect(mockUpload.updateOne).toHaveBeenLastCalledWith({ _id: uploadId, status: 'assembling' }, { status: 'pending' });
+    });
+
+    test('should let only one request assemble the chunks', async () => {
+      mockUpload.findById.mockResolvedValue(buildUpload({ receivedChunks: [0, 1] }));
+      mockUpload.updateOne.mockResolvedValueOnce({ n: 0, nModified: 0 });
+
+      await expect(uploadService.completeUpload(uploadId, userId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'Upload is already being completed',
+      });
+      expect(scanFileStream).not.toHaveBeenCalled();
+      expect(uploadStream).not.toHaveBeenCalled();
+      expect(mockUpload.updateOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('claimUploads', () => {
+    test('should mark the uploads as attached and return file entries in order', async () => {
+      const first = buildUpload({
+        _id: new mongoose.Types.ObjectId(),
+        filename: 'a.pdf',
+        storageKey: 'uploads/a',
+        sha256: 'a',
+      });
+      const second = buildUpload({
+        _id: new mongoose.Types.ObjectId(),
+        filename: 'b.pdf',
+        storageKey: 'uploads/b',
+        sha256: 'b',
+      });
+      mockUpload.find.mockResolvedValue([second, first]);
+      mockUpload.updateMany.mockResolvedValueOnce({ n: 2, nModified: 2 });
+
+      const result = await uploadService.claimUploads([first._id.toString(), second._id.toString()], userId);
+
+      expect(mockUpload.find).toHaveBeenCalledWith(expect.objectContaining({ userId, status: 'completed' }), null, {
+        session: mockSession,
+      });
+      expect(mockUpload.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [first._id.toString(), second._id.toString()] }, userId, status: 'completed' },
+        { status: 'attached' },
+        { session: mockSession }
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(result.map((file) => file.filename)).toEqual(['a.pdf', 'b.pdf']);
+      expect(result[0]).toMatchObject({ storageKey: 'uploads/a', sha256: 'a', mimeType: 'application/pdf' });
+    });
+
+    test('should throw 400 when an upload is missing or not completed', async () => {
+      mockUpload.find.mockResolvedValue([]);
+
+      await expect(uploadService.claimUploads([uploadId.toString()], userId)).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+      expect(mockUpload.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should not attach uploads rejected by the upload policy of the service', async () => {
+      mockUpload.find.mockResolvedValue([buildUpload({ status: 'completed', pageCount: 30 })]);
+
+      await expect(uploadService.claimUploads([uploadId.toString()], userId, { maxPdfPages: 20 })).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Files rejected by the service upload policy: contract.pdf: has 30 pages, at most 20 are accepted',
+      });
+      expect(mockUpload.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should attach none of the uploads when another request attached one meanwhile', async () => {
+      const first = buildUpload({ _id: new mongoose.Types.ObjectId() });
+      const second = buildUpload({ _id: new mongoose.Types.ObjectId() });
+      mockUpload.find.mockResolvedValue([first, second]);
+      mockUpload.updateMany.mockResolvedValueOnce({ n: 1, nModified: 1 });
+
+      await expect(uploadService.claimUploads([first._id.toString(), second._id.toString()], userId)).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockSession.commitTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should claim within the transaction of the caller', async () => {
+      const callerSession = { id: 'callerSession' };
+      mockUpload.find.mockResolvedValue([buildUpload()]);
+      mockUpload.updateMany.mockResolvedValueOnce({ n: 1, nModified: 1 });
+
+      await uploadService.claimUploads([uploadId.toString()], userId, {}, callerSession);
+
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+      expect(mockUpload.updateMany).toHaveBeenCalledWith(
+        expect.any(Object),
+        { status: 'attached' },
+        { session: callerSession }
+      );
+    });
+  });
+
+  describe('deleteExpiredUploads', () => {
+    test('should delete the chunks, files and records of expired uploads', async () => {
+      const expired = buildUpload({ receivedChunks: [0], storageKey: 'uploads/file.pdf' });
+      mockUpload.find.mockResolvedValue([expired]);
+
+      await uploadService.deleteExpiredUploads();
+
+      expect(deleteFile).toHaveBeenCalledWith(`uploads/${uploadId}/chunks/0`);
+      expect(deleteFile).toHaveBeenCalledWith('uploads/file.pdf');
+      expect(mockUpload.deleteMany).toHaveBeenCalledWith({ _id: { $in: [uploadId] } });
+    });
+  });
+});
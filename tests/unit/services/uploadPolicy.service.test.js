@@ -0,0 +1,108 @@
+jest.mock('../../../src/utils/countPdfPages', () => jest.fn().mockResolvedValue(3));
+
+const httpStatus = require('http-status');
+const countPdfPages = require('../../../src/utils/countPdfPages');
+const uploadPolicyService = require('../../../src/services/uploadPolicy.service');
+
+describe('Upload Policy Service', () => {
+  const MB = 1024 * 1024;
+  const image = { originalname: 'cccd.jpg', mimetype: 'image/jpeg', size: MB, buffer: Buffer.from('image') };
+  const pdf = { originalname: 'contract.pdf', mimetype: 'application/pdf', size: 2 * MB, buffer: Buffer.from('pdf') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getUploadPolicy', () => {
+    test('should apply the default policy when there is no service or it has no policy', async () => {
+      const large = { originalname: 'scan.png', mimetype: 'image/png', size: 6 * MB, buffer: Buffer.from('image') };
+      const text = { originalname: 'notes.txt', mimetype: 'text/plain', size: MB, buffer: Buffer.from('text') };
+
+      [uploadPolicyService.getUploadPolicy(), uploadPolicyService.getUploadPolicy({ name: 'Service' })].forEach((policy) =>
+        expect(policy).toMatchObject({ allowedMimeTypes: ['image/jpeg', 'image/png', 'application/pdf'] })
+      );
+      const policy = uploadPolicyService.getUploadPolicy(null);
+      expect(() => uploadPolicyService.checkFileCount(policy, 100)).not.toThrow();
+      await expect(uploadPolicyService.checkFiles(policy, [image, pdf])).resolves.toBeUndefined();
+      await expect(uploadPolicyService.checkFiles(policy, [large])).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: expect.stringContaining('scan.png: larger than 5 MB'),
+      });
+      await expect(uploadPolicyService.checkFiles(policy, [text])).rejects.toThrow('text/plain files are not accepted');
+    });
+  });
+
+  describe('checkFileCount', () => {
+    test('should reject more files than the service accepts', () => {
+      expect(() => uploadPolicyService.checkFileCount({ maxFiles: 2 }, 3)).toThrow('This service accepts at most 2 files');
+      expect(() => uploadPolicyService.checkFileCount({ maxFiles: 2 }, 2)).not.toThrow();
+    });
+  });
+
+  describe('checkFiles', () => {
+    test('should accept files that follow the policy', async () => {
+      const policy = {
+        allowedMimeTypes: ['image/jpeg', 'application/pdf'],
+        maxFileSizeMb: 5,
+        minPdfPages: 1,
+        maxPdfPages: 5,
+      };
+
+      await expect(uploadPolicyService.checkFiles(policy, [image, pdf])).resolves.toBeUndefined();
+      expect(countPdfPages).toHaveBeenCalledWith(pdf.buffer);
+    });
+
+    test('should reject files of types the service does not accept', async () => {
+      await expect(
+        uploadPolicyService.checkFiles({ allowedMimeTypes: ['application/pdf'] }, [image, pdf])
+      ).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Files rejected by the service upload policy: cccd.jpg: image/jpeg files are not accepted',
+      });
+    });
+
+    test('should reject files larger than the limit of the service', async () => {
+      await expect(uploadPolicyService.checkFiles({ maxFileSizeMb: 1.5 }, [image, pdf])).rejects.toThrow(
+        'contract.pdf: larger than 1.5 MB'
+      );
+    });
+
+    test('should check the page count of PDFs', async () => {
+      await expect(uploadPolicyService.checkFiles({ maxPdfPages: 2 }, [pdf])).rejects.toThrow(
+        'contract.pdf: has 3 pages, at most 2 are accepted'
+      );
+      await expect(uploadPolicyService.checkFiles({ minPdfPages: 4 }, [pdf])).rejects.toThrow(
+        'contract.pdf: has 3 pages, at least 4 are required'
+      );
+    });
+
+    test('should not count pages when the policy has no page limits', async () => {
+      await uploadPolicyService.checkFiles({ maxFileSizeMb: 5 }, [pdf]);
+
+      expect(countPdfPages).not.toHaveBeenCalled();
+    });
+
+    test('should use the page count stored with resumable uploads', async () => {
+      const upload = { filename: 'large.pdf', mimeType: 'application/pdf', size: 10 * MB, pageCount: 12 };
+
+      await expect(uploadPolicyService.checkFiles({ maxPdfPages: 10 }, [upload])).rejects.toThrow(
+        'large.pdf: has 12 pages, at most 10 are accepted'
+      );
+      expect(countPdfPages).not.toHaveBeenCalled();
+    });
+
+    test('should reject PDFs that cannot be read when pages are limited', async () => {
+      countPdfPages.mockRejectedValueOnce(new Error('no objects found'));
+
+      await expect(uploadPolicyService.checkFiles({ maxPdfPages: 10 }, [pdf])).rejects.toThrow(
+        'contract.pdf: the PDF could not be read'
+      );
+    });
+
+    test('should list every violation', async () => {
+      await expect(
+        uploadPolicyService.checkFiles({ allowedMimeTypes: ['application/pdf'], maxFileSizeMb: 1.5 }, [image, pdf])
+      ).rejects.toThrow('cccd.jpg: image/jpeg files are not accepted; contract.pdf: larger than 1.5 MB');
+    });
+  });
+});
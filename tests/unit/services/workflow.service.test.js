@@ -0,0 +1,260 @@
+jest.mock('../../../src/models', () => ({
+  Workflow: {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    paginate: jest.fn(),
+  },
+  NotarizationService: {
+    findById: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+}));
+
+const httpStatus = require('http-status');
+const { Workflow, NotarizationService } = require('../../../src/models');
+const { defaultWorkflow } = require('../../../src/config/workflow');
+const workflowService = require('../../../src/services/workflow.service');
+
+describe('Workflow Service', () => {
+  const reviewOnly = {
+    name: 'review-only',
+    states: [
+      { name: 'pending' },
+      { name: 'processing' },
+      { name: 'completed', final: true },
+      { name: 'rejected', final: true },
+    ],
+    transitions: [
+      { action: 'accept', from: ['pending'], to: 'processing', roles: ['notary'], requires: [] },
+      { action: 'complete', from: ['processing'], to: 'completed', roles: ['notary'], requires: ['output'] },
+      { action: 'reject', from: ['pending', 'processing'], to: 'rejected', roles: ['notary'], requires: ['feedback'] },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getWorkflowErrors', () => {
+    test('should accept the default workflow', () => {
+      expect(workflowService.getWorkflowErrors(defaultWorkflow)).toEqual([]);
+    });
+
+    test('should report transitions that do not match the states', () => {
+      const errors = workflowService.getWorkflowErrors({
+        states: [{ name: 'pending' }, { name: 'done', final: true }],
+        transitions: [
+          { action: 'finish', from: ['pending'], to: 'archived', roles: ['notary'] },
+          { action: 'reopen', from: ['done'], to: 'pending', roles: ['clerk'] },
+          { action: 'finish', from: ['pending', 'review'], to: 'done', roles: ['notary'] },
+        ],
+      });
+
+      expect(errors).toEqual([
+        'finish leads to the unknown state archived',
+        'reopen leaves from the final state done',
+        'reopen is given to the unknown role clerk',
+        'finish is defined more than once from pending',
+        'finish leaves from the unknown state review',
+      ]);
+    });
+
+    test('should require the pending state', () => {
+      expect(workflowService.getWorkflowErrors({ states: [{ name: 'draft' }], transitions: [] })).toEqual([
+        'the pending state is required',
+      ]);
+    });
+  });
+
+  describe('getTransition', () => {
+    test('should follow the default workflow', () => {
+      expect(
+        workflowService.getTransition(defaultWorkflow, { status: 'processing', action: 'accept', role: 'notary' }).to
+      ).toBe('digitalSignature');
+      expect(
+        workflowService.getTransition(defaultWorkflow, { status: 'digitalSignature', action: 'sign', role: 'notary' }).to
+      ).toBe('completed');
+    });
+
+    test('should refuse actions the state does not allow', () => {
+      expect(() =>
+        workflowService.getTransition(defaultWorkflow, { status: 'digitalSignature', action: 'accept', role: 'notary' })
+      ).toThrow('Cannot accept a request in status digitalSignature');
+    });
+
+    test('should refuse roles the transition is not given to', async () => {
+      const transition = Promise.resolve().then(() =>
+        workflowService.getTransition(defaultWorkflow, { status: 'pending', action: 'accept', role: 'admin' })
+      );
+
+      await expect(transition).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+        message: 'Role admin cannot accept a request in status pending',
+      });
+    });
+
+    test('should refuse to leave final states', () => {
+      expect(() =>
+        workflowService.getTransition(defaultWorkflow, { status: 'rejected', action: 'accept', role: 'notary' })
+      ).toThrow('The request is already rejected');
+    });
+
+    test('should refuse statuses the workflow does not know', () => {
+      expect(() =>
+        workflowService.getTransition(reviewOnly, { status: 'digitalSignature', action: 'sign', role: 'notary' })
+      ).toThrow('Status digitalSignature is not part of the review-only workflow');
+    });
+
+    test('should check the inputs the transition requires', () => {
+      expect(() =>
+        workflowService.getTransition(reviewOnly, { status: 'pending', action: 'reject', role: 'notary' })
+      ).toThrow('Feedback is required to reject');
+      expect(() =>
+        workflowService.getTransition(reviewOnly, { status: 'processing', action: 'complete', role: 'notary' })
+      ).toThrow('An output file is required to complete');
+      expect(
+        workflowService.getTransition(reviewOnly, {
+          status: 'processing',
+          action: 'complete',
+          role: 'notary',
+          hasOutput: true,
+        }).to
+      ).toBe('completed');
+    });
+  });
+
+  describe('getAvailableActions', () => {
+    test('should list the actions of the role from the status', () => {
+      expect(workflowService.getAvailableActions(defaultWorkflow, 'pending', 'notary')).toEqual([
+        { action: 'accept', to: 'processing', requires: [] },
+        { action: 'requestRevision', to: 'needsRevision', requires: ['feedback'] },
+        { action: 'reject', to: 'rejected', requires: ['feedback'] },
+      ]);
+      expect(workflowService.getAvailableActions(defaultWorkflow, 'pending', 'user')).toEqual([
+        { action: 'withdraw', to: 'cancelled', requires: ['feedback'] },
+      ]);
+      expect(workflowService.getAvailableActions(defaultWorkflow, 'needsRevision', 'user')).toEqual([
+        { action: 'resubmit', to: 'pending', requires: [] },
+        { action: 'withdraw', to: 'cancelled', requires: ['feedback'] },
+      ]);
+      expect(workflowService.getAvailableActions(defaultWorkflow, 'digitalSignature', 'user')).toEqual([]);
+    });
+  });
+
+  describe('awaitsRevision', () => {
+    test('should be true for states the requester resubmits from', () => {
+      expect(workflowService.awaitsRevision(defaultWorkflow, 'needsRevision')).toBe(true);
+      expect(workflowService.awaitsRevision(defaultWorkflow, 'rejected')).toBe(false);
+      expect(workflowService.awaitsRevision(reviewOnly, 'pending')).toBe(false);
+    });
+  });
+
+  describe('collectsSignatures', () => {
+    test('should be true for states left by signing', () => {
+      expect(workflowService.collectsSignatures(defaultWorkflow, 'digitalSignature')).toBe(true);
+      expect(workflowService.collectsSignatures(defaultWorkflow, 'processing')).toBe(false);
+      expect(workflowService.collectsSignatures(reviewOnly, 'processing')).toBe(false);
+    });
+  });
+
+  describe('getServiceWorkflow', () => {
+    test('should use the default workflow for services without one', async () => {
+      NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', workflowId: null });
+
+      await expect(workflowService.getServiceWorkflow('serviceId')).resolves.toBe(defaultWorkflow);
+      expect(Workflow.findById).not.toHaveBeenCalled();
+    });
+
+    test('should load the workflow attached to the service', async () => {
+      NotarizationService.findById.mockResolvedValueOnce({ _id: 'serviceId', workflowId: 'workflowId' });
+      Workflow.findById.mockResolvedValueOnce(reviewOnly);
+
+      await expect(workflowService.getServiceWorkflow('serviceId')).resolves.toBe(reviewOnly);
+      expect(Workflow.findById).toHaveBeenCalledWith('workflowId');
+    });
+
+    test('should load each workflow once per loader', async () => {
+      NotarizationService.findById.mockResolvedValue({ _id: 'serviceId', workflowId: 'workflowId' });
+      Workflow.findById.mockResolvedValue(reviewOnly);
+      const loadWorkflow = workflowService.createWorkflowLoader();
+
+      await Promise.all([loadWorkflow('serviceId'), loadWorkflow('serviceId')]);
+
+      expect(NotarizationService.findById).toHaveBeenCalledTimes(1);
+      expect(Workflow.findById).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getFinalStates', () => {
+    test('should gather the final states of every workflow once', async () => {
+      Workflow.find.mockResolvedValueOnce([reviewOnly, { states: [{ name: 'archived', final: true }] }]);
+
+      await expect(workflowService.getFinalStates()).resolves.toEqual(['completed', 'rejected', 'cancelled', 'archived']);
+    });
+  });
+
+  describe('createWorkflow', () => {
+    test('should create valid workflows', async () => {
+      Workflow.findOne.mockResolvedValueOnce(null);
+      Workflow.create.mockResolvedValueOnce({ id: 'workflowId', ...reviewOnly });
+
+      await expect(workflowService.createWorkflow(reviewOnly)).resolves.toMatchObject({ id: 'workflowId' });
+    });
+
+    test('should reject invalid workflows', async () => {
+      Workflow.findOne.mockResolvedValueOnce(null);
+
+      await expect(
+        workflowService.createWorkflow({ ...reviewOnly, states: reviewOnly.states.slice(0, 3) })
+      ).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'Invalid workflow: reject leads to the unknown state rejected',
+      });
+      expect(Workflow.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject taken names', async () => {
+      Workflow.findOne.mockResolvedValueOnce({ name: 'review-only' });
+
+      await expect(workflowService.createWorkflow(reviewOnly)).rejects.toThrow('Workflow name already exists');
+    });
+  });
+
+  describe('updateWorkflowById', () => {
+    test('should check the updated definition', async () => {
+      const workflow = { ...reviewOnly, save: jest.fn() };
+      Workflow.findById.mockResolvedValueOnce(workflow);
+
+      await expect(
+        workflowService.updateWorkflowById('workflowId', { states: [{ name: 'pending' }, { name: 'processing' }] })
+      ).rejects.toThrow('Invalid workflow');
+      expect(workflow.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteWorkflowById', () => {
+    test('should not delete workflows used by a service', async () => {
+      const workflow = { ...reviewOnly, remove: jest.fn() };
+      Workflow.findById.mockResolvedValueOnce(workflow);
+      NotarizationService.countDocuments.mockResolvedValueOnce(2);
+
+      await expect(workflowService.deleteWorkflowById('workflowId')).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'Workflow is used by 2 notarization services',
+      });
+      expect(workflow.remove).not.toHaveBeenCalled();
+    });
+
+    test('should delete unused workflows', async () => {
+      const workflow = { ...reviewOnly, remove: jest.fn() };
+      Workflow.findById.mockResolvedValueOnce(workflow);
+      NotarizationService.countDocuments.mockResolvedValueOnce(0);
+
+      await workflowService.deleteWorkflowById('workflowId');
+
+      expect(workflow.remove).toHaveBeenCalled();
+    });
+  });
+});